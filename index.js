@@ -6,16 +6,52 @@ module.exports = {
     get exif() {
         return require('./src/exif');
     },
+    get gif() {
+        return require('./src/gif');
+    },
+    get heif() {
+        return require('./src/heif');
+    },
+    get icc() {
+        return require('./src/icc');
+    },
+    get iptc() {
+        return require('./src/iptc');
+    },
     get jpg() {
         return require('./src/jpg');
     },
+    get metadata() {
+        return require('./src/metadata');
+    },
     get png() {
         return require('./src/png');
     },
+    get probe() {
+        return require('./src/probe');
+    },
+    get read() {
+        return require('./src/metadata').read;
+    },
+    get strip() {
+        return require('./src/strip');
+    },
     get tiff() {
         return require('./src/tiff');
     },
     get utils() {
         return require('./src/utils');
+    },
+    get webp() {
+        return require('./src/webp');
+    },
+    get write() {
+        return require('./src/metadata').write;
+    },
+    get xmp() {
+        return require('./src/xmp');
+    },
+    get zlib() {
+        return require('./src/zlib');
     }
 };
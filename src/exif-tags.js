@@ -0,0 +1,197 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+const tiff = require('./tiff');
+
+// Reference materials:
+// https://www.cipa.jp/std/documents/e/CIPA_DC-X008-Translation-2016-E.pdf
+// Tables 4 through 8 in section 4.6.
+
+/**
+ * @typedef ExifTag
+ * @property {number} tag
+ * @property {string} name Property name used in the Exif object.
+ * @property {number[]} types Allowed TIFF types. The first one is preferred when encoding.
+ * @property {number} [count] Number of values, if the specification requires a specific amount.
+ * @property {'version'|'comment'} [format] Indicates that an UNDEFINED value needs special handling.
+ */
+
+const SHORT_OR_LONG = [tiff.UINT16, tiff.UINT32];
+
+// Pointers to other IFDs. These are handled by the EXIF code itself rather than being
+// exposed as regular properties.
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+const INTEROP_IFD_POINTER = 0xA005;
+
+// Tags that describe the location of data elsewhere in the file, such as StripOffsets
+// and JPEGInterchangeFormat, are intentionally omitted as their values are meaningless
+// once the file is re-encoded.
+
+/** @type {ExifTag[]} */
+const IFD0_TAGS = [
+    {tag: 0x0100, name: 'ImageWidth', types: SHORT_OR_LONG, count: 1},
+    {tag: 0x0101, name: 'ImageLength', types: SHORT_OR_LONG, count: 1},
+    // One per sample, so the count depends on SamplesPerPixel
+    {tag: 0x0102, name: 'BitsPerSample', types: [tiff.UINT16]},
+    {tag: 0x0103, name: 'Compression', types: [tiff.UINT16], count: 1},
+    {tag: 0x0106, name: 'PhotometricInterpretation', types: [tiff.UINT16], count: 1},
+    {tag: 0x010E, name: 'ImageDescription', types: [tiff.ASCII]},
+    {tag: 0x010F, name: 'Make', types: [tiff.ASCII]},
+    {tag: 0x0110, name: 'Model', types: [tiff.ASCII]},
+    {tag: 0x0112, name: 'Orientation', types: [tiff.UINT16], count: 1},
+    {tag: 0x0115, name: 'SamplesPerPixel', types: [tiff.UINT16], count: 1},
+    {tag: 0x0116, name: 'RowsPerStrip', types: SHORT_OR_LONG, count: 1},
+    {tag: 0x011A, name: 'XResolution', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x011B, name: 'YResolution', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x011C, name: 'PlanarConfiguration', types: [tiff.UINT16], count: 1},
+    {tag: 0x0128, name: 'ResolutionUnit', types: [tiff.UINT16], count: 1},
+    // 256 values for each of 1 or 3 channels
+    {tag: 0x012D, name: 'TransferFunction', types: [tiff.UINT16]},
+    {tag: 0x0131, name: 'Software', types: [tiff.ASCII]},
+    {tag: 0x0132, name: 'DateTime', types: [tiff.ASCII]},
+    {tag: 0x013B, name: 'Artist', types: [tiff.ASCII]},
+    {tag: 0x013E, name: 'WhitePoint', types: [tiff.URATIONAL], count: 2},
+    {tag: 0x013F, name: 'PrimaryChromaticities', types: [tiff.URATIONAL], count: 6},
+    {tag: 0x0211, name: 'YCbCrCoefficients', types: [tiff.URATIONAL], count: 3},
+    {tag: 0x0212, name: 'YCbCrSubSampling', types: [tiff.UINT16], count: 2},
+    {tag: 0x0213, name: 'YCbCrPositioning', types: [tiff.UINT16], count: 1},
+    {tag: 0x0214, name: 'ReferenceBlackWhite', types: [tiff.URATIONAL], count: 6},
+    {tag: 0x8298, name: 'Copyright', types: [tiff.ASCII]}
+];
+
+/** @type {ExifTag[]} */
+const EXIF_TAGS = [
+    {tag: 0x829A, name: 'ExposureTime', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x829D, name: 'FNumber', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x8822, name: 'ExposureProgram', types: [tiff.UINT16], count: 1},
+    {tag: 0x8824, name: 'SpectralSensitivity', types: [tiff.ASCII]},
+    {tag: 0x8827, name: 'PhotographicSensitivity', types: [tiff.UINT16]},
+    {tag: 0x8828, name: 'OECF', types: [tiff.UNDEFINED8]},
+    {tag: 0x8830, name: 'SensitivityType', types: [tiff.UINT16], count: 1},
+    {tag: 0x8831, name: 'StandardOutputSensitivity', types: [tiff.UINT32], count: 1},
+    {tag: 0x8832, name: 'RecommendedExposureIndex', types: [tiff.UINT32], count: 1},
+    {tag: 0x8833, name: 'ISOSpeed', types: [tiff.UINT32], count: 1},
+    {tag: 0x8834, name: 'ISOSpeedLatitudeyyy', types: [tiff.UINT32], count: 1},
+    {tag: 0x8835, name: 'ISOSpeedLatitudezzz', types: [tiff.UINT32], count: 1},
+    {tag: 0x9000, name: 'ExifVersion', types: [tiff.UNDEFINED8], count: 4, format: 'version'},
+    {tag: 0x9003, name: 'DateTimeOriginal', types: [tiff.ASCII]},
+    {tag: 0x9004, name: 'DateTimeDigitized', types: [tiff.ASCII]},
+    {tag: 0x9010, name: 'OffsetTime', types: [tiff.ASCII]},
+    {tag: 0x9011, name: 'OffsetTimeOriginal', types: [tiff.ASCII]},
+    {tag: 0x9012, name: 'OffsetTimeDigitized', types: [tiff.ASCII]},
+    {tag: 0x9101, name: 'ComponentsConfiguration', types: [tiff.UNDEFINED8], count: 4},
+    {tag: 0x9102, name: 'CompressedBitsPerPixel', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x9201, name: 'ShutterSpeedValue', types: [tiff.SRATIONAL], count: 1},
+    {tag: 0x9202, name: 'ApertureValue', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x9203, name: 'BrightnessValue', types: [tiff.SRATIONAL], count: 1},
+    {tag: 0x9204, name: 'ExposureBiasValue', types: [tiff.SRATIONAL], count: 1},
+    {tag: 0x9205, name: 'MaxApertureValue', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x9206, name: 'SubjectDistance', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x9207, name: 'MeteringMode', types: [tiff.UINT16], count: 1},
+    {tag: 0x9208, name: 'LightSource', types: [tiff.UINT16], count: 1},
+    {tag: 0x9209, name: 'Flash', types: [tiff.UINT16], count: 1},
+    {tag: 0x920A, name: 'FocalLength', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x9214, name: 'SubjectArea', types: [tiff.UINT16]},
+    {tag: 0x927C, name: 'MakerNote', types: [tiff.UNDEFINED8]},
+    {tag: 0x9286, name: 'UserComment', types: [tiff.UNDEFINED8], format: 'comment'},
+    {tag: 0x9290, name: 'SubSecTime', types: [tiff.ASCII]},
+    {tag: 0x9291, name: 'SubSecTimeOriginal', types: [tiff.ASCII]},
+    {tag: 0x9292, name: 'SubSecTimeDigitized', types: [tiff.ASCII]},
+    {tag: 0x9400, name: 'Temperature', types: [tiff.SRATIONAL], count: 1},
+    {tag: 0x9401, name: 'Humidity', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x9402, name: 'Pressure', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x9403, name: 'WaterDepth', types: [tiff.SRATIONAL], count: 1},
+    {tag: 0x9404, name: 'Acceleration', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x9405, name: 'CameraElevationAngle', types: [tiff.SRATIONAL], count: 1},
+    {tag: 0xA000, name: 'FlashpixVersion', types: [tiff.UNDEFINED8], count: 4, format: 'version'},
+    {tag: 0xA001, name: 'ColorSpace', types: [tiff.UINT16], count: 1},
+    {tag: 0xA002, name: 'PixelXDimension', types: SHORT_OR_LONG, count: 1},
+    {tag: 0xA003, name: 'PixelYDimension', types: SHORT_OR_LONG, count: 1},
+    {tag: 0xA004, name: 'RelatedSoundFile', types: [tiff.ASCII]},
+    {tag: 0xA20B, name: 'FlashEnergy', types: [tiff.URATIONAL], count: 1},
+    {tag: 0xA20C, name: 'SpatialFrequencyResponse', types: [tiff.UNDEFINED8]},
+    {tag: 0xA20E, name: 'FocalPlaneXResolution', types: [tiff.URATIONAL], count: 1},
+    {tag: 0xA20F, name: 'FocalPlaneYResolution', types: [tiff.URATIONAL], count: 1},
+    {tag: 0xA210, name: 'FocalPlaneResolutionUnit', types: [tiff.UINT16], count: 1},
+    {tag: 0xA214, name: 'SubjectLocation', types: [tiff.UINT16], count: 2},
+    {tag: 0xA215, name: 'ExposureIndex', types: [tiff.URATIONAL], count: 1},
+    {tag: 0xA217, name: 'SensingMethod', types: [tiff.UINT16], count: 1},
+    {tag: 0xA300, name: 'FileSource', types: [tiff.UNDEFINED8], count: 1},
+    {tag: 0xA301, name: 'SceneType', types: [tiff.UNDEFINED8], count: 1},
+    {tag: 0xA302, name: 'CFAPattern', types: [tiff.UNDEFINED8]},
+    {tag: 0xA401, name: 'CustomRendered', types: [tiff.UINT16], count: 1},
+    {tag: 0xA402, name: 'ExposureMode', types: [tiff.UINT16], count: 1},
+    {tag: 0xA403, name: 'WhiteBalance', types: [tiff.UINT16], count: 1},
+    {tag: 0xA404, name: 'DigitalZoomRatio', types: [tiff.URATIONAL], count: 1},
+    {tag: 0xA405, name: 'FocalLengthIn35mmFilm', types: [tiff.UINT16], count: 1},
+    {tag: 0xA406, name: 'SceneCaptureType', types: [tiff.UINT16], count: 1},
+    {tag: 0xA407, name: 'GainControl', types: [tiff.UINT16], count: 1},
+    {tag: 0xA408, name: 'Contrast', types: [tiff.UINT16], count: 1},
+    {tag: 0xA409, name: 'Saturation', types: [tiff.UINT16], count: 1},
+    {tag: 0xA40A, name: 'Sharpness', types: [tiff.UINT16], count: 1},
+    {tag: 0xA40B, name: 'DeviceSettingDescription', types: [tiff.UNDEFINED8]},
+    {tag: 0xA40C, name: 'SubjectDistanceRange', types: [tiff.UINT16], count: 1},
+    {tag: 0xA420, name: 'ImageUniqueID', types: [tiff.ASCII]},
+    {tag: 0xA430, name: 'CameraOwnerName', types: [tiff.ASCII]},
+    {tag: 0xA431, name: 'BodySerialNumber', types: [tiff.ASCII]},
+    {tag: 0xA432, name: 'LensSpecification', types: [tiff.URATIONAL], count: 4},
+    {tag: 0xA433, name: 'LensMake', types: [tiff.ASCII]},
+    {tag: 0xA434, name: 'LensModel', types: [tiff.ASCII]},
+    {tag: 0xA435, name: 'LensSerialNumber', types: [tiff.ASCII]},
+    {tag: 0xA500, name: 'Gamma', types: [tiff.URATIONAL], count: 1}
+];
+
+/** @type {ExifTag[]} */
+const GPS_TAGS = [
+    {tag: 0x0000, name: 'GPSVersionID', types: [tiff.UINT8], count: 4},
+    {tag: 0x0001, name: 'GPSLatitudeRef', types: [tiff.ASCII]},
+    {tag: 0x0002, name: 'GPSLatitude', types: [tiff.URATIONAL], count: 3},
+    {tag: 0x0003, name: 'GPSLongitudeRef', types: [tiff.ASCII]},
+    {tag: 0x0004, name: 'GPSLongitude', types: [tiff.URATIONAL], count: 3},
+    {tag: 0x0005, name: 'GPSAltitudeRef', types: [tiff.UINT8], count: 1},
+    {tag: 0x0006, name: 'GPSAltitude', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x0007, name: 'GPSTimeStamp', types: [tiff.URATIONAL], count: 3},
+    {tag: 0x0008, name: 'GPSSatellites', types: [tiff.ASCII]},
+    {tag: 0x0009, name: 'GPSStatus', types: [tiff.ASCII]},
+    {tag: 0x000A, name: 'GPSMeasureMode', types: [tiff.ASCII]},
+    {tag: 0x000B, name: 'GPSDOP', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x000C, name: 'GPSSpeedRef', types: [tiff.ASCII]},
+    {tag: 0x000D, name: 'GPSSpeed', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x000E, name: 'GPSTrackRef', types: [tiff.ASCII]},
+    {tag: 0x000F, name: 'GPSTrack', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x0010, name: 'GPSImgDirectionRef', types: [tiff.ASCII]},
+    {tag: 0x0011, name: 'GPSImgDirection', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x0012, name: 'GPSMapDatum', types: [tiff.ASCII]},
+    {tag: 0x0013, name: 'GPSDestLatitudeRef', types: [tiff.ASCII]},
+    {tag: 0x0014, name: 'GPSDestLatitude', types: [tiff.URATIONAL], count: 3},
+    {tag: 0x0015, name: 'GPSDestLongitudeRef', types: [tiff.ASCII]},
+    {tag: 0x0016, name: 'GPSDestLongitude', types: [tiff.URATIONAL], count: 3},
+    {tag: 0x0017, name: 'GPSDestBearingRef', types: [tiff.ASCII]},
+    {tag: 0x0018, name: 'GPSDestBearing', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x0019, name: 'GPSDestDistanceRef', types: [tiff.ASCII]},
+    {tag: 0x001A, name: 'GPSDestDistance', types: [tiff.URATIONAL], count: 1},
+    {tag: 0x001B, name: 'GPSProcessingMethod', types: [tiff.UNDEFINED8], format: 'comment'},
+    {tag: 0x001C, name: 'GPSAreaInformation', types: [tiff.UNDEFINED8], format: 'comment'},
+    {tag: 0x001D, name: 'GPSDateStamp', types: [tiff.ASCII]},
+    {tag: 0x001E, name: 'GPSDifferential', types: [tiff.UINT16], count: 1},
+    {tag: 0x001F, name: 'GPSHPositioningError', types: [tiff.URATIONAL], count: 1}
+];
+
+/** @type {ExifTag[]} */
+const INTEROP_TAGS = [
+    {tag: 0x0001, name: 'InteroperabilityIndex', types: [tiff.ASCII]},
+    {tag: 0x0002, name: 'InteroperabilityVersion', types: [tiff.UNDEFINED8], count: 4, format: 'version'}
+];
+
+module.exports = {
+    EXIF_IFD_POINTER,
+    GPS_IFD_POINTER,
+    INTEROP_IFD_POINTER,
+
+    IFD0_TAGS,
+    EXIF_TAGS,
+    GPS_TAGS,
+    INTEROP_TAGS
+};
@@ -4,148 +4,646 @@
 
 const utils = require('./utils');
 const tiff = require('./tiff');
+const exifTags = require('./exif-tags');
 
 // Reference materials:
 // https://www.cipa.jp/std/documents/e/CIPA_DC-X008-Translation-2016-E.pdf
 // https://www.media.mit.edu/pia/Research/deepview/exif.html
 
 /**
+ * Tags from IFD0, the Exif IFD, the GPS IFD, and the Interoperability IFD, flattened into one object.
+ * Rationals are represented as regular numbers. See exif-tags.js for the full list.
  * @typedef Exif
+ * @property {number} [ImageWidth]
+ * @property {number} [ImageLength]
+ * @property {number[]} [BitsPerSample]
+ * @property {number} [Compression]
+ * @property {number} [PhotometricInterpretation]
+ * @property {string} [ImageDescription]
+ * @property {string} [Make]
+ * @property {string} [Model]
+ * @property {number} [Orientation]
+ * @property {number} [SamplesPerPixel]
+ * @property {number} [RowsPerStrip]
+ * @property {number} [XResolution]
+ * @property {number} [YResolution]
+ * @property {number} [PlanarConfiguration]
+ * @property {number} [ResolutionUnit]
+ * @property {number[]} [TransferFunction]
+ * @property {string} [Software]
+ * @property {string} [DateTime]
+ * @property {string} [Artist]
+ * @property {number[]} [WhitePoint]
+ * @property {number[]} [PrimaryChromaticities]
+ * @property {number[]} [YCbCrCoefficients]
+ * @property {number[]} [YCbCrSubSampling]
+ * @property {number} [YCbCrPositioning]
+ * @property {number[]} [ReferenceBlackWhite]
+ * @property {string} [Copyright]
+ * @property {number} [ExposureTime]
+ * @property {number} [FNumber]
+ * @property {number} [ExposureProgram]
+ * @property {string} [SpectralSensitivity]
+ * @property {number[]} [PhotographicSensitivity]
+ * @property {Uint8Array} [OECF]
+ * @property {number} [SensitivityType]
+ * @property {number} [StandardOutputSensitivity]
+ * @property {number} [RecommendedExposureIndex]
+ * @property {number} [ISOSpeed]
+ * @property {number} [ISOSpeedLatitudeyyy]
+ * @property {number} [ISOSpeedLatitudezzz]
+ * @property {string} [ExifVersion]
+ * @property {string} [DateTimeOriginal]
+ * @property {string} [DateTimeDigitized]
+ * @property {string} [OffsetTime]
+ * @property {string} [OffsetTimeOriginal]
+ * @property {string} [OffsetTimeDigitized]
+ * @property {Uint8Array} [ComponentsConfiguration]
+ * @property {number} [CompressedBitsPerPixel]
+ * @property {number} [ShutterSpeedValue]
+ * @property {number} [ApertureValue]
+ * @property {number} [BrightnessValue]
+ * @property {number} [ExposureBiasValue]
+ * @property {number} [MaxApertureValue]
+ * @property {number} [SubjectDistance]
+ * @property {number} [MeteringMode]
+ * @property {number} [LightSource]
+ * @property {number} [Flash]
+ * @property {number} [FocalLength]
+ * @property {number[]} [SubjectArea]
+ * @property {Uint8Array} [MakerNote]
  * @property {string} [UserComment]
+ * @property {string} [SubSecTime]
+ * @property {string} [SubSecTimeOriginal]
+ * @property {string} [SubSecTimeDigitized]
+ * @property {number} [Temperature]
+ * @property {number} [Humidity]
+ * @property {number} [Pressure]
+ * @property {number} [WaterDepth]
+ * @property {number} [Acceleration]
+ * @property {number} [CameraElevationAngle]
+ * @property {string} [FlashpixVersion]
+ * @property {number} [ColorSpace]
+ * @property {number} [PixelXDimension]
+ * @property {number} [PixelYDimension]
+ * @property {string} [RelatedSoundFile]
+ * @property {number} [FlashEnergy]
+ * @property {Uint8Array} [SpatialFrequencyResponse]
+ * @property {number} [FocalPlaneXResolution]
+ * @property {number} [FocalPlaneYResolution]
+ * @property {number} [FocalPlaneResolutionUnit]
+ * @property {number[]} [SubjectLocation]
+ * @property {number} [ExposureIndex]
+ * @property {number} [SensingMethod]
+ * @property {number} [FileSource]
+ * @property {number} [SceneType]
+ * @property {Uint8Array} [CFAPattern]
+ * @property {number} [CustomRendered]
+ * @property {number} [ExposureMode]
+ * @property {number} [WhiteBalance]
+ * @property {number} [DigitalZoomRatio]
+ * @property {number} [FocalLengthIn35mmFilm]
+ * @property {number} [SceneCaptureType]
+ * @property {number} [GainControl]
+ * @property {number} [Contrast]
+ * @property {number} [Saturation]
+ * @property {number} [Sharpness]
+ * @property {Uint8Array} [DeviceSettingDescription]
+ * @property {number} [SubjectDistanceRange]
+ * @property {string} [ImageUniqueID]
+ * @property {string} [CameraOwnerName]
+ * @property {string} [BodySerialNumber]
+ * @property {number[]} [LensSpecification]
+ * @property {string} [LensMake]
+ * @property {string} [LensModel]
+ * @property {string} [LensSerialNumber]
+ * @property {number} [Gamma]
+ * @property {number[]} [GPSVersionID]
+ * @property {string} [GPSLatitudeRef]
+ * @property {number[]} [GPSLatitude]
+ * @property {string} [GPSLongitudeRef]
+ * @property {number[]} [GPSLongitude]
+ * @property {number} [GPSAltitudeRef]
+ * @property {number} [GPSAltitude]
+ * @property {number[]} [GPSTimeStamp]
+ * @property {string} [GPSSatellites]
+ * @property {string} [GPSStatus]
+ * @property {string} [GPSMeasureMode]
+ * @property {number} [GPSDOP]
+ * @property {string} [GPSSpeedRef]
+ * @property {number} [GPSSpeed]
+ * @property {string} [GPSTrackRef]
+ * @property {number} [GPSTrack]
+ * @property {string} [GPSImgDirectionRef]
+ * @property {number} [GPSImgDirection]
+ * @property {string} [GPSMapDatum]
+ * @property {string} [GPSDestLatitudeRef]
+ * @property {number[]} [GPSDestLatitude]
+ * @property {string} [GPSDestLongitudeRef]
+ * @property {number[]} [GPSDestLongitude]
+ * @property {string} [GPSDestBearingRef]
+ * @property {number} [GPSDestBearing]
+ * @property {string} [GPSDestDistanceRef]
+ * @property {number} [GPSDestDistance]
+ * @property {string} [GPSProcessingMethod]
+ * @property {string} [GPSAreaInformation]
+ * @property {string} [GPSDateStamp]
+ * @property {number} [GPSDifferential]
+ * @property {number} [GPSHPositioningError]
+ * @property {string} [InteroperabilityIndex]
+ * @property {string} [InteroperabilityVersion]
  */
 
 /**
- * @param {Uint8Array} data
- * @returns {Exif}
+ * @typedef IfdGroup
+ * @property {number[]} path Pointer tags to follow from IFD0 to reach this IFD.
+ * @property {import('./exif-tags').ExifTag[]} tags
  */
-const decodeExif = (data) => {
-    /** @type {Exif} */
-    const exif = {};
 
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    let ptr = 0;
+/** @type {IfdGroup[]} */
+const IFD_GROUPS = [
+    {
+        path: [],
+        tags: exifTags.IFD0_TAGS
+    },
+    {
+        path: [exifTags.EXIF_IFD_POINTER],
+        tags: exifTags.EXIF_TAGS
+    },
+    {
+        path: [exifTags.GPS_IFD_POINTER],
+        tags: exifTags.GPS_TAGS
+    },
+    {
+        path: [exifTags.EXIF_IFD_POINTER, exifTags.INTEROP_IFD_POINTER],
+        tags: exifTags.INTEROP_TAGS
+    }
+];
 
-    const checkHeader = () => {
-        // EXIF also contains a size field in its header. Let's check that it matches what
-        // we saw from the containing image.
-        const size = view.getUint16(ptr, false);
-        if (size !== data.byteLength) {
-            throw new Error('EXIF header size does not match actual');
-        }
-        ptr += 2;
-
-        // Validate 'Exif' header, followed by 2 null bytes
-        if (
-            data[ptr] != 0x45 ||
-            data[ptr + 1] != 0x78 ||
-            data[ptr + 2] != 0x69 ||
-            data[ptr + 3] != 0x66 ||
-            data[ptr + 4] != 0x00 ||
-            data[ptr + 5] != 0x00
-        ) {
-            throw new Error('Exif header mismatch');
-        }
-        ptr += 6;
-    };
+/**
+ * @typedef TagLocation
+ * @property {import('./exif-tags').ExifTag} definition
+ * @property {IfdGroup} group
+ */
 
-    /**
-     * @param {import('./tiff').Ifd} ifd
-     */
-    const readExifIfd = (ifd) => {
-        for (const entry of ifd.entries) {
-            if (entry.tag === 0x9286 && entry.type === tiff.UNDEFINED8) {
-                // First 8 bytes indicating the encoding.
-                // For our needs it's good enough to just assume unicode.
-                exif.UserComment = utils.decoder.decode(entry.value.subarray(8));
+/** @type {Map<string, TagLocation>} */
+const TAGS_BY_NAME = new Map();
+for (const group of IFD_GROUPS) {
+    for (const definition of group.tags) {
+        TAGS_BY_NAME.set(definition.name, {
+            definition,
+            group
+        });
+    }
+}
+
+/**
+ * @param {Uint8Array} value Includes the 8 byte character code
+ * @param {boolean} littleEndian
+ * @returns {string}
+ */
+const decodeUserComment = (value, littleEndian) => {
+    const characterCode = String.fromCharCode(...value.subarray(0, 8));
+    const content = value.subarray(8);
+
+    let decoded;
+    if (characterCode === 'UNICODE\0') {
+        // UCS-2 stored with the same byte order as the rest of the TIFF.
+        decoded = new TextDecoder(littleEndian ? 'utf-16le' : 'utf-16be').decode(content);
+    } else {
+        // ASCII or undefined. JIS is rare enough that it's not worth a special case.
+        decoded = utils.decoder.decode(content);
+    }
+
+    // Some cameras pad the comment with nulls.
+    return decoded.replace(/\0+$/, '');
+};
+
+/**
+ * @param {string} comment
+ * @param {boolean} littleEndian
+ * @returns {Uint8Array}
+ */
+const encodeUserComment = (comment, littleEndian) => {
+    if (/^[\x00-\x7F]*$/.test(comment)) {
+        const encoded = new Uint8Array(comment.length + 8);
+
+        // ASCII header, null padded to 8 bytes
+        encoded[0] = 0x41;
+        encoded[1] = 0x53;
+        encoded[2] = 0x43;
+        encoded[3] = 0x49;
+        encoded[4] = 0x49;
+
+        for (let i = 0; i < comment.length; i++) {
+            encoded[i + 8] = comment.charCodeAt(i);
+        }
+
+        return encoded;
+    }
+
+    const encoded = new Uint8Array(comment.length * 2 + 8);
+    const view = new DataView(encoded.buffer, encoded.byteOffset, encoded.byteLength);
+
+    // 'UNICODE' header, null padded to 8 bytes
+    encoded[0] = 0x55;
+    encoded[1] = 0x4E;
+    encoded[2] = 0x49;
+    encoded[3] = 0x43;
+    encoded[4] = 0x4F;
+    encoded[5] = 0x44;
+    encoded[6] = 0x45;
+
+    for (let i = 0; i < comment.length; i++) {
+        view.setUint16(8 + i * 2, comment.charCodeAt(i), littleEndian);
+    }
+
+    return encoded;
+};
+
+/**
+ * Find the closest fraction using continued fractions.
+ * @param {number} value
+ * @param {boolean} signed
+ * @returns {[number, number]} Numerator, denominator
+ */
+const toRational = (value, signed) => {
+    if (!Number.isFinite(value) || (!signed && value < 0)) {
+        throw new Error(`Can not represent ${value} as a rational`);
+    }
+
+    const max = signed ? 0x7FFFFFFF : 0xFFFFFFFF;
+    const sign = value < 0 ? -1 : 1;
+    let x = Math.abs(value);
+
+    if (x >= max) {
+        return [sign * max, 1];
+    }
+
+    let prevNumerator = 0;
+    let numerator = 1;
+    let prevDenominator = 1;
+    let denominator = 0;
+
+    while (true) {
+        const whole = Math.floor(x);
+        const nextNumerator = whole * numerator + prevNumerator;
+        const nextDenominator = whole * denominator + prevDenominator;
+        if (nextNumerator > max || nextDenominator > max) {
+            break;
+        }
+
+        prevNumerator = numerator;
+        numerator = nextNumerator;
+        prevDenominator = denominator;
+        denominator = nextDenominator;
+
+        const remainder = x - whole;
+        if (remainder < 1e-12 || Math.abs(numerator / denominator - Math.abs(value)) < 1e-15) {
+            break;
+        }
+        x = 1 / remainder;
+    }
+
+    return [sign * numerator, denominator];
+};
+
+/**
+ * @param {import('./tiff').IfdEntry} entry
+ * @param {import('./exif-tags').ExifTag} definition
+ * @param {boolean} littleEndian
+ * @returns {string|number|number[]|Uint8Array}
+ */
+const decodeTagValue = (entry, definition, littleEndian) => {
+    let numbers;
+    switch (entry.type) {
+        case tiff.ASCII: {
+            return entry.value.replace(/\0+$/, '');
+        }
+
+        case tiff.UNDEFINED8: {
+            if (definition.format === 'comment') {
+                return decodeUserComment(entry.value, littleEndian);
+            }
+            if (definition.format === 'version') {
+                return String.fromCharCode(...entry.value);
             }
+            if (definition.count === 1 && entry.value.length === 1) {
+                return entry.value[0];
+            }
+            return entry.value;
         }
-    };
 
-    /**
-     * @param {Uint8Array} tiffData
-     * @param {import('./tiff').Tiff} decodedTiff
-     */
-    const readTiff = (tiffData, decodedTiff) => {
-        if (decodedTiff.ifds.length === 0) {
-            return;
-        }
-
-        const ifd0 = decodedTiff.ifds[0];
-        const exifIfdEntry = ifd0.entries.find(i => i.tag === 0x8769);
-        if (
-            !exifIfdEntry ||
-            exifIfdEntry.type !== tiff.UINT32 ||
-            exifIfdEntry.value.length !== 1
-        ) {
-            return null;
+        case tiff.URATIONAL:
+        case tiff.SRATIONAL: {
+            numbers = entry.value.map(i => i[0] / i[1]);
+            break;
         }
 
-        const exifIfd = tiff.decodeIfd(tiffData, exifIfdEntry.value[0], decodedTiff.littleEndian);
-        readExifIfd(exifIfd);
+        default: {
+            // BigTIFF's 64-bit types are BigInt
+            numbers = Array.from(entry.value, Number);
+            break;
+        }
+    }
+
+    if (definition.count === 1 && numbers.length === 1) {
+        return numbers[0];
+    }
+    return numbers;
+};
+
+/**
+ * @param {number[]} numbers
+ * @param {number} min
+ * @param {number} max
+ * @returns {boolean}
+ */
+const integersInRange = (numbers, min, max) => numbers.every(i => Number.isInteger(i) && i >= min && i <= max);
+
+/**
+ * @param {unknown} value
+ * @param {import('./exif-tags').ExifTag} definition
+ * @param {boolean} littleEndian
+ * @returns {import('./tiff').IfdEntry}
+ */
+const encodeTagValue = (value, definition, littleEndian) => {
+    const tag = definition.tag;
+    let type = definition.types[0];
+
+    if (type === tiff.ASCII) {
+        if (typeof value !== 'string') {
+            throw new Error(`${definition.name} must be a string`);
+        }
+        return {
+            tag,
+            type,
+            value
+        };
+    }
+
+    if (definition.format === 'comment') {
+        if (typeof value !== 'string') {
+            throw new Error(`${definition.name} must be a string`);
+        }
+        return {
+            tag,
+            type,
+            value: encodeUserComment(value, littleEndian)
+        };
+    }
+
+    if (definition.format === 'version') {
+        if (typeof value !== 'string' || value.length !== 4) {
+            throw new Error(`${definition.name} must be a 4 character string`);
+        }
+        return {
+            tag,
+            type,
+            value: utils.encoder.encode(value)
+        };
+    }
+
+    if (type === tiff.UNDEFINED8 && value instanceof Uint8Array) {
+        return {
+            tag,
+            type,
+            value
+        };
+    }
+
+    let numbers;
+    if (typeof value === 'number') {
+        numbers = [value];
+    } else if (Array.isArray(value) && value.every(i => typeof i === 'number')) {
+        numbers = value;
+    } else {
+        throw new Error(`${definition.name} must be a number or array of numbers`);
+    }
+
+    if (definition.count !== undefined && numbers.length !== definition.count) {
+        throw new Error(`${definition.name} must have exactly ${definition.count} values`);
+    }
+
+    if (type === tiff.UINT16 && definition.types.includes(tiff.UINT32) && numbers.some(i => i > 0xFFFF)) {
+        type = tiff.UINT32;
+    }
+
+    let encoded;
+    switch (type) {
+        case tiff.UINT8:
+        case tiff.UNDEFINED8: {
+            if (!integersInRange(numbers, 0, 0xFF)) {
+                throw new Error(`${definition.name} is out of range`);
+            }
+            encoded = new Uint8Array(numbers);
+            break;
+        }
+
+        case tiff.UINT16: {
+            if (!integersInRange(numbers, 0, 0xFFFF)) {
+                throw new Error(`${definition.name} is out of range`);
+            }
+            encoded = new Uint16Array(numbers);
+            break;
+        }
+
+        case tiff.UINT32: {
+            if (!integersInRange(numbers, 0, 0xFFFFFFFF)) {
+                throw new Error(`${definition.name} is out of range`);
+            }
+            encoded = new Uint32Array(numbers);
+            break;
+        }
+
+        case tiff.URATIONAL: {
+            encoded = numbers.map(i => new Uint32Array(toRational(i, false)));
+            break;
+        }
+
+        case tiff.SRATIONAL: {
+            encoded = numbers.map(i => new Int32Array(toRational(i, true)));
+            break;
+        }
+
+        default: {
+            throw new Error(`Unknown type: ${type}`);
+        }
+    }
+
+    return {
+        tag,
+        type,
+        value: encoded
     };
+};
 
-    try {
-        checkHeader();
 
-        const tiffData = data.subarray(ptr);
-        const decodedTiff = tiff.decodeTiff(tiffData);
-        readTiff(tiffData, decodedTiff);
+/**
+ * @param {import('./tiff').Ifd} ifd Modified in-place.
+ */
+const sortEntries = (ifd) => {
+    // TIFF requires entries to be sorted by tag
+    ifd.entries.sort((a, b) => a.tag - b.tag);
+};
 
-        return exif;
-    } catch (e) {
-        utils.addErrorTrace(e, data, ptr);
-        throw e;
+/**
+ * @param {import('./tiff').Ifd} ifd0
+ * @param {number[]} path
+ * @param {boolean} create If true, missing IFDs along the path will be created.
+ * @returns {import('./tiff').Ifd|null}
+ */
+const findIfd = (ifd0, path, create) => {
+    let ifd = ifd0;
+    for (const pointerTag of path) {
+        const entry = ifd.entries.find(i => i.tag === pointerTag);
+        if (entry && tiff.ifdEntryPointsToIfd(entry)) {
+            ifd = entry.value;
+        } else if (create) {
+            /** @type {import('./tiff').Ifd} */
+            const child = {
+                entries: []
+            };
+            ifd.entries = ifd.entries.filter(i => i.tag !== pointerTag);
+            ifd.entries.push({
+                tag: pointerTag,
+                type: tiff.UINT32,
+                value: child
+            });
+            sortEntries(ifd);
+            ifd = child;
+        } else {
+            return null;
+        }
     }
+    return ifd;
 };
 
 /**
- * @param {Exif} exif
- * @returns {Uint8Array}
+ * @param {import('./tiff').Tiff} decodedTiff
+ * @returns {Exif}
  */
-const encodeExif = (exif) => {
-    /** @type {import('./tiff').Ifd} */
-    const exifIfd = {
-        entries: []
-    };
+const readExifFromTiff = (decodedTiff) => {
+    /** @type {Exif} */
+    const exif = {};
 
-    if (utils.hasOwn(exif, 'UserComment')) {
-        // We will assume it is just ASCII
-        const encoded = new Uint8Array(exif.UserComment.length + 8);
+    if (decodedTiff.ifds.length === 0) {
+        return exif;
+    }
 
-        // ASCII header, null padded to 8 bytes
-        encoded[0] = 0x41;
-        encoded[1] = 0x53;
-        encoded[2] = 0x43;
-        encoded[3] = 0x49;
-        encoded[4] = 0x49;
+    for (const group of IFD_GROUPS) {
+        const ifd = findIfd(decodedTiff.ifds[0], group.path, false);
+        if (!ifd) {
+            continue;
+        }
 
-        for (let i = 0; i < exif.UserComment.length; i++) {
-            encoded[i + 8] = exif.UserComment.charCodeAt(i);
+        for (const entry of ifd.entries) {
+            const definition = group.tags.find(i => i.tag === entry.tag);
+            if (definition) {
+                exif[definition.name] = decodeTagValue(entry, definition, decodedTiff.littleEndian);
+            }
         }
+    }
+
+    return exif;
+};
 
-        exifIfd.entries.push({
-            tag: 0x9286,
-            type: tiff.UNDEFINED8,
-            value: encoded
+/**
+ * Applies changes to a decoded TIFF structure without touching any other tags.
+ * @param {import('./tiff').Tiff} decodedTiff Modified in-place.
+ * @param {Exif} changes Properties set to undefined or null are removed.
+ */
+const applyExifChanges = (decodedTiff, changes) => {
+    for (const name of Object.keys(changes)) {
+        if (!TAGS_BY_NAME.has(name)) {
+            throw new Error(`Unknown EXIF property: ${name}`);
+        }
+    }
+
+    if (decodedTiff.ifds.length === 0) {
+        decodedTiff.ifds.push({
+            entries: []
         });
     }
+    const ifd0 = decodedTiff.ifds[0];
 
-    const encodedTiff = tiff.encodeTiff({
-        littleEndian: true,
-        ifds: [
-            {
-                entries: [
-                    {
-                        tag: 0x8769,
-                        type: tiff.UINT32,
-                        value: exifIfd
-                    }
-                ]
-            }
-        ]
-    });
+    /** @type {Set<import('./tiff').Ifd>} */
+    const changedIfds = new Set();
+    for (const name of Object.keys(changes)) {
+        const {definition, group} = TAGS_BY_NAME.get(name);
+        const value = changes[name];
+        const remove = value === undefined || value === null;
+
+        const ifd = findIfd(ifd0, group.path, !remove);
+        if (!ifd) {
+            continue;
+        }
+
+        ifd.entries = ifd.entries.filter(i => i.tag !== definition.tag);
+        changedIfds.add(ifd);
+        if (!remove) {
+            ifd.entries.push(encodeTagValue(value, definition, decodedTiff.littleEndian));
+            sortEntries(ifd);
+        }
+    }
+
+    // Remove pointers to IFDs that are now empty, deepest first. IFDs that were already empty
+    // are left alone.
+    for (let i = IFD_GROUPS.length - 1; i >= 0; i--) {
+        const path = IFD_GROUPS[i].path;
+        if (path.length === 0) {
+            continue;
+        }
+
+        const parent = findIfd(ifd0, path.slice(0, -1), false);
+        const ifd = findIfd(ifd0, path, false);
+        if (parent && ifd && ifd.entries.length === 0 && changedIfds.has(ifd)) {
+            const pointerTag = path[path.length - 1];
+            parent.entries = parent.entries.filter(i => i.tag !== pointerTag);
+            changedIfds.add(parent);
+        }
+    }
+};
+
+/**
+ * @param {Uint8Array} data APP1 payload, including the length
+ * @returns {Uint8Array} The TIFF structure inside
+ */
+const unwrapExif = (data) => {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    // EXIF also contains a size field in its header. Let's check that it matches what
+    // we saw from the containing image.
+    const size = view.getUint16(0, false);
+    if (size !== data.byteLength) {
+        throw new Error('EXIF header size does not match actual');
+    }
+
+    // Validate 'Exif' header, followed by 2 null bytes
+    if (
+        data[2] != 0x45 ||
+        data[3] != 0x78 ||
+        data[4] != 0x69 ||
+        data[5] != 0x66 ||
+        data[6] != 0x00 ||
+        data[7] != 0x00
+    ) {
+        throw new Error('Exif header mismatch');
+    }
+
+    return data.subarray(8);
+};
+
+/**
+ * @param {Uint8Array} tiffData
+ * @returns {Uint8Array} APP1 payload, including the length
+ */
+const wrapExif = (tiffData) => {
+    const exifSize = tiffData.byteLength + 8; // Size, 'Exif', 2 null bytes
+    if (exifSize > 0xFFFF) {
+        throw new Error('EXIF is too large to fit in one segment');
+    }
 
-    const exifSize = encodedTiff.byteLength + 8; // Size, 'Exif', 2 null bytes
     const exifData = new Uint8Array(exifSize);
     const exifView = new DataView(exifData.buffer, exifData.byteOffset, exifData.byteLength);
 
@@ -156,12 +654,352 @@ const encodeExif = (exif) => {
     exifData[5] = 0x66;
     exifData[6] = 0x00;
     exifData[7] = 0x00;
-    exifData.set(encodedTiff, 8);
+    exifData.set(tiffData, 8);
 
     return exifData;
 };
 
+/**
+ * PNG eXIf and WebP EXIF chunks are supposed to contain just the TIFF structure, but some
+ * encoders incorrectly include the "Exif\0\0" prefix from JPG APP1.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+const removeExifPrefix = (data) => {
+    if (
+        data.byteLength >= 6 &&
+        data[0] === 0x45 &&
+        data[1] === 0x78 &&
+        data[2] === 0x69 &&
+        data[3] === 0x66 &&
+        data[4] === 0x00 &&
+        data[5] === 0x00
+    ) {
+        return data.subarray(6);
+    }
+    return data;
+};
+
+/**
+ * @param {Uint8Array} tiffData TIFF structure without the APP1 wrapper, as in PNG eXIf
+ * @returns {Exif}
+ */
+const decodeExifTiff = (tiffData) => readExifFromTiff(tiff.decodeTiff(tiffData));
+
+/**
+ * @param {Exif} exif
+ * @returns {Uint8Array} TIFF structure without the APP1 wrapper, as in PNG eXIf
+ */
+const encodeExifTiff = (exif) => {
+    /** @type {import('./tiff').Tiff} */
+    const newTiff = {
+        littleEndian: true,
+        ifds: []
+    };
+    applyExifChanges(newTiff, exif);
+    return tiff.encodeTiff(newTiff);
+};
+
+/**
+ * Same as updateExif, but without the APP1 wrapper.
+ * @param {Uint8Array} tiffData Existing TIFF structure
+ * @param {Exif} changes Properties set to undefined or null are removed. Other properties are unchanged.
+ * @returns {Uint8Array} New TIFF structure
+ */
+const updateExifTiff = (tiffData, changes) => {
+    const decodedTiff = tiff.decodeTiff(tiffData);
+    applyExifChanges(decodedTiff, changes);
+    return tiff.encodeTiff(decodedTiff);
+};
+
+/**
+ * @param {Uint8Array} data APP1 payload, including the length
+ * @returns {Exif}
+ */
+const decodeExif = (data) => {
+    let ptr = 0;
+    try {
+        const tiffData = unwrapExif(data);
+        ptr += 8;
+        return decodeExifTiff(tiffData);
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+};
+
+/**
+ * @param {Exif} exif
+ * @returns {Uint8Array} APP1 payload, including the length
+ */
+const encodeExif = (exif) => wrapExif(encodeExifTiff(exif));
+
+/**
+ * Unlike encodeExif, this preserves every tag that isn't being changed, including ones
+ * we don't understand, the thumbnail in IFD1, and MakerNote.
+ * MakerNote is preserved byte-for-byte, but some manufacturers store offsets inside of it
+ * relative to the start of the TIFF structure which may no longer be correct.
+ * @param {Uint8Array} data Existing APP1 payload, including the length
+ * @param {Exif} changes Properties set to undefined or null are removed. Other properties are unchanged.
+ * @returns {Uint8Array} New APP1 payload, including the length
+ */
+const updateExif = (data, changes) => {
+    const decodedTiff = decodeWrappedTiff(data);
+    applyExifChanges(decodedTiff, changes);
+    return wrapExif(tiff.encodeTiff(decodedTiff));
+};
+
+/**
+ * @param {Uint8Array} data APP1 payload, including the length
+ * @returns {import('./tiff').Tiff}
+ */
+const decodeWrappedTiff = (data) => {
+    let ptr = 0;
+    try {
+        const tiffData = unwrapExif(data);
+        ptr += 8;
+        return tiff.decodeTiff(tiffData);
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+};
+
+// IFD1 tags for JPEG thumbnails
+const COMPRESSION = 0x0103;
+const JPEG_INTERCHANGE_FORMAT = 0x0201;
+const JPEG_INTERCHANGE_FORMAT_LENGTH = 0x0202;
+const JPEG_COMPRESSION = 6;
+
+// IFD1 tags for uncompressed thumbnails, which are replaced by a JPEG thumbnail
+const STRIP_TAGS = [0x0106, 0x0111, 0x0115, 0x0116, 0x0117];
+
+/**
+ * @param {Uint8Array} data APP1 payload, including the length
+ * @returns {Uint8Array|null} The JPEG thumbnail from IFD1, if any. Shares memory with data.
+ */
+const getExifThumbnail = (data) => {
+    const decodedTiff = decodeWrappedTiff(data);
+    const ifd1 = decodedTiff.ifds[1];
+    if (!ifd1) {
+        return null;
+    }
+
+    const entry = ifd1.entries.find(i => i.tag === JPEG_INTERCHANGE_FORMAT);
+    if (!entry || !tiff.ifdEntryPointsToData(entry) || entry.value.length !== 1) {
+        return null;
+    }
+    return entry.value[0];
+};
+
+/**
+ * Other IFD1 tags, such as the thumbnail's resolution, are preserved.
+ * @param {Uint8Array} data APP1 payload, including the length
+ * @param {Uint8Array} thumbnail A JPEG. The whole EXIF must still fit in one segment.
+ * @returns {Uint8Array} New APP1 payload, including the length
+ */
+const setExifThumbnail = (data, thumbnail) => {
+    if (thumbnail.byteLength < 2 || thumbnail[0] !== 0xFF || thumbnail[1] !== 0xD8) {
+        throw new Error('EXIF thumbnail must be a JPEG');
+    }
+
+    const decodedTiff = decodeWrappedTiff(data);
+    if (decodedTiff.ifds.length === 0) {
+        decodedTiff.ifds.push({
+            entries: []
+        });
+    }
+    if (decodedTiff.ifds.length === 1) {
+        decodedTiff.ifds.push({
+            entries: []
+        });
+    }
+
+    const ifd1 = decodedTiff.ifds[1];
+    ifd1.entries = ifd1.entries.filter(i => (
+        i.tag !== COMPRESSION &&
+        i.tag !== JPEG_INTERCHANGE_FORMAT &&
+        i.tag !== JPEG_INTERCHANGE_FORMAT_LENGTH &&
+        !STRIP_TAGS.includes(i.tag)
+    ));
+    ifd1.entries.push(
+        {
+            tag: COMPRESSION,
+            type: tiff.UINT16,
+            value: new Uint16Array([JPEG_COMPRESSION])
+        },
+        {
+            tag: JPEG_INTERCHANGE_FORMAT,
+            type: tiff.UINT32,
+            value: [thumbnail]
+        },
+        {
+            // Computed from the thumbnail by encodeTiff
+            tag: JPEG_INTERCHANGE_FORMAT_LENGTH,
+            type: tiff.UINT32,
+            value: new Uint32Array([thumbnail.byteLength])
+        }
+    );
+    sortEntries(ifd1);
+
+    return wrapExif(tiff.encodeTiff(decodedTiff));
+};
+
+/**
+ * Removes IFD1 and any IFDs after it. Everything in IFD0 and its children is preserved.
+ * @param {Uint8Array} data APP1 payload, including the length
+ * @returns {Uint8Array} New APP1 payload, including the length
+ */
+const removeExifThumbnail = (data) => {
+    const decodedTiff = decodeWrappedTiff(data);
+    decodedTiff.ifds = decodedTiff.ifds.slice(0, 1);
+    return wrapExif(tiff.encodeTiff(decodedTiff));
+};
+
+/**
+ * @param {number[]} dms Degrees, minutes, seconds, as in GPSLatitude or GPSLongitude
+ * @param {string} ref 'N', 'S', 'E', or 'W', as in GPSLatitudeRef or GPSLongitudeRef
+ * @returns {number} Signed decimal degrees. Positive is north or east.
+ */
+const toDecimalDegrees = (dms, ref) => {
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -degrees : degrees;
+};
+
+/**
+ * @param {number} degrees Signed decimal degrees. Positive is north or east.
+ * @param {'latitude'|'longitude'} axis
+ * @returns {{dms: number[], ref: string}} Values for GPSLatitude/GPSLatitudeRef or GPSLongitude/GPSLongitudeRef
+ */
+const fromDecimalDegrees = (degrees, axis) => {
+    const limit = axis === 'latitude' ? 90 : 180;
+    if (!Number.isFinite(degrees) || Math.abs(degrees) > limit) {
+        throw new Error(`Invalid ${axis}: ${degrees}`);
+    }
+
+    let ref;
+    if (axis === 'latitude') {
+        ref = degrees < 0 ? 'S' : 'N';
+    } else {
+        ref = degrees < 0 ? 'W' : 'E';
+    }
+
+    const absolute = Math.abs(degrees);
+    const wholeDegrees = Math.floor(absolute);
+    const totalMinutes = (absolute - wholeDegrees) * 60;
+    const wholeMinutes = Math.floor(totalMinutes);
+    const seconds = (totalMinutes - wholeMinutes) * 60;
+
+    return {
+        dms: [wholeDegrees, wholeMinutes, seconds],
+        ref
+    };
+};
+
+/**
+ * @typedef GpsLocation
+ * @property {number} latitude Signed decimal degrees. Positive is north.
+ * @property {number} longitude Signed decimal degrees. Positive is east.
+ * @property {number} [altitude] Meters. Negative is below sea level.
+ * @property {Date} [timestamp] From GPSDateStamp and GPSTimeStamp, which are always UTC.
+ */
+
+/**
+ * @param {Exif} exif
+ * @returns {GpsLocation|null}
+ */
+const getGpsLocation = (exif) => {
+    if (
+        !Array.isArray(exif.GPSLatitude) ||
+        !Array.isArray(exif.GPSLongitude) ||
+        exif.GPSLatitude.length !== 3 ||
+        exif.GPSLongitude.length !== 3
+    ) {
+        return null;
+    }
+
+    /** @type {GpsLocation} */
+    const location = {
+        latitude: toDecimalDegrees(exif.GPSLatitude, exif.GPSLatitudeRef),
+        longitude: toDecimalDegrees(exif.GPSLongitude, exif.GPSLongitudeRef)
+    };
+
+    if (typeof exif.GPSAltitude === 'number') {
+        location.altitude = exif.GPSAltitudeRef === 1 ? -exif.GPSAltitude : exif.GPSAltitude;
+    }
+
+    const dateMatch = typeof exif.GPSDateStamp === 'string' && exif.GPSDateStamp.match(/^(\d{4}):(\d{2}):(\d{2})$/);
+    if (dateMatch && Array.isArray(exif.GPSTimeStamp) && exif.GPSTimeStamp.length === 3) {
+        const [hours, minutes, seconds] = exif.GPSTimeStamp;
+        location.timestamp = new Date(Date.UTC(
+            +dateMatch[1],
+            +dateMatch[2] - 1,
+            +dateMatch[3],
+            hours,
+            minutes,
+            0,
+            Math.round(seconds * 1000)
+        ));
+    }
+
+    return location;
+};
+
+/**
+ * @param {GpsLocation} location
+ * @returns {Exif} GPS properties that can be passed to encodeExif or updateExif.
+ */
+const createGpsExif = (location) => {
+    const latitude = fromDecimalDegrees(location.latitude, 'latitude');
+    const longitude = fromDecimalDegrees(location.longitude, 'longitude');
+
+    /** @type {Exif} */
+    const exif = {
+        GPSVersionID: [2, 3, 0, 0],
+        GPSLatitudeRef: latitude.ref,
+        GPSLatitude: latitude.dms,
+        GPSLongitudeRef: longitude.ref,
+        GPSLongitude: longitude.dms
+    };
+
+    if (typeof location.altitude === 'number') {
+        exif.GPSAltitudeRef = location.altitude < 0 ? 1 : 0;
+        exif.GPSAltitude = Math.abs(location.altitude);
+    }
+
+    if (location.timestamp) {
+        const t = location.timestamp;
+        const year = String(t.getUTCFullYear()).padStart(4, '0');
+        const month = String(t.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(t.getUTCDate()).padStart(2, '0');
+        exif.GPSDateStamp = `${year}:${month}:${day}`;
+        exif.GPSTimeStamp = [
+            t.getUTCHours(),
+            t.getUTCMinutes(),
+            t.getUTCSeconds() + t.getUTCMilliseconds() / 1000
+        ];
+    }
+
+    return exif;
+};
+
 module.exports = {
     decodeExif,
-    encodeExif
+    encodeExif,
+    updateExif,
+    decodeExifTiff,
+    encodeExifTiff,
+    updateExifTiff,
+    unwrapExif,
+    wrapExif,
+    removeExifPrefix,
+    readExifFromTiff,
+    applyExifChanges,
+    getExifThumbnail,
+    setExifThumbnail,
+    removeExifThumbnail,
+    toDecimalDegrees,
+    fromDecimalDegrees,
+    getGpsLocation,
+    createGpsExif
 };
@@ -0,0 +1,577 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+const utils = require('./utils');
+const xmp = require('./xmp');
+
+// Reference materials:
+// https://www.w3.org/Graphics/GIF/spec-gif89a.txt
+// http://www.vurdalakov.net/misc/gif/netscape-looping-application-extension
+// https://github.com/adobe/XMP-Toolkit-SDK/blob/main/docs/XMPSpecificationPart3.pdf (1.1.2 GIF)
+
+/**
+ * @typedef GifScreen Logical screen descriptor.
+ * @property {number} width
+ * @property {number} height
+ * @property {number} flags Packed byte, including the size of the global color table.
+ * @property {number} backgroundColorIndex
+ * @property {number} pixelAspectRatio
+ */
+
+/**
+ * @typedef GifExtension
+ * @property {'extension'} type
+ * @property {number} label eg. 0xF9 for graphic control, 0xFE for comments, 0xFF for application.
+ * @property {Uint8Array[]} subBlocks Each is at most 255 bytes. The order and sizes are preserved.
+ */
+
+/**
+ * @typedef GifImage
+ * @property {'image'} type
+ * @property {number} left
+ * @property {number} top
+ * @property {number} width
+ * @property {number} height
+ * @property {number} flags Packed byte, including the size of the local color table.
+ * @property {Uint8Array|null} localColorTable
+ * @property {number} lzwMinimumCodeSize
+ * @property {Uint8Array[]} subBlocks Compressed image data.
+ */
+
+/**
+ * @typedef {GifExtension|GifImage} GifBlock
+ */
+
+/**
+ * @typedef Gif
+ * @property {'87a'|'89a'} version
+ * @property {GifScreen} screen
+ * @property {Uint8Array|null} globalColorTable
+ * @property {GifBlock[]} blocks Everything between the global color table and the trailer.
+ * @property {Uint8Array} [trailer] Anything after the GIF trailer byte.
+ */
+
+/**
+ * @typedef GifGraphicControl
+ * @property {number} disposalMethod
+ * @property {boolean} userInput
+ * @property {number|null} transparentColorIndex
+ * @property {number} delayTime In hundredths of a second.
+ */
+
+const EXTENSION_INTRODUCER = 0x21;
+const IMAGE_SEPARATOR = 0x2C;
+const TRAILER = 0x3B;
+
+const GRAPHIC_CONTROL_LABEL = 0xF9;
+const COMMENT_LABEL = 0xFE;
+const APPLICATION_LABEL = 0xFF;
+
+// Application identifier (8 bytes) and authentication code (3 bytes)
+const NETSCAPE_IDENTIFIER = 'NETSCAPE2.0';
+const ANIMEXTS_IDENTIFIER = 'ANIMEXTS1.0';
+const XMP_IDENTIFIER = 'XMP DataXMP';
+
+// XMP is stored raw instead of in sub-blocks. This trailer makes any decoder that reads it
+// as sub-blocks skip to the end: 0x01, 0xFF, 0xFE, ..., 0x01, 0x00.
+const XMP_MAGIC_TRAILER = new Uint8Array(257);
+XMP_MAGIC_TRAILER[0] = 0x01;
+for (let i = 1; i < 256; i++) {
+    XMP_MAGIC_TRAILER[i] = 256 - i;
+}
+
+/**
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+const isGif = (data) => (
+    data.byteLength >= 6 &&
+    // 'GIF87a' or 'GIF89a'
+    data[0] === 0x47 &&
+    data[1] === 0x49 &&
+    data[2] === 0x46 &&
+    data[3] === 0x38 &&
+    (data[4] === 0x37 || data[4] === 0x39) &&
+    data[5] === 0x61
+);
+
+/**
+ * @param {number} flags Logical screen or image descriptor flags.
+ * @returns {number} Size in bytes of the color table, or 0 if there isn't one.
+ */
+const getColorTableSize = (flags) => (flags & 0x80) ? 3 * (1 << ((flags & 0x07) + 1)) : 0;
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Gif}
+ */
+const decodeGif = (data) => {
+    if (!isGif(data)) {
+        throw new Error('Not a valid GIF');
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let ptr = 6;
+
+    /**
+     * @param {number} length
+     * @returns {Uint8Array}
+     */
+    const readBytes = (length) => {
+        if (ptr + length > data.byteLength) {
+            throw new Error('Unexpected end of data');
+        }
+        const result = data.subarray(ptr, ptr + length);
+        ptr += length;
+        return result;
+    };
+
+    /**
+     * @returns {number}
+     */
+    const readUint8 = () => readBytes(1)[0];
+
+    /**
+     * @returns {number}
+     */
+    const readUint16 = () => {
+        readBytes(2);
+        return view.getUint16(ptr - 2, true);
+    };
+
+    /**
+     * @returns {Uint8Array[]}
+     */
+    const readSubBlocks = () => {
+        const subBlocks = [];
+        while (true) {
+            const size = readUint8();
+            if (size === 0) {
+                return subBlocks;
+            }
+            subBlocks.push(readBytes(size));
+        }
+    };
+
+    /**
+     * @returns {GifImage}
+     */
+    const readImage = () => {
+        const left = readUint16();
+        const top = readUint16();
+        const width = readUint16();
+        const height = readUint16();
+        const flags = readUint8();
+        const colorTableSize = getColorTableSize(flags);
+        return {
+            type: 'image',
+            left,
+            top,
+            width,
+            height,
+            flags,
+            localColorTable: colorTableSize ? readBytes(colorTableSize) : null,
+            lzwMinimumCodeSize: readUint8(),
+            subBlocks: readSubBlocks()
+        };
+    };
+
+    try {
+        const version = data[4] === 0x37 ? '87a' : '89a';
+
+        /** @type {GifScreen} */
+        const screen = {
+            width: readUint16(),
+            height: readUint16(),
+            flags: readUint8(),
+            backgroundColorIndex: readUint8(),
+            pixelAspectRatio: readUint8()
+        };
+        const colorTableSize = getColorTableSize(screen.flags);
+        const globalColorTable = colorTableSize ? readBytes(colorTableSize) : null;
+
+        /** @type {GifBlock[]} */
+        const blocks = [];
+        while (true) {
+            const introducer = readUint8();
+            if (introducer === TRAILER) {
+                break;
+            } else if (introducer === EXTENSION_INTRODUCER) {
+                blocks.push({
+                    type: 'extension',
+                    label: readUint8(),
+                    subBlocks: readSubBlocks()
+                });
+            } else if (introducer === IMAGE_SEPARATOR) {
+                blocks.push(readImage());
+            } else {
+                ptr--;
+                throw new Error(`Unknown block type 0x${introducer.toString(16)}`);
+            }
+        }
+
+        return {
+            version,
+            screen,
+            globalColorTable,
+            blocks,
+            trailer: data.subarray(ptr)
+        };
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+};
+
+/**
+ * @param {Uint8Array[]} subBlocks
+ * @returns {number} Size including sizes and the terminator.
+ */
+const getSubBlocksSize = (subBlocks) => subBlocks.reduce((total, i) => total + 1 + i.byteLength, 1);
+
+/**
+ * @param {Uint8Array|null} table
+ * @param {number} flags
+ */
+const checkColorTable = (table, flags) => {
+    const expected = getColorTableSize(flags);
+    if ((table ? table.byteLength : 0) !== expected) {
+        throw new Error(`Color table should be ${expected} bytes based on flags`);
+    }
+};
+
+/**
+ * @param {Gif} gif
+ * @returns {Uint8Array}
+ */
+const encodeGif = (gif) => {
+    checkColorTable(gif.globalColorTable, gif.screen.flags);
+    const trailer = gif.trailer || new Uint8Array();
+
+    let size = 6 + 7 + getColorTableSize(gif.screen.flags) + 1 + trailer.byteLength;
+    for (const block of gif.blocks) {
+        if (block.type === 'extension') {
+            size += 2 + getSubBlocksSize(block.subBlocks);
+        } else {
+            checkColorTable(block.localColorTable, block.flags);
+            size += 10 + getColorTableSize(block.flags) + 1 + getSubBlocksSize(block.subBlocks);
+        }
+    }
+
+    const result = new Uint8Array(size);
+    const view = new DataView(result.buffer);
+    let ptr = 0;
+
+    /**
+     * @param {ArrayLike<number>} bytes
+     */
+    const writeBytes = (bytes) => {
+        result.set(bytes, ptr);
+        ptr += bytes.length;
+    };
+
+    /**
+     * @param {number} value
+     */
+    const writeUint16 = (value) => {
+        view.setUint16(ptr, value, true);
+        ptr += 2;
+    };
+
+    /**
+     * @param {Uint8Array[]} subBlocks
+     */
+    const writeSubBlocks = (subBlocks) => {
+        for (const subBlock of subBlocks) {
+            if (subBlock.byteLength < 1 || subBlock.byteLength > 255) {
+                throw new Error('Sub-blocks must be 1-255 bytes');
+            }
+            writeBytes([subBlock.byteLength]);
+            writeBytes(subBlock);
+        }
+        writeBytes([0]);
+    };
+
+    writeBytes(utils.encoder.encode(`GIF${gif.version}`));
+    writeUint16(gif.screen.width);
+    writeUint16(gif.screen.height);
+    writeBytes([gif.screen.flags, gif.screen.backgroundColorIndex, gif.screen.pixelAspectRatio]);
+    if (gif.globalColorTable) {
+        writeBytes(gif.globalColorTable);
+    }
+
+    for (const block of gif.blocks) {
+        if (block.type === 'extension') {
+            writeBytes([EXTENSION_INTRODUCER, block.label]);
+            writeSubBlocks(block.subBlocks);
+        } else {
+            writeBytes([IMAGE_SEPARATOR]);
+            writeUint16(block.left);
+            writeUint16(block.top);
+            writeUint16(block.width);
+            writeUint16(block.height);
+            writeBytes([block.flags]);
+            if (block.localColorTable) {
+                writeBytes(block.localColorTable);
+            }
+            writeBytes([block.lzwMinimumCodeSize]);
+            writeSubBlocks(block.subBlocks);
+        }
+    }
+
+    writeBytes([TRAILER]);
+    writeBytes(trailer);
+
+    return result;
+};
+
+/**
+ * @param {Uint8Array[]} subBlocks
+ * @returns {Uint8Array}
+ */
+const joinSubBlocks = (subBlocks) => {
+    const result = new Uint8Array(subBlocks.reduce((total, i) => total + i.byteLength, 0));
+    let ptr = 0;
+    for (const subBlock of subBlocks) {
+        result.set(subBlock, ptr);
+        ptr += subBlock.byteLength;
+    }
+    return result;
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Uint8Array[]} As many 255 byte sub-blocks as possible.
+ */
+const splitSubBlocks = (data) => {
+    const subBlocks = [];
+    for (let ptr = 0; ptr < data.byteLength; ptr += 255) {
+        subBlocks.push(data.subarray(ptr, ptr + 255));
+    }
+    return subBlocks;
+};
+
+/**
+ * @param {GifExtension} extension
+ * @returns {GifGraphicControl}
+ */
+const decodeGraphicControl = (extension) => {
+    const data = extension.subBlocks[0];
+    if (extension.label !== GRAPHIC_CONTROL_LABEL || !data || data.byteLength < 4) {
+        throw new Error('Not a valid graphic control extension');
+    }
+    const flags = data[0];
+    return {
+        disposalMethod: (flags >> 2) & 0x07,
+        userInput: (flags & 0x02) !== 0,
+        transparentColorIndex: (flags & 0x01) ? data[3] : null,
+        delayTime: data[1] | (data[2] << 8)
+    };
+};
+
+/**
+ * @param {GifGraphicControl} graphicControl
+ * @returns {GifExtension}
+ */
+const encodeGraphicControl = (graphicControl) => ({
+    type: 'extension',
+    label: GRAPHIC_CONTROL_LABEL,
+    subBlocks: [
+        new Uint8Array([
+            (
+                ((graphicControl.disposalMethod & 0x07) << 2) |
+                (graphicControl.userInput ? 0x02 : 0) |
+                (graphicControl.transparentColorIndex === null ? 0 : 0x01)
+            ),
+            graphicControl.delayTime & 0xFF,
+            (graphicControl.delayTime >> 8) & 0xFF,
+            graphicControl.transparentColorIndex === null ? 0 : graphicControl.transparentColorIndex
+        ])
+    ]
+});
+
+/**
+ * @param {GifBlock} block
+ * @param {string} identifier Application identifier and authentication code, eg. 'NETSCAPE2.0'
+ * @returns {boolean}
+ */
+const isApplicationExtension = (block, identifier) => (
+    block.type === 'extension' &&
+    block.label === APPLICATION_LABEL &&
+    block.subBlocks.length > 0 &&
+    utils.decoder.decode(block.subBlocks[0]) === identifier
+);
+
+/**
+ * @param {string} identifier
+ * @param {Uint8Array[]} subBlocks
+ * @returns {GifExtension}
+ */
+const createApplicationExtension = (identifier, subBlocks) => ({
+    type: 'extension',
+    label: APPLICATION_LABEL,
+    subBlocks: [
+        utils.encoder.encode(identifier),
+        ...subBlocks
+    ]
+});
+
+/**
+ * Extensions need GIF89a.
+ * @param {Gif} gif Modified in-place.
+ * @param {GifExtension} extension
+ * @param {'start'|'end'} position start is before any images, end is after everything.
+ */
+const insertExtension = (gif, extension, position) => {
+    gif.version = '89a';
+    if (position === 'start') {
+        gif.blocks.unshift(extension);
+    } else {
+        gif.blocks.push(extension);
+    }
+};
+
+/**
+ * @param {Gif} gif
+ * @returns {string[]}
+ */
+const getGifComments = (gif) => gif.blocks
+    .filter(i => i.type === 'extension' && i.label === COMMENT_LABEL)
+    .map(i => utils.decoder.decode(joinSubBlocks(i.subBlocks)));
+
+/**
+ * Replaces all comment extensions. New comments go after the image data.
+ * @param {Gif} gif Modified in-place.
+ * @param {string[]} comments Stored as UTF-8. Empty removes all comments.
+ * @returns {void}
+ */
+const setGifComments = (gif, comments) => {
+    gif.blocks = gif.blocks.filter(i => i.type !== 'extension' || i.label !== COMMENT_LABEL);
+    for (const comment of comments) {
+        insertExtension(gif, {
+            type: 'extension',
+            label: COMMENT_LABEL,
+            subBlocks: splitSubBlocks(utils.encoder.encode(comment))
+        }, 'end');
+    }
+};
+
+/**
+ * @param {Gif} gif
+ * @returns {number|null} 0 means forever. null if the GIF doesn't loop.
+ */
+const getGifLoopCount = (gif) => {
+    const extension = gif.blocks.find(i => isApplicationExtension(i, NETSCAPE_IDENTIFIER) || isApplicationExtension(i, ANIMEXTS_IDENTIFIER));
+    if (!extension) {
+        return null;
+    }
+    const data = extension.subBlocks[1];
+    if (!data || data.byteLength < 3 || data[0] !== 0x01) {
+        throw new Error('Invalid looping extension');
+    }
+    return data[1] | (data[2] << 8);
+};
+
+/**
+ * The looping extension goes before any images.
+ * @param {Gif} gif Modified in-place.
+ * @param {number|null} loopCount 0 means forever. null removes it.
+ * @returns {void}
+ */
+const setGifLoopCount = (gif, loopCount) => {
+    if (loopCount !== null && (!Number.isInteger(loopCount) || loopCount < 0 || loopCount > 0xFFFF)) {
+        throw new Error('Loop count must be an integer from 0 to 65535');
+    }
+
+    const index = gif.blocks.findIndex(i => isApplicationExtension(i, NETSCAPE_IDENTIFIER) || isApplicationExtension(i, ANIMEXTS_IDENTIFIER));
+    if (loopCount === null) {
+        if (index !== -1) {
+            gif.blocks.splice(index, 1);
+        }
+        return;
+    }
+
+    const extension = createApplicationExtension(NETSCAPE_IDENTIFIER, [
+        new Uint8Array([0x01, loopCount & 0xFF, (loopCount >> 8) & 0xFF])
+    ]);
+    if (index !== -1) {
+        gif.blocks[index] = extension;
+    } else {
+        insertExtension(gif, extension, 'start');
+    }
+};
+
+/**
+ * @param {Gif} gif
+ * @returns {import('./xmp').Xmp|null}
+ */
+const getGifXmp = (gif) => {
+    const extension = gif.blocks.find(i => isApplicationExtension(i, XMP_IDENTIFIER));
+    if (!extension) {
+        return null;
+    }
+
+    // The packet was read as if it were sub-blocks, so put the size bytes back
+    const raw = joinSubBlocks(extension.subBlocks.slice(1).map(i => new Uint8Array([i.byteLength, ...i])));
+    const trailerStart = raw.byteLength - XMP_MAGIC_TRAILER.byteLength;
+    if (trailerStart < 0 || raw.subarray(trailerStart).some((value, i) => value !== XMP_MAGIC_TRAILER[i])) {
+        throw new Error('XMP is missing magic trailer');
+    }
+    return xmp.decodeXmp(utils.decoder.decode(raw.subarray(0, trailerStart)));
+};
+
+/**
+ * @param {Gif} gif Modified in-place.
+ * @param {import('./xmp').Xmp} newXmp
+ * @returns {void}
+ */
+const setGifXmp = (gif, newXmp) => {
+    const packet = utils.encoder.encode(xmp.encodeXmp(newXmp));
+    if (packet.includes(0)) {
+        throw new Error('XMP in GIF can not contain null characters');
+    }
+
+    const raw = joinSubBlocks([packet, XMP_MAGIC_TRAILER]);
+
+    // Split it the same way a decoder will, so that encodeGif writes back the same bytes
+    const subBlocks = [];
+    for (let ptr = 0; ptr < raw.byteLength;) {
+        const size = raw[ptr];
+        subBlocks.push(raw.subarray(ptr + 1, ptr + 1 + size));
+        ptr += 1 + size;
+    }
+    const extension = createApplicationExtension(XMP_IDENTIFIER, subBlocks);
+
+    const index = gif.blocks.findIndex(i => isApplicationExtension(i, XMP_IDENTIFIER));
+    if (index !== -1) {
+        gif.blocks[index] = extension;
+    } else {
+        insertExtension(gif, extension, 'end');
+    }
+};
+
+/**
+ * @param {Gif} gif Modified in-place.
+ * @returns {void}
+ */
+const removeGifXmp = (gif) => {
+    gif.blocks = gif.blocks.filter(i => !isApplicationExtension(i, XMP_IDENTIFIER));
+};
+
+module.exports = {
+    isGif,
+    decodeGif,
+    encodeGif,
+    joinSubBlocks,
+    splitSubBlocks,
+    decodeGraphicControl,
+    encodeGraphicControl,
+    getGifComments,
+    setGifComments,
+    getGifLoopCount,
+    setGifLoopCount,
+    getGifXmp,
+    setGifXmp,
+    removeGifXmp
+};
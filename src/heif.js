@@ -0,0 +1,1128 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+const utils = require('./utils');
+const exif = require('./exif');
+const xmp = require('./xmp');
+
+// Reference materials:
+// ISO/IEC 14496-12 (ISO base media file format), 8.11 Metadata
+// ISO/IEC 23008-12 (HEIF), Annex A.2.1 Exif data
+// https://aomediacodec.github.io/av1-avif/
+// https://nokiatech.github.io/heif/technical.html
+
+/**
+ * @typedef IsoBox
+ * @property {string} type 4 character code, eg. 'ftyp' or 'mdat'.
+ * @property {Uint8Array} data Contents of the box, not including the size and type.
+ * @property {boolean} [largeSize] Size was stored in the 64-bit field.
+ * @property {boolean} [sizeToEnd] Size was 0, meaning the box extends to the end of the file.
+ */
+
+/**
+ * @typedef Heif
+ * @property {IsoBox[]} boxes Top-level boxes.
+ */
+
+/**
+ * @typedef HeifItem
+ * @property {number} id
+ * @property {string} type eg. 'hvc1', 'av01', 'Exif', or 'mime'.
+ * @property {string} name
+ * @property {string|null} contentType Only for mime items, eg. 'application/rdf+xml' for XMP.
+ */
+
+/**
+ * @typedef IlocExtent
+ * @property {number} index
+ * @property {number} offset
+ * @property {number} length 0 means the rest of the data.
+ */
+
+/**
+ * @typedef IlocItem
+ * @property {number} id
+ * @property {number} constructionMethod 0 for file offsets, 1 for offsets in idat, 2 for offsets in other items.
+ * @property {number} dataReferenceIndex 0 means this file.
+ * @property {number} baseOffset
+ * @property {IlocExtent[]} extents
+ */
+
+/**
+ * @typedef Iloc
+ * @property {number} version
+ * @property {number} offsetSize
+ * @property {number} lengthSize
+ * @property {number} baseOffsetSize
+ * @property {number} indexSize
+ * @property {IlocItem[]} items
+ */
+
+/**
+ * @typedef ItemInfoEntry
+ * @property {HeifItem} item
+ * @property {IsoBox} box The infe box it came from.
+ */
+
+/**
+ * @typedef ItemReference
+ * @property {string} type eg. 'cdsc' for metadata that describes another item.
+ * @property {number} fromItemId
+ * @property {number[]} toItemIds
+ */
+
+/**
+ * @typedef DecodedMeta
+ * @property {IsoBox} box
+ * @property {number} version
+ * @property {number} flags
+ * @property {IsoBox[]} children
+ */
+
+/**
+ * @typedef ItemLocation Where an extent's data is, relative to a box that might move.
+ * @property {IsoBox} box A top-level box or idat.
+ * @property {number} offset From the start of box.data.
+ * @property {number} length
+ */
+
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'mif2', 'msf1', 'avif', 'avis', 'avio'];
+const XMP_CONTENT_TYPE = 'application/rdf+xml';
+const EXIF_PREFIX = utils.encoder.encode('Exif\0\0');
+
+const latin1Decoder = new TextDecoder('latin1');
+
+/**
+ * @param {string} type
+ * @returns {Uint8Array}
+ */
+const encodeType = (type) => {
+    if (type.length !== 4) {
+        throw new Error(`Invalid box type: ${type}`);
+    }
+    return new Uint8Array(Array.from(type, i => i.charCodeAt(0)));
+};
+
+/**
+ * @param {DataView} view
+ * @param {number} ptr
+ * @param {number} size 0, 2, 4, or 8 bytes.
+ * @returns {number}
+ */
+const readUint = (view, ptr, size) => {
+    switch (size) {
+        case 0: return 0;
+        case 2: return view.getUint16(ptr, false);
+        case 4: return view.getUint32(ptr, false);
+        case 8: return Number(view.getBigUint64(ptr, false));
+    }
+    throw new Error(`Invalid field size: ${size}`);
+};
+
+/**
+ * @param {DataView} view
+ * @param {number} ptr
+ * @param {number} size 0, 2, 4, or 8 bytes.
+ * @param {number} value
+ */
+const writeUint = (view, ptr, size, value) => {
+    if (size < 8 && value >= 2 ** (size * 8)) {
+        throw new Error(`${value} does not fit in ${size} bytes`);
+    }
+    switch (size) {
+        case 0: return;
+        case 2: return view.setUint16(ptr, value, false);
+        case 4: return view.setUint32(ptr, value, false);
+        case 8: return view.setBigUint64(ptr, BigInt(value), false);
+    }
+    throw new Error(`Invalid field size: ${size}`);
+};
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+const concat = (parts) => {
+    const result = new Uint8Array(parts.reduce((total, i) => total + i.byteLength, 0));
+    let ptr = 0;
+    for (const part of parts) {
+        result.set(part, ptr);
+        ptr += part.byteLength;
+    }
+    return result;
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+const isHeif = (data) => {
+    if (data.byteLength < 16 || latin1Decoder.decode(data.subarray(4, 8)) !== 'ftyp') {
+        return false;
+    }
+    const size = new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(0, false);
+    const end = Math.min(size, data.byteLength);
+
+    // Major brand, minor version, then compatible brands
+    for (let ptr = 8; ptr + 4 <= end; ptr += ptr === 8 ? 8 : 4) {
+        if (HEIF_BRANDS.includes(latin1Decoder.decode(data.subarray(ptr, ptr + 4)))) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * @param {Uint8Array} data A sequence of boxes, such as a whole file or the contents of a container box.
+ * @returns {IsoBox[]}
+ */
+const decodeBoxes = (data) => {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let ptr = 0;
+
+    try {
+        const boxes = [];
+        while (ptr < data.byteLength) {
+            if (ptr + 8 > data.byteLength) {
+                throw new Error('Incomplete box header');
+            }
+
+            let size = view.getUint32(ptr, false);
+            const type = latin1Decoder.decode(data.subarray(ptr + 4, ptr + 8));
+            let headerSize = 8;
+
+            /** @type {IsoBox} */
+            const box = {
+                type,
+                data: new Uint8Array()
+            };
+            if (size === 1) {
+                if (ptr + 16 > data.byteLength) {
+                    throw new Error('Incomplete box header');
+                }
+                size = Number(view.getBigUint64(ptr + 8, false));
+                headerSize = 16;
+                box.largeSize = true;
+            } else if (size === 0) {
+                size = data.byteLength - ptr;
+                box.sizeToEnd = true;
+            }
+
+            if (size < headerSize || ptr + size > data.byteLength) {
+                throw new Error(`${type} box extends past end`);
+            }
+
+            box.data = data.subarray(ptr + headerSize, ptr + size);
+            boxes.push(box);
+            ptr += size;
+        }
+        return boxes;
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+};
+
+/**
+ * @param {IsoBox} box
+ * @returns {number}
+ */
+const getBoxHeaderSize = (box) => box.largeSize || 8 + box.data.byteLength > 0xFFFFFFFF ? 16 : 8;
+
+/**
+ * @param {IsoBox[]} boxes
+ * @returns {Uint8Array}
+ */
+const encodeBoxes = (boxes) => {
+    const size = boxes.reduce((total, i) => total + getBoxHeaderSize(i) + i.data.byteLength, 0);
+    const result = new Uint8Array(size);
+    const view = new DataView(result.buffer);
+    let ptr = 0;
+
+    boxes.forEach((box, index) => {
+        const headerSize = getBoxHeaderSize(box);
+        if (headerSize === 16) {
+            view.setUint32(ptr, 1, false);
+            view.setBigUint64(ptr + 8, BigInt(16 + box.data.byteLength), false);
+        } else if (box.sizeToEnd && index === boxes.length - 1) {
+            view.setUint32(ptr, 0, false);
+        } else {
+            view.setUint32(ptr, 8 + box.data.byteLength, false);
+        }
+        result.set(encodeType(box.type), ptr + 4);
+        result.set(box.data, ptr + headerSize);
+        ptr += headerSize + box.data.byteLength;
+    });
+
+    return result;
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Heif}
+ */
+const decodeHeif = (data) => {
+    if (!isHeif(data)) {
+        throw new Error('Not a valid HEIF');
+    }
+    return {
+        boxes: decodeBoxes(data)
+    };
+};
+
+/**
+ * @param {Heif} heif
+ * @returns {Uint8Array}
+ */
+const encodeHeif = (heif) => encodeBoxes(heif.boxes);
+
+/**
+ * @param {Uint8Array} data
+ * @returns {{version: number, flags: number}}
+ */
+const readFullBoxHeader = (data) => {
+    if (data.byteLength < 4) {
+        throw new Error('Full box is too small');
+    }
+    return {
+        version: data[0],
+        flags: (data[1] << 16) | (data[2] << 8) | data[3]
+    };
+};
+
+/**
+ * @param {number} version
+ * @param {number} flags
+ * @returns {Uint8Array}
+ */
+const writeFullBoxHeader = (version, flags) => new Uint8Array([version, (flags >> 16) & 0xFF, (flags >> 8) & 0xFF, flags & 0xFF]);
+
+/**
+ * @param {Heif} heif
+ * @returns {DecodedMeta|null}
+ */
+const decodeMeta = (heif) => {
+    const box = heif.boxes.find(i => i.type === 'meta');
+    if (!box) {
+        return null;
+    }
+    const {version, flags} = readFullBoxHeader(box.data);
+    return {
+        box,
+        version,
+        flags,
+        children: decodeBoxes(box.data.subarray(4))
+    };
+};
+
+/**
+ * @param {DecodedMeta} meta Modified in-place.
+ */
+const encodeMeta = (meta) => {
+    meta.box.data = concat([writeFullBoxHeader(meta.version, meta.flags), encodeBoxes(meta.children)]);
+};
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} ptr
+ * @returns {[string, number]} The string and the pointer after its null terminator.
+ */
+const readNullTerminated = (data, ptr) => {
+    let end = data.indexOf(0, ptr);
+    if (end === -1) {
+        end = data.byteLength;
+    }
+    return [utils.decoder.decode(data.subarray(ptr, end)), end + 1];
+};
+
+/**
+ * @param {IsoBox} box infe
+ * @returns {HeifItem}
+ */
+const decodeItemInfoEntry = (box) => {
+    const data = box.data;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const {version} = readFullBoxHeader(data);
+    let ptr = 4;
+
+    if (version < 2) {
+        const id = view.getUint16(ptr, false);
+        ptr += 4; // Item ID and protection index
+        const [name, afterName] = readNullTerminated(data, ptr);
+        const [contentType] = readNullTerminated(data, afterName);
+        return {
+            id,
+            type: '',
+            name,
+            contentType: contentType || null
+        };
+    }
+
+    const id = version === 2 ? view.getUint16(ptr, false) : view.getUint32(ptr, false);
+    ptr += version === 2 ? 2 : 4;
+    ptr += 2; // Protection index
+    const type = latin1Decoder.decode(data.subarray(ptr, ptr + 4));
+    ptr += 4;
+    const [name, afterName] = readNullTerminated(data, ptr);
+    const contentType = type === 'mime' ? readNullTerminated(data, afterName)[0] : null;
+    return {
+        id,
+        type,
+        name,
+        contentType
+    };
+};
+
+/**
+ * @param {HeifItem} item
+ * @returns {IsoBox} infe
+ */
+const encodeItemInfoEntry = (item) => {
+    const version = item.id > 0xFFFF ? 3 : 2;
+    const id = new Uint8Array(version === 2 ? 2 : 4);
+    writeUint(new DataView(id.buffer), 0, id.byteLength, item.id);
+    return {
+        type: 'infe',
+        data: concat([
+            writeFullBoxHeader(version, 0),
+            id,
+            new Uint8Array(2),
+            encodeType(item.type),
+            utils.encoder.encode(`${item.name}\0`),
+            item.contentType === null ? new Uint8Array() : utils.encoder.encode(`${item.contentType}\0`)
+        ])
+    };
+};
+
+/**
+ * @param {DecodedMeta} meta
+ * @returns {ItemInfoEntry[]}
+ */
+const readItemInfo = (meta) => {
+    const iinf = meta.children.find(i => i.type === 'iinf');
+    if (!iinf) {
+        return [];
+    }
+    const {version} = readFullBoxHeader(iinf.data);
+    const entries = decodeBoxes(iinf.data.subarray(version === 0 ? 6 : 8));
+    return entries.filter(i => i.type === 'infe').map(box => ({
+        item: decodeItemInfoEntry(box),
+        box
+    }));
+};
+
+/**
+ * @param {DecodedMeta} meta Modified in-place.
+ * @param {HeifItem} item
+ */
+const addItemInfo = (meta, item) => {
+    let iinf = meta.children.find(i => i.type === 'iinf');
+    if (!iinf) {
+        iinf = {
+            type: 'iinf',
+            data: concat([writeFullBoxHeader(0, 0), new Uint8Array(2)])
+        };
+        meta.children.push(iinf);
+    }
+
+    const {version} = readFullBoxHeader(iinf.data);
+    const countSize = version === 0 ? 2 : 4;
+    const entries = decodeBoxes(iinf.data.subarray(4 + countSize));
+    entries.push(encodeItemInfoEntry(item));
+
+    const count = new Uint8Array(countSize);
+    writeUint(new DataView(count.buffer), 0, countSize, entries.length);
+    iinf.data = concat([iinf.data.subarray(0, 4), count, encodeBoxes(entries)]);
+};
+
+/**
+ * @param {IsoBox} box
+ * @returns {Iloc}
+ */
+const decodeIloc = (box) => {
+    const data = box.data;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let ptr = 0;
+
+    try {
+        const {version} = readFullBoxHeader(data);
+        if (version > 2) {
+            throw new Error(`Unknown iloc version ${version}`);
+        }
+        ptr = 4;
+
+        const offsetSize = data[ptr] >> 4;
+        const lengthSize = data[ptr] & 0xF;
+        const baseOffsetSize = data[ptr + 1] >> 4;
+        const indexSize = version === 0 ? 0 : data[ptr + 1] & 0xF;
+        ptr += 2;
+
+        const idSize = version < 2 ? 2 : 4;
+        const itemCount = readUint(view, ptr, idSize);
+        ptr += idSize;
+
+        /** @type {IlocItem[]} */
+        const items = [];
+        for (let i = 0; i < itemCount; i++) {
+            const id = readUint(view, ptr, idSize);
+            ptr += idSize;
+
+            let constructionMethod = 0;
+            if (version > 0) {
+                constructionMethod = view.getUint16(ptr, false) & 0xF;
+                ptr += 2;
+            }
+
+            const dataReferenceIndex = view.getUint16(ptr, false);
+            ptr += 2;
+            const baseOffset = readUint(view, ptr, baseOffsetSize);
+            ptr += baseOffsetSize;
+            const extentCount = view.getUint16(ptr, false);
+            ptr += 2;
+
+            /** @type {IlocExtent[]} */
+            const extents = [];
+            for (let j = 0; j < extentCount; j++) {
+                const index = readUint(view, ptr, indexSize);
+                ptr += indexSize;
+                const offset = readUint(view, ptr, offsetSize);
+                ptr += offsetSize;
+                const length = readUint(view, ptr, lengthSize);
+                ptr += lengthSize;
+                extents.push({
+                    index,
+                    offset,
+                    length
+                });
+            }
+
+            items.push({
+                id,
+                constructionMethod,
+                dataReferenceIndex,
+                baseOffset,
+                extents
+            });
+        }
+
+        return {
+            version,
+            offsetSize,
+            lengthSize,
+            baseOffsetSize,
+            indexSize,
+            items
+        };
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+};
+
+/**
+ * @param {Iloc} iloc
+ * @returns {Uint8Array}
+ */
+const encodeIloc = (iloc) => {
+    const idSize = iloc.version < 2 ? 2 : 4;
+    const extentSize = iloc.indexSize + iloc.offsetSize + iloc.lengthSize;
+    const size = 4 + 2 + idSize + iloc.items.reduce((total, item) => (
+        total + idSize + (iloc.version > 0 ? 2 : 0) + 2 + iloc.baseOffsetSize + 2 + item.extents.length * extentSize
+    ), 0);
+
+    const result = new Uint8Array(size);
+    const view = new DataView(result.buffer);
+    result.set(writeFullBoxHeader(iloc.version, 0), 0);
+    result[4] = (iloc.offsetSize << 4) | iloc.lengthSize;
+    result[5] = (iloc.baseOffsetSize << 4) | iloc.indexSize;
+    let ptr = 6;
+    writeUint(view, ptr, idSize, iloc.items.length);
+    ptr += idSize;
+
+    for (const item of iloc.items) {
+        writeUint(view, ptr, idSize, item.id);
+        ptr += idSize;
+        if (iloc.version > 0) {
+            view.setUint16(ptr, item.constructionMethod, false);
+            ptr += 2;
+        }
+        view.setUint16(ptr, item.dataReferenceIndex, false);
+        ptr += 2;
+        writeUint(view, ptr, iloc.baseOffsetSize, item.baseOffset);
+        ptr += iloc.baseOffsetSize;
+        view.setUint16(ptr, item.extents.length, false);
+        ptr += 2;
+        for (const extent of item.extents) {
+            writeUint(view, ptr, iloc.indexSize, extent.index);
+            ptr += iloc.indexSize;
+            writeUint(view, ptr, iloc.offsetSize, extent.offset);
+            ptr += iloc.offsetSize;
+            writeUint(view, ptr, iloc.lengthSize, extent.length);
+            ptr += iloc.lengthSize;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * @param {DecodedMeta} meta
+ * @returns {ItemReference[]}
+ */
+const readItemReferences = (meta) => {
+    const iref = meta.children.find(i => i.type === 'iref');
+    if (!iref) {
+        return [];
+    }
+    const {version} = readFullBoxHeader(iref.data);
+    const idSize = version === 0 ? 2 : 4;
+    return decodeBoxes(iref.data.subarray(4)).map(box => {
+        const view = new DataView(box.data.buffer, box.data.byteOffset, box.data.byteLength);
+        const fromItemId = readUint(view, 0, idSize);
+        const count = view.getUint16(idSize, false);
+        const toItemIds = [];
+        for (let i = 0; i < count; i++) {
+            toItemIds.push(readUint(view, idSize + 2 + i * idSize, idSize));
+        }
+        return {
+            type: box.type,
+            fromItemId,
+            toItemIds
+        };
+    });
+};
+
+/**
+ * @param {DecodedMeta} meta Modified in-place.
+ * @param {ItemReference} reference
+ */
+const addItemReference = (meta, reference) => {
+    let iref = meta.children.find(i => i.type === 'iref');
+    if (!iref) {
+        iref = {
+            type: 'iref',
+            data: writeFullBoxHeader(0, 0)
+        };
+        meta.children.push(iref);
+    }
+
+    const {version} = readFullBoxHeader(iref.data);
+    const idSize = version === 0 ? 2 : 4;
+    const data = new Uint8Array(idSize + 2 + reference.toItemIds.length * idSize);
+    const view = new DataView(data.buffer);
+    writeUint(view, 0, idSize, reference.fromItemId);
+    view.setUint16(idSize, reference.toItemIds.length, false);
+    reference.toItemIds.forEach((id, i) => writeUint(view, idSize + 2 + i * idSize, idSize, id));
+
+    iref.data = concat([iref.data, encodeBoxes([
+        {
+            type: reference.type,
+            data
+        }
+    ])]);
+};
+
+/**
+ * @param {DecodedMeta} meta
+ * @returns {number|null}
+ */
+const readPrimaryItemId = (meta) => {
+    const pitm = meta.children.find(i => i.type === 'pitm');
+    if (!pitm) {
+        return null;
+    }
+    const {version} = readFullBoxHeader(pitm.data);
+    return readUint(new DataView(pitm.data.buffer, pitm.data.byteOffset, pitm.data.byteLength), 4, version === 0 ? 2 : 4);
+};
+
+/**
+ * @param {Heif} heif
+ * @returns {Map<IsoBox, number>} Where the contents of each top-level box start in the encoded file.
+ */
+const computeLayout = (heif) => {
+    const layout = new Map();
+    let ptr = 0;
+    for (const box of heif.boxes) {
+        const headerSize = getBoxHeaderSize(box);
+        layout.set(box, ptr + headerSize);
+        ptr += headerSize + box.data.byteLength;
+    }
+    return layout;
+};
+
+/**
+ * @param {Heif} heif
+ * @param {DecodedMeta} meta
+ * @param {IlocItem} item
+ * @returns {ItemLocation[]|null} null if the data isn't in this file or is made from other items.
+ */
+const locateItem = (heif, meta, item) => {
+    if (item.dataReferenceIndex !== 0 || item.constructionMethod === 2) {
+        return null;
+    }
+
+    if (item.constructionMethod === 1) {
+        const idat = meta.children.find(i => i.type === 'idat');
+        if (!idat) {
+            throw new Error(`Item ${item.id} refers to missing idat`);
+        }
+        return item.extents.map(extent => {
+            const offset = item.baseOffset + extent.offset;
+            const length = extent.length || idat.data.byteLength - offset;
+            if (offset + length > idat.data.byteLength) {
+                throw new Error(`Item ${item.id} extends past end of idat`);
+            }
+            return {
+                box: idat,
+                offset,
+                length
+            };
+        });
+    }
+
+    const layout = computeLayout(heif);
+    const fileSize = heif.boxes.reduce((total, i) => total + getBoxHeaderSize(i) + i.data.byteLength, 0);
+    return item.extents.map(extent => {
+        const start = item.baseOffset + extent.offset;
+        const length = extent.length || fileSize - start;
+        const box = heif.boxes.find(i => layout.get(i) <= start && start + length <= layout.get(i) + i.data.byteLength);
+        if (!box || box === meta.box) {
+            throw new Error(`Item ${item.id} is not inside of a box that can be moved`);
+        }
+        return {
+            box,
+            offset: start - layout.get(box),
+            length
+        };
+    });
+};
+
+/**
+ * @param {Heif} heif
+ * @returns {HeifItem[]}
+ */
+const getHeifItems = (heif) => {
+    const meta = decodeMeta(heif);
+    return meta ? readItemInfo(meta).map(i => i.item) : [];
+};
+
+/**
+ * @param {Heif} heif
+ * @param {number} id
+ * @returns {Uint8Array} The item's data, joined from all of its extents.
+ */
+const getHeifItemData = (heif, id) => {
+    const meta = decodeMeta(heif);
+    const ilocBox = meta && meta.children.find(i => i.type === 'iloc');
+    const item = ilocBox && decodeIloc(ilocBox).items.find(i => i.id === id);
+    if (!item) {
+        throw new Error(`Item ${id} has no location`);
+    }
+    const locations = locateItem(heif, meta, item);
+    if (!locations) {
+        throw new Error(`Item ${id} is not stored directly in this file`);
+    }
+    return concat(locations.map(i => i.box.data.subarray(i.offset, i.offset + i.length)));
+};
+
+/**
+ * Replaces an item's data, or adds a new item, and rewrites iloc so every item still points
+ * at its data after boxes move or change size. The old data is removed from the file unless
+ * another item uses the same bytes.
+ * Files with a moov box aren't supported.
+ * @param {Heif} heif Modified in-place.
+ * @param {DecodedMeta} meta Modified in-place.
+ * @param {number} id
+ * @param {Uint8Array} newData
+ */
+const writeItemData = (heif, meta, id, newData) => {
+    // Image sequences have tracks whose sample tables use absolute offsets into mdat, which
+    // would be wrong once boxes move.
+    if (heif.boxes.some(i => i.type === 'moov')) {
+        throw new Error('Can not write items in a HEIF image sequence');
+    }
+
+    let ilocBox = meta.children.find(i => i.type === 'iloc');
+    if (!ilocBox) {
+        ilocBox = {
+            type: 'iloc',
+            data: new Uint8Array()
+        };
+        meta.children.push(ilocBox);
+    }
+    /** @type {Iloc} */
+    const iloc = ilocBox.data.byteLength ? decodeIloc(ilocBox) : {
+        version: 0,
+        offsetSize: 4,
+        lengthSize: 4,
+        baseOffsetSize: 0,
+        indexSize: 0,
+        items: []
+    };
+
+    let target = iloc.items.find(i => i.id === id);
+    if (!target) {
+        target = {
+            id,
+            constructionMethod: 0,
+            dataReferenceIndex: 0,
+            baseOffset: 0,
+            extents: []
+        };
+        iloc.items.push(target);
+    }
+
+    /** @type {Map<IlocItem, ItemLocation[]>} */
+    const locations = new Map();
+    for (const item of iloc.items) {
+        const itemLocations = locateItem(heif, meta, item);
+        if (itemLocations) {
+            locations.set(item, itemLocations);
+        }
+    }
+    const otherLocations = Array.from(locations.entries())
+        .filter(([item]) => item !== target)
+        .flatMap(([, i]) => i);
+
+    /**
+     * Replaces bytes in a box and moves any locations after them.
+     * @param {ItemLocation} location
+     * @param {Uint8Array} replacement
+     */
+    const splice = (location, replacement) => {
+        const {box, offset, length} = location;
+        box.data = concat([box.data.subarray(0, offset), replacement, box.data.subarray(offset + length)]);
+        for (const other of otherLocations) {
+            if (other.box === box && other.offset >= offset + length) {
+                other.offset += replacement.byteLength - length;
+            }
+        }
+    };
+
+    /**
+     * @param {ItemLocation} location
+     * @returns {boolean}
+     */
+    const isShared = (location) => otherLocations.some(other => (
+        other.box === location.box &&
+        other.offset < location.offset + location.length &&
+        location.offset < other.offset + other.length
+    ));
+
+    const oldLocations = locations.get(target) || [];
+    /** @type {ItemLocation} */
+    let newLocation;
+    if (oldLocations.length === 1 && !isShared(oldLocations[0])) {
+        // Replace in the same place
+        splice(oldLocations[0], newData);
+        newLocation = {
+            box: oldLocations[0].box,
+            offset: oldLocations[0].offset,
+            length: newData.byteLength
+        };
+    } else {
+        // Last first so that earlier offsets aren't affected
+        const removable = oldLocations
+            .filter(i => !isShared(i))
+            .sort((a, b) => b.offset - a.offset);
+        for (const location of removable) {
+            splice(location, new Uint8Array());
+        }
+
+        /** @type {IsoBox} */
+        const mdat = {
+            type: 'mdat',
+            data: newData
+        };
+        heif.boxes.push(mdat);
+        newLocation = {
+            box: mdat,
+            offset: 0,
+            length: newData.byteLength
+        };
+    }
+    locations.set(target, [newLocation]);
+
+    const idat = meta.children.find(i => i.type === 'idat');
+    target.constructionMethod = newLocation.box === idat ? 1 : 0;
+    if (target.constructionMethod === 1 && iloc.version === 0) {
+        throw new Error('iloc version 0 can not refer to idat');
+    }
+
+    // Explicit offsets and lengths are needed now, base offsets aren't
+    iloc.offsetSize = Math.max(iloc.offsetSize, 4);
+    iloc.lengthSize = Math.max(iloc.lengthSize, 4);
+
+    const update = () => {
+        const layout = computeLayout(heif);
+        for (const [item, itemLocations] of locations) {
+            item.baseOffset = 0;
+            item.extents = itemLocations.map((location, i) => ({
+                index: item.extents[i] ? item.extents[i].index : 0,
+                offset: location.box === idat ? location.offset : layout.get(location.box) + location.offset,
+                length: location.length
+            }));
+        }
+
+        const maxOffset = Math.max(0, ...iloc.items.flatMap(item => item.extents.map(i => i.offset + i.length)));
+        if (maxOffset > 0xFFFFFFFF) {
+            iloc.offsetSize = 8;
+            iloc.lengthSize = 8;
+        }
+
+        ilocBox.data = encodeIloc(iloc);
+        encodeMeta(meta);
+    };
+
+    // The first update makes meta match the changes above. After that, offsets depend on the
+    // size of iloc, which depends on the field sizes, which depend on the offsets. Field sizes
+    // only ever grow, so this settles quickly.
+    update();
+    let previousSize;
+    do {
+        previousSize = ilocBox.data.byteLength;
+        update();
+    } while (ilocBox.data.byteLength !== previousSize);
+};
+
+/**
+ * @param {DecodedMeta} meta
+ * @param {(item: HeifItem) => boolean} predicate
+ * @returns {HeifItem|null}
+ */
+const findItem = (meta, predicate) => {
+    const entry = readItemInfo(meta).find(i => predicate(i.item));
+    return entry ? entry.item : null;
+};
+
+/**
+ * @param {DecodedMeta} meta Modified in-place.
+ * @param {Omit<HeifItem, 'id'>} info
+ * @returns {HeifItem} The new item, which describes the primary item.
+ */
+const addMetadataItem = (meta, info) => {
+    const existingIds = readItemInfo(meta).map(i => i.item.id);
+    /** @type {HeifItem} */
+    const item = {
+        id: Math.max(0, ...existingIds) + 1,
+        ...info
+    };
+    addItemInfo(meta, item);
+
+    const primaryItemId = readPrimaryItemId(meta);
+    if (primaryItemId !== null) {
+        addItemReference(meta, {
+            type: 'cdsc',
+            fromItemId: item.id,
+            toItemIds: [primaryItemId]
+        });
+    }
+    return item;
+};
+
+/**
+ * @param {Heif} heif
+ * @returns {DecodedMeta}
+ */
+const requireMeta = (heif) => {
+    const meta = decodeMeta(heif);
+    if (!meta) {
+        throw new Error('HEIF has no meta box');
+    }
+    return meta;
+};
+
+/**
+ * @param {HeifItem} item
+ * @returns {boolean}
+ */
+const isExifItem = (item) => item.type === 'Exif';
+
+/**
+ * @param {HeifItem} item
+ * @returns {boolean}
+ */
+const isXmpItem = (item) => item.type === 'mime' && item.contentType === XMP_CONTENT_TYPE;
+
+/**
+ * @param {Heif} heif
+ * @returns {Uint8Array|null} TIFF structure from the Exif item.
+ */
+const readExifTiff = (heif) => {
+    const meta = decodeMeta(heif);
+    const item = meta && findItem(meta, isExifItem);
+    if (!item) {
+        return null;
+    }
+
+    // The item starts with the offset to the TIFF header, which is usually after "Exif\0\0"
+    const data = getHeifItemData(heif, item.id);
+    if (data.byteLength < 4) {
+        throw new Error('Exif item is too small');
+    }
+    const offset = new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(0, false);
+    if (4 + offset > data.byteLength) {
+        throw new Error('Exif TIFF header offset is past end of item');
+    }
+    return exif.removeExifPrefix(data.subarray(4 + offset));
+};
+
+/**
+ * @param {Heif} heif Modified in-place.
+ * @param {Uint8Array} tiffData
+ */
+const writeExifTiff = (heif, tiffData) => {
+    const meta = requireMeta(heif);
+    const item = findItem(meta, isExifItem) || addMetadataItem(meta, {
+        type: 'Exif',
+        name: '',
+        contentType: null
+    });
+
+    const offset = new Uint8Array(4);
+    new DataView(offset.buffer).setUint32(0, EXIF_PREFIX.byteLength, false);
+    writeItemData(heif, meta, item.id, concat([offset, EXIF_PREFIX, tiffData]));
+};
+
+/**
+ * @param {Heif} heif
+ * @returns {import('./exif').Exif}
+ */
+const getHeifExif = (heif) => {
+    const tiffData = readExifTiff(heif);
+    return tiffData ? exif.decodeExifTiff(tiffData) : {};
+};
+
+/**
+ * @param {Heif} heif Modified in-place.
+ * @param {import('./exif').Exif} newExif
+ * @returns {void}
+ */
+const setHeifExif = (heif, newExif) => {
+    writeExifTiff(heif, exif.encodeExifTiff(newExif));
+};
+
+/**
+ * Unlike setHeifExif, tags that aren't mentioned in changes are left as-is.
+ * @param {Heif} heif Modified in-place.
+ * @param {import('./exif').Exif} changes Properties set to undefined or null are removed.
+ * @returns {void}
+ */
+const updateHeifExif = (heif, changes) => {
+    const tiffData = readExifTiff(heif);
+    writeExifTiff(heif, tiffData ? exif.updateExifTiff(tiffData, changes) : exif.encodeExifTiff(changes));
+};
+
+/**
+ * @param {Heif} heif
+ * @returns {import('./xmp').Xmp|null}
+ */
+const getHeifXmp = (heif) => {
+    const meta = decodeMeta(heif);
+    const item = meta && findItem(meta, isXmpItem);
+    if (!item) {
+        return null;
+    }
+    return xmp.decodeXmp(utils.decoder.decode(getHeifItemData(heif, item.id)));
+};
+
+/**
+ * @param {Heif} heif Modified in-place.
+ * @param {import('./xmp').Xmp} newXmp
+ * @returns {void}
+ */
+const setHeifXmp = (heif, newXmp) => {
+    const meta = requireMeta(heif);
+    const item = findItem(meta, isXmpItem) || addMetadataItem(meta, {
+        type: 'mime',
+        name: 'XMP',
+        contentType: XMP_CONTENT_TYPE
+    });
+    writeItemData(heif, meta, item.id, utils.encoder.encode(xmp.encodeXmp(newXmp)));
+};
+
+/**
+ * @param {DecodedMeta} meta
+ * @param {number} itemId
+ * @returns {IsoBox[]} Properties associated with the item, in order.
+ */
+const readItemProperties = (meta, itemId) => {
+    const iprp = meta.children.find(i => i.type === 'iprp');
+    if (!iprp) {
+        return [];
+    }
+    const iprpChildren = decodeBoxes(iprp.data);
+    const ipco = iprpChildren.find(i => i.type === 'ipco');
+    if (!ipco) {
+        return [];
+    }
+    const properties = decodeBoxes(ipco.data);
+
+    /** @type {IsoBox[]} */
+    const result = [];
+    for (const ipma of iprpChildren.filter(i => i.type === 'ipma')) {
+        const {version, flags} = readFullBoxHeader(ipma.data);
+        const view = new DataView(ipma.data.buffer, ipma.data.byteOffset, ipma.data.byteLength);
+        const entryCount = view.getUint32(4, false);
+        let ptr = 8;
+        for (let i = 0; i < entryCount; i++) {
+            const id = readUint(view, ptr, version < 1 ? 2 : 4);
+            ptr += version < 1 ? 2 : 4;
+            const associationCount = view.getUint8(ptr);
+            ptr++;
+            for (let j = 0; j < associationCount; j++) {
+                // The top bit is the essential flag. Indexes are 1-based, 0 means none.
+                let index;
+                if (flags & 1) {
+                    index = view.getUint16(ptr, false) & 0x7FFF;
+                    ptr += 2;
+                } else {
+                    index = view.getUint8(ptr) & 0x7F;
+                    ptr++;
+                }
+                if (id === itemId && index > 0 && properties[index - 1]) {
+                    result.push(properties[index - 1]);
+                }
+            }
+        }
+    }
+    return result;
+};
+
+/**
+ * @param {Heif} heif
+ * @returns {Uint8Array|null} ICC profile from the primary item's colr property.
+ */
+const getHeifIccProfile = (heif) => {
+    const meta = decodeMeta(heif);
+    const primaryItemId = meta && readPrimaryItemId(meta);
+    if (primaryItemId === null) {
+        return null;
+    }
+
+    // Colour type, then the profile for restricted or unrestricted ICC profiles
+    const colr = readItemProperties(meta, primaryItemId).find(i => (
+        i.type === 'colr' &&
+        ['rICC', 'prof'].includes(latin1Decoder.decode(i.data.subarray(0, 4)))
+    ));
+    return colr ? colr.data.subarray(4) : null;
+};
+
+module.exports = {
+    isHeif,
+    decodeBoxes,
+    encodeBoxes,
+    decodeHeif,
+    encodeHeif,
+    decodeIloc,
+    encodeIloc,
+    getHeifItems,
+    getHeifItemData,
+    getHeifExif,
+    setHeifExif,
+    updateHeifExif,
+    getHeifXmp,
+    setHeifXmp,
+    getHeifIccProfile
+};
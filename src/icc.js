@@ -0,0 +1,198 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+const utils = require('./utils');
+
+// Reference materials:
+// https://www.color.org/specification/ICC.1-2022-05.pdf
+// https://www.color.org/ICC_Minor_Revision_for_Web.pdf (version 2 'desc' tag)
+
+/**
+ * @typedef IccTag
+ * @property {string} signature eg. 'desc'
+ * @property {number} offset From the start of the profile.
+ * @property {number} size
+ */
+
+/**
+ * Signatures are 4 characters and may end with spaces, eg. 'RGB '.
+ * @typedef IccProfile
+ * @property {number} size
+ * @property {string} preferredCmm
+ * @property {string} version eg. '4.3.0'
+ * @property {string} deviceClass eg. 'mntr' for displays.
+ * @property {string} colorSpace eg. 'RGB '
+ * @property {string} connectionSpace 'XYZ ' or 'Lab '
+ * @property {Date} created
+ * @property {string} platform eg. 'APPL' or 'MSFT'
+ * @property {number} flags
+ * @property {string} manufacturer
+ * @property {string} model
+ * @property {number} renderingIntent 0 perceptual, 1 relative colorimetric, 2 saturation, 3 absolute colorimetric.
+ * @property {string} creator
+ * @property {string} profileId MD5 as hex. All zeros if it wasn't computed.
+ * @property {IccTag[]} tags
+ * @property {string|null} description From the 'desc' tag, eg. 'Display P3' or 'sRGB IEC61966-2.1'.
+ */
+
+const HEADER_SIZE = 128;
+
+const latin1Decoder = new TextDecoder('latin1');
+const utf16Decoder = new TextDecoder('utf-16be');
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @returns {string}
+ */
+const readSignature = (data, offset) => {
+    // Unused signatures are all zeros
+    if (data[offset] === 0 && data[offset + 1] === 0 && data[offset + 2] === 0 && data[offset + 3] === 0) {
+        return '';
+    }
+    return latin1Decoder.decode(data.subarray(offset, offset + 4));
+};
+
+/**
+ * @param {Uint8Array} data The entire profile.
+ * @param {IccTag} tag
+ * @returns {string|null}
+ */
+const decodeDescription = (data, tag) => {
+    if (tag.offset + tag.size > data.byteLength) {
+        throw new Error('desc tag extends past end');
+    }
+    if (tag.size < 12) {
+        throw new Error('desc tag is too small');
+    }
+
+    const tagData = data.subarray(tag.offset, tag.offset + tag.size);
+    const view = new DataView(tagData.buffer, tagData.byteOffset, tagData.byteLength);
+    const type = readSignature(tagData, 0);
+
+    // Version 2 textDescriptionType. The ASCII version is always present.
+    if (type === 'desc') {
+        const length = view.getUint32(8, false);
+        if (12 + length > tagData.byteLength) {
+            throw new Error('desc text extends past end');
+        }
+        return latin1Decoder.decode(tagData.subarray(12, 12 + length)).replace(/\0+$/, '');
+    }
+
+    // Version 4 multiLocalizedUnicodeType. Prefer English.
+    if (type === 'mluc') {
+        const recordCount = view.getUint32(8, false);
+        const recordSize = view.getUint32(12, false);
+
+        /** @type {Array<{language: string, text: string}>} */
+        const records = [];
+        for (let i = 0; i < recordCount; i++) {
+            const recordOffset = 16 + i * recordSize;
+            const language = latin1Decoder.decode(tagData.subarray(recordOffset, recordOffset + 4));
+            const length = view.getUint32(recordOffset + 4, false);
+            const offset = view.getUint32(recordOffset + 8, false);
+            if (offset + length > tagData.byteLength) {
+                throw new Error('mluc text extends past end');
+            }
+            records.push({
+                language,
+                text: utf16Decoder.decode(tagData.subarray(offset, offset + length)).replace(/\0+$/, '')
+            });
+        }
+
+        const preferred = (
+            records.find(i => i.language === 'enUS') ||
+            records.find(i => i.language.startsWith('en')) ||
+            records[0]
+        );
+        return preferred ? preferred.text : null;
+    }
+
+    return null;
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {IccProfile}
+ */
+const decodeIccProfile = (data) => {
+    let ptr = 0;
+    try {
+        if (data.byteLength < HEADER_SIZE + 4 || readSignature(data, 36) !== 'acsp') {
+            throw new Error('Not an ICC profile');
+        }
+
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const size = view.getUint32(0, false);
+        if (size > data.byteLength) {
+            throw new Error('ICC profile size is larger than data');
+        }
+
+        // Major version byte, then minor and bug fix versions as nibbles
+        const version = `${data[8]}.${data[9] >> 4}.${data[9] & 0xF}`;
+
+        const created = new Date(Date.UTC(
+            view.getUint16(24, false),
+            view.getUint16(26, false) - 1,
+            view.getUint16(28, false),
+            view.getUint16(30, false),
+            view.getUint16(32, false),
+            view.getUint16(34, false)
+        ));
+
+        const profileId = Array.from(data.subarray(84, 100))
+            .map(i => i.toString(16).padStart(2, '0'))
+            .join('');
+
+        ptr = HEADER_SIZE;
+        const tagCount = view.getUint32(ptr, false);
+        ptr += 4;
+        if (ptr + tagCount * 12 > data.byteLength) {
+            throw new Error('ICC tag table extends past end');
+        }
+
+        /** @type {IccTag[]} */
+        const tags = [];
+        for (let i = 0; i < tagCount; i++) {
+            tags.push({
+                signature: readSignature(data, ptr),
+                offset: view.getUint32(ptr + 4, false),
+                size: view.getUint32(ptr + 8, false)
+            });
+            ptr += 12;
+        }
+
+        const descriptionTag = tags.find(i => i.signature === 'desc');
+        if (descriptionTag) {
+            ptr = descriptionTag.offset;
+        }
+        const description = descriptionTag ? decodeDescription(data, descriptionTag) : null;
+
+        return {
+            size,
+            preferredCmm: readSignature(data, 4),
+            version,
+            deviceClass: readSignature(data, 12),
+            colorSpace: readSignature(data, 16),
+            connectionSpace: readSignature(data, 20),
+            created,
+            platform: readSignature(data, 40),
+            flags: view.getUint32(44, false),
+            manufacturer: readSignature(data, 48),
+            model: readSignature(data, 52),
+            renderingIntent: view.getUint32(64, false),
+            creator: readSignature(data, 80),
+            profileId,
+            tags,
+            description
+        };
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+};
+
+module.exports = {
+    decodeIccProfile
+};
@@ -0,0 +1,763 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+const utils = require('./utils');
+
+// Reference materials:
+// https://www.iptc.org/std/IIM/4.2/specification/IIMV4.2.pdf
+// https://www.adobe.com/devnet-apps/photoshop/fileformatashtml/#50577409_38034
+
+/**
+ * @typedef ImageResource
+ * @property {string} signature Usually '8BIM'.
+ * @property {number} id
+ * @property {string} name Usually empty.
+ * @property {Uint8Array} data
+ */
+
+/**
+ * @typedef IptcDataset
+ * @property {number} record
+ * @property {number} dataset
+ * @property {Uint8Array} data
+ */
+
+/**
+ * Repeatable fields are arrays, others are strings.
+ * @typedef Iptc
+ * @property {string} [ObjectName]
+ * @property {string} [EditStatus]
+ * @property {string} [Urgency]
+ * @property {string} [Category]
+ * @property {string[]} [SupplementalCategories]
+ * @property {string} [FixtureIdentifier]
+ * @property {string[]} [Keywords]
+ * @property {string[]} [ContentLocationCode]
+ * @property {string[]} [ContentLocationName]
+ * @property {string} [ReleaseDate] CCYYMMDD
+ * @property {string} [ReleaseTime] HHMMSS±HHMM
+ * @property {string} [ExpirationDate] CCYYMMDD
+ * @property {string} [ExpirationTime] HHMMSS±HHMM
+ * @property {string} [SpecialInstructions]
+ * @property {string} [DateCreated] CCYYMMDD
+ * @property {string} [TimeCreated] HHMMSS±HHMM
+ * @property {string} [DigitalCreationDate] CCYYMMDD
+ * @property {string} [DigitalCreationTime] HHMMSS±HHMM
+ * @property {string} [OriginatingProgram]
+ * @property {string} [ProgramVersion]
+ * @property {string[]} [By-line]
+ * @property {string[]} [By-lineTitle]
+ * @property {string} [City]
+ * @property {string} [Sub-location]
+ * @property {string} [Province-State]
+ * @property {string} [Country-PrimaryLocationCode]
+ * @property {string} [Country-PrimaryLocationName]
+ * @property {string} [OriginalTransmissionReference]
+ * @property {string} [Headline]
+ * @property {string} [Credit]
+ * @property {string} [Source]
+ * @property {string} [CopyrightNotice]
+ * @property {string[]} [Contact]
+ * @property {string} [Caption-Abstract]
+ * @property {string[]} [Writer-Editor]
+ */
+
+/**
+ * @typedef IptcField
+ * @property {number} record
+ * @property {number} dataset
+ * @property {string} name
+ * @property {number} maxLength In bytes, from the IIM specification.
+ * @property {boolean} [repeatable]
+ */
+
+const IMAGE_RESOURCE_SIGNATURES = ['8BIM', 'PHUT', 'AgHg', 'DCSR', 'MeSa'];
+
+const IPTC_RESOURCE_ID = 0x0404;
+const IPTC_DIGEST_RESOURCE_ID = 0x0425;
+
+const TAG_MARKER = 0x1C;
+
+// 1:90 CodedCharacterSet. ESC % G means UTF-8.
+const CODED_CHARACTER_SET = 90;
+const UTF8_CHARACTER_SET = new Uint8Array([0x1B, 0x25, 0x47]);
+
+// 2:0 ApplicationRecordVersion is required. 4 is the current version.
+const RECORD_VERSION = 0;
+
+/** @type {IptcField[]} */
+const IPTC_FIELDS = [
+    {
+        record: 2,
+        dataset: 5,
+        name: 'ObjectName',
+        maxLength: 64
+    },
+    {
+        record: 2,
+        dataset: 7,
+        name: 'EditStatus',
+        maxLength: 64
+    },
+    {
+        record: 2,
+        dataset: 10,
+        name: 'Urgency',
+        maxLength: 1
+    },
+    {
+        record: 2,
+        dataset: 15,
+        name: 'Category',
+        maxLength: 3
+    },
+    {
+        record: 2,
+        dataset: 20,
+        name: 'SupplementalCategories',
+        maxLength: 32,
+        repeatable: true
+    },
+    {
+        record: 2,
+        dataset: 22,
+        name: 'FixtureIdentifier',
+        maxLength: 32
+    },
+    {
+        record: 2,
+        dataset: 25,
+        name: 'Keywords',
+        maxLength: 64,
+        repeatable: true
+    },
+    {
+        record: 2,
+        dataset: 26,
+        name: 'ContentLocationCode',
+        maxLength: 3,
+        repeatable: true
+    },
+    {
+        record: 2,
+        dataset: 27,
+        name: 'ContentLocationName',
+        maxLength: 64,
+        repeatable: true
+    },
+    {
+        record: 2,
+        dataset: 30,
+        name: 'ReleaseDate',
+        maxLength: 8
+    },
+    {
+        record: 2,
+        dataset: 35,
+        name: 'ReleaseTime',
+        maxLength: 11
+    },
+    {
+        record: 2,
+        dataset: 37,
+        name: 'ExpirationDate',
+        maxLength: 8
+    },
+    {
+        record: 2,
+        dataset: 38,
+        name: 'ExpirationTime',
+        maxLength: 11
+    },
+    {
+        record: 2,
+        dataset: 40,
+        name: 'SpecialInstructions',
+        maxLength: 256
+    },
+    {
+        record: 2,
+        dataset: 55,
+        name: 'DateCreated',
+        maxLength: 8
+    },
+    {
+        record: 2,
+        dataset: 60,
+        name: 'TimeCreated',
+        maxLength: 11
+    },
+    {
+        record: 2,
+        dataset: 62,
+        name: 'DigitalCreationDate',
+        maxLength: 8
+    },
+    {
+        record: 2,
+        dataset: 63,
+        name: 'DigitalCreationTime',
+        maxLength: 11
+    },
+    {
+        record: 2,
+        dataset: 65,
+        name: 'OriginatingProgram',
+        maxLength: 32
+    },
+    {
+        record: 2,
+        dataset: 70,
+        name: 'ProgramVersion',
+        maxLength: 10
+    },
+    {
+        record: 2,
+        dataset: 80,
+        name: 'By-line',
+        maxLength: 32,
+        repeatable: true
+    },
+    {
+        record: 2,
+        dataset: 85,
+        name: 'By-lineTitle',
+        maxLength: 32,
+        repeatable: true
+    },
+    {
+        record: 2,
+        dataset: 90,
+        name: 'City',
+        maxLength: 32
+    },
+    {
+        record: 2,
+        dataset: 92,
+        name: 'Sub-location',
+        maxLength: 32
+    },
+    {
+        record: 2,
+        dataset: 95,
+        name: 'Province-State',
+        maxLength: 32
+    },
+    {
+        record: 2,
+        dataset: 100,
+        name: 'Country-PrimaryLocationCode',
+        maxLength: 3
+    },
+    {
+        record: 2,
+        dataset: 101,
+        name: 'Country-PrimaryLocationName',
+        maxLength: 64
+    },
+    {
+        record: 2,
+        dataset: 103,
+        name: 'OriginalTransmissionReference',
+        maxLength: 32
+    },
+    {
+        record: 2,
+        dataset: 105,
+        name: 'Headline',
+        maxLength: 256
+    },
+    {
+        record: 2,
+        dataset: 110,
+        name: 'Credit',
+        maxLength: 32
+    },
+    {
+        record: 2,
+        dataset: 115,
+        name: 'Source',
+        maxLength: 32
+    },
+    {
+        record: 2,
+        dataset: 116,
+        name: 'CopyrightNotice',
+        maxLength: 128
+    },
+    {
+        record: 2,
+        dataset: 118,
+        name: 'Contact',
+        maxLength: 128,
+        repeatable: true
+    },
+    {
+        record: 2,
+        dataset: 120,
+        name: 'Caption-Abstract',
+        maxLength: 2000
+    },
+    {
+        record: 2,
+        dataset: 122,
+        name: 'Writer-Editor',
+        maxLength: 32,
+        repeatable: true
+    }
+];
+
+/** @type {Map<string, IptcField>} */
+const FIELDS_BY_NAME = new Map(IPTC_FIELDS.map(i => [i.name, i]));
+
+/**
+ * @param {number} record
+ * @param {number} dataset
+ * @returns {IptcField|undefined}
+ */
+const findField = (record, dataset) => IPTC_FIELDS.find(i => i.record === record && i.dataset === dataset);
+
+const strictUtf8Decoder = new TextDecoder('utf-8', {
+    fatal: true
+});
+const latin1Decoder = new TextDecoder('latin1');
+
+// The latin1 TextDecoder is really windows-1252, so text is encoded the same way it was decoded.
+/** @type {Map<string, number>} */
+const LATIN1_BYTES = new Map(Array.from(
+    latin1Decoder.decode(Uint8Array.from({length: 256}, (_, i) => i)),
+    (character, i) => [character, i]
+));
+
+/**
+ * @param {Uint8Array} data Photoshop image resource block, eg. the APP13 payload after the signature
+ * @returns {ImageResource[]}
+ */
+const decodeImageResources = (data) => {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let ptr = 0;
+
+    try {
+        /** @type {ImageResource[]} */
+        const resources = [];
+        while (ptr < data.byteLength) {
+            // Some writers pad the end with zeros
+            if (data.subarray(ptr).every(i => i === 0)) {
+                break;
+            }
+
+            const signature = latin1Decoder.decode(data.subarray(ptr, ptr + 4));
+            if (!IMAGE_RESOURCE_SIGNATURES.includes(signature)) {
+                throw new Error('Invalid image resource signature');
+            }
+            ptr += 4;
+
+            const id = view.getUint16(ptr, false);
+            ptr += 2;
+
+            // Pascal string padded so its total size is even
+            const nameLength = view.getUint8(ptr);
+            const name = latin1Decoder.decode(data.subarray(ptr + 1, ptr + 1 + nameLength));
+            ptr += 1 + nameLength;
+            if ((1 + nameLength) % 2 !== 0) {
+                ptr++;
+            }
+
+            const size = view.getUint32(ptr, false);
+            ptr += 4;
+            if (ptr + size > data.byteLength) {
+                throw new Error('Image resource extends past end');
+            }
+
+            resources.push({
+                signature,
+                id,
+                name,
+                data: data.subarray(ptr, ptr + size)
+            });
+
+            // Data is padded to an even size
+            ptr += size + (size % 2);
+        }
+        return resources;
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+};
+
+/**
+ * @param {ImageResource[]} resources
+ * @returns {Uint8Array}
+ */
+const encodeImageResources = (resources) => {
+    /**
+     * @param {ImageResource} resource
+     * @returns {number}
+     */
+    const nameSize = (resource) => {
+        const size = 1 + resource.name.length;
+        return size + (size % 2);
+    };
+
+    let length = 0;
+    for (const resource of resources) {
+        length += 4 + 2 + nameSize(resource) + 4 + resource.data.byteLength + (resource.data.byteLength % 2);
+    }
+
+    const result = new Uint8Array(length);
+    const view = new DataView(result.buffer);
+    let ptr = 0;
+    for (const resource of resources) {
+        if (resource.signature.length !== 4) {
+            throw new Error('Image resource signature must be 4 characters');
+        }
+        if (resource.name.length > 255) {
+            throw new Error('Image resource name is too long');
+        }
+
+        for (let i = 0; i < 4; i++) {
+            result[ptr + i] = resource.signature.charCodeAt(i);
+        }
+        view.setUint16(ptr + 4, resource.id, false);
+        result[ptr + 6] = resource.name.length;
+        for (let i = 0; i < resource.name.length; i++) {
+            result[ptr + 7 + i] = resource.name.charCodeAt(i);
+        }
+        ptr += 6 + nameSize(resource);
+
+        view.setUint32(ptr, resource.data.byteLength, false);
+        ptr += 4;
+        result.set(resource.data, ptr);
+        ptr += resource.data.byteLength + (resource.data.byteLength % 2);
+    }
+
+    return result;
+};
+
+/**
+ * @param {Uint8Array} data IPTC-IIM data, eg. from image resource 0x0404
+ * @returns {IptcDataset[]}
+ */
+const decodeIptcDatasets = (data) => {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let ptr = 0;
+
+    try {
+        /** @type {IptcDataset[]} */
+        const datasets = [];
+        while (ptr < data.byteLength) {
+            if (data[ptr] !== TAG_MARKER) {
+                // Some writers pad the end with zeros
+                if (data.subarray(ptr).every(i => i === 0)) {
+                    break;
+                }
+                throw new Error('Invalid IPTC tag marker');
+            }
+
+            const record = view.getUint8(ptr + 1);
+            const dataset = view.getUint8(ptr + 2);
+            let length = view.getUint16(ptr + 3, false);
+            ptr += 5;
+
+            // Extended datasets store the number of bytes in the length instead
+            if (length & 0x8000) {
+                const lengthSize = length & 0x7FFF;
+                if (lengthSize > 4) {
+                    throw new Error('IPTC dataset is too large');
+                }
+                length = 0;
+                for (let i = 0; i < lengthSize; i++) {
+                    length = length * 256 + view.getUint8(ptr + i);
+                }
+                ptr += lengthSize;
+            }
+
+            if (ptr + length > data.byteLength) {
+                throw new Error('IPTC dataset extends past end');
+            }
+
+            datasets.push({
+                record,
+                dataset,
+                data: data.subarray(ptr, ptr + length)
+            });
+            ptr += length;
+        }
+        return datasets;
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+};
+
+/**
+ * @param {IptcDataset[]} datasets
+ * @returns {Uint8Array}
+ */
+const encodeIptcDatasets = (datasets) => {
+    /**
+     * @param {IptcDataset} dataset
+     * @returns {number}
+     */
+    const headerSize = (dataset) => dataset.data.byteLength > 0x7FFF ? 9 : 5;
+
+    let length = 0;
+    for (const dataset of datasets) {
+        length += headerSize(dataset) + dataset.data.byteLength;
+    }
+
+    const result = new Uint8Array(length);
+    const view = new DataView(result.buffer);
+    let ptr = 0;
+    for (const dataset of datasets) {
+        result[ptr] = TAG_MARKER;
+        result[ptr + 1] = dataset.record;
+        result[ptr + 2] = dataset.dataset;
+        if (headerSize(dataset) === 9) {
+            view.setUint16(ptr + 3, 0x8004, false);
+            view.setUint32(ptr + 5, dataset.data.byteLength, false);
+        } else {
+            view.setUint16(ptr + 3, dataset.data.byteLength, false);
+        }
+        ptr += headerSize(dataset);
+        result.set(dataset.data, ptr);
+        ptr += dataset.data.byteLength;
+    }
+
+    return result;
+};
+
+/**
+ * @param {IptcDataset[]} datasets
+ * @returns {boolean}
+ */
+const isUtf8 = (datasets) => {
+    const characterSet = datasets.find(i => i.record === 1 && i.dataset === CODED_CHARACTER_SET);
+    if (!characterSet || characterSet.data.byteLength !== UTF8_CHARACTER_SET.byteLength) {
+        return false;
+    }
+    return characterSet.data.every((byte, i) => byte === UTF8_CHARACTER_SET[i]);
+};
+
+/**
+ * @param {Uint8Array} data
+ * @param {boolean} utf8 Whether the character set is declared as UTF-8.
+ * @returns {string}
+ */
+const decodeText = (data, utf8) => {
+    if (utf8) {
+        return utils.decoder.decode(data);
+    }
+    // Without a declared character set, many writers use UTF-8 anyways. Otherwise it's
+    // probably Latin-1.
+    try {
+        return strictUtf8Decoder.decode(data);
+    } catch (e) {
+        return latin1Decoder.decode(data);
+    }
+};
+
+/**
+ * @param {IptcDataset[]} datasets
+ * @returns {Iptc}
+ */
+const readIptcFromDatasets = (datasets) => {
+    const utf8 = isUtf8(datasets);
+
+    /** @type {Iptc} */
+    const result = {};
+    for (const dataset of datasets) {
+        const field = findField(dataset.record, dataset.dataset);
+        if (!field) {
+            continue;
+        }
+
+        const text = decodeText(dataset.data, utf8);
+        if (field.repeatable) {
+            if (!utils.hasOwn(result, field.name)) {
+                result[field.name] = [];
+            }
+            result[field.name].push(text);
+        } else {
+            result[field.name] = text;
+        }
+    }
+    return result;
+};
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array|null} null if there are characters that can't be represented.
+ */
+const encodeLatin1 = (text) => {
+    const result = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        const byte = LATIN1_BYTES.get(text[i]);
+        if (byte === undefined) {
+            return null;
+        }
+        result[i] = byte;
+    }
+    return result;
+};
+
+/**
+ * Replaces the named fields mentioned in changes. Everything else is kept byte-for-byte.
+ * Text is written in the existing character set so it matches the datasets we don't
+ * understand: UTF-8 if it's declared, or if there is no IPTC yet or all of it is valid UTF-8,
+ * otherwise Latin-1.
+ * @param {IptcDataset[]} datasets
+ * @param {Iptc} changes Properties set to undefined or null are removed.
+ * @returns {IptcDataset[]} New list.
+ */
+const applyIptcChanges = (datasets, changes) => {
+    for (const [name, value] of Object.entries(changes)) {
+        const field = FIELDS_BY_NAME.get(name);
+        if (!field) {
+            throw new Error(`Unknown IPTC property: ${name}`);
+        }
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (field.repeatable) {
+            if (!Array.isArray(value) || !value.every(i => typeof i === 'string')) {
+                throw new Error(`${name} must be an array of strings`);
+            }
+        } else if (typeof value !== 'string') {
+            throw new Error(`${name} must be a string`);
+        }
+    }
+
+    const characterSet = datasets.find(i => i.record === 1 && i.dataset === CODED_CHARACTER_SET);
+    const utf8 = isUtf8(datasets) || (!characterSet && datasets.every(i => {
+        if (!findField(i.record, i.dataset)) {
+            return true;
+        }
+        try {
+            strictUtf8Decoder.decode(i.data);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }));
+
+    const result = datasets.filter(i => {
+        const field = findField(i.record, i.dataset);
+        return !field || !utils.hasOwn(changes, field.name);
+    });
+    if (utf8 && !characterSet) {
+        result.push({
+            record: 1,
+            dataset: CODED_CHARACTER_SET,
+            data: UTF8_CHARACTER_SET
+        });
+    }
+    if (!datasets.some(i => i.record === 2 && i.dataset === RECORD_VERSION)) {
+        result.push({
+            record: 2,
+            dataset: RECORD_VERSION,
+            data: new Uint8Array([0x00, 0x04])
+        });
+    }
+
+    for (const field of IPTC_FIELDS) {
+        const value = changes[field.name];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        const values = field.repeatable ? value : [value];
+        for (const text of values) {
+            const data = utf8 ? utils.encoder.encode(text) : encodeLatin1(text);
+            if (!data) {
+                throw new Error(`${field.name} can't be written in the existing Latin-1 character set`);
+            }
+            if (data.byteLength > field.maxLength) {
+                throw new Error(`${field.name} can't be longer than ${field.maxLength} bytes`);
+            }
+            result.push({
+                record: field.record,
+                dataset: field.dataset,
+                data
+            });
+        }
+    }
+
+    // Datasets must be in numerical order. The sort is stable, so repeated datasets stay
+    // in the same order.
+    result.sort((a, b) => (a.record - b.record) || (a.dataset - b.dataset));
+    return result;
+};
+
+/**
+ * @param {Uint8Array} data IPTC-IIM data, eg. from image resource 0x0404
+ * @returns {Iptc}
+ */
+const decodeIptc = (data) => readIptcFromDatasets(decodeIptcDatasets(data));
+
+/**
+ * @param {Iptc} iptc
+ * @returns {Uint8Array} IPTC-IIM data
+ */
+const encodeIptc = (iptc) => encodeIptcDatasets(applyIptcChanges([], iptc));
+
+/**
+ * Unlike encodeIptc, this preserves datasets that aren't being changed, including ones
+ * we don't understand.
+ * @param {Uint8Array} data Existing IPTC-IIM data
+ * @param {Iptc} changes Properties set to undefined or null are removed. Other properties are unchanged.
+ * @returns {Uint8Array} New IPTC-IIM data
+ */
+const updateIptc = (data, changes) => encodeIptcDatasets(applyIptcChanges(decodeIptcDatasets(data), changes));
+
+/**
+ * @param {ImageResource[]} resources
+ * @returns {Uint8Array|null}
+ */
+const getIptcResource = (resources) => {
+    const resource = resources.find(i => i.signature === '8BIM' && i.id === IPTC_RESOURCE_ID);
+    return resource ? resource.data : null;
+};
+
+/**
+ * Also updates the IPTC digest resource if there is one. Photoshop uses it to detect
+ * edits made by other programs.
+ * @param {ImageResource[]} resources Modified in-place.
+ * @param {Uint8Array} iptcData
+ */
+const setIptcResource = (resources, iptcData) => {
+    const existing = resources.find(i => i.signature === '8BIM' && i.id === IPTC_RESOURCE_ID);
+    if (existing) {
+        existing.data = iptcData;
+    } else {
+        resources.push({
+            signature: '8BIM',
+            id: IPTC_RESOURCE_ID,
+            name: '',
+            data: iptcData
+        });
+    }
+
+    const digest = resources.find(i => i.signature === '8BIM' && i.id === IPTC_DIGEST_RESOURCE_ID);
+    if (digest) {
+        const hex = utils.md5(iptcData);
+        digest.data = new Uint8Array(16);
+        for (let i = 0; i < 16; i++) {
+            digest.data[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+        }
+    }
+};
+
+module.exports = {
+    IPTC_FIELDS,
+    decodeImageResources,
+    encodeImageResources,
+    decodeIptcDatasets,
+    encodeIptcDatasets,
+    decodeIptc,
+    encodeIptc,
+    updateIptc,
+    getIptcResource,
+    setIptcResource
+};
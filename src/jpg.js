@@ -4,20 +4,163 @@
 
 const utils = require('./utils');
 const exif = require('./exif');
+const xmp = require('./xmp');
+const iptc = require('./iptc');
+const tiff = require('./tiff');
 
-// Reference material:
+// Reference materials:
 // https://en.wikipedia.org/wiki/JPEG#Syntax_and_structure
+// https://www.w3.org/Graphics/JPEG/itu-t81.pdf (Table B.1)
+// https://www.cipa.jp/std/documents/e/DC-X007-KEY_E.pdf (Multi-Picture Format)
 
 /**
  * @typedef JpgSegment
  * @property {number} type Second byte in the payload header (0xFF ..)
  * @property {Uint8Array} data All data in the payload, including length
+ * @property {number} [fillBytes] Number of extra 0xFF bytes before the marker, if any.
+ * @property {AppIdentifier|null} [identifier] What an APPn segment contains, based on its
+ * signature. Set by decodeJpg. May be missing or outdated for segments that were created or
+ * modified later, so use identifySegment when it matters.
+ */
+
+/**
+ * @typedef {'JFIF'|'JFXX'|'Exif'|'XMP'|'ExtendedXMP'|'ICC_PROFILE'|'MPF'|'FPXR'|'Ducky'|'Photoshop'|'Adobe'} AppIdentifier
  */
 
 /**
  * @typedef Jpg
  * @property {JpgSegment[]} segments
+ * @property {Uint8Array} [trailer] Everything after the end of image marker, such as the
+ * video in a motion photo. Set by decodeJpg, possibly empty.
+ */
+
+/**
+ * @typedef {'primary'|'largeThumbnail'|'panorama'|'disparity'|'multiAngle'|'gainMap'|'undefined'} MpfImageType
+ */
+
+/**
+ * @typedef MpfImage
+ * @property {number} index Position in the MP Index IFD's list of images.
+ * @property {MpfImageType} type
+ * @property {number} attributes Raw Individual Image Attribute, including flags and type code.
+ * @property {number} offset From the start of the file.
+ * @property {number} length
+ */
+
+/**
+ * @typedef JpgTrailerItem
+ * @property {'jpeg'|'mp4'|'padding'|'unknown'} kind
+ * @property {number} offset From the start of the trailer.
+ * @property {number} length
+ * @property {string} [mime] From XMP, if it said.
+ * @property {string} [semantic] From XMP, if it said. eg. 'MotionPhoto' or 'GainMap'
+ */
+
+const XMP_SIGNATURE = utils.encoder.encode('http://ns.adobe.com/xap/1.0/\0');
+const EXTENDED_XMP_SIGNATURE = utils.encoder.encode('http://ns.adobe.com/xmp/extension/\0');
+const PHOTOSHOP_SIGNATURE = utils.encoder.encode('Photoshop 3.0\0');
+const ICC_PROFILE_SIGNATURE = utils.encoder.encode('ICC_PROFILE\0');
+const MPF_SIGNATURE = utils.encoder.encode('MPF\0');
+const ISO_GAIN_MAP_SIGNATURE = utils.encoder.encode('urn:iso:std:iso:ts:21496:-1\0');
+
+/**
+ * Signatures at the start of APPn payloads, after the length.
+ * @type {Array<{type: number, signature: Uint8Array, identifier: AppIdentifier}>}
+ */
+const APP_SIGNATURES = [
+    {
+        type: 0xE0,
+        signature: utils.encoder.encode('JFIF\0'),
+        identifier: 'JFIF'
+    },
+    {
+        type: 0xE0,
+        signature: utils.encoder.encode('JFXX\0'),
+        identifier: 'JFXX'
+    },
+    {
+        type: 0xE1,
+        signature: utils.encoder.encode('Exif\0\0'),
+        identifier: 'Exif'
+    },
+    {
+        type: 0xE1,
+        signature: XMP_SIGNATURE,
+        identifier: 'XMP'
+    },
+    {
+        type: 0xE1,
+        signature: EXTENDED_XMP_SIGNATURE,
+        identifier: 'ExtendedXMP'
+    },
+    {
+        type: 0xE2,
+        signature: ICC_PROFILE_SIGNATURE,
+        identifier: 'ICC_PROFILE'
+    },
+    {
+        type: 0xE2,
+        signature: MPF_SIGNATURE,
+        identifier: 'MPF'
+    },
+    {
+        type: 0xE2,
+        signature: utils.encoder.encode('FPXR\0'),
+        identifier: 'FPXR'
+    },
+    {
+        type: 0xEC,
+        signature: utils.encoder.encode('Ducky'),
+        identifier: 'Ducky'
+    },
+    {
+        type: 0xED,
+        signature: PHOTOSHOP_SIGNATURE,
+        identifier: 'Photoshop'
+    },
+    {
+        type: 0xEE,
+        signature: utils.encoder.encode('Adobe'),
+        identifier: 'Adobe'
+    }
+];
+
+/**
+ * @param {JpgSegment} segment
+ * @param {Uint8Array} signature
+ * @returns {boolean}
+ */
+const hasSignature = (segment, signature) => {
+    if (segment.data.byteLength < 2 + signature.byteLength) {
+        return false;
+    }
+    for (let i = 0; i < signature.byteLength; i++) {
+        if (segment.data[2 + i] !== signature[i]) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * @param {JpgSegment} segment
+ * @returns {AppIdentifier|null} null if this isn't an APPn segment or the signature is unknown.
  */
+const identifySegment = (segment) => {
+    for (const app of APP_SIGNATURES) {
+        if (segment.type === app.type && hasSignature(segment, app.signature)) {
+            return app.identifier;
+        }
+    }
+    return null;
+};
+
+/**
+ * @param {Jpg} jpg
+ * @param {AppIdentifier} identifier
+ * @returns {JpgSegment|undefined}
+ */
+const findSegment = (jpg, identifier) => jpg.segments.find(i => identifySegment(i) === identifier);
 
 /**
  * @param {Uint8Array} data
@@ -48,16 +191,37 @@ const decodeJpg = (data) => {
             throw new Error('Invalid section signature');
         }
 
+        // Any number of 0xFF fill bytes can come before a marker
+        let fillBytes = 0;
+        while (ptr + 1 < data.byteLength && view.getUint8(ptr + 1) === 0xFF) {
+            fillBytes++;
+            ptr++;
+        }
+
         ptr++;
         const payloadType = view.getUint8(ptr);
         ptr++;
 
+        const segment = parsePayload(payloadType);
+        if (fillBytes > 0) {
+            segment.fillBytes = fillBytes;
+        }
+        return segment;
+    };
+
+    /**
+     * @param {number} payloadType
+     * @returns {JpgSegment}
+     */
+    const parsePayload = (payloadType) => {
         // Payloads that contain no data
         if (
-            // Start of image
-            payloadType === 0xD8 ||
+            // Temporary private use in arithmetic coding
+            payloadType === 0x01 ||
             // Restart
             (payloadType >= 0xD0 && payloadType <= 0xD7) ||
+            // Start of image
+            payloadType === 0xD8 ||
             // End of image
             payloadType === 0xD9
         ) {
@@ -67,38 +231,6 @@ const decodeJpg = (data) => {
             };
         }
 
-        // Payloads with length header
-        if (
-            // Start of frame (baseline DCT)
-            payloadType === 0xC0 ||
-            // Start of frame (progressive DCT)
-            payloadType === 0xC2 ||
-            // Define huffman tables
-            payloadType === 0xC4 ||
-            // Define quantization tables
-            payloadType === 0xDB ||
-            // Application specific
-            (payloadType >= 0xE0 && payloadType <= 0xEF) ||
-            // Comment
-            payloadType === 0xFE
-        ) {
-            const length = view.getUint16(ptr, false);
-            ptr += length;
-            return {
-                type: payloadType,
-                data: data.subarray(ptr - length, ptr)
-            };
-        }
-
-        // Define restart interval is fixed 4 byte length
-        if (payloadType === 0xDD) {
-            ptr += 4;
-            return {
-                type: payloadType,
-                data: data.subarray(ptr - 4, ptr)
-            };
-        }
-
         // Start of scan is followed by entropy-coded data
         if (payloadType === 0xDA) {
             // Length does not include the following entropy-coded data
@@ -106,7 +238,7 @@ const decodeJpg = (data) => {
             const start = ptr;
             ptr += payloadLength;
 
-            // 0xFF followed by 0xFF means a raw 0xFF in the entropy-coded data.
+            // 0xFF followed by 0x00 means a raw 0xFF in the entropy-coded data.
             // Anything else is a new payload.
             for (; ptr < data.length - 1; ptr++) {
                 if (view.getUint8(ptr) === 0xFF) {
@@ -125,7 +257,31 @@ const decodeJpg = (data) => {
             };
         }
 
-        throw new Error('Unrecognized section header');
+        if (payloadType === 0x00) {
+            throw new Error('Invalid marker');
+        }
+
+        // Every other marker has a length header. This includes all start of frame
+        // variants (0xC0-0xCF except 0xC4 DHT, 0xC8 JPG, and 0xCC DAC), DQT, DNL, DRI,
+        // DHP, EXP, APPn, JPGn, COM, and reserved markers.
+        const length = view.getUint16(ptr, false);
+        if (length < 2) {
+            throw new Error('Invalid segment length');
+        }
+        if (ptr + length > data.byteLength) {
+            throw new Error('Segment extends past end');
+        }
+        ptr += length;
+
+        /** @type {JpgSegment} */
+        const segment = {
+            type: payloadType,
+            data: data.subarray(ptr - length, ptr)
+        };
+        if (payloadType >= 0xE0 && payloadType <= 0xEF) {
+            segment.identifier = identifySegment(segment);
+        }
+        return segment;
     };
 
     /**
@@ -136,13 +292,20 @@ const decodeJpg = (data) => {
         while (ptr < data.byteLength) {
             const next = parseSegment();
             sections.push(next);
+
+            // Anything after this is not part of the image
+            if (next.type === 0xD9) {
+                break;
+            }
         }
         return sections;
     };
 
     try {
+        const segments = parseAllSegments();
         return {
-            segments: parseAllSegments()
+            segments,
+            trailer: data.subarray(ptr)
         };
     } catch (e) {
         utils.addErrorTrace(e, data, ptr);
@@ -155,15 +318,21 @@ const decodeJpg = (data) => {
  * @returns {Uint8Array}
  */
 const encodeJpg = (jpg) => {
-    let resultLength = 0;
+    const trailer = jpg.trailer || new Uint8Array();
+
+    let resultLength = trailer.byteLength;
     for (const segment of jpg.segments) {
-        resultLength += 2 + segment.data.byteLength;
+        resultLength += (segment.fillBytes || 0) + 2 + segment.data.byteLength;
     }
 
     const result = new Uint8Array(resultLength);
 
     let ptr = 0;
     for (const segment of jpg.segments) {
+        const fillBytes = segment.fillBytes || 0;
+        result.fill(0xFF, ptr, ptr + fillBytes);
+        ptr += fillBytes;
+
         result[ptr] = 0xFF;
         ptr++;
 
@@ -174,6 +343,8 @@ const encodeJpg = (jpg) => {
         ptr += segment.data.byteLength;
     }
 
+    result.set(trailer, ptr);
+
     return result;
 };
 
@@ -182,7 +353,7 @@ const encodeJpg = (jpg) => {
  * @returns {import('./exif').Exif}
  */
 const getJpgExif = (jpg) => {
-    const segment = jpg.segments.find(i => i.type === 0xE1);
+    const segment = findSegment(jpg, 'Exif');
     if (!segment) {
         return {};
     }
@@ -195,23 +366,945 @@ const getJpgExif = (jpg) => {
  * @returns {void}
  */
 const setJpgExif = (jpg, newExif) => {
-    let segment = jpg.segments.find(i => i.type === 0xE1);
+    let segment = findSegment(jpg, 'Exif');
 
     if (!segment) {
         segment = {
             type: 0xE1,
             data: new Uint8Array(),
+            identifier: 'Exif'
         };
-        jpg.segments.splice(1, 0, segment);
+
+        // EXIF goes immediately after SOI, except JFIF APP0 must come first if present
+        let index = 1;
+        while (index < jpg.segments.length && jpg.segments[index].type === 0xE0 && identifySegment(jpg.segments[index]) !== null) {
+            index++;
+        }
+        jpg.segments.splice(index, 0, segment);
     }
 
     segment.data = exif.encodeExif(newExif);
 };
 
+/**
+ * Unlike setJpgExif, tags that aren't mentioned in changes are left as-is.
+ * @param {Jpg} jpg Modified in-place.
+ * @param {import("./exif").Exif} changes Properties set to undefined or null are removed.
+ * @returns {void}
+ */
+const updateJpgExif = (jpg, changes) => {
+    const segment = findSegment(jpg, 'Exif');
+    if (!segment) {
+        setJpgExif(jpg, changes);
+        return;
+    }
+
+    segment.data = exif.updateExif(segment.data, changes);
+};
+
+// Extended XMP segments have a 32 byte GUID, 4 byte full length, and 4 byte offset
+// after the signature
+const EXTENDED_XMP_HEADER_SIZE = EXTENDED_XMP_SIGNATURE.byteLength + 32 + 8;
+
+/**
+ * @param {number} type
+ * @param {Uint8Array[]} parts
+ * @returns {JpgSegment}
+ */
+const createAppSegment = (type, parts) => {
+    const length = 2 + parts.reduce((total, i) => total + i.byteLength, 0);
+    if (length > 0xFFFF) {
+        throw new Error('Segment is too large');
+    }
+
+    const data = new Uint8Array(length);
+    new DataView(data.buffer).setUint16(0, length, false);
+    let ptr = 2;
+    for (const part of parts) {
+        data.set(part, ptr);
+        ptr += part.byteLength;
+    }
+
+    /** @type {JpgSegment} */
+    const segment = {
+        type,
+        data
+    };
+    segment.identifier = identifySegment(segment);
+    return segment;
+};
+
+/**
+ * Replaces all segments matching predicate with newSegments, at the position of the first
+ * one that matched.
+ * @param {Jpg} jpg Modified in-place.
+ * @param {(segment: JpgSegment) => boolean} predicate
+ * @param {JpgSegment[]} newSegments
+ * @param {number[]} afterTypes If nothing matched, the new segments go after SOI and the
+ * segments immediately following it that have one of these types.
+ */
+const replaceSegments = (jpg, predicate, newSegments, afterTypes) => {
+    let index = jpg.segments.findIndex(predicate);
+    if (index === -1) {
+        index = 1;
+        while (index < jpg.segments.length && afterTypes.includes(jpg.segments[index].type)) {
+            index++;
+        }
+    }
+
+    const before = jpg.segments.slice(0, index).filter(i => !predicate(i));
+    const after = jpg.segments.slice(index).filter(i => !predicate(i));
+    jpg.segments = [...before, ...newSegments, ...after];
+};
+
+/**
+ * @param {JpgSegment} segment
+ * @returns {boolean}
+ */
+const isXmpSegment = (segment) => {
+    const identifier = identifySegment(segment);
+    return identifier === 'XMP' || identifier === 'ExtendedXMP';
+};
+
+/**
+ * @param {Jpg} jpg
+ * @param {string} guid
+ * @returns {Uint8Array|null} The reassembled Extended XMP, or null if it's missing or incomplete.
+ */
+const readExtendedXmp = (jpg, guid) => {
+    /** @type {Uint8Array|null} */
+    let result = null;
+    let bytesRead = 0;
+
+    for (const segment of jpg.segments) {
+        if (identifySegment(segment) !== 'ExtendedXMP') {
+            continue;
+        }
+
+        const ptr = 2 + EXTENDED_XMP_SIGNATURE.byteLength;
+        const segmentGuid = utils.decoder.decode(segment.data.subarray(ptr, ptr + 32));
+        if (segmentGuid !== guid) {
+            continue;
+        }
+
+        const view = new DataView(segment.data.buffer, segment.data.byteOffset, segment.data.byteLength);
+        const fullLength = view.getUint32(ptr + 32, false);
+        const offset = view.getUint32(ptr + 36, false);
+        const portion = segment.data.subarray(2 + EXTENDED_XMP_HEADER_SIZE);
+
+        if (!result) {
+            result = new Uint8Array(fullLength);
+        }
+        if (fullLength !== result.byteLength || offset + portion.byteLength > fullLength) {
+            throw new Error('Extended XMP segments are inconsistent');
+        }
+        result.set(portion, offset);
+        bytesRead += portion.byteLength;
+    }
+
+    if (!result || bytesRead < result.byteLength) {
+        return null;
+    }
+    return result;
+};
+
+/**
+ * Reads the XMP in the APP1 segment, combined with Extended XMP if it has any.
+ * @param {Jpg} jpg
+ * @returns {import('./xmp').Xmp|null}
+ */
+const getJpgXmp = (jpg) => {
+    const segment = findSegment(jpg, 'XMP');
+    if (!segment) {
+        return null;
+    }
+
+    const standard = xmp.decodeXmp(utils.decoder.decode(segment.data.subarray(2 + XMP_SIGNATURE.byteLength)));
+
+    const guid = xmp.getXmpProperty(standard, xmp.NAMESPACES.xmpNote, 'HasExtendedXMP');
+    if (!guid || guid.type !== 'text') {
+        return standard;
+    }
+
+    const extendedData = readExtendedXmp(jpg, guid.value);
+    if (!extendedData) {
+        // Leave HasExtendedXMP so that it's clear something is missing
+        return standard;
+    }
+
+    const extended = xmp.decodeXmp(utils.decoder.decode(extendedData));
+    return xmp.mergeXmp(standard, extended);
+};
+
+/**
+ * Replaces all XMP, including Extended XMP. If the XMP doesn't fit in one segment, the
+ * largest properties are moved to Extended XMP.
+ * @param {Jpg} jpg Modified in-place.
+ * @param {import('./xmp').Xmp} newXmp
+ * @returns {void}
+ */
+const setJpgXmp = (jpg, newXmp) => {
+    const maxStandardSize = 0xFFFF - 2 - XMP_SIGNATURE.byteLength;
+    const maxPortionSize = 0xFFFF - 2 - EXTENDED_XMP_HEADER_SIZE;
+    const split = xmp.splitXmp(newXmp, maxStandardSize);
+
+    /** @type {JpgSegment[]} */
+    const newSegments = [
+        createAppSegment(0xE1, [XMP_SIGNATURE, split.standard])
+    ];
+
+    if (split.extended) {
+        const guid = utils.encoder.encode(split.guid);
+        for (let offset = 0; offset < split.extended.byteLength; offset += maxPortionSize) {
+            const header = new Uint8Array(8);
+            const headerView = new DataView(header.buffer);
+            headerView.setUint32(0, split.extended.byteLength, false);
+            headerView.setUint32(4, offset, false);
+            newSegments.push(createAppSegment(0xE1, [
+                EXTENDED_XMP_SIGNATURE,
+                guid,
+                header,
+                split.extended.subarray(offset, offset + maxPortionSize)
+            ]));
+        }
+    }
+
+    // After JFIF and EXIF
+    replaceSegments(jpg, isXmpSegment, newSegments, [0xE0, 0xE1]);
+};
+
+/**
+ * @param {Jpg} jpg
+ * @returns {import('./iptc').ImageResource[]|null} null if there is no APP13 Photoshop segment.
+ */
+const readImageResources = (jpg) => {
+    // Large resource blocks are split across multiple segments
+    const segments = jpg.segments.filter(i => identifySegment(i) === 'Photoshop');
+    if (segments.length === 0) {
+        return null;
+    }
+
+    const payloads = segments.map(i => i.data.subarray(2 + PHOTOSHOP_SIGNATURE.byteLength));
+    const data = new Uint8Array(payloads.reduce((total, i) => total + i.byteLength, 0));
+    let ptr = 0;
+    for (const payload of payloads) {
+        data.set(payload, ptr);
+        ptr += payload.byteLength;
+    }
+
+    return iptc.decodeImageResources(data);
+};
+
+/**
+ * @param {Jpg} jpg Modified in-place.
+ * @param {import('./iptc').ImageResource[]} resources
+ */
+const writeImageResources = (jpg, resources) => {
+    const data = iptc.encodeImageResources(resources);
+    const maxPayloadSize = 0xFFFF - 2 - PHOTOSHOP_SIGNATURE.byteLength;
+
+    /** @type {JpgSegment[]} */
+    const newSegments = [];
+    for (let offset = 0; offset < data.byteLength || offset === 0; offset += maxPayloadSize) {
+        newSegments.push(createAppSegment(0xED, [
+            PHOTOSHOP_SIGNATURE,
+            data.subarray(offset, offset + maxPayloadSize)
+        ]));
+    }
+
+    // After the other APPn segments
+    const appTypes = Array.from({length: 16}, (_, i) => 0xE0 + i);
+    replaceSegments(jpg, i => identifySegment(i) === 'Photoshop', newSegments, appTypes);
+};
+
+/**
+ * @param {Jpg} jpg
+ * @returns {import('./iptc').Iptc}
+ */
+const getJpgIptc = (jpg) => {
+    const resources = readImageResources(jpg);
+    const data = resources && iptc.getIptcResource(resources);
+    if (!data) {
+        return {};
+    }
+    return iptc.decodeIptc(data);
+};
+
+/**
+ * Other Photoshop image resources are preserved.
+ * @param {Jpg} jpg Modified in-place.
+ * @param {import('./iptc').Iptc} newIptc
+ * @returns {void}
+ */
+const setJpgIptc = (jpg, newIptc) => {
+    const resources = readImageResources(jpg) || [];
+    iptc.setIptcResource(resources, iptc.encodeIptc(newIptc));
+    writeImageResources(jpg, resources);
+};
+
+/**
+ * Unlike setJpgIptc, fields that aren't mentioned in changes are left as-is.
+ * @param {Jpg} jpg Modified in-place.
+ * @param {import('./iptc').Iptc} changes Properties set to undefined or null are removed.
+ * @returns {void}
+ */
+const updateJpgIptc = (jpg, changes) => {
+    const resources = readImageResources(jpg) || [];
+    const existing = iptc.getIptcResource(resources);
+    iptc.setIptcResource(resources, existing ? iptc.updateIptc(existing, changes) : iptc.encodeIptc(changes));
+    writeImageResources(jpg, resources);
+};
+
+/**
+ * Reassembles the ICC profile from its APP2 segments.
+ * @param {Jpg} jpg
+ * @returns {Uint8Array|null}
+ */
+const getJpgIccProfile = (jpg) => {
+    const segments = jpg.segments.filter(i => identifySegment(i) === 'ICC_PROFILE');
+    if (segments.length === 0) {
+        return null;
+    }
+
+    // Each segment has a 1-based sequence number and the total number of segments
+    const headerSize = 2 + ICC_PROFILE_SIGNATURE.byteLength;
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    for (const segment of segments) {
+        if (segment.data.byteLength < headerSize + 2) {
+            throw new Error('ICC_PROFILE segment is too short');
+        }
+        const sequenceNumber = segment.data[headerSize];
+        const count = segment.data[headerSize + 1];
+        if (count !== segments.length) {
+            throw new Error(`ICC_PROFILE segment count is ${count} but found ${segments.length}`);
+        }
+        if (sequenceNumber < 1 || sequenceNumber > count || chunks[sequenceNumber - 1]) {
+            throw new Error(`Invalid ICC_PROFILE sequence number ${sequenceNumber}`);
+        }
+        chunks[sequenceNumber - 1] = segment.data.subarray(headerSize + 2);
+    }
+
+    const result = new Uint8Array(chunks.reduce((total, i) => total + i.byteLength, 0));
+    let ptr = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, ptr);
+        ptr += chunk.byteLength;
+    }
+    return result;
+};
+
+/**
+ * Replaces the ICC profile, splitting it across as many APP2 segments as needed.
+ * @param {Jpg} jpg Modified in-place.
+ * @param {Uint8Array} profile
+ * @returns {void}
+ */
+const setJpgIccProfile = (jpg, profile) => {
+    const maxChunkSize = 0xFFFF - 2 - ICC_PROFILE_SIGNATURE.byteLength - 2;
+    const count = Math.max(1, Math.ceil(profile.byteLength / maxChunkSize));
+    if (count > 255) {
+        throw new Error('ICC profile is too large');
+    }
+
+    /** @type {JpgSegment[]} */
+    const newSegments = [];
+    for (let i = 0; i < count; i++) {
+        newSegments.push(createAppSegment(0xE2, [
+            ICC_PROFILE_SIGNATURE,
+            new Uint8Array([i + 1, count]),
+            profile.subarray(i * maxChunkSize, (i + 1) * maxChunkSize)
+        ]));
+    }
+
+    // After JFIF, EXIF, and XMP
+    replaceSegments(jpg, i => identifySegment(i) === 'ICC_PROFILE', newSegments, [0xE0, 0xE1]);
+};
+
+const SAMSUNG_MOTION_PHOTO_MARKER = utils.encoder.encode('MotionPhoto_Data');
+
+/**
+ * @param {Uint8Array} data
+ * @param {Uint8Array} needle
+ * @returns {number} -1 if not found.
+ */
+const indexOfBytes = (data, needle) => {
+    for (let i = 0; i <= data.byteLength - needle.byteLength; i++) {
+        let j = 0;
+        while (j < needle.byteLength && data[i + j] === needle[j]) {
+            j++;
+        }
+        if (j === needle.byteLength) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {JpgTrailerItem['kind']}
+ */
+const sniffTrailerKind = (data) => {
+    if (data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) {
+        return 'jpeg';
+    }
+    // ISO base media files start with a size then 'ftyp'
+    if (data[4] === 0x66 && data[5] === 0x74 && data[6] === 0x79 && data[7] === 0x70) {
+        return 'mp4';
+    }
+    if (data.every(i => i === 0x00 || i === 0xFF)) {
+        return 'padding';
+    }
+    return 'unknown';
+};
+
+/**
+ * @param {string|undefined} mime
+ * @returns {JpgTrailerItem['kind']}
+ */
+const kindFromMime = (mime) => {
+    if (mime === 'image/jpeg') {
+        return 'jpeg';
+    }
+    if (mime === 'video/mp4' || mime === 'video/quicktime') {
+        return 'mp4';
+    }
+    return 'unknown';
+};
+
+/**
+ * Reads the Container:Directory used by Google and newer Samsung motion photos.
+ * @param {import('./xmp').Xmp} decodedXmp
+ * @param {number} trailerLength
+ * @returns {JpgTrailerItem[]|null}
+ */
+const readContainerDirectory = (decodedXmp, trailerLength) => {
+    const directory = xmp.getXmpProperty(decodedXmp, xmp.NAMESPACES.Container, 'Directory');
+    if (!directory || !directory.items || directory.items.length < 1) {
+        return null;
+    }
+
+    /**
+     * @param {import('./xmp').XmpValue} entry
+     * @param {string} name
+     * @returns {string|undefined}
+     */
+    const getItemField = (entry, name) => {
+        const item = entry.fields && entry.fields.find(i => i.namespace === xmp.NAMESPACES.Container && i.name === 'Item');
+        const fields = item && item.value.fields;
+        const field = fields && fields.find(i => i.namespace === xmp.NAMESPACES.Item && i.name === name);
+        return field ? field.value.value : undefined;
+    };
+
+    // The first item is the primary image, then the rest are concatenated after it
+    let ptr = Number(getItemField(directory.items[0], 'Padding') || 0);
+
+    /** @type {JpgTrailerItem[]} */
+    const result = [];
+    for (const entry of directory.items.slice(1)) {
+        const length = Number(getItemField(entry, 'Length'));
+        if (!Number.isInteger(length) || length < 0) {
+            return null;
+        }
+
+        const mime = getItemField(entry, 'Mime');
+        /** @type {JpgTrailerItem} */
+        const item = {
+            kind: kindFromMime(mime),
+            offset: ptr,
+            length
+        };
+        if (mime !== undefined) {
+            item.mime = mime;
+        }
+        const semantic = getItemField(entry, 'Semantic');
+        if (semantic !== undefined) {
+            item.semantic = semantic;
+        }
+        result.push(item);
+
+        ptr += length + Number(getItemField(entry, 'Padding') || 0);
+    }
+
+    if (ptr > trailerLength) {
+        return null;
+    }
+    return result;
+};
+
+/**
+ * Identifies what's in the trailer using XMP hints when available, otherwise by looking
+ * at the data itself.
+ * @param {Jpg} jpg
+ * @returns {JpgTrailerItem[]} Empty if there is no trailer.
+ */
+const detectTrailer = (jpg) => {
+    const trailer = jpg.trailer || new Uint8Array();
+    if (trailer.byteLength === 0) {
+        return [];
+    }
+
+    let decodedXmp = null;
+    try {
+        decodedXmp = getJpgXmp(jpg);
+    } catch (e) {
+        // Invalid XMP just means no hints
+    }
+
+    if (decodedXmp) {
+        const directory = readContainerDirectory(decodedXmp, trailer.byteLength);
+        if (directory) {
+            return directory;
+        }
+
+        // Older Google motion photos give the offset of the video from the end of the file
+        const microVideoOffset = xmp.getXmpProperty(decodedXmp, xmp.NAMESPACES.GCamera, 'MicroVideoOffset');
+        const offsetFromEnd = microVideoOffset ? Number(microVideoOffset.value) : NaN;
+        if (Number.isInteger(offsetFromEnd) && offsetFromEnd > 0 && offsetFromEnd <= trailer.byteLength) {
+            return [
+                {
+                    kind: 'mp4',
+                    offset: trailer.byteLength - offsetFromEnd,
+                    length: offsetFromEnd,
+                    semantic: 'MotionPhoto'
+                }
+            ];
+        }
+    }
+
+    // Older Samsung motion photos put a marker before the video, and their own SEF
+    // structure after it, which ends with its size and 'SEFT'.
+    const samsungIndex = indexOfBytes(trailer, SAMSUNG_MOTION_PHOTO_MARKER);
+    if (samsungIndex !== -1) {
+        const offset = samsungIndex + SAMSUNG_MOTION_PHOTO_MARKER.byteLength;
+        let end = trailer.byteLength;
+        const view = new DataView(trailer.buffer, trailer.byteOffset, trailer.byteLength);
+        if (trailer.byteLength >= 8 && utils.decoder.decode(trailer.subarray(-4)) === 'SEFT') {
+            const sefStart = trailer.byteLength - 8 - view.getUint32(trailer.byteLength - 8, true);
+            if (sefStart >= offset) {
+                end = sefStart;
+            }
+        }
+        return [
+            {
+                kind: 'mp4',
+                offset,
+                length: end - offset,
+                semantic: 'MotionPhoto'
+            }
+        ];
+    }
+
+    return [
+        {
+            kind: sniffTrailerKind(trailer),
+            offset: 0,
+            length: trailer.byteLength
+        }
+    ];
+};
+
+// MP Index IFD tags
+const MP_NUMBER_OF_IMAGES = 0xB001;
+const MP_ENTRY = 0xB002;
+const MP_ENTRY_SIZE = 16;
+
+/** @type {Record<number, MpfImageType>} */
+const MPF_TYPE_CODES = {
+    0x030000: 'primary',
+    0x010001: 'largeThumbnail',
+    0x010002: 'largeThumbnail',
+    0x020001: 'panorama',
+    0x020002: 'disparity',
+    0x020003: 'multiAngle',
+    0x000000: 'undefined'
+};
+
+/**
+ * @param {JpgSegment} segment
+ * @returns {number} Size of the segment in an encoded file.
+ */
+const getEncodedSegmentSize = (segment) => (segment.fillBytes || 0) + 2 + segment.data.byteLength;
+
+/**
+ * @typedef MpEntry
+ * @property {number} attributes
+ * @property {number} size
+ * @property {number} offset Relative to the MP header, or 0 for the primary image.
+ * @property {number} dependent1
+ * @property {number} dependent2
+ */
+
+/**
+ * @typedef DecodedMpf
+ * @property {JpgSegment} segment
+ * @property {number} headerOffset Offset of the MP header (TIFF structure) from the start of the file.
+ * @property {number} segmentsSize Size of all segments, ie. where the trailer starts.
+ * @property {import('./tiff').Tiff} tiff
+ * @property {MpEntry[]} entries
+ */
+
+/**
+ * @param {Jpg} jpg
+ * @returns {DecodedMpf|null}
+ */
+const decodeMpf = (jpg) => {
+    const segment = findSegment(jpg, 'MPF');
+    if (!segment) {
+        return null;
+    }
+
+    let headerOffset = 0;
+    let segmentsSize = 0;
+    for (const i of jpg.segments) {
+        if (i === segment) {
+            headerOffset = segmentsSize + (segment.fillBytes || 0) + 2 + 2 + MPF_SIGNATURE.byteLength;
+        }
+        segmentsSize += getEncodedSegmentSize(i);
+    }
+
+    const decodedTiff = tiff.decodeTiff(segment.data.subarray(2 + MPF_SIGNATURE.byteLength));
+    const indexIfd = decodedTiff.ifds[0];
+    const entry = indexIfd && indexIfd.entries.find(i => i.tag === MP_ENTRY);
+    if (!entry || !(entry.value instanceof Uint8Array) || entry.value.byteLength % MP_ENTRY_SIZE !== 0) {
+        throw new Error('MPF is missing a valid MP Entry');
+    }
+
+    const view = new DataView(entry.value.buffer, entry.value.byteOffset, entry.value.byteLength);
+    /** @type {MpEntry[]} */
+    const entries = [];
+    for (let ptr = 0; ptr < entry.value.byteLength; ptr += MP_ENTRY_SIZE) {
+        entries.push({
+            attributes: view.getUint32(ptr, decodedTiff.littleEndian),
+            size: view.getUint32(ptr + 4, decodedTiff.littleEndian),
+            offset: view.getUint32(ptr + 8, decodedTiff.littleEndian),
+            dependent1: view.getUint16(ptr + 12, decodedTiff.littleEndian),
+            dependent2: view.getUint16(ptr + 14, decodedTiff.littleEndian)
+        });
+    }
+
+    return {
+        segment,
+        headerOffset,
+        segmentsSize,
+        tiff: decodedTiff,
+        entries
+    };
+};
+
+/**
+ * Finds where each secondary image starts in the trailer. MPF offsets are relative to the
+ * MPF segment, so they are wrong if segments before it changed size since the file was
+ * written. In that case, if aligning the first image with the start of a JPG in the trailer
+ * makes all of them line up, use that instead.
+ * @param {Jpg} jpg
+ * @param {DecodedMpf} mpf
+ * @returns {number[]} Offset in the trailer of each entry, or -1 for the primary image.
+ */
+const locateMpfImages = (jpg, mpf) => {
+    const trailer = jpg.trailer || new Uint8Array();
+
+    /**
+     * @param {number} shift
+     * @returns {number[]|null}
+     */
+    const tryShift = (shift) => {
+        const result = [];
+        for (let i = 0; i < mpf.entries.length; i++) {
+            if (i === 0) {
+                result.push(-1);
+                continue;
+            }
+            const entry = mpf.entries[i];
+            const trailerOffset = mpf.headerOffset + entry.offset - mpf.segmentsSize + shift;
+            if (
+                trailerOffset < 0 ||
+                trailerOffset + entry.size > trailer.byteLength ||
+                trailer[trailerOffset] !== 0xFF ||
+                trailer[trailerOffset + 1] !== 0xD8
+            ) {
+                return null;
+            }
+            result.push(trailerOffset);
+        }
+        return result;
+    };
+
+    const unshifted = tryShift(0);
+    if (unshifted) {
+        return unshifted;
+    }
+
+    if (mpf.entries.length > 1) {
+        const expected = mpf.headerOffset + mpf.entries[1].offset - mpf.segmentsSize;
+        for (let i = 0; i < trailer.byteLength - 1; i++) {
+            if (trailer[i] === 0xFF && trailer[i + 1] === 0xD8) {
+                const shifted = tryShift(i - expected);
+                if (shifted) {
+                    return shifted;
+                }
+            }
+        }
+    }
+
+    throw new Error('MPF images could not be found in the trailer');
+};
+
+/**
+ * @param {Uint8Array} data A JPG.
+ * @returns {boolean}
+ */
+const isGainMap = (data) => {
+    let decoded;
+    try {
+        decoded = decodeJpg(data);
+    } catch (e) {
+        return false;
+    }
+
+    if (decoded.segments.some(i => i.type === 0xE2 && hasSignature(i, ISO_GAIN_MAP_SIGNATURE))) {
+        return true;
+    }
+
+    let decodedXmp = null;
+    try {
+        decodedXmp = getJpgXmp(decoded);
+    } catch (e) {
+        return false;
+    }
+    if (!decodedXmp) {
+        return false;
+    }
+
+    // Android Ultra HDR and Adobe use hdrgm. Apple uses its own auxiliary image type.
+    if (decodedXmp.properties.some(i => i.namespace === xmp.NAMESPACES.hdrgm)) {
+        return true;
+    }
+    const auxiliaryType = xmp.getXmpProperty(decodedXmp, xmp.NAMESPACES.apdi, 'AuxiliaryImageType');
+    return !!auxiliaryType && auxiliaryType.value === 'urn:com:apple:photo:2020:aux:hdrgainmap';
+};
+
+/**
+ * Lists the images described by the APP2 MPF segment, including the primary image.
+ * @param {Jpg} jpg
+ * @returns {MpfImage[]} Empty if there is no MPF segment.
+ */
+const getJpgMpfImages = (jpg) => {
+    const mpf = decodeMpf(jpg);
+    if (!mpf) {
+        return [];
+    }
+
+    const trailerOffsets = locateMpfImages(jpg, mpf);
+    const trailer = jpg.trailer || new Uint8Array();
+
+    return mpf.entries.map((entry, index) => {
+        const typeCode = entry.attributes & 0xFFFFFF;
+        let type = utils.hasOwn(MPF_TYPE_CODES, typeCode) ? MPF_TYPE_CODES[typeCode] : 'undefined';
+
+        const offset = index === 0 ? 0 : mpf.segmentsSize + trailerOffsets[index];
+        const length = index === 0 ? mpf.segmentsSize : entry.size;
+
+        // Gain maps don't have their own type code
+        if (type === 'undefined' && index !== 0) {
+            const trailerOffset = trailerOffsets[index];
+            if (isGainMap(trailer.subarray(trailerOffset, trailerOffset + length))) {
+                type = 'gainMap';
+            }
+        }
+
+        return {
+            index,
+            type,
+            attributes: entry.attributes,
+            offset,
+            length
+        };
+    });
+};
+
+/**
+ * @param {Jpg} jpg
+ * @param {number} index From getJpgMpfImages.
+ * @returns {Jpg} A new Jpg that doesn't share memory with the original.
+ */
+const extractJpgMpfImage = (jpg, index) => {
+    const image = getJpgMpfImages(jpg).find(i => i.index === index);
+    if (!image) {
+        throw new Error(`MPF image ${index} does not exist`);
+    }
+    const data = encodeJpg(jpg).slice(image.offset, image.offset + image.length);
+    return decodeJpg(data);
+};
+
+/**
+ * @param {Jpg} jpg Modified in-place.
+ * @param {DecodedMpf} mpf
+ * @param {MpEntry[]} entries
+ * @param {number[]} trailerOffsets Where each entry will be in the trailer, ignored for the primary image.
+ */
+const writeMpf = (jpg, mpf, entries, trailerOffsets) => {
+    const indexIfd = mpf.tiff.ifds[0];
+
+    const encode = () => {
+        const entryData = new Uint8Array(entries.length * MP_ENTRY_SIZE);
+        const view = new DataView(entryData.buffer);
+        entries.forEach((entry, i) => {
+            const ptr = i * MP_ENTRY_SIZE;
+            view.setUint32(ptr, entry.attributes, mpf.tiff.littleEndian);
+            view.setUint32(ptr + 4, entry.size, mpf.tiff.littleEndian);
+            view.setUint32(ptr + 8, entry.offset, mpf.tiff.littleEndian);
+            view.setUint16(ptr + 12, entry.dependent1, mpf.tiff.littleEndian);
+            view.setUint16(ptr + 14, entry.dependent2, mpf.tiff.littleEndian);
+        });
+
+        indexIfd.entries = indexIfd.entries.map(i => {
+            if (i.tag === MP_ENTRY) {
+                return {
+                    ...i,
+                    value: entryData
+                };
+            }
+            if (i.tag === MP_NUMBER_OF_IMAGES) {
+                return {
+                    ...i,
+                    value: new Uint32Array([entries.length])
+                };
+            }
+            return i;
+        });
+
+        mpf.segment.data = createAppSegment(0xE2, [MPF_SIGNATURE, tiff.encodeTiff(mpf.tiff)]).data;
+    };
+
+    // Offsets are all fixed size, so the segment is the same size once they are known
+    encode();
+
+    let headerOffset = 0;
+    let segmentsSize = 0;
+    for (const segment of jpg.segments) {
+        if (segment === mpf.segment) {
+            headerOffset = segmentsSize + (segment.fillBytes || 0) + 2 + 2 + MPF_SIGNATURE.byteLength;
+        }
+        segmentsSize += getEncodedSegmentSize(segment);
+    }
+
+    entries.forEach((entry, i) => {
+        if (i === 0) {
+            entry.size = segmentsSize;
+            entry.offset = 0;
+        } else {
+            entry.offset = segmentsSize + trailerOffsets[i] - headerOffset;
+        }
+    });
+    encode();
+};
+
+/**
+ * Rewrites the offsets in MPF to match where the images currently are. This is needed
+ * after changing the size of segments before the trailer, eg. with setJpgExif.
+ * @param {Jpg} jpg Modified in-place.
+ * @returns {void}
+ */
+const updateJpgMpfOffsets = (jpg) => {
+    const mpf = decodeMpf(jpg);
+    if (!mpf) {
+        return;
+    }
+    writeMpf(jpg, mpf, mpf.entries, locateMpfImages(jpg, mpf));
+};
+
+/**
+ * Removes secondary images from the trailer and from MPF. If no secondary images remain,
+ * the MPF segment is removed too.
+ * @param {Jpg} jpg Modified in-place.
+ * @param {number[]} indexes From getJpgMpfImages. The primary image can't be removed.
+ * @returns {void}
+ */
+const removeJpgMpfImages = (jpg, indexes) => {
+    const mpf = decodeMpf(jpg);
+    if (!mpf) {
+        return;
+    }
+    if (indexes.includes(0)) {
+        throw new Error('Can not remove the primary MPF image');
+    }
+
+    const trailer = jpg.trailer || new Uint8Array();
+    const trailerOffsets = locateMpfImages(jpg, mpf);
+
+    // Remove the images' bytes from the trailer, keeping anything else
+    const removedRanges = indexes
+        .filter(i => i > 0 && i < mpf.entries.length)
+        .map(i => [trailerOffsets[i], trailerOffsets[i] + mpf.entries[i].size])
+        .sort((a, b) => a[0] - b[0]);
+
+    /**
+     * @param {number} trailerOffset
+     * @returns {number} Number of removed bytes before this offset.
+     */
+    const removedBefore = (trailerOffset) => removedRanges
+        .filter(([, end]) => end <= trailerOffset)
+        .reduce((total, [start, end]) => total + end - start, 0);
+
+    const keptParts = [];
+    let ptr = 0;
+    for (const [start, end] of removedRanges) {
+        keptParts.push(trailer.subarray(ptr, start));
+        ptr = Math.max(ptr, end);
+    }
+    keptParts.push(trailer.subarray(ptr));
+    const newTrailer = new Uint8Array(keptParts.reduce((total, i) => total + i.byteLength, 0));
+    ptr = 0;
+    for (const part of keptParts) {
+        newTrailer.set(part, ptr);
+        ptr += part.byteLength;
+    }
+    jpg.trailer = newTrailer;
+
+    // Dependent image entry numbers are 1-based, or 0 for none
+    /** @type {number[]} */
+    const keptIndexes = mpf.entries.map((_, i) => i).filter(i => !indexes.includes(i));
+    /**
+     * @param {number} entryNumber
+     * @returns {number}
+     */
+    const renumber = (entryNumber) => entryNumber === 0 ? 0 : keptIndexes.indexOf(entryNumber - 1) + 1;
+
+    const newEntries = keptIndexes.map(i => ({
+        ...mpf.entries[i],
+        dependent1: renumber(mpf.entries[i].dependent1),
+        dependent2: renumber(mpf.entries[i].dependent2)
+    }));
+    const newTrailerOffsets = keptIndexes.map(i => i === 0 ? -1 : trailerOffsets[i] - removedBefore(trailerOffsets[i]));
+
+    if (newEntries.length <= 1) {
+        jpg.segments = jpg.segments.filter(i => i !== mpf.segment);
+        return;
+    }
+
+    writeMpf(jpg, mpf, newEntries, newTrailerOffsets);
+};
+
 module.exports = {
     isJpg,
     decodeJpg,
     encodeJpg,
+    identifySegment,
     getJpgExif,
-    setJpgExif
+    setJpgExif,
+    updateJpgExif,
+    getJpgXmp,
+    setJpgXmp,
+    getJpgIptc,
+    setJpgIptc,
+    updateJpgIptc,
+    getJpgIccProfile,
+    setJpgIccProfile,
+    detectTrailer,
+    getJpgMpfImages,
+    extractJpgMpfImage,
+    updateJpgMpfOffsets,
+    removeJpgMpfImages
 };
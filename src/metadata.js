@@ -0,0 +1,734 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+const utils = require('./utils');
+const gif = require('./gif');
+const heif = require('./heif');
+const jpg = require('./jpg');
+const png = require('./png');
+const webp = require('./webp');
+const xmp = require('./xmp');
+
+// Reference materials:
+// https://web.archive.org/web/20180919181934/http://www.metadataworkinggroup.org/pdf/mwg_guidance.pdf
+// https://www.w3.org/TR/png-3/#11keywords
+
+/**
+ * Values are taken from whichever source the format supports, preferring XMP, then EXIF,
+ * then IPTC or PNG text chunks.
+ * Dates are ISO 8601 strings such as '2024-01-02T03:04:05', with an offset if one is known.
+ * @typedef Metadata
+ * @property {'jpg'|'png'|'webp'|'gif'|'heif'} format
+ * @property {string|null} title
+ * @property {string|null} description
+ * @property {string|null} author
+ * @property {string|null} copyright
+ * @property {string|null} created
+ * @property {string|null} modified
+ * @property {string[]} comments JPG comment segments, PNG Comment text chunks, or GIF comment extensions. Always empty for WebP and HEIF.
+ * @property {import('./exif').Exif} exif
+ * @property {import('./xmp').Xmp|null} xmp
+ * @property {Uint8Array|null} icc
+ */
+
+/**
+ * Properties that are missing or undefined are left unchanged. null removes them.
+ * Normalized properties are written to every place that read() looks for them, except
+ * IPTC which is only updated if the file already has it.
+ * @typedef MetadataChanges
+ * @property {string|null} [title]
+ * @property {string|null} [description]
+ * @property {string|null} [author]
+ * @property {string|null} [copyright]
+ * @property {string|null} [created]
+ * @property {string|null} [modified]
+ * @property {string[]|null} [comments] WebP and HEIF can't store comments.
+ * @property {import('./exif').Exif} [exif] Applied like updateExif, so unmentioned tags are kept. GIF can't store EXIF.
+ * @property {import('./xmp').Xmp|null} [xmp] Replaces all XMP. Normalized properties are applied on top.
+ * @property {Uint8Array|null} [icc] Not supported for GIF or HEIF.
+ */
+
+/**
+ * @typedef {'title'|'description'|'author'|'copyright'} TextField
+ */
+
+/**
+ * @typedef TextFieldMapping
+ * @property {string} xmpNamespace
+ * @property {string} xmpName
+ * @property {'alt'|'seq'} xmpType Language alternative or ordered list.
+ * @property {string|null} exifName
+ * @property {string} iptcName
+ * @property {string} pngKeyword
+ */
+
+/** @type {Record<TextField, TextFieldMapping>} */
+const TEXT_FIELDS = {
+    title: {
+        xmpNamespace: xmp.NAMESPACES.dc,
+        xmpName: 'title',
+        xmpType: 'alt',
+        exifName: null,
+        iptcName: 'ObjectName',
+        pngKeyword: 'Title'
+    },
+    description: {
+        xmpNamespace: xmp.NAMESPACES.dc,
+        xmpName: 'description',
+        xmpType: 'alt',
+        exifName: 'ImageDescription',
+        iptcName: 'Caption-Abstract',
+        pngKeyword: 'Description'
+    },
+    author: {
+        xmpNamespace: xmp.NAMESPACES.dc,
+        xmpName: 'creator',
+        xmpType: 'seq',
+        exifName: 'Artist',
+        iptcName: 'By-line',
+        pngKeyword: 'Author'
+    },
+    copyright: {
+        xmpNamespace: xmp.NAMESPACES.dc,
+        xmpName: 'rights',
+        xmpType: 'alt',
+        exifName: 'Copyright',
+        iptcName: 'CopyrightNotice',
+        pngKeyword: 'Copyright'
+    }
+};
+
+/**
+ * @typedef {'created'|'modified'} DateField
+ */
+
+/**
+ * @typedef DateFieldMapping
+ * @property {string} xmpName In the xmp namespace.
+ * @property {string} exifName
+ * @property {string} exifOffsetName
+ */
+
+/** @type {Record<DateField, DateFieldMapping>} */
+const DATE_FIELDS = {
+    created: {
+        xmpName: 'CreateDate',
+        exifName: 'DateTimeOriginal',
+        exifOffsetName: 'OffsetTimeOriginal'
+    },
+    modified: {
+        xmpName: 'ModifyDate',
+        exifName: 'DateTime',
+        exifOffsetName: 'OffsetTime'
+    }
+};
+
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const PNG_CREATION_TIME_KEYWORD = 'Creation Time';
+const PNG_COMMENT_KEYWORD = 'Comment';
+const JPG_COMMENT = 0xFE;
+
+/**
+ * @param {Uint8Array} data
+ * @returns {'jpg'|'png'|'webp'|'gif'|'heif'}
+ */
+const detectFormat = (data) => {
+    if (png.isPng(data)) {
+        return 'png';
+    }
+    if (webp.isWebp(data)) {
+        return 'webp';
+    }
+    if (gif.isGif(data)) {
+        return 'gif';
+    }
+    if (heif.isHeif(data)) {
+        return 'heif';
+    }
+    if (data.byteLength >= 2 && jpg.isJpg(data)) {
+        return 'jpg';
+    }
+    throw new Error('Unknown image format');
+};
+
+/**
+ * @param {import('./xmp').XmpValue|null} value
+ * @returns {string|null} The text, the x-default item of a language alternative, or the first item of an array.
+ */
+const readXmpText = (value) => {
+    if (!value) {
+        return null;
+    }
+    if (value.type === 'text') {
+        return value.value;
+    }
+    if (value.type === 'alt' || value.type === 'seq' || value.type === 'bag') {
+        const items = value.items || [];
+        const item = (
+            items.find(i => (i.qualifiers || []).some(q => q.name === 'lang' && q.value.value === 'x-default')) ||
+            items[0]
+        );
+        return item ? readXmpText(item) : null;
+    }
+    return null;
+};
+
+/**
+ * @param {import('./xmp').XmpValue|null} existing
+ * @param {string} text
+ * @returns {import('./xmp').XmpValue} Language alternative with text as the default, keeping other languages.
+ */
+const createXmpLanguageAlternative = (existing, text) => {
+    const otherItems = existing && existing.type === 'alt' ? (existing.items || []).filter(i => (
+        !(i.qualifiers || []).some(q => q.name === 'lang' && q.value.value === 'x-default')
+    )) : [];
+    return {
+        type: 'alt',
+        items: [
+            {
+                type: 'text',
+                value: text,
+                qualifiers: [
+                    {
+                        namespace: xmp.NAMESPACES.xml,
+                        name: 'lang',
+                        value: {
+                            type: 'text',
+                            value: 'x-default'
+                        }
+                    }
+                ]
+            },
+            ...otherItems
+        ]
+    };
+};
+
+/**
+ * @param {unknown} value
+ * @returns {string|null}
+ */
+const firstString = (value) => {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (Array.isArray(value) && typeof value[0] === 'string') {
+        return value[0];
+    }
+    return null;
+};
+
+/**
+ * @param {unknown} date EXIF date, eg. '2024:01:02 03:04:05'
+ * @param {unknown} offset EXIF offset, eg. '+09:00'
+ * @returns {string|null}
+ */
+const fromExifDate = (date, offset) => {
+    if (typeof date !== 'string') {
+        return null;
+    }
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(date.trim());
+    if (!match) {
+        return null;
+    }
+    const validOffset = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '';
+    return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${validOffset}`;
+};
+
+/**
+ * @param {string} date ISO 8601
+ * @returns {{date: string, offset: string|null}} EXIF date and offset.
+ */
+const toExifDate = (date) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.exec(date);
+    if (!match) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+    let offset = match[7] || null;
+    if (offset === 'Z') {
+        offset = '+00:00';
+    }
+    return {
+        date: `${match[1]}:${match[2]}:${match[3]} ${match[4]}:${match[5]}:${match[6]}`,
+        offset
+    };
+};
+
+/**
+ * @param {Date} date
+ * @returns {string}
+ */
+const fromUtcDate = (date) => date.toISOString().replace(/\.\d+Z$/, 'Z');
+
+/**
+ * @param {import('./png').Png} decodedPng
+ * @param {string} keyword
+ * @returns {string[]} Every text chunk with this keyword, in order.
+ */
+const readPngTexts = (decodedPng, keyword) => decodedPng.chunks
+    .filter(i => i.type === 'tEXt' || i.type === 'zTXt' || i.type === 'iTXt')
+    .map(i => png.decodeTextChunk(i))
+    .filter(i => i.keyword === keyword)
+    .map(i => i.text);
+
+/**
+ * @param {import('./png').Png} decodedPng Modified in-place.
+ * @param {string} keyword
+ */
+const removePngTexts = (decodedPng, keyword) => {
+    decodedPng.chunks = decodedPng.chunks.filter(i => (
+        (i.type !== 'tEXt' && i.type !== 'zTXt' && i.type !== 'iTXt') ||
+        png.decodeTextChunk(i).keyword !== keyword
+    ));
+};
+
+/**
+ * @param {import('./jpg').Jpg} decodedJpg
+ * @returns {string[]}
+ */
+const readJpgComments = (decodedJpg) => decodedJpg.segments
+    .filter(i => i.type === JPG_COMMENT)
+    .map(i => utils.decoder.decode(i.data.subarray(2)));
+
+/**
+ * @param {import('./jpg').Jpg} decodedJpg Modified in-place.
+ * @param {string[]} comments
+ */
+const writeJpgComments = (decodedJpg, comments) => {
+    /** @type {import('./jpg').JpgSegment[]} */
+    const newSegments = comments.map(comment => {
+        const text = utils.encoder.encode(comment);
+        if (text.byteLength + 2 > 0xFFFF) {
+            throw new Error('Comment is too large');
+        }
+        const data = new Uint8Array(text.byteLength + 2);
+        new DataView(data.buffer).setUint16(0, data.byteLength, false);
+        data.set(text, 2);
+        return {
+            type: JPG_COMMENT,
+            data
+        };
+    });
+
+    decodedJpg.segments = decodedJpg.segments.filter(i => i.type !== JPG_COMMENT);
+
+    // After SOI and all APPn segments
+    let index = 1;
+    while (index < decodedJpg.segments.length && decodedJpg.segments[index].type >= 0xE0 && decodedJpg.segments[index].type <= 0xEF) {
+        index++;
+    }
+    decodedJpg.segments.splice(index, 0, ...newSegments);
+};
+
+/**
+ * @param {Uint8Array} data JPG, PNG, WebP, GIF, or HEIF.
+ * @returns {Metadata}
+ */
+const read = (data) => {
+    const format = detectFormat(data);
+
+    /** @type {import('./exif').Exif} */
+    let decodedExif;
+    /** @type {import('./xmp').Xmp|null} */
+    let decodedXmp;
+    /** @type {Uint8Array|null} */
+    let icc;
+    /** @type {string[]} */
+    let comments;
+    /** @type {(field: TextField) => string|null} */
+    let readFallbackText;
+    /** @type {(field: DateField) => string|null} */
+    let readFallbackDate;
+
+    if (format === 'jpg') {
+        const decodedJpg = jpg.decodeJpg(data);
+        decodedExif = jpg.getJpgExif(decodedJpg);
+        decodedXmp = jpg.getJpgXmp(decodedJpg);
+        icc = jpg.getJpgIccProfile(decodedJpg);
+        comments = readJpgComments(decodedJpg);
+        const decodedIptc = jpg.getJpgIptc(decodedJpg);
+        readFallbackText = (field) => firstString(decodedIptc[TEXT_FIELDS[field].iptcName]);
+        readFallbackDate = () => null;
+    } else if (format === 'webp') {
+        const decodedWebp = webp.decodeWebp(data);
+        decodedExif = webp.getWebpExif(decodedWebp);
+        decodedXmp = webp.getWebpXmp(decodedWebp);
+        icc = webp.getWebpIccProfile(decodedWebp);
+        comments = [];
+        readFallbackText = () => null;
+        readFallbackDate = () => null;
+    } else if (format === 'heif') {
+        const decodedHeif = heif.decodeHeif(data);
+        decodedExif = heif.getHeifExif(decodedHeif);
+        decodedXmp = heif.getHeifXmp(decodedHeif);
+        icc = heif.getHeifIccProfile(decodedHeif);
+        comments = [];
+        readFallbackText = () => null;
+        readFallbackDate = () => null;
+    } else if (format === 'gif') {
+        const decodedGif = gif.decodeGif(data);
+        decodedExif = {};
+        decodedXmp = gif.getGifXmp(decodedGif);
+        icc = null;
+        comments = gif.getGifComments(decodedGif);
+        readFallbackText = () => null;
+        readFallbackDate = () => null;
+    } else {
+        const decodedPng = png.decodePng(data);
+        decodedExif = png.getPngExif(decodedPng);
+        decodedXmp = png.getPngXmp(decodedPng);
+        icc = png.getPngIccProfile(decodedPng);
+        comments = readPngTexts(decodedPng, PNG_COMMENT_KEYWORD);
+        readFallbackText = (field) => png.getText(decodedPng, TEXT_FIELDS[field].pngKeyword);
+        readFallbackDate = (field) => {
+            if (field === 'created') {
+                return png.getText(decodedPng, PNG_CREATION_TIME_KEYWORD);
+            }
+            const modificationTime = png.getModificationTime(decodedPng);
+            return modificationTime ? fromUtcDate(modificationTime) : null;
+        };
+    }
+
+    /**
+     * @param {TextField} field
+     * @returns {string|null}
+     */
+    const readText = (field) => {
+        const mapping = TEXT_FIELDS[field];
+        return (
+            (decodedXmp && readXmpText(xmp.getXmpProperty(decodedXmp, mapping.xmpNamespace, mapping.xmpName))) ||
+            (mapping.exifName && firstString(decodedExif[mapping.exifName])) ||
+            readFallbackText(field) ||
+            null
+        );
+    };
+
+    /**
+     * @param {DateField} field
+     * @returns {string|null}
+     */
+    const readDate = (field) => {
+        const mapping = DATE_FIELDS[field];
+        return (
+            (decodedXmp && readXmpText(xmp.getXmpProperty(decodedXmp, xmp.NAMESPACES.xmp, mapping.xmpName))) ||
+            fromExifDate(decodedExif[mapping.exifName], decodedExif[mapping.exifOffsetName]) ||
+            readFallbackDate(field) ||
+            null
+        );
+    };
+
+    return {
+        format,
+        title: readText('title'),
+        description: readText('description'),
+        author: readText('author'),
+        copyright: readText('copyright'),
+        created: readDate('created'),
+        modified: readDate('modified'),
+        comments,
+        exif: decodedExif,
+        xmp: decodedXmp,
+        icc
+    };
+};
+
+/**
+ * @param {Uint8Array} data JPG, PNG, WebP, GIF, or HEIF.
+ * @param {MetadataChanges} changes
+ * @returns {Uint8Array} New file.
+ */
+const write = (data, changes) => {
+    const format = detectFormat(data);
+
+    /**
+     * @param {keyof MetadataChanges} name
+     * @returns {boolean}
+     */
+    const has = (name) => utils.hasOwn(changes, name) && changes[name] !== undefined;
+
+    const textFields = /** @type {TextField[]} */ (Object.keys(TEXT_FIELDS)).filter(has);
+    const dateFields = /** @type {DateField[]} */ (Object.keys(DATE_FIELDS)).filter(has);
+
+    /** @type {import('./exif').Exif} */
+    const exifChanges = {
+        ...(changes.exif || {})
+    };
+    for (const field of textFields) {
+        const exifName = TEXT_FIELDS[field].exifName;
+        if (exifName) {
+            exifChanges[exifName] = changes[field];
+        }
+    }
+    for (const field of dateFields) {
+        const mapping = DATE_FIELDS[field];
+        const value = changes[field];
+        const exifDate = value === null ? null : toExifDate(value);
+        exifChanges[mapping.exifName] = exifDate ? exifDate.date : null;
+        exifChanges[mapping.exifOffsetName] = exifDate ? exifDate.offset : null;
+    }
+
+    /**
+     * Removing tags that aren't there shouldn't add EXIF to a file just to remove them from it.
+     * @param {import('./exif').Exif} existing
+     * @returns {import('./exif').Exif}
+     */
+    const getExifChanges = (existing) => {
+        /** @type {import('./exif').Exif} */
+        const result = {};
+        for (const [name, value] of Object.entries(exifChanges)) {
+            if ((value !== null && value !== undefined) || utils.hasOwn(existing, name)) {
+                result[name] = value;
+            }
+        }
+        return result;
+    };
+
+    /**
+     * @param {import('./xmp').Xmp|null} existing
+     * @returns {import('./xmp').Xmp|null} null if XMP should be removed.
+     */
+    const applyXmpChanges = (existing) => {
+        /** @type {import('./xmp').Xmp|null} */
+        let newXmp = has('xmp') ? changes.xmp : existing;
+        if (textFields.length === 0 && dateFields.length === 0) {
+            return newXmp;
+        }
+
+        // Like EXIF, only create XMP if something is being set
+        const settingAny = [...textFields, ...dateFields].some(i => changes[i] !== null);
+        if (!newXmp && !settingAny) {
+            return newXmp;
+        }
+        if (!newXmp) {
+            newXmp = {
+                properties: [],
+                prefixes: {}
+            };
+        }
+        for (const field of textFields) {
+            const mapping = TEXT_FIELDS[field];
+            const value = changes[field];
+            if (value === null) {
+                xmp.removeXmpProperty(newXmp, mapping.xmpNamespace, mapping.xmpName);
+            } else if (mapping.xmpType === 'alt') {
+                const existingValue = xmp.getXmpProperty(newXmp, mapping.xmpNamespace, mapping.xmpName);
+                xmp.setXmpProperty(newXmp, mapping.xmpNamespace, mapping.xmpName, createXmpLanguageAlternative(existingValue, value));
+            } else {
+                xmp.setXmpProperty(newXmp, mapping.xmpNamespace, mapping.xmpName, {
+                    type: 'seq',
+                    items: [
+                        {
+                            type: 'text',
+                            value
+                        }
+                    ]
+                });
+            }
+        }
+        for (const field of dateFields) {
+            const value = changes[field];
+            if (value === null) {
+                xmp.removeXmpProperty(newXmp, xmp.NAMESPACES.xmp, DATE_FIELDS[field].xmpName);
+            } else {
+                xmp.setXmpProperty(newXmp, xmp.NAMESPACES.xmp, DATE_FIELDS[field].xmpName, value);
+            }
+        }
+        return newXmp;
+    };
+
+    if (format === 'jpg') {
+        const decodedJpg = jpg.decodeJpg(data);
+
+        const jpgExifChanges = getExifChanges(jpg.getJpgExif(decodedJpg));
+        if (Object.keys(jpgExifChanges).length > 0) {
+            jpg.updateJpgExif(decodedJpg, jpgExifChanges);
+        }
+
+        const newXmp = applyXmpChanges(jpg.getJpgXmp(decodedJpg));
+        if (newXmp) {
+            jpg.setJpgXmp(decodedJpg, newXmp);
+        } else {
+            decodedJpg.segments = decodedJpg.segments.filter(i => {
+                const identifier = jpg.identifySegment(i);
+                return identifier !== 'XMP' && identifier !== 'ExtendedXMP';
+            });
+        }
+
+        // Keep IPTC in sync if it's there, but don't add it to files that don't use it
+        if (textFields.length > 0 && Object.keys(jpg.getJpgIptc(decodedJpg)).length > 0) {
+            /** @type {import('./iptc').Iptc} */
+            const iptcChanges = {};
+            for (const field of textFields) {
+                const iptcName = TEXT_FIELDS[field].iptcName;
+                const value = changes[field];
+                iptcChanges[iptcName] = field === 'author' && value !== null ? [value] : value;
+            }
+            jpg.updateJpgIptc(decodedJpg, iptcChanges);
+        }
+
+        if (has('comments')) {
+            writeJpgComments(decodedJpg, changes.comments || []);
+        }
+
+        if (has('icc')) {
+            if (changes.icc) {
+                jpg.setJpgIccProfile(decodedJpg, changes.icc);
+            } else {
+                decodedJpg.segments = decodedJpg.segments.filter(i => jpg.identifySegment(i) !== 'ICC_PROFILE');
+            }
+        }
+
+        return jpg.encodeJpg(decodedJpg);
+    }
+
+    if (format === 'heif') {
+        if (changes.comments && changes.comments.length > 0) {
+            throw new Error('HEIF does not support comments');
+        }
+
+        const decodedHeif = heif.decodeHeif(data);
+
+        if (changes.icc || (changes.icc === null && heif.getHeifIccProfile(decodedHeif))) {
+            throw new Error('Writing HEIF ICC profiles is not supported');
+        }
+
+        const heifExifChanges = getExifChanges(heif.getHeifExif(decodedHeif));
+        if (Object.keys(heifExifChanges).length > 0) {
+            heif.updateHeifExif(decodedHeif, heifExifChanges);
+        }
+
+        // HEIF items can't be removed yet, so XMP can only be replaced
+        const newXmp = applyXmpChanges(heif.getHeifXmp(decodedHeif));
+        if (newXmp) {
+            heif.setHeifXmp(decodedHeif, newXmp);
+        } else if (heif.getHeifXmp(decodedHeif)) {
+            throw new Error('Removing HEIF XMP is not supported');
+        }
+
+        return heif.encodeHeif(decodedHeif);
+    }
+
+    if (format === 'gif') {
+        // Normalized properties are still written to XMP
+        if (changes.exif && Object.keys(changes.exif).length > 0) {
+            throw new Error('GIF does not support EXIF');
+        }
+        if (changes.icc) {
+            throw new Error('GIF does not support ICC profiles');
+        }
+
+        const decodedGif = gif.decodeGif(data);
+
+        const newXmp = applyXmpChanges(gif.getGifXmp(decodedGif));
+        if (newXmp) {
+            gif.setGifXmp(decodedGif, newXmp);
+        } else {
+            gif.removeGifXmp(decodedGif);
+        }
+
+        if (has('comments')) {
+            gif.setGifComments(decodedGif, changes.comments || []);
+        }
+
+        return gif.encodeGif(decodedGif);
+    }
+
+    if (format === 'webp') {
+        if (changes.comments && changes.comments.length > 0) {
+            throw new Error('WebP does not support comments');
+        }
+
+        const decodedWebp = webp.decodeWebp(data);
+
+        const webpExifChanges = getExifChanges(webp.getWebpExif(decodedWebp));
+        if (Object.keys(webpExifChanges).length > 0) {
+            webp.updateWebpExif(decodedWebp, webpExifChanges);
+        }
+
+        const newXmp = applyXmpChanges(webp.getWebpXmp(decodedWebp));
+        if (newXmp) {
+            webp.setWebpXmp(decodedWebp, newXmp);
+        } else {
+            webp.removeWebpChunk(decodedWebp, 'XMP ');
+        }
+
+        if (has('icc')) {
+            if (changes.icc) {
+                webp.setWebpIccProfile(decodedWebp, changes.icc);
+            } else {
+                webp.removeWebpChunk(decodedWebp, 'ICCP');
+            }
+        }
+
+        return webp.encodeWebp(decodedWebp);
+    }
+
+    const decodedPng = png.decodePng(data);
+
+    const pngExifChanges = getExifChanges(png.getPngExif(decodedPng));
+    if (Object.keys(pngExifChanges).length > 0) {
+        png.updatePngExif(decodedPng, pngExifChanges);
+    }
+
+    const newXmp = applyXmpChanges(png.getPngXmp(decodedPng));
+    if (newXmp) {
+        png.setPngXmp(decodedPng, newXmp);
+    } else {
+        removePngTexts(decodedPng, PNG_XMP_KEYWORD);
+    }
+
+    for (const field of textFields) {
+        const keyword = TEXT_FIELDS[field].pngKeyword;
+        const value = changes[field];
+        if (value === null) {
+            removePngTexts(decodedPng, keyword);
+        } else {
+            png.setText(decodedPng, keyword, value);
+        }
+    }
+
+    if (has('created')) {
+        if (changes.created === null) {
+            removePngTexts(decodedPng, PNG_CREATION_TIME_KEYWORD);
+        } else {
+            png.setText(decodedPng, PNG_CREATION_TIME_KEYWORD, changes.created);
+        }
+    }
+
+    // tIME is always UTC, so it can only be written if the offset is known
+    if (has('modified')) {
+        const exifDate = changes.modified === null ? null : toExifDate(changes.modified);
+        if (!exifDate) {
+            decodedPng.chunks = decodedPng.chunks.filter(i => i.type !== 'tIME');
+        } else if (exifDate.offset) {
+            png.setModificationTime(decodedPng, new Date(changes.modified));
+        }
+    }
+
+    if (has('comments')) {
+        removePngTexts(decodedPng, PNG_COMMENT_KEYWORD);
+        for (const comment of changes.comments || []) {
+            png.insertChunk(decodedPng, png.encodeTextChunk({
+                keyword: PNG_COMMENT_KEYWORD,
+                text: comment,
+                compressed: false
+            }));
+        }
+    }
+
+    if (has('icc')) {
+        if (changes.icc) {
+            png.setPngIccProfile(decodedPng, changes.icc);
+        } else {
+            decodedPng.chunks = decodedPng.chunks.filter(i => i.type !== 'iCCP');
+        }
+    }
+
+    return png.encodePng(decodedPng);
+};
+
+module.exports = {
+    read,
+    write
+};
@@ -3,6 +3,9 @@
 // file, You can obtain one at https://mozilla.org/MPL/2.0/.
 
 const utils = require('./utils');
+const zlib = require('./zlib');
+const exif = require('./exif');
+const xmp = require('./xmp');
 
 // Reference material:
 // https://en.wikipedia.org/wiki/PNG#File_format
@@ -11,6 +14,20 @@ const utils = require('./utils');
  * @typedef PngChunk
  * @property {string} type 4 character ASCII string indicating type.
  * @property {Uint8Array} data Data inside the chunk, not including length, type, or CRC.
+ * @property {boolean} [crcValid] Set by decodePng in lenient mode.
+ * @property {number} [crc] Original CRC, only set by decodePng when it was invalid.
+ */
+
+/**
+ * @typedef DecodePngOptions
+ * @property {'strict'|'lenient'} [crc] How to handle chunks whose CRC does not match.
+ * 'strict' throws an error. 'lenient' sets crcValid on every chunk. Defaults to 'lenient'.
+ */
+
+/**
+ * @typedef EncodePngOptions
+ * @property {boolean} [repairCrc] By default, chunks that were decoded with an invalid CRC
+ * keep that invalid CRC so the corruption isn't hidden. If true, a correct CRC is written instead.
  */
 
 /**
@@ -84,9 +101,15 @@ const isPng = (data) => {
 
 /**
  * @param {Uint8Array} data
+ * @param {DecodePngOptions} [options]
  * @returns {Png}
  */
-const decodePng = (data) => {
+const decodePng = (data, options = {}) => {
+    const crcMode = options.crc || 'lenient';
+    if (crcMode !== 'strict' && crcMode !== 'lenient') {
+        throw new Error(`Unknown CRC mode: ${crcMode}`);
+    }
+
     if (!isPng(data)) {
         throw new Error('Not a valid PNG');
     }
@@ -98,22 +121,38 @@ const decodePng = (data) => {
      * @returns {PngChunk}
      */
     const parseChunk = () => {
+        const chunkStart = ptr;
+
         const length = view.getUint32(ptr, false);
         ptr += 4;
 
         const type = utils.decoder.decode(data.subarray(ptr, ptr + 4));
+        const typeAndData = data.subarray(ptr, ptr + 4 + length);
         ptr += 4;
 
         const chunkData = data.subarray(ptr, ptr + length);
         ptr += length;
 
         const crc = view.getUint32(ptr, false);
+        const actualCrc = computeCrc32(typeAndData);
+        const crcValid = crc === actualCrc;
+
+        if (!crcValid && crcMode === 'strict') {
+            throw new Error(`CRC mismatch in ${type} chunk at offset ${chunkStart}: expected ${crc.toString(16)}, got ${actualCrc.toString(16)}`);
+        }
+
         ptr += 4;
 
-        return {
+        /** @type {PngChunk} */
+        const chunk = {
             type,
-            data: chunkData
+            data: chunkData,
+            crcValid
         };
+        if (!crcValid) {
+            chunk.crc = crc;
+        }
+        return chunk;
     };
 
     /**
@@ -140,9 +179,10 @@ const decodePng = (data) => {
 
 /**
  * @param {Png} png
+ * @param {EncodePngOptions} [options]
  * @returns {Uint8Array}
  */
-const encodePng = (png) => {
+const encodePng = (png, options = {}) => {
     let resultLength = 8;
     for (const chunk of png.chunks) {
         resultLength += 12 + chunk.data.byteLength;
@@ -167,7 +207,12 @@ const encodePng = (png) => {
         result.set(chunk.data, ptr);
         ptr += chunk.data.length;
 
-        const crc = computeCrc32(typeAndDataView);
+        let crc;
+        if (chunk.crcValid === false && typeof chunk.crc === 'number' && !options.repairCrc) {
+            crc = chunk.crc;
+        } else {
+            crc = computeCrc32(typeAndDataView);
+        }
         view.setUint32(ptr, crc, false);
         ptr += 4;
     }
@@ -175,6 +220,441 @@ const encodePng = (png) => {
     return result;
 };
 
+/**
+ * @typedef ChunkOrderingRule
+ * @property {'beforePlte'|'afterPlte'|'beforeIdat'} [position] beforePlte also implies before IDAT.
+ * afterPlte means after PLTE (if present) but before IDAT.
+ * @property {boolean} [multiple] Whether more than one of this chunk is allowed.
+ */
+
+/**
+ * @typedef ChunkOrderProblem
+ * @property {number} index Index in png.chunks of the chunk with the problem.
+ * @property {string} type
+ * @property {string} message
+ */
+
+// https://www.w3.org/TR/png-3/#5ChunkOrdering
+// Chunks not listed here, including unknown ones, can go anywhere between IHDR and IEND.
+/** @type {Record<string, ChunkOrderingRule>} */
+const CHUNK_ORDERING = {
+    IHDR: {},
+    PLTE: {
+        position: 'beforeIdat'
+    },
+    IDAT: {
+        multiple: true
+    },
+    IEND: {},
+
+    cHRM: {
+        position: 'beforePlte'
+    },
+    cICP: {
+        position: 'beforePlte'
+    },
+    gAMA: {
+        position: 'beforePlte'
+    },
+    iCCP: {
+        position: 'beforePlte'
+    },
+    mDCV: {
+        position: 'beforePlte'
+    },
+    cLLI: {
+        position: 'beforePlte'
+    },
+    sBIT: {
+        position: 'beforePlte'
+    },
+    sRGB: {
+        position: 'beforePlte'
+    },
+
+    bKGD: {
+        position: 'afterPlte'
+    },
+    hIST: {
+        position: 'afterPlte'
+    },
+    tRNS: {
+        position: 'afterPlte'
+    },
+
+    eXIf: {
+        position: 'beforeIdat'
+    },
+    pHYs: {
+        position: 'beforeIdat'
+    },
+    sPLT: {
+        position: 'beforeIdat',
+        multiple: true
+    },
+    acTL: {
+        position: 'beforeIdat'
+    },
+
+    tIME: {},
+    tEXt: {
+        multiple: true
+    },
+    zTXt: {
+        multiple: true
+    },
+    iTXt: {
+        multiple: true
+    }
+};
+
+/**
+ * @param {string} type
+ * @returns {ChunkOrderingRule}
+ */
+const getOrderingRule = (type) => {
+    if (utils.hasOwn(CHUNK_ORDERING, type)) {
+        return CHUNK_ORDERING[type];
+    }
+    // Unknown chunks have no constraints
+    return {
+        multiple: true
+    };
+};
+
+/**
+ * Inserts a chunk at a position allowed by the PNG specification. Metadata goes as late
+ * as possible while still being before the image data. Chunks that can appear multiple
+ * times are kept together.
+ * @param {Png} png Modified in-place.
+ * @param {PngChunk} chunk
+ */
+const insertChunk = (png, chunk) => {
+    const chunks = png.chunks;
+    const rule = getOrderingRule(chunk.type);
+
+    if (!rule.multiple && chunks.some(i => i.type === chunk.type)) {
+        throw new Error(`PNG can only have one ${chunk.type} chunk`);
+    }
+
+    if (chunk.type === 'IHDR') {
+        chunks.unshift(chunk);
+        return;
+    }
+
+    if (chunk.type === 'IEND') {
+        chunks.push(chunk);
+        return;
+    }
+
+    const headerIndex = chunks.findIndex(i => i.type === 'IHDR');
+    const paletteIndex = chunks.findIndex(i => i.type === 'PLTE');
+    const firstDataIndex = chunks.findIndex(i => i.type === 'IDAT');
+    const endIndex = chunks.findIndex(i => i.type === 'IEND');
+
+    let start = headerIndex + 1;
+    let end = endIndex === -1 ? chunks.length : endIndex;
+
+    if (chunk.type === 'IDAT') {
+        // Image data must be consecutive
+        const lastDataIndex = chunks.map(i => i.type).lastIndexOf('IDAT');
+        if (lastDataIndex !== -1) {
+            chunks.splice(lastDataIndex + 1, 0, chunk);
+            return;
+        }
+    } else if (firstDataIndex !== -1) {
+        end = Math.min(end, firstDataIndex);
+    }
+
+    if (rule.position === 'beforePlte' && paletteIndex !== -1) {
+        end = Math.min(end, paletteIndex);
+    }
+    if (rule.position === 'afterPlte' && paletteIndex !== -1) {
+        start = Math.max(start, paletteIndex + 1);
+    }
+
+    let index = end;
+    if (rule.multiple) {
+        const lastSameIndex = chunks.map(i => i.type).lastIndexOf(chunk.type);
+        if (lastSameIndex >= start - 1 && lastSameIndex < end) {
+            index = lastSameIndex + 1;
+        }
+    }
+
+    // If the file's existing chunks are already in an invalid order, there may be no
+    // valid position. Do the best we can.
+    index = Math.max(index, start);
+
+    chunks.splice(index, 0, chunk);
+};
+
+/**
+ * @param {Png} png
+ * @returns {ChunkOrderProblem[]} Empty if the chunks are in a valid order.
+ */
+const validateChunkOrder = (png) => {
+    const chunks = png.chunks;
+    const types = chunks.map(i => i.type);
+    /** @type {ChunkOrderProblem[]} */
+    const problems = [];
+
+    /**
+     * @param {number} index
+     * @param {string} message
+     */
+    const report = (index, message) => {
+        problems.push({
+            index,
+            type: chunks[index].type,
+            message
+        });
+    };
+
+    const paletteIndex = types.indexOf('PLTE');
+    const firstDataIndex = types.indexOf('IDAT');
+
+    if (chunks.length === 0 || types[0] !== 'IHDR') {
+        problems.push({
+            index: 0,
+            type: chunks.length ? types[0] : '',
+            message: 'First chunk must be IHDR'
+        });
+    }
+    if (chunks.length > 0 && types[types.length - 1] !== 'IEND') {
+        report(chunks.length - 1, 'Last chunk must be IEND');
+    }
+
+    /** @type {Set<string>} */
+    const seen = new Set();
+    for (let i = 0; i < chunks.length; i++) {
+        const type = types[i];
+        const rule = getOrderingRule(type);
+
+        if (seen.has(type) && !rule.multiple) {
+            report(i, `Only one ${type} chunk is allowed`);
+        }
+        seen.add(type);
+
+        if ((type === 'IHDR' && i !== 0) || (type === 'IEND' && i !== chunks.length - 1)) {
+            report(i, `${type} is in the wrong position`);
+        }
+
+        if (type === 'IDAT' && i > firstDataIndex && types[i - 1] !== 'IDAT') {
+            report(i, 'IDAT chunks must be consecutive');
+        }
+
+        const beforeIdat = rule.position === 'beforePlte' || rule.position === 'afterPlte' || rule.position === 'beforeIdat';
+        if (beforeIdat && firstDataIndex !== -1 && i > firstDataIndex) {
+            report(i, `${type} must come before IDAT`);
+        }
+        if (rule.position === 'beforePlte' && paletteIndex !== -1 && i > paletteIndex) {
+            report(i, `${type} must come before PLTE`);
+        }
+        if (rule.position === 'afterPlte' && paletteIndex !== -1 && i < paletteIndex) {
+            report(i, `${type} must come after PLTE`);
+        }
+    }
+
+    if (seen.has('iCCP') && seen.has('sRGB')) {
+        report(types.indexOf('sRGB'), 'iCCP and sRGB should not both be present');
+    }
+
+    return problems;
+};
+
+/**
+ * @typedef PngText
+ * @property {string} keyword
+ * @property {string} text
+ * @property {boolean} compressed
+ * @property {string} [languageTag] Only in iTXt chunks. RFC 3066 language tag, eg. 'en' or 'ja-JP'.
+ * @property {string} [translatedKeyword] Only in iTXt chunks. The keyword in the language of languageTag.
+ */
+
+/**
+ * @typedef SetTextOptions
+ * @property {string} [languageTag] Forces an iTXt chunk.
+ * @property {string} [translatedKeyword] Forces an iTXt chunk.
+ * @property {number} [compressionThreshold] If set, chunks with at least this many bytes of data
+ * are compressed if doing so makes them smaller.
+ */
+
+const TEXT_CHUNK_TYPES = ['tEXt', 'zTXt', 'iTXt'];
+
+/**
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+const decodeLatin1 = (data) => {
+    let string = '';
+    for (let i = 0; i < data.length; i++) {
+        string += String.fromCharCode(data[i]);
+    }
+    return string;
+};
+
+/**
+ * @param {string} string Assumed to be Latin-1
+ * @returns {Uint8Array}
+ */
+const encodeLatin1 = (string) => {
+    const encoded = new Uint8Array(string.length);
+    for (let i = 0; i < string.length; i++) {
+        encoded[i] = string.charCodeAt(i);
+    }
+    return encoded;
+};
+
+/**
+ * @param {string} string
+ * @returns {boolean}
+ */
+const isLatin1 = (string) => /^[\x00-\xFF]*$/.test(string);
+
+/**
+ * @param {PngChunk} chunk A tEXt, zTXt, or iTXt chunk.
+ * @returns {PngText}
+ */
+const decodeTextChunk = (chunk) => {
+    const data = chunk.data;
+    let ptr = 0;
+
+    const readNullTerminated = () => {
+        const start = ptr;
+        for (; ptr < data.length && data[ptr] !== 0; ptr++);
+        const result = data.subarray(start, ptr);
+        // Skip null
+        ptr++;
+        return result;
+    };
+
+    const keyword = decodeLatin1(readNullTerminated());
+
+    if (chunk.type === 'tEXt') {
+        return {
+            keyword,
+            text: decodeLatin1(data.subarray(ptr)),
+            compressed: false
+        };
+    }
+
+    if (chunk.type === 'zTXt') {
+        const compressionMethod = data[ptr];
+        ptr++;
+        if (compressionMethod !== 0) {
+            throw new Error(`Unknown compression method: ${compressionMethod}`);
+        }
+
+        return {
+            keyword,
+            text: decodeLatin1(zlib.inflate(data.subarray(ptr))),
+            compressed: true
+        };
+    }
+
+    if (chunk.type === 'iTXt') {
+        const compressed = data[ptr] !== 0;
+        const compressionMethod = data[ptr + 1];
+        ptr += 2;
+        const languageTag = decodeLatin1(readNullTerminated());
+        const translatedKeyword = utils.decoder.decode(readNullTerminated());
+
+        if (compressed && compressionMethod !== 0) {
+            throw new Error(`Unknown compression method: ${compressionMethod}`);
+        }
+
+        let textData = data.subarray(ptr);
+        if (compressed) {
+            textData = zlib.inflate(textData);
+        }
+
+        return {
+            keyword,
+            text: utils.decoder.decode(textData),
+            compressed,
+            languageTag,
+            translatedKeyword
+        };
+    }
+
+    throw new Error(`Not a text chunk: ${chunk.type}`);
+};
+
+/**
+ * @param {PngText} text
+ * @returns {PngChunk} A tEXt or zTXt chunk if possible, otherwise an iTXt chunk.
+ */
+const encodeTextChunk = (text) => {
+    if (text.keyword.length < 1 || text.keyword.length > 79 || !isLatin1(text.keyword)) {
+        throw new Error('Keyword must be 1-79 Latin-1 characters');
+    }
+    const keyword = encodeLatin1(text.keyword);
+
+    const needsITxt = (
+        !isLatin1(text.text) ||
+        utils.hasOwn(text, 'languageTag') ||
+        utils.hasOwn(text, 'translatedKeyword')
+    );
+
+    if (!needsITxt && text.compressed) {
+        const compressed = zlib.deflate(encodeLatin1(text.text));
+        const encoded = new Uint8Array(keyword.length + 2 + compressed.length);
+        encoded.set(keyword, 0);
+        // Null separator and compression method are both 0.
+        encoded.set(compressed, keyword.length + 2);
+        return {
+            type: 'zTXt',
+            data: encoded
+        };
+    }
+
+    if (!needsITxt) {
+        const encoded = new Uint8Array(keyword.length + text.text.length + 1);
+        encoded.set(keyword, 0);
+        encoded.set(encodeLatin1(text.text), keyword.length + 1);
+        return {
+            type: 'tEXt',
+            data: encoded
+        };
+    }
+
+    const languageTag = encodeLatin1(text.languageTag || '');
+    const translatedKeyword = utils.encoder.encode(text.translatedKeyword || '');
+    let value = utils.encoder.encode(text.text);
+    if (text.compressed) {
+        value = zlib.deflate(value);
+    }
+
+    const encoded = new Uint8Array(
+        keyword.length + 1 +
+        2 + // Compression flag, compression method
+        languageTag.length + 1 +
+        translatedKeyword.length + 1 +
+        value.length
+    );
+
+    let ptr = 0;
+    encoded.set(keyword, ptr);
+    ptr += keyword.length + 1;
+
+    // Compression method is always 0.
+    encoded[ptr] = text.compressed ? 1 : 0;
+    ptr += 2;
+
+    encoded.set(languageTag, ptr);
+    ptr += languageTag.length + 1;
+
+    encoded.set(translatedKeyword, ptr);
+    ptr += translatedKeyword.length + 1;
+
+    encoded.set(value, ptr);
+
+    return {
+        type: 'iTXt',
+        data: encoded
+    };
+};
+
 /**
  * @param {Png} png
  * @param {string} key Assumed to be Latin-1
@@ -182,7 +662,7 @@ const encodePng = (png) => {
  */
 const findTextSection = (png, key) => {
     for (const chunk of png.chunks) {
-        if (chunk.type !== 'tEXt') {
+        if (!TEXT_CHUNK_TYPES.includes(chunk.type)) {
             continue;
         }
 
@@ -206,58 +686,653 @@ const findTextSection = (png, key) => {
 /**
  * @param {Png} png
  * @param {string} key Assumed to be Latin-1
- * @returns {string|null}
+ * @returns {PngText|null}
  */
-const getText = (png, key) => {
+const getTextChunk = (png, key) => {
     const section = findTextSection(png, key);
     if (!section) {
         return null;
     }
+    return decodeTextChunk(section);
+};
 
-    let i = 0;
-    for (; i < section.data.length && section.data[i] !== 0; i++);
-
-    // Skip null
-    i++;
-
-    let string = '';
-    for (; i < section.data.length; i++) {
-        string += String.fromCharCode(section.data[i]);
+/**
+ * @param {Png} png
+ * @param {string} key Assumed to be Latin-1
+ * @returns {string|null}
+ */
+const getText = (png, key) => {
+    const text = getTextChunk(png, key);
+    if (!text) {
+        return null;
     }
-    return string;
+    return text.text;
 };
 
 /**
+ * Uses a tEXt or zTXt chunk when the value is representable in Latin-1, otherwise an iTXt chunk.
  * @param {Png} png
  * @param {string} key Assumed to be Latin-1
- * @param {string} value Assumed to be Latin-1
+ * @param {string} value
+ * @param {SetTextOptions} [options]
  */
-const setText = (png, key, value) => {
-    const encoded = new Uint8Array(key.length + value.length + 1);
-    for (let i = 0; i < key.length; i++) {
-        encoded[i] = key.charCodeAt(i);
+const setText = (png, key, value, options = {}) => {
+    /** @type {PngText} */
+    const text = {
+        keyword: key,
+        text: value,
+        compressed: false
+    };
+    if (utils.hasOwn(options, 'languageTag')) {
+        text.languageTag = options.languageTag;
+    }
+    if (utils.hasOwn(options, 'translatedKeyword')) {
+        text.translatedKeyword = options.translatedKeyword;
     }
 
-    for (let i = 0; i < value.length; i++) {
-        encoded[key.length + 1 + i] = value.charCodeAt(i);
+    let newChunk = encodeTextChunk(text);
+    if (
+        typeof options.compressionThreshold === 'number' &&
+        newChunk.data.byteLength >= options.compressionThreshold
+    ) {
+        text.compressed = true;
+        const compressedChunk = encodeTextChunk(text);
+        if (compressedChunk.data.byteLength < newChunk.data.byteLength) {
+            newChunk = compressedChunk;
+        }
     }
 
-    let chunk = findTextSection(png, key);
+    const chunk = findTextSection(png, key);
     if (chunk) {
-        chunk.data = encoded;
+        // Replace rather than modify so that a previously invalid CRC isn't kept
+        png.chunks[png.chunks.indexOf(chunk)] = newChunk;
     } else {
-        chunk = {
-            type: 'tEXt',
-            data: encoded
-        };
-        png.chunks.splice(1, 0, chunk);
+        insertChunk(png, newChunk);
     }
 };
 
+/**
+ * @typedef PngHeader
+ * @property {number} width
+ * @property {number} height
+ * @property {number} bitDepth Bits per sample or per palette index.
+ * @property {number} colorType 0 grayscale, 2 truecolor, 3 indexed, 4 grayscale with alpha, 6 truecolor with alpha.
+ * @property {number} compressionMethod Always 0.
+ * @property {number} filterMethod Always 0.
+ * @property {number} interlaceMethod 0 for none, 1 for Adam7.
+ */
+
+/**
+ * @typedef PngPhysicalDimensions
+ * @property {number} pixelsPerUnitX
+ * @property {number} pixelsPerUnitY
+ * @property {number} unit 0 if unknown (only the aspect ratio is meaningful), 1 for meters.
+ */
+
+/**
+ * @typedef PngChromaticities
+ * @property {number} whitePointX
+ * @property {number} whitePointY
+ * @property {number} redX
+ * @property {number} redY
+ * @property {number} greenX
+ * @property {number} greenY
+ * @property {number} blueX
+ * @property {number} blueY
+ */
+
+// Valid bit depths for each color type
+const BIT_DEPTHS = {
+    0: [1, 2, 4, 8, 16],
+    2: [8, 16],
+    3: [1, 2, 4, 8],
+    4: [8, 16],
+    6: [8, 16]
+};
+
+const CHROMATICITY_NAMES = ['whitePointX', 'whitePointY', 'redX', 'redY', 'greenX', 'greenY', 'blueX', 'blueY'];
+
+const METERS_PER_INCH = 0.0254;
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} expectedLength
+ * @param {string} type
+ * @returns {DataView}
+ */
+const getFixedSizeView = (data, expectedLength, type) => {
+    if (data.byteLength !== expectedLength) {
+        throw new Error(`${type} chunk must be ${expectedLength} bytes, got ${data.byteLength}`);
+    }
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+};
+
+/**
+ * @param {unknown} value
+ * @param {number} min
+ * @param {number} max
+ * @param {string} name
+ */
+const checkInteger = (value, min, max, name) => {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`${name} must be an integer from ${min} to ${max}`);
+    }
+};
+
+/**
+ * @param {Uint8Array} data IHDR chunk data
+ * @returns {PngHeader}
+ */
+const decodeHeader = (data) => {
+    const view = getFixedSizeView(data, 13, 'IHDR');
+    return {
+        width: view.getUint32(0, false),
+        height: view.getUint32(4, false),
+        bitDepth: data[8],
+        colorType: data[9],
+        compressionMethod: data[10],
+        filterMethod: data[11],
+        interlaceMethod: data[12]
+    };
+};
+
+/**
+ * @param {PngHeader} header
+ * @returns {Uint8Array} IHDR chunk data
+ */
+const encodeHeader = (header) => {
+    checkInteger(header.width, 1, 0x7FFFFFFF, 'width');
+    checkInteger(header.height, 1, 0x7FFFFFFF, 'height');
+    if (!utils.hasOwn(BIT_DEPTHS, header.colorType)) {
+        throw new Error(`Invalid color type: ${header.colorType}`);
+    }
+    if (!BIT_DEPTHS[header.colorType].includes(header.bitDepth)) {
+        throw new Error(`Bit depth ${header.bitDepth} is not valid for color type ${header.colorType}`);
+    }
+    checkInteger(header.compressionMethod, 0, 0, 'compressionMethod');
+    checkInteger(header.filterMethod, 0, 0, 'filterMethod');
+    checkInteger(header.interlaceMethod, 0, 1, 'interlaceMethod');
+
+    const data = new Uint8Array(13);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, header.width, false);
+    view.setUint32(4, header.height, false);
+    data[8] = header.bitDepth;
+    data[9] = header.colorType;
+    data[10] = header.compressionMethod;
+    data[11] = header.filterMethod;
+    data[12] = header.interlaceMethod;
+    return data;
+};
+
+/**
+ * @param {Uint8Array} data pHYs chunk data
+ * @returns {PngPhysicalDimensions}
+ */
+const decodePhysicalDimensions = (data) => {
+    const view = getFixedSizeView(data, 9, 'pHYs');
+    return {
+        pixelsPerUnitX: view.getUint32(0, false),
+        pixelsPerUnitY: view.getUint32(4, false),
+        unit: data[8]
+    };
+};
+
+/**
+ * @param {PngPhysicalDimensions} dimensions
+ * @returns {Uint8Array} pHYs chunk data
+ */
+const encodePhysicalDimensions = (dimensions) => {
+    checkInteger(dimensions.pixelsPerUnitX, 0, 0x7FFFFFFF, 'pixelsPerUnitX');
+    checkInteger(dimensions.pixelsPerUnitY, 0, 0x7FFFFFFF, 'pixelsPerUnitY');
+    checkInteger(dimensions.unit, 0, 1, 'unit');
+
+    const data = new Uint8Array(9);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, dimensions.pixelsPerUnitX, false);
+    view.setUint32(4, dimensions.pixelsPerUnitY, false);
+    data[8] = dimensions.unit;
+    return data;
+};
+
+/**
+ * @param {Uint8Array} data tIME chunk data
+ * @returns {Date}
+ */
+const decodeModificationTime = (data) => {
+    const view = getFixedSizeView(data, 7, 'tIME');
+    return new Date(Date.UTC(
+        view.getUint16(0, false),
+        data[2] - 1,
+        data[3],
+        data[4],
+        data[5],
+        data[6]
+    ));
+};
+
+/**
+ * @param {Date} date Milliseconds are truncated.
+ * @returns {Uint8Array} tIME chunk data
+ */
+const encodeModificationTime = (date) => {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+        throw new Error('Modification time must be a valid Date');
+    }
+    checkInteger(date.getUTCFullYear(), 0, 0xFFFF, 'year');
+
+    const data = new Uint8Array(7);
+    const view = new DataView(data.buffer);
+    view.setUint16(0, date.getUTCFullYear(), false);
+    data[2] = date.getUTCMonth() + 1;
+    data[3] = date.getUTCDate();
+    data[4] = date.getUTCHours();
+    data[5] = date.getUTCMinutes();
+    data[6] = date.getUTCSeconds();
+    return data;
+};
+
+/**
+ * @param {Uint8Array} data gAMA chunk data
+ * @returns {number} eg. 0.45455
+ */
+const decodeGamma = (data) => {
+    const view = getFixedSizeView(data, 4, 'gAMA');
+    return view.getUint32(0, false) / 100000;
+};
+
+/**
+ * @param {number} gamma
+ * @returns {Uint8Array} gAMA chunk data
+ */
+const encodeGamma = (gamma) => {
+    const scaled = Math.round(gamma * 100000);
+    checkInteger(scaled, 1, 0x7FFFFFFF, 'gamma * 100000');
+
+    const data = new Uint8Array(4);
+    new DataView(data.buffer).setUint32(0, scaled, false);
+    return data;
+};
+
+/**
+ * @param {Uint8Array} data sRGB chunk data
+ * @returns {number} 0 perceptual, 1 relative colorimetric, 2 saturation, 3 absolute colorimetric.
+ */
+const decodeRenderingIntent = (data) => {
+    getFixedSizeView(data, 1, 'sRGB');
+    return data[0];
+};
+
+/**
+ * @param {number} intent
+ * @returns {Uint8Array} sRGB chunk data
+ */
+const encodeRenderingIntent = (intent) => {
+    checkInteger(intent, 0, 3, 'rendering intent');
+    return new Uint8Array([intent]);
+};
+
+/**
+ * @param {Uint8Array} data cHRM chunk data
+ * @returns {PngChromaticities}
+ */
+const decodeChromaticities = (data) => {
+    const view = getFixedSizeView(data, 32, 'cHRM');
+    /** @type {PngChromaticities} */
+    const result = {};
+    for (let i = 0; i < CHROMATICITY_NAMES.length; i++) {
+        result[CHROMATICITY_NAMES[i]] = view.getUint32(i * 4, false) / 100000;
+    }
+    return result;
+};
+
+/**
+ * @param {PngChromaticities} chromaticities
+ * @returns {Uint8Array} cHRM chunk data
+ */
+const encodeChromaticities = (chromaticities) => {
+    const data = new Uint8Array(32);
+    const view = new DataView(data.buffer);
+    for (let i = 0; i < CHROMATICITY_NAMES.length; i++) {
+        const name = CHROMATICITY_NAMES[i];
+        const scaled = Math.round(chromaticities[name] * 100000);
+        checkInteger(scaled, 0, 0x7FFFFFFF, `${name} * 100000`);
+        view.setUint32(i * 4, scaled, false);
+    }
+    return data;
+};
+
+/**
+ * @param {Png} png
+ * @param {string} type
+ * @returns {PngChunk|null}
+ */
+const findChunk = (png, type) => png.chunks.find(i => i.type === type) || null;
+
+/**
+ * Replaces the existing chunk of the same type, or inserts a new one.
+ * @param {Png} png Modified in-place.
+ * @param {PngChunk} newChunk
+ */
+const replaceOrInsertChunk = (png, newChunk) => {
+    const existing = findChunk(png, newChunk.type);
+    if (existing) {
+        // Replace rather than modify so that a previously invalid CRC isn't kept
+        png.chunks[png.chunks.indexOf(existing)] = newChunk;
+    } else {
+        insertChunk(png, newChunk);
+    }
+};
+
+/**
+ * @param {Png} png
+ * @returns {PngHeader|null}
+ */
+const getHeader = (png) => {
+    const chunk = findChunk(png, 'IHDR');
+    return chunk ? decodeHeader(chunk.data) : null;
+};
+
+/**
+ * @param {Png} png Modified in-place.
+ * @param {PngHeader} header
+ */
+const setHeader = (png, header) => {
+    replaceOrInsertChunk(png, {
+        type: 'IHDR',
+        data: encodeHeader(header)
+    });
+};
+
+/**
+ * @param {Png} png
+ * @returns {PngPhysicalDimensions|null}
+ */
+const getPhysicalDimensions = (png) => {
+    const chunk = findChunk(png, 'pHYs');
+    return chunk ? decodePhysicalDimensions(chunk.data) : null;
+};
+
+/**
+ * @param {Png} png Modified in-place.
+ * @param {PngPhysicalDimensions} dimensions
+ */
+const setPhysicalDimensions = (png, dimensions) => {
+    replaceOrInsertChunk(png, {
+        type: 'pHYs',
+        data: encodePhysicalDimensions(dimensions)
+    });
+};
+
+/**
+ * @param {Png} png
+ * @returns {{x: number, y: number}|null} Dots per inch, or null if not known.
+ */
+const getDpi = (png) => {
+    const dimensions = getPhysicalDimensions(png);
+    if (!dimensions || dimensions.unit !== 1) {
+        return null;
+    }
+    return {
+        x: dimensions.pixelsPerUnitX * METERS_PER_INCH,
+        y: dimensions.pixelsPerUnitY * METERS_PER_INCH
+    };
+};
+
+/**
+ * @param {Png} png Modified in-place.
+ * @param {number} x Dots per inch
+ * @param {number} [y] Dots per inch. Defaults to x.
+ */
+const setDpi = (png, x, y = x) => {
+    setPhysicalDimensions(png, {
+        pixelsPerUnitX: Math.round(x / METERS_PER_INCH),
+        pixelsPerUnitY: Math.round(y / METERS_PER_INCH),
+        unit: 1
+    });
+};
+
+/**
+ * @param {Png} png
+ * @returns {Date|null}
+ */
+const getModificationTime = (png) => {
+    const chunk = findChunk(png, 'tIME');
+    return chunk ? decodeModificationTime(chunk.data) : null;
+};
+
+/**
+ * @param {Png} png Modified in-place.
+ * @param {Date} date
+ */
+const setModificationTime = (png, date) => {
+    replaceOrInsertChunk(png, {
+        type: 'tIME',
+        data: encodeModificationTime(date)
+    });
+};
+
+/**
+ * @param {Png} png
+ * @returns {number|null}
+ */
+const getGamma = (png) => {
+    const chunk = findChunk(png, 'gAMA');
+    return chunk ? decodeGamma(chunk.data) : null;
+};
+
+/**
+ * @param {Png} png Modified in-place.
+ * @param {number} gamma
+ */
+const setGamma = (png, gamma) => {
+    replaceOrInsertChunk(png, {
+        type: 'gAMA',
+        data: encodeGamma(gamma)
+    });
+};
+
+/**
+ * @param {Png} png
+ * @returns {number|null} sRGB rendering intent
+ */
+const getRenderingIntent = (png) => {
+    const chunk = findChunk(png, 'sRGB');
+    return chunk ? decodeRenderingIntent(chunk.data) : null;
+};
+
+/**
+ * @param {Png} png Modified in-place.
+ * @param {number} intent
+ */
+const setRenderingIntent = (png, intent) => {
+    replaceOrInsertChunk(png, {
+        type: 'sRGB',
+        data: encodeRenderingIntent(intent)
+    });
+};
+
+/**
+ * @param {Png} png
+ * @returns {PngChromaticities|null}
+ */
+const getChromaticities = (png) => {
+    const chunk = findChunk(png, 'cHRM');
+    return chunk ? decodeChromaticities(chunk.data) : null;
+};
+
+/**
+ * @param {Png} png Modified in-place.
+ * @param {PngChromaticities} chromaticities
+ */
+const setChromaticities = (png, chromaticities) => {
+    replaceOrInsertChunk(png, {
+        type: 'cHRM',
+        data: encodeChromaticities(chromaticities)
+    });
+};
+
+/**
+ * @param {Png} png
+ * @returns {import('./exif').Exif}
+ */
+const getPngExif = (png) => {
+    const chunk = findChunk(png, 'eXIf');
+    if (!chunk) {
+        return {};
+    }
+    return exif.decodeExifTiff(exif.removeExifPrefix(chunk.data));
+};
+
+/**
+ * @param {Png} png Modified in-place.
+ * @param {import('./exif').Exif} newExif
+ * @returns {void}
+ */
+const setPngExif = (png, newExif) => {
+    replaceOrInsertChunk(png, {
+        type: 'eXIf',
+        data: exif.encodeExifTiff(newExif)
+    });
+};
+
+/**
+ * Unlike setPngExif, tags that aren't mentioned in changes are left as-is.
+ * @param {Png} png Modified in-place.
+ * @param {import('./exif').Exif} changes Properties set to undefined or null are removed.
+ * @returns {void}
+ */
+const updatePngExif = (png, changes) => {
+    const chunk = findChunk(png, 'eXIf');
+    if (!chunk) {
+        setPngExif(png, changes);
+        return;
+    }
+
+    replaceOrInsertChunk(png, {
+        type: 'eXIf',
+        data: exif.updateExifTiff(exif.removeExifPrefix(chunk.data), changes)
+    });
+};
+
+/**
+ * @param {Png} png
+ * @returns {Uint8Array|null} The uncompressed ICC profile from the iCCP chunk.
+ */
+const getPngIccProfile = (png) => {
+    const chunk = findChunk(png, 'iCCP');
+    if (!chunk) {
+        return null;
+    }
+
+    // Profile name, null separator, compression method, compressed profile
+    const separator = chunk.data.indexOf(0);
+    if (separator === -1) {
+        throw new Error('iCCP chunk is missing null separator');
+    }
+    if (chunk.data[separator + 1] !== 0) {
+        throw new Error(`Unknown iCCP compression method: ${chunk.data[separator + 1]}`);
+    }
+    return zlib.inflate(chunk.data.subarray(separator + 2));
+};
+
+/**
+ * Also removes sRGB, which should not be present at the same time as iCCP.
+ * @param {Png} png Modified in-place.
+ * @param {Uint8Array} profile
+ * @param {string} [name] Profile name. Latin-1, 1-79 characters.
+ * @returns {void}
+ */
+const setPngIccProfile = (png, profile, name = 'ICC profile') => {
+    if (name.length < 1 || name.length > 79 || !isLatin1(name)) {
+        throw new Error('Profile name must be 1-79 Latin-1 characters');
+    }
+
+    const encodedName = encodeLatin1(name);
+    const compressed = zlib.deflate(profile);
+    const data = new Uint8Array(encodedName.byteLength + 2 + compressed.byteLength);
+    data.set(encodedName, 0);
+    // Null separator and compression method are both 0.
+    data.set(compressed, encodedName.byteLength + 2);
+
+    png.chunks = png.chunks.filter(i => i.type !== 'sRGB');
+    replaceOrInsertChunk(png, {
+        type: 'iCCP',
+        data
+    });
+};
+
+const XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+/**
+ * @param {Png} png
+ * @returns {import('./xmp').Xmp|null}
+ */
+const getPngXmp = (png) => {
+    const text = getText(png, XMP_KEYWORD);
+    if (text === null) {
+        return null;
+    }
+    return xmp.decodeXmp(text);
+};
+
+/**
+ * @param {Png} png Modified in-place.
+ * @param {import('./xmp').Xmp} newXmp
+ * @returns {void}
+ */
+const setPngXmp = (png, newXmp) => {
+    // XMP is always UTF-8 so it must use iTXt. It's recommended to leave it uncompressed
+    // so that other tools can find and edit it in-place.
+    setText(png, XMP_KEYWORD, xmp.encodeXmp(newXmp), {
+        languageTag: '',
+        translatedKeyword: ''
+    });
+};
+
 module.exports = {
+    computeCrc32,
     isPng,
     decodePng,
     encodePng,
+    insertChunk,
+    validateChunkOrder,
+    decodeTextChunk,
+    encodeTextChunk,
+    getTextChunk,
     getText,
-    setText
+    setText,
+    decodeHeader,
+    encodeHeader,
+    getHeader,
+    setHeader,
+    decodePhysicalDimensions,
+    encodePhysicalDimensions,
+    getPhysicalDimensions,
+    setPhysicalDimensions,
+    getDpi,
+    setDpi,
+    decodeModificationTime,
+    encodeModificationTime,
+    getModificationTime,
+    setModificationTime,
+    decodeGamma,
+    encodeGamma,
+    getGamma,
+    setGamma,
+    decodeRenderingIntent,
+    encodeRenderingIntent,
+    getRenderingIntent,
+    setRenderingIntent,
+    decodeChromaticities,
+    encodeChromaticities,
+    getChromaticities,
+    setChromaticities,
+    getPngExif,
+    setPngExif,
+    updatePngExif,
+    getPngXmp,
+    setPngXmp,
+    getPngIccProfile,
+    setPngIccProfile
 };
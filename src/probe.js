@@ -0,0 +1,236 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+const utils = require('./utils');
+const exif = require('./exif');
+const jpg = require('./jpg');
+const png = require('./png');
+
+// Reference materials:
+// https://www.w3.org/Graphics/JPEG/itu-t81.pdf (B.2.2 Frame header syntax)
+// https://www.w3.org/TR/png-3/#11IHDR
+
+/**
+ * @typedef ProbeInfo
+ * @property {'jpg'|'png'} format
+ * @property {number} width As stored in the file.
+ * @property {number} height As stored in the file.
+ * @property {number} bitDepth Bits per sample.
+ * @property {number} channels Number of components in JPG, or samples per pixel in PNG. Palette images have 1.
+ * @property {boolean} progressive Progressive JPG or interlaced PNG.
+ * @property {number} orientation EXIF Orientation, or 1 if there isn't one.
+ * @property {number} displayWidth Width after applying orientation.
+ * @property {number} displayHeight Height after applying orientation.
+ */
+
+// SOFn markers. 0xC4 (DHT), 0xC8 (JPG), and 0xCC (DAC) are in the same range but aren't frames.
+const JPG_FRAME_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+const JPG_PROGRESSIVE_MARKERS = [0xC2, 0xC6, 0xCA, 0xCE];
+
+/** @type {Record<number, number>} */
+const PNG_CHANNELS = {
+    0: 1, // Grayscale
+    2: 3, // RGB
+    3: 1, // Palette
+    4: 2, // Grayscale and alpha
+    6: 4 // RGBA
+};
+
+/**
+ * @param {import('./exif').Exif} decodedExif
+ * @returns {number}
+ */
+const getOrientation = (decodedExif) => {
+    const orientation = decodedExif.Orientation;
+    return typeof orientation === 'number' && orientation >= 1 && orientation <= 8 ? orientation : 1;
+};
+
+/**
+ * Unreadable EXIF shouldn't prevent probing the image, it just won't be rotated.
+ * @param {() => import('./exif').Exif} decode
+ * @returns {number}
+ */
+const tryGetOrientation = (decode) => {
+    try {
+        return getOrientation(decode());
+    } catch (e) {
+        return 1;
+    }
+};
+
+/**
+ * @param {Omit<ProbeInfo, 'displayWidth'|'displayHeight'>} info
+ * @returns {ProbeInfo}
+ */
+const withDisplayDimensions = (info) => {
+    // Orientations 5 through 8 rotate by 90 degrees
+    const transposed = info.orientation >= 5;
+    return {
+        ...info,
+        displayWidth: transposed ? info.height : info.width,
+        displayHeight: transposed ? info.width : info.height
+    };
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {ProbeInfo}
+ */
+const probeJpg = (data) => {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let ptr = 2;
+    let orientation = 1;
+
+    try {
+        while (ptr < data.byteLength) {
+            if (data[ptr] !== 0xFF) {
+                throw new Error('Invalid section signature');
+            }
+
+            // Skip fill bytes
+            while (data[ptr] === 0xFF && ptr < data.byteLength) {
+                ptr++;
+            }
+            if (ptr >= data.byteLength) {
+                break;
+            }
+
+            const type = data[ptr];
+            ptr++;
+
+            // Standalone markers have no length
+            if (type === 0x01 || (type >= 0xD0 && type <= 0xD7)) {
+                continue;
+            }
+            if (type === 0xD9 || type === 0xDA) {
+                // End of image or start of scan, and no frame header was found
+                break;
+            }
+
+            if (ptr + 2 > data.byteLength) {
+                break;
+            }
+            const length = view.getUint16(ptr, false);
+            if (length < 2) {
+                throw new Error('Invalid segment length');
+            }
+            const segment = {
+                type,
+                data: data.subarray(ptr, ptr + length)
+            };
+
+            if (JPG_FRAME_MARKERS.includes(type)) {
+                // Length, precision, height, width, number of components
+                if (length < 8 || ptr + 8 > data.byteLength) {
+                    break;
+                }
+                return withDisplayDimensions({
+                    format: 'jpg',
+                    width: view.getUint16(ptr + 5, false),
+                    height: view.getUint16(ptr + 3, false),
+                    bitDepth: data[ptr + 2],
+                    channels: data[ptr + 7],
+                    progressive: JPG_PROGRESSIVE_MARKERS.includes(type),
+                    orientation
+                });
+            }
+
+            if (jpg.identifySegment(segment) === 'Exif' && ptr + length <= data.byteLength) {
+                orientation = tryGetOrientation(() => exif.decodeExif(segment.data));
+            }
+
+            ptr += length;
+        }
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+
+    throw new Error('Could not find JPG frame header');
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {ProbeInfo}
+ */
+const probePng = (data) => {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let ptr = 8;
+
+    /** @type {import('./png').PngHeader|null} */
+    let header = null;
+    let orientation = 1;
+
+    try {
+        // eXIf must come before IDAT, so there is no need to look any further than that
+        while (ptr + 8 <= data.byteLength) {
+            const length = view.getUint32(ptr, false);
+            const type = utils.decoder.decode(data.subarray(ptr + 4, ptr + 8));
+            const chunkData = data.subarray(ptr + 8, ptr + 8 + length);
+            const complete = chunkData.byteLength === length;
+
+            if (header === null) {
+                if (type !== 'IHDR') {
+                    throw new Error('First chunk must be IHDR');
+                }
+                if (!complete) {
+                    break;
+                }
+                header = png.decodeHeader(chunkData);
+            } else if (type === 'eXIf' && complete) {
+                orientation = tryGetOrientation(() => png.getPngExif({
+                    chunks: [
+                        {
+                            type,
+                            data: chunkData
+                        }
+                    ]
+                }));
+            } else if (type === 'IDAT' || type === 'IEND') {
+                break;
+            }
+
+            // Length, type, data, CRC
+            ptr += 12 + length;
+        }
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+
+    if (!header) {
+        throw new Error('Could not find PNG header');
+    }
+
+    return withDisplayDimensions({
+        format: 'png',
+        width: header.width,
+        height: header.height,
+        bitDepth: header.bitDepth,
+        channels: utils.hasOwn(PNG_CHANNELS, header.colorType) ? PNG_CHANNELS[header.colorType] : 0,
+        progressive: header.interlaceMethod === 1,
+        orientation
+    });
+};
+
+/**
+ * Reads only as much of the file as needed to find its dimensions. data may be just the
+ * start of the file. If a PNG is cut off after IHDR but before IDAT, an eXIf chunk may be
+ * missed and orientation will be 1.
+ * @param {Uint8Array} data
+ * @returns {ProbeInfo}
+ */
+const probe = (data) => {
+    if (png.isPng(data)) {
+        return probePng(data);
+    }
+    if (data.byteLength >= 2 && jpg.isJpg(data)) {
+        return probeJpg(data);
+    }
+    throw new Error('Unknown image format');
+};
+
+module.exports = {
+    probe
+};
@@ -0,0 +1,402 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+const utils = require('./utils');
+const tiff = require('./tiff');
+const exif = require('./exif');
+const exifTags = require('./exif-tags');
+const jpg = require('./jpg');
+const png = require('./png');
+
+/**
+ * @typedef ExifStripOptions
+ * @property {boolean} [gps] Remove the GPS IFD.
+ * @property {boolean} [serialNumbers] Remove camera and lens serial numbers.
+ */
+
+/**
+ * Each property indicates whether that kind of metadata should be removed. Removing all EXIF,
+ * or XMP, from a JPG also removes everything after the end of the primary image, such as MPF
+ * images, gain maps, and motion photo videos, as those can have their own metadata.
+ * Selective EXIF options only change the primary image's EXIF.
+ * @typedef StripPolicy
+ * @property {boolean|ExifStripOptions} [exif] true removes all EXIF. An object removes only parts of it. Defaults to true.
+ * @property {boolean} [xmp] Defaults to true.
+ * @property {boolean} [iptc] Defaults to true.
+ * @property {boolean} [comments] JPG comment segments. Defaults to true.
+ * @property {boolean} [icc] ICC color profiles. Removing these can change how colors are displayed. Defaults to false.
+ * @property {boolean} [text] PNG text chunks other than the ones covered by the other options. Defaults to true.
+ */
+
+/**
+ * @typedef StripReportEntry
+ * @property {'exif'|'xmp'|'iptc'|'comments'|'icc'|'text'} kind The policy option responsible.
+ * @property {string} description
+ */
+
+/**
+ * @typedef StripReport
+ * @property {StripReportEntry[]} removed
+ */
+
+/** @type {StripPolicy} */
+const DEFAULT_POLICY = {
+    exif: true,
+    xmp: true,
+    iptc: true,
+    comments: true,
+    icc: false,
+    text: true
+};
+
+const SERIAL_NUMBER_PROPERTIES = [
+    'BodySerialNumber',
+    'LensSerialNumber'
+];
+
+/**
+ * Removes only the parts of EXIF that the options ask for.
+ * @param {import('./tiff').Tiff} decodedTiff Modified in-place.
+ * @param {ExifStripOptions} options
+ * @returns {string[]} Descriptions of what was removed
+ */
+const stripExifTiff = (decodedTiff, options) => {
+    const removed = [];
+    if (decodedTiff.ifds.length === 0) {
+        return removed;
+    }
+
+    const ifd0 = decodedTiff.ifds[0];
+    if (options.gps && ifd0.entries.some(i => i.tag === exifTags.GPS_IFD_POINTER)) {
+        // Remove the entire IFD so that tags we don't understand are also removed.
+        ifd0.entries = ifd0.entries.filter(i => i.tag !== exifTags.GPS_IFD_POINTER);
+        removed.push('GPS IFD');
+    }
+
+    if (options.serialNumbers) {
+        const existing = exif.readExifFromTiff(decodedTiff);
+        const changes = {};
+        for (const name of SERIAL_NUMBER_PROPERTIES) {
+            if (utils.hasOwn(existing, name)) {
+                changes[name] = undefined;
+                removed.push(name);
+            }
+        }
+        exif.applyExifChanges(decodedTiff, changes);
+    }
+
+    return removed;
+};
+
+/**
+ * Removes the trailer and any MPF segment describing images in it.
+ * @param {import('./jpg').Jpg} decodedJpg Modified in-place.
+ * @param {StripReportEntry['kind']} kind
+ * @returns {StripReportEntry[]}
+ */
+const stripJpgTrailer = (decodedJpg, kind) => {
+    const removed = [];
+    if (!decodedJpg.trailer || decodedJpg.trailer.byteLength === 0) {
+        return removed;
+    }
+
+    let mpfImages = [];
+    try {
+        mpfImages = jpg.getJpgMpfImages(decodedJpg).filter(i => i.index !== 0);
+    } catch (e) {
+        // If the images can't be found, the whole trailer is still removed below.
+    }
+
+    if (mpfImages.length > 0) {
+        for (const image of mpfImages) {
+            removed.push({
+                kind,
+                description: `MPF image ${image.index} (${image.type})`
+            });
+        }
+        jpg.removeJpgMpfImages(decodedJpg, mpfImages.map(i => i.index));
+    } else {
+        // Uses XMP hints, so this has to happen before XMP is removed
+        for (const item of jpg.detectTrailer(decodedJpg)) {
+            if (item.kind !== 'padding') {
+                removed.push({
+                    kind,
+                    description: item.semantic ? `Trailing ${item.kind} data (${item.semantic})` : `Trailing ${item.kind} data`
+                });
+            }
+        }
+    }
+
+    const trailer = decodedJpg.trailer || new Uint8Array();
+    if (mpfImages.length > 0 && !trailer.every(i => i === 0x00 || i === 0xFF)) {
+        removed.push({
+            kind,
+            description: 'Trailing data'
+        });
+    }
+
+    decodedJpg.segments = decodedJpg.segments.filter(i => jpg.identifySegment(i) !== 'MPF');
+    decodedJpg.trailer = new Uint8Array();
+    return removed;
+};
+
+/**
+ * @param {import('./jpg').Jpg} decodedJpg Modified in-place.
+ * @param {StripPolicy} [policy]
+ * @returns {StripReport}
+ */
+const stripJpg = (decodedJpg, policy = {}) => {
+    policy = Object.assign({}, DEFAULT_POLICY, policy);
+
+    /** @type {StripReport} */
+    const report = {
+        removed: []
+    };
+
+    if (policy.exif === true || policy.xmp) {
+        report.removed.push(...stripJpgTrailer(decodedJpg, policy.exif === true ? 'exif' : 'xmp'));
+    }
+
+    /**
+     * @param {import('./jpg').JpgSegment} segment
+     * @returns {boolean} true to keep the segment
+     */
+    const filterSegment = (segment) => {
+        const identifier = jpg.identifySegment(segment);
+
+        if (identifier === 'Exif') {
+            if (policy.exif === true) {
+                report.removed.push({
+                    kind: 'exif',
+                    description: 'APP1 Exif segment'
+                });
+                return false;
+            }
+
+            if (policy.exif) {
+                let decodedTiff;
+                try {
+                    decodedTiff = tiff.decodeTiff(exif.unwrapExif(segment.data));
+                } catch (e) {
+                    // If we can't understand it, we can't selectively remove parts of it.
+                    report.removed.push({
+                        kind: 'exif',
+                        description: 'APP1 Exif segment that could not be decoded'
+                    });
+                    return false;
+                }
+
+                const removed = stripExifTiff(decodedTiff, policy.exif);
+                if (removed.length > 0) {
+                    segment.data = exif.wrapExif(tiff.encodeTiff(decodedTiff));
+                    for (const description of removed) {
+                        report.removed.push({
+                            kind: 'exif',
+                            description: `EXIF ${description}`
+                        });
+                    }
+                }
+            }
+
+            return true;
+        }
+
+        if (identifier === 'XMP' || identifier === 'ExtendedXMP') {
+            if (policy.xmp) {
+                report.removed.push({
+                    kind: 'xmp',
+                    description: 'APP1 XMP segment'
+                });
+                return false;
+            }
+            return true;
+        }
+
+        if (identifier === 'ICC_PROFILE') {
+            if (policy.icc) {
+                report.removed.push({
+                    kind: 'icc',
+                    description: 'APP2 ICC_PROFILE segment'
+                });
+                return false;
+            }
+            return true;
+        }
+
+        if (identifier === 'Photoshop') {
+            if (policy.iptc) {
+                report.removed.push({
+                    kind: 'iptc',
+                    description: 'APP13 Photoshop 3.0 segment'
+                });
+                return false;
+            }
+            return true;
+        }
+
+        if (segment.type === 0xFE) {
+            if (policy.comments) {
+                report.removed.push({
+                    kind: 'comments',
+                    description: 'COM segment'
+                });
+                return false;
+            }
+            return true;
+        }
+
+        return true;
+    };
+
+    decodedJpg.segments = decodedJpg.segments.filter(filterSegment);
+    return report;
+};
+
+/**
+ * @param {import('./png').PngChunk} chunk
+ * @returns {string}
+ */
+const getTextKeyword = (chunk) => {
+    let keyword = '';
+    for (let i = 0; i < chunk.data.length && chunk.data[i] !== 0; i++) {
+        keyword += String.fromCharCode(chunk.data[i]);
+    }
+    return keyword;
+};
+
+/**
+ * @param {import('./png').Png} decodedPng Modified in-place.
+ * @param {StripPolicy} [policy]
+ * @returns {StripReport}
+ */
+const stripPng = (decodedPng, policy = {}) => {
+    policy = Object.assign({}, DEFAULT_POLICY, policy);
+
+    /** @type {StripReport} */
+    const report = {
+        removed: []
+    };
+
+    /**
+     * @param {import('./png').PngChunk} chunk
+     * @returns {boolean} true to keep the chunk
+     */
+    const filterChunk = (chunk) => {
+        if (chunk.type === 'eXIf') {
+            if (policy.exif === true) {
+                report.removed.push({
+                    kind: 'exif',
+                    description: 'eXIf chunk'
+                });
+                return false;
+            }
+
+            if (policy.exif) {
+                let decodedTiff;
+                try {
+                    decodedTiff = tiff.decodeTiff(exif.removeExifPrefix(chunk.data));
+                } catch (e) {
+                    report.removed.push({
+                        kind: 'exif',
+                        description: 'eXIf chunk that could not be decoded'
+                    });
+                    return false;
+                }
+
+                const removed = stripExifTiff(decodedTiff, policy.exif);
+                if (removed.length > 0) {
+                    chunk.data = tiff.encodeTiff(decodedTiff);
+                    // The new data needs a new CRC
+                    chunk.crcValid = true;
+                    delete chunk.crc;
+                    for (const description of removed) {
+                        report.removed.push({
+                            kind: 'exif',
+                            description: `EXIF ${description}`
+                        });
+                    }
+                }
+            }
+
+            return true;
+        }
+
+        if (chunk.type === 'iCCP') {
+            if (policy.icc) {
+                report.removed.push({
+                    kind: 'icc',
+                    description: 'iCCP chunk'
+                });
+                return false;
+            }
+            return true;
+        }
+
+        if (chunk.type === 'tEXt' || chunk.type === 'zTXt' || chunk.type === 'iTXt') {
+            const keyword = getTextKeyword(chunk);
+            const description = `${chunk.type} chunk "${keyword}"`;
+
+            // ImageMagick and exiftool store other metadata formats as hex-encoded text chunks.
+            /** @type {StripReportEntry['kind']} */
+            let kind = 'text';
+            if (keyword === 'XML:com.adobe.xmp' || keyword === 'Raw profile type xmp') {
+                kind = 'xmp';
+            } else if (keyword === 'Raw profile type exif' || keyword === 'Raw profile type APP1') {
+                kind = 'exif';
+            } else if (keyword === 'Raw profile type iptc' || keyword === 'Raw profile type 8bim') {
+                kind = 'iptc';
+            } else if (keyword === 'Raw profile type icc' || keyword === 'Raw profile type icm') {
+                kind = 'icc';
+            }
+
+            // Text-encoded EXIF can't be selectively stripped, so any EXIF removal removes all of it.
+            if (policy[kind]) {
+                report.removed.push({
+                    kind,
+                    description
+                });
+                return false;
+            }
+            return true;
+        }
+
+        return true;
+    };
+
+    decodedPng.chunks = decodedPng.chunks.filter(filterChunk);
+    return report;
+};
+
+/**
+ * @param {Uint8Array} data A JPG or PNG file.
+ * @param {StripPolicy} [policy]
+ * @returns {{data: Uint8Array, report: StripReport}}
+ */
+const strip = (data, policy) => {
+    if (jpg.isJpg(data)) {
+        const decoded = jpg.decodeJpg(data);
+        const report = stripJpg(decoded, policy);
+        return {
+            data: jpg.encodeJpg(decoded),
+            report
+        };
+    }
+
+    if (png.isPng(data)) {
+        const decoded = png.decodePng(data);
+        const report = stripPng(decoded, policy);
+        return {
+            data: png.encodePng(decoded),
+            report
+        };
+    }
+
+    throw new Error('Unsupported file format');
+};
+
+module.exports = {
+    stripJpg,
+    stripPng,
+    strip
+};
@@ -5,11 +5,17 @@
 const utils = require('./utils');
 
 // Reference materials:
+// https://www.itu.int/itudoc/itu-t/com16/tiff-fx/docs/tiff6.pdf
+// https://www.awaresystems.be/imaging/tiff/bigtiff.html
 // https://www.cipa.jp/std/documents/e/CIPA_DC-X008-Translation-2016-E.pdf
 // https://www.media.mit.edu/pia/Research/deepview/exif.html
 
 /**
- * @typedef {Uint8Array|Int8Array|Uint16Array|Int16Array|Uint32Array|Int32Array|Uint32Array[]|Int32Array[]|Float32Array|Float64Array|string|Ifd} IfdEntryValue
+ * Entries that point to other IFDs have the child IFD as their value, or an array of child
+ * IFDs for SubIFDs and any other entry with an IFD type. Entries that point to blocks of data
+ * elsewhere in the file (see DATA_BLOCK_TAGS) have an array of those blocks as their value.
+ * The 64-bit integer types from BigTIFF use BigInt arrays.
+ * @typedef {Uint8Array|Int8Array|Uint16Array|Int16Array|Uint32Array|Int32Array|Uint32Array[]|Int32Array[]|Float32Array|Float64Array|BigUint64Array|BigInt64Array|string|Ifd|Ifd[]|Uint8Array[]} IfdEntryValue
  */
 
 /**
@@ -28,6 +34,7 @@ const utils = require('./utils');
  * @typedef Tiff
  * @property {Ifd[]} ifds
  * @property {boolean} littleEndian
+ * @property {boolean} [bigTiff] Use 64-bit offsets. Defaults to false.
  */
 
 // TIFF IFD entry types
@@ -43,6 +50,54 @@ const INT32 = 9;
 const SRATIONAL = 10;
 const SINGLE = 11;
 const DOUBLE = 12;
+const IFD = 13;
+// BigTIFF only
+const UINT64 = 16;
+const INT64 = 17;
+const IFD64 = 18;
+
+// Types that an entry pointing to other IFDs may have
+const IFD_POINTER_TYPES = [UINT32, IFD, UINT64, IFD64];
+
+// Types that an entry containing offsets or byte counts of data blocks may have
+const DATA_BLOCK_TYPES = [UINT16, UINT32, UINT64];
+
+// Tags whose value is the offset of another IFD:
+// ExifIFD, GPSInfoIFD, InteroperabilityIFD
+const IFD_POINTER_TAGS = [0x8769, 0x8825, 0xA005];
+
+// SubIFDs, which is an array of IFD offsets. DNG stores the raw image data in these.
+const SUB_IFDS_TAG = 0x014A;
+
+// Pairs of [offsets tag, byte counts tag] that describe blocks of data stored elsewhere
+// in the file. These are read so that they can be relocated when the file is re-encoded.
+const DATA_BLOCK_TAGS = [
+    // StripOffsets, StripByteCounts
+    [0x0111, 0x0117],
+    // TileOffsets, TileByteCounts
+    [0x0144, 0x0145],
+    // JPEGInterchangeFormat, JPEGInterchangeFormatLength
+    [0x0201, 0x0202]
+];
+
+/**
+ * Offsets in BigTIFF are 64-bit but we can only use offsets that fit in a regular number.
+ * @param {bigint|number} value
+ * @returns {number}
+ */
+const toOffset = (value) => {
+    if (value > Number.MAX_SAFE_INTEGER) {
+        throw new Error('Offset is too large');
+    }
+    return Number(value);
+};
+
+/**
+ * TIFF requires offsets to be word aligned.
+ * @param {number} size
+ * @returns {number}
+ */
+const pad = (size) => size + (size & 1);
 
 /**
  * @param {number} type See constants above
@@ -62,6 +117,10 @@ const getTypeSize = (type) => {
         case SRATIONAL: return 8;
         case SINGLE: return 4;
         case DOUBLE: return 8;
+        case IFD: return 4;
+        case UINT64: return 8;
+        case INT64: return 8;
+        case IFD64: return 8;
     }
     throw new Error(`Unknown type: ${type}`);
 };
@@ -70,10 +129,25 @@ const getTypeSize = (type) => {
  * @param {Uint8Array} data
  * @param {number} ptr
  * @param {boolean} littleEndian
+ * @param {number[]} [parents] Offsets of the IFDs that led to this one, used to detect loops.
+ * @param {boolean} [bigTiff] IFD uses the BigTIFF layout.
  * @returns {Ifd}
  */
-const decodeIfd = (data, ptr, littleEndian) => {
+const decodeIfd = (data, ptr, littleEndian, parents = [], bigTiff = false) => {
     const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const ifdPtr = ptr;
+
+    /**
+     * Entry counts, value counts, and offsets are all 64-bit in BigTIFF.
+     * @param {number} offsetPtr
+     * @returns {number}
+     */
+    const readOffset = (offsetPtr) => {
+        if (bigTiff) {
+            return toOffset(view.getBigUint64(offsetPtr, littleEndian));
+        }
+        return view.getUint32(offsetPtr, littleEndian);
+    };
 
     /**
      * @param {number} dataPtr Offset in data
@@ -105,7 +179,8 @@ const decodeIfd = (data, ptr, littleEndian) => {
                 return result;
             }
 
-            case UINT32: {
+            case UINT32:
+            case IFD: {
                 const result = new Uint32Array(count);
                 for (let i = 0; i < count; i++, dataPtr += 4) {
                     result[i] = view.getUint32(dataPtr, littleEndian);
@@ -152,8 +227,8 @@ const decodeIfd = (data, ptr, littleEndian) => {
                 const result = [];
                 for (let i = 0; i < count; i++, dataPtr += 8) {
                     const arr = new Int32Array(2);
-                    arr[0] = view.getUint32(dataPtr, littleEndian);
-                    arr[1] = view.getUint32(dataPtr + 4, littleEndian);
+                    arr[0] = view.getInt32(dataPtr, littleEndian);
+                    arr[1] = view.getInt32(dataPtr + 4, littleEndian);
                     result.push(arr);
                 }
                 return result;
@@ -170,7 +245,24 @@ const decodeIfd = (data, ptr, littleEndian) => {
             case DOUBLE: {
                 const result = new Float64Array(count);
                 for (let i = 0; i < count; i++, dataPtr += 8) {
-                    result[i] = view.getFloat32(dataPtr, littleEndian);
+                    result[i] = view.getFloat64(dataPtr, littleEndian);
+                }
+                return result;
+            }
+
+            case UINT64:
+            case IFD64: {
+                const result = new BigUint64Array(count);
+                for (let i = 0; i < count; i++, dataPtr += 8) {
+                    result[i] = view.getBigUint64(dataPtr, littleEndian);
+                }
+                return result;
+            }
+
+            case INT64: {
+                const result = new BigInt64Array(count);
+                for (let i = 0; i < count; i++, dataPtr += 8) {
+                    result[i] = view.getBigInt64(dataPtr, littleEndian);
                 }
                 return result;
             }
@@ -188,21 +280,21 @@ const decodeIfd = (data, ptr, littleEndian) => {
         const type = view.getUint16(ptr, littleEndian);
         ptr += 2;
 
-        const count = view.getUint32(ptr, littleEndian);
-        ptr += 4;
+        const count = readOffset(ptr);
+        ptr += bigTiff ? 8 : 4;
 
         const typeSize = getTypeSize(type);
         const dataByteLength = typeSize * count;
 
         let dataPtr;
-        if (dataByteLength <= 4) {
+        if (dataByteLength <= (bigTiff ? 8 : 4)) {
             // Data fits in the value field
             dataPtr = ptr;
         } else {
             // Data does not fit, so value is actually an offset
-            dataPtr = view.getUint32(ptr, littleEndian);
+            dataPtr = readOffset(ptr);
         }
-        ptr += 4;
+        ptr += bigTiff ? 8 : 4;
 
         const value = readEntryValue(dataPtr, type, count);
 
@@ -218,8 +310,8 @@ const decodeIfd = (data, ptr, littleEndian) => {
      */
     const readEntries = () => {
         const entries = [];
-        const numEntries = view.getUint16(ptr, littleEndian);
-        ptr += 2;
+        const numEntries = bigTiff ? readOffset(ptr) : view.getUint16(ptr, littleEndian);
+        ptr += bigTiff ? 8 : 2;
 
         for (let i = 0; i < numEntries; i++) {
             const entry = readEntry();
@@ -229,8 +321,78 @@ const decodeIfd = (data, ptr, littleEndian) => {
         return entries;
     };
 
+    /**
+     * @param {IfdEntry[]} entries Modified in-place.
+     */
+    const resolveOffsets = (entries) => {
+        /**
+         * @param {number|bigint} value
+         * @returns {Ifd}
+         */
+        const readChildIfd = (value) => {
+            const childPtr = toOffset(value);
+            if (childPtr === ifdPtr || parents.includes(childPtr)) {
+                throw new Error('IFD contains a loop');
+            }
+            return decodeIfd(data, childPtr, littleEndian, [...parents, ifdPtr], bigTiff);
+        };
+
+        for (const entry of entries) {
+            if (!IFD_POINTER_TYPES.includes(entry.type)) {
+                continue;
+            }
+            if (IFD_POINTER_TAGS.includes(entry.tag) && entry.value.length === 1) {
+                entry.value = readChildIfd(entry.value[0]);
+            } else if (
+                (entry.tag === SUB_IFDS_TAG || entry.type === IFD || entry.type === IFD64) &&
+                entry.value.length > 0
+            ) {
+                // Anything typed as an IFD is an offset to one, whatever the tag.
+                entry.value = Array.from(entry.value, readChildIfd);
+            }
+        }
+
+        for (const [offsetsTag, byteCountsTag] of DATA_BLOCK_TAGS) {
+            const offsetsEntry = entries.find(i => i.tag === offsetsTag);
+            if (!offsetsEntry) {
+                continue;
+            }
+            const byteCountsEntry = entries.find(i => i.tag === byteCountsTag);
+
+            /** @type {Uint8Array[]} */
+            const blocks = [];
+            if (
+                byteCountsEntry &&
+                DATA_BLOCK_TYPES.includes(offsetsEntry.type) &&
+                DATA_BLOCK_TYPES.includes(byteCountsEntry.type) &&
+                offsetsEntry.value.length === byteCountsEntry.value.length
+            ) {
+                for (let i = 0; i < offsetsEntry.value.length; i++) {
+                    const start = toOffset(offsetsEntry.value[i]);
+                    const end = start + toOffset(byteCountsEntry.value[i]);
+                    if (end > data.byteLength) {
+                        break;
+                    }
+                    blocks.push(data.subarray(start, end));
+                }
+            }
+
+            if (blocks.length === offsetsEntry.value.length) {
+                offsetsEntry.value = blocks;
+            } else {
+                // The data can't be preserved and the offsets would be wrong after re-encoding,
+                // so drop the pair instead.
+                entries.splice(entries.indexOf(offsetsEntry), 1);
+                if (byteCountsEntry) {
+                    entries.splice(entries.indexOf(byteCountsEntry), 1);
+                }
+            }
+        }
+    };
+
     try {
         const entries = readEntries();
+        resolveOffsets(entries);
         return {
             entries
         };
@@ -241,6 +403,10 @@ const decodeIfd = (data, ptr, littleEndian) => {
 };
 
 /**
+ * Works on EXIF as well as standalone TIFF files, including DNG. Image strips and tiles are
+ * read as data blocks and SubIFDs are read as child IFDs, so encodeTiff can relocate them.
+ * Strips or tiles that don't fit in the data are removed along with their byte counts.
+ * Private tags that contain offsets can't be understood and will be wrong after re-encoding.
  * @param {Uint8Array} data
  * @returns {Tiff}
  */
@@ -250,49 +416,84 @@ const decodeTiff = (data) => {
 
     // Initialized in the try/catch below
     let littleEndian = true;
+    let bigTiff = false;
 
     const readEndianness = () => {
-        // Intel format (little endian), stored as "II" then 2A 00
+        // Intel format (little endian), stored as "II" then 2A 00, or 2B 00 for BigTIFF
         if (
             data[0] === 0x49 &&
             data[1] === 0x49 &&
-            data[2] === 0x2A &&
+            (data[2] === 0x2A || data[2] === 0x2B) &&
             data[3] === 0x00
         ) {
-            ptr += 4;
+            ptr += 2;
             return true;
         }
 
-        // Motorolla format (big endian), stored as "MM" then 00 2A
+        // Motorolla format (big endian), stored as "MM" then 00 2A, or 00 2B for BigTIFF
         if (
             data[0] === 0x4D &&
             data[1] === 0x4D &&
             data[2] === 0x00 &&
-            data[3] === 0x2A
+            (data[3] === 0x2A || data[3] === 0x2B)
         ) {
-            ptr += 4;
+            ptr += 2;
             return false;
         }
 
         throw new Error('Could not read endianness header');
     };
 
+    const readBigTiff = () => {
+        const version = view.getUint16(ptr, littleEndian);
+        ptr += 2;
+        if (version === 42) {
+            return false;
+        }
+
+        // BigTIFF has the size of offsets, which is always 8, then a reserved 0
+        if (view.getUint16(ptr, littleEndian) !== 8 || view.getUint16(ptr + 2, littleEndian) !== 0) {
+            throw new Error('Unsupported BigTIFF offset size');
+        }
+        ptr += 4;
+        return true;
+    };
+
+    /**
+     * @param {number} offsetPtr
+     * @returns {number}
+     */
+    const readOffset = (offsetPtr) => {
+        if (bigTiff) {
+            return toOffset(view.getBigUint64(offsetPtr, littleEndian));
+        }
+        return view.getUint32(offsetPtr, littleEndian);
+    };
+
     /**
      * @returns {Ifd[]}
      */
     const readAllIfds = () => {
         const ifds = [];
+        const seen = [];
 
         // Jump to the first IFD.
-        // (This will basically always be 8)
-        ptr = view.getUint32(ptr, littleEndian);
+        // (This will basically always be 8, or 16 for BigTIFF)
+        ptr = readOffset(ptr);
 
         while (ptr != 0) {
-            const ifd = decodeIfd(data, ptr, littleEndian);
+            if (seen.includes(ptr)) {
+                throw new Error('IFD chain contains a loop');
+            }
+            seen.push(ptr);
+
+            const ifd = decodeIfd(data, ptr, littleEndian, [], bigTiff);
             ifds.push(ifd);
 
-            const ifdSize = 2 + ifd.entries.length * 12;
-            ptr = view.getUint32(ptr + ifdSize, littleEndian);
+            // Not ifd.entries.length as entries that can't be followed are removed
+            const numEntries = bigTiff ? readOffset(ptr) : view.getUint16(ptr, littleEndian);
+            const ifdSize = bigTiff ? 8 + numEntries * 20 : 2 + numEntries * 12;
+            ptr = readOffset(ptr + ifdSize);
         }
 
         return ifds;
@@ -300,10 +501,12 @@ const decodeTiff = (data) => {
 
     try {
         littleEndian = readEndianness();
+        bigTiff = readBigTiff();
 
         return {
             ifds: readAllIfds(),
-            littleEndian
+            littleEndian,
+            bigTiff
         };
     } catch (e) {
         utils.addErrorTrace(e, data, ptr);
@@ -317,43 +520,193 @@ const decodeTiff = (data) => {
  */
 const ifdEntryPointsToIfd = (entry) => {
     return (
-        entry.type === UINT32 &&
+        IFD_POINTER_TYPES.includes(entry.type) &&
         !!entry.value &&
         Array.isArray(entry.value.entries)
     );
 };
 
+/**
+ * @param {IfdEntry} entry
+ * @returns {boolean}
+ */
+const ifdEntryPointsToIfds = (entry) => {
+    return (
+        IFD_POINTER_TYPES.includes(entry.type) &&
+        Array.isArray(entry.value) &&
+        entry.value.length > 0 &&
+        entry.value.every(i => !!i && Array.isArray(i.entries))
+    );
+};
+
+/**
+ * @param {IfdEntry} entry
+ * @returns {boolean}
+ */
+const ifdEntryPointsToData = (entry) => {
+    return (
+        DATA_BLOCK_TYPES.includes(entry.type) &&
+        Array.isArray(entry.value) &&
+        entry.value.every(i => i instanceof Uint8Array)
+    );
+};
+
+/**
+ * 64-bit values can only be written to a classic TIFF if they fit in 32 bits.
+ * @param {IfdEntry} entry
+ * @returns {IfdEntry}
+ */
+const toClassicEntry = (entry) => {
+    /**
+     * @param {bigint} min
+     * @param {bigint} max
+     */
+    const checkRange = (min, max) => {
+        for (const value of entry.value) {
+            if (value < min || value > max) {
+                throw new Error(`Value of tag ${entry.tag} does not fit in classic TIFF`);
+            }
+        }
+    };
+
+    switch (entry.type) {
+        case UINT64:
+            checkRange(0n, 0xFFFFFFFFn);
+            return {
+                tag: entry.tag,
+                type: UINT32,
+                value: Uint32Array.from(entry.value, i => Number(i))
+            };
+
+        case INT64:
+            checkRange(-0x80000000n, 0x7FFFFFFFn);
+            return {
+                tag: entry.tag,
+                type: INT32,
+                value: Int32Array.from(entry.value, i => Number(i))
+            };
+
+        case IFD64:
+            checkRange(0n, 0xFFFFFFFFn);
+            return {
+                tag: entry.tag,
+                type: IFD,
+                value: Uint32Array.from(entry.value, i => Number(i))
+            };
+    }
+
+    return entry;
+};
+
+/**
+ * Entries that point to data blocks are always written as UINT32 offsets, or UINT64 in
+ * BigTIFF, and their byte counts are derived from the blocks so that the two can't get out
+ * of sync. Entries that point to IFDs use the matching offset type for the file.
+ * @param {Ifd} ifd
+ * @param {IfdEntry} entry
+ * @param {boolean} bigTiff
+ * @returns {IfdEntry}
+ */
+const getEntryToEncode = (ifd, entry, bigTiff) => {
+    if (ifdEntryPointsToData(entry)) {
+        return {
+            tag: entry.tag,
+            type: bigTiff ? UINT64 : UINT32,
+            value: entry.value
+        };
+    }
+
+    if (ifdEntryPointsToIfd(entry) || ifdEntryPointsToIfds(entry)) {
+        const isIfdType = entry.type === IFD || entry.type === IFD64;
+        let type;
+        if (bigTiff) {
+            type = isIfdType ? IFD64 : UINT64;
+        } else {
+            type = isIfdType ? IFD : UINT32;
+        }
+        return {
+            tag: entry.tag,
+            type,
+            value: entry.value
+        };
+    }
+
+    const pair = DATA_BLOCK_TAGS.find(i => i[1] === entry.tag);
+    if (pair) {
+        const offsetsEntry = ifd.entries.find(i => i.tag === pair[0]);
+        if (offsetsEntry && ifdEntryPointsToData(offsetsEntry)) {
+            /** @type {Uint8Array[]} */
+            const blocks = offsetsEntry.value;
+            return {
+                tag: entry.tag,
+                type: bigTiff ? UINT64 : UINT32,
+                value: bigTiff ? BigUint64Array.from(blocks, i => BigInt(i.byteLength)) : Uint32Array.from(blocks, i => i.byteLength)
+            };
+        }
+    }
+
+    return bigTiff ? entry : toClassicEntry(entry);
+};
+
+/**
+ * @param {IfdEntry} entry
+ * @returns {number} Number of values that will be written, which may differ from value.length
+ */
+const getEntryCount = (entry) => {
+    if (entry.type === ASCII) {
+        // Strings are stored as UTF-8 to match the decoder and need a null terminator.
+        return utils.encoder.encode(entry.value).byteLength + 1;
+    }
+    return entry.value.length;
+};
+
 /**
  * @param {Ifd} ifd
+ * @param {boolean} bigTiff
  * @returns {[number, number]}
  */
-const getEncodedIfdSize = (ifd) => {
-    let front = 6; // IFD entry count, offset of next IFD
+const getEncodedIfdSize = (ifd, bigTiff) => {
+    const offsetSize = bigTiff ? 8 : 4;
+    let front = bigTiff ? 16 : 6; // IFD entry count, offset of next IFD
     let back = 0;
 
-    for (const entry of ifd.entries) {
-        front += 12; // Tag, type, count, value/offset
+    for (const originalEntry of ifd.entries) {
+        const entry = getEntryToEncode(ifd, originalEntry, bigTiff);
+        front += bigTiff ? 20 : 12; // Tag, type, count, value/offset
 
         if (ifdEntryPointsToIfd(entry)) {
             // If value is an IFD, then the value is the offset of where to find the child IFD.
-            const [childFront, childBack] = getEncodedIfdSize(entry.value);
+            const [childFront, childBack] = getEncodedIfdSize(entry.value, bigTiff);
 
             // The full child IFD is always stored in the back
             back += childFront;
             back += childBack;
-        } else {
-            let dataLength;
-            if (entry.type === ASCII) {
-                // We can assume string is just ASCII.
-                // Also needs a null terminator.
-                dataLength = entry.value.length + 1;
-            } else {
-                dataLength = getTypeSize(entry.type) * entry.value.length;
+        } else if (ifdEntryPointsToIfds(entry)) {
+            if (entry.value.length > 1) {
+                back += entry.value.length * offsetSize;
+            }
+
+            for (const childIfd of entry.value) {
+                const [childFront, childBack] = getEncodedIfdSize(childIfd, bigTiff);
+                back += childFront;
+                back += childBack;
+            }
+        } else if (ifdEntryPointsToData(entry)) {
+            // Offsets are stored like any other array of UINT32 or UINT64.
+            if (entry.value.length > 1) {
+                back += entry.value.length * offsetSize;
             }
 
-            if (dataLength > 4) {
+            // The data blocks themselves are also stored in the back.
+            for (const block of entry.value) {
+                back += pad(block.byteLength);
+            }
+        } else {
+            const dataLength = getTypeSize(entry.type) * getEntryCount(entry);
+
+            if (dataLength > offsetSize) {
                 // Won't fit inline in the entry, will have to store separately.
-                back += dataLength;
+                back += pad(dataLength);
             }
         }
     }
@@ -365,18 +718,28 @@ const getEncodedIfdSize = (ifd) => {
 };
 
 /**
+ * Changing bigTiff before encoding converts between classic TIFF and BigTIFF. Converting to
+ * classic TIFF throws if any 64-bit values or the file itself don't fit in 32 bits.
  * @param {Tiff} tiff
  * @returns {Uint8Array}
  */
 const encodeTiff = (tiff) => {
-    let totalFront = 8; // Byte alignment, tag, offset to first IFD
+    const bigTiff = !!tiff.bigTiff;
+    const offsetSize = bigTiff ? 8 : 4;
+
+    // Byte alignment, version, offset to first IFD, and for BigTIFF the offset size
+    let totalFront = bigTiff ? 16 : 8;
     let totalBack = 0;
     for (const ifd of tiff.ifds) {
-        const [front, back] = getEncodedIfdSize(ifd);
+        const [front, back] = getEncodedIfdSize(ifd, bigTiff);
         totalFront += front;
         totalBack += back;
     }
 
+    if (!bigTiff && totalFront + totalBack > 0xFFFFFFFF) {
+        throw new Error('TIFF is too large to encode without BigTIFF');
+    }
+
     const result = new Uint8Array(totalFront + totalBack);
     const view = new DataView(result.buffer, result.byteOffset, result.byteLength);
 
@@ -388,19 +751,38 @@ const encodeTiff = (tiff) => {
     if (littleEndian) {
         result[0] = 0x49;
         result[1] = 0x49;
-        result[2] = 0x2A;
-        result[3] = 0x00;
     } else {
         result[0] = 0x4D;
         result[1] = 0x4D;
-        result[2] = 0x00;
-        result[3] = 0x2A;
     }
-    frontPtr += 4;
+    frontPtr += 2;
+
+    view.setUint16(frontPtr, bigTiff ? 43 : 42, littleEndian);
+    frontPtr += 2;
+
+    if (bigTiff) {
+        // Offset size, then reserved
+        view.setUint16(frontPtr, 8, littleEndian);
+        view.setUint16(frontPtr + 2, 0, littleEndian);
+        frontPtr += 4;
+    }
+
+    /**
+     * Entry counts, value counts, and offsets are all 64-bit in BigTIFF.
+     * @param {number} offsetPtr
+     * @param {number} value
+     */
+    const writeOffset = (offsetPtr, value) => {
+        if (bigTiff) {
+            view.setBigUint64(offsetPtr, BigInt(value), littleEndian);
+        } else {
+            view.setUint32(offsetPtr, value, littleEndian);
+        }
+    };
 
     // Write offset to first IFD, which will always be right after the header
-    view.setUint32(frontPtr, 8, littleEndian);
-    frontPtr += 4;
+    writeOffset(frontPtr, frontPtr + offsetSize);
+    frontPtr += offsetSize;
 
     /**
      * @param {number} dataPtr
@@ -418,11 +800,10 @@ const encodeTiff = (tiff) => {
             }
 
             case ASCII: {
-                for (let i = 0; i < value.length; i++, dataPtr++) {
-                    view.setUint8(dataPtr, value.charCodeAt(i));
-                }
+                const encoded = utils.encoder.encode(value);
+                result.set(encoded, dataPtr);
                 // Null terminator
-                view.setUint8(dataPtr, 0);
+                view.setUint8(dataPtr + encoded.byteLength, 0);
                 break;
             }
 
@@ -433,7 +814,8 @@ const encodeTiff = (tiff) => {
                 break;
             }
 
-            case UINT32: {
+            case UINT32:
+            case IFD: {
                 for (let i = 0; i < value.length; i++, dataPtr += 4) {
                     view.setUint32(dataPtr, value[i], littleEndian);
                 }
@@ -457,14 +839,14 @@ const encodeTiff = (tiff) => {
 
             case INT16: {
                 for (let i = 0; i < value.length; i++, dataPtr += 2) {
-                    view.setInt16(dataPtr, value[i]);
+                    view.setInt16(dataPtr, value[i], littleEndian);
                 }
                 break;
             }
 
             case INT32: {
                 for (let i = 0; i < value.length; i++, dataPtr += 4) {
-                    view.setInt32(dataPtr, value[i]);
+                    view.setInt32(dataPtr, value[i], littleEndian);
                 }
                 break;
             }
@@ -479,14 +861,29 @@ const encodeTiff = (tiff) => {
 
             case SINGLE: {
                 for (let i = 0; i < value.length; i++, dataPtr += 4) {
-                    view.setFloat32(dataPtr, value[i]);
+                    view.setFloat32(dataPtr, value[i], littleEndian);
                 }
                 break;
             }
 
             case DOUBLE: {
                 for (let i = 0; i < value.length; i++, dataPtr += 8) {
-                    view.setFloat64(dataPtr, value[i]);
+                    view.setFloat64(dataPtr, value[i], littleEndian);
+                }
+                break;
+            }
+
+            case UINT64:
+            case IFD64: {
+                for (let i = 0; i < value.length; i++, dataPtr += 8) {
+                    view.setBigUint64(dataPtr, BigInt(value[i]), littleEndian);
+                }
+                break;
+            }
+
+            case INT64: {
+                for (let i = 0; i < value.length; i++, dataPtr += 8) {
+                    view.setBigInt64(dataPtr, BigInt(value[i]), littleEndian);
                 }
                 break;
             }
@@ -503,10 +900,17 @@ const encodeTiff = (tiff) => {
      * @returns {number} Final result of ptr
      */
     const writeIfd = (ifd, ptr) => {
-        view.setUint16(ptr, ifd.entries.length, littleEndian);
-        ptr += 2;
+        if (bigTiff) {
+            writeOffset(ptr, ifd.entries.length);
+            ptr += 8;
+        } else {
+            view.setUint16(ptr, ifd.entries.length, littleEndian);
+            ptr += 2;
+        }
+
+        for (const originalEntry of ifd.entries) {
+            const entry = getEntryToEncode(ifd, originalEntry, bigTiff);
 
-        for (const entry of ifd.entries) {
             view.setUint16(ptr, entry.tag, littleEndian);
             ptr += 2;
 
@@ -517,37 +921,85 @@ const encodeTiff = (tiff) => {
                 /** @type {Ifd} */
                 const childIfd = entry.value;
 
-                const [childFront, childBack] = getEncodedIfdSize(childIfd);
+                const [childFront, childBack] = getEncodedIfdSize(childIfd, bigTiff);
 
-                view.setUint32(ptr, 1, littleEndian);
-                ptr += 4;
+                writeOffset(ptr, 1);
+                ptr += offsetSize;
 
-                view.setUint32(ptr, backPtr, littleEndian);
-                ptr += 4;
+                writeOffset(ptr, backPtr);
+                ptr += offsetSize;
 
                 const initialBackPtr = backPtr;
                 backPtr = initialBackPtr + childFront;
                 writeIfd(childIfd, initialBackPtr);
                 backPtr = initialBackPtr + childFront + childBack;
-            } else {
-                let count = entry.value.length;
-                if (entry.tag === ASCII) {
-                    // Null terminator
-                    count += 1;
+            } else if (ifdEntryPointsToIfds(entry)) {
+                /** @type {Ifd[]} */
+                const childIfds = entry.value;
+
+                writeOffset(ptr, childIfds.length);
+                ptr += offsetSize;
+
+                let offsetPtr;
+                if (childIfds.length === 1) {
+                    offsetPtr = ptr;
+                } else {
+                    writeOffset(ptr, backPtr);
+                    offsetPtr = backPtr;
+                    backPtr += childIfds.length * offsetSize;
                 }
-                view.setUint32(ptr, count, littleEndian);
-                ptr += 4;
+                ptr += offsetSize;
+
+                for (const childIfd of childIfds) {
+                    writeOffset(offsetPtr, backPtr);
+                    offsetPtr += offsetSize;
+
+                    const [childFront, childBack] = getEncodedIfdSize(childIfd, bigTiff);
+                    const initialBackPtr = backPtr;
+                    backPtr = initialBackPtr + childFront;
+                    writeIfd(childIfd, initialBackPtr);
+                    backPtr = initialBackPtr + childFront + childBack;
+                }
+            } else if (ifdEntryPointsToData(entry)) {
+                /** @type {Uint8Array[]} */
+                const blocks = entry.value;
+
+                writeOffset(ptr, blocks.length);
+                ptr += offsetSize;
+
+                let offsetPtr;
+                if (blocks.length <= 1) {
+                    offsetPtr = ptr;
+                } else {
+                    writeOffset(ptr, backPtr);
+                    offsetPtr = backPtr;
+                    backPtr += blocks.length * offsetSize;
+                }
+                ptr += offsetSize;
+
+                for (const block of blocks) {
+                    // Sparse tiles and strips are stored with an offset of 0
+                    writeOffset(offsetPtr, block.byteLength === 0 ? 0 : backPtr);
+                    offsetPtr += offsetSize;
+
+                    result.set(block, backPtr);
+                    backPtr += pad(block.byteLength);
+                }
+            } else {
+                const count = getEntryCount(entry);
+                writeOffset(ptr, count);
+                ptr += offsetSize;
 
                 const totalSize = count * getTypeSize(entry.type);
                 let dataPtr;
-                if (totalSize <= 4) {
+                if (totalSize <= offsetSize) {
                     dataPtr = ptr;
                 } else {
-                    view.setUint32(ptr, backPtr, littleEndian);
+                    writeOffset(ptr, backPtr);
                     dataPtr = backPtr;
-                    backPtr += totalSize;
+                    backPtr += pad(totalSize);
                 }
-                ptr += 4;
+                ptr += offsetSize;
 
                 writeEntryValue(dataPtr, entry.type, entry.value);
             }
@@ -560,12 +1012,12 @@ const encodeTiff = (tiff) => {
         frontPtr = writeIfd(ifd, frontPtr);
 
         // Next IFD offset is immediately after this one
-        view.setUint32(frontPtr, frontPtr + 4, littleEndian);
-        frontPtr += 4;
+        writeOffset(frontPtr, frontPtr + offsetSize);
+        frontPtr += offsetSize;
     }
 
     // Last IFD offset is always 0
-    view.setUint32(frontPtr - 4, 0, littleEndian);
+    writeOffset(frontPtr - offsetSize, 0);
 
     return result;
 };
@@ -583,8 +1035,15 @@ module.exports = {
     SRATIONAL,
     SINGLE,
     DOUBLE,
+    IFD,
+    UINT64,
+    INT64,
+    IFD64,
 
     decodeTiff,
     decodeIfd,
-    encodeTiff
+    encodeTiff,
+    ifdEntryPointsToIfd,
+    ifdEntryPointsToIfds,
+    ifdEntryPointsToData
 };
@@ -51,9 +51,90 @@ const encoder = new TextEncoder();
  */
 const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
 
+/**
+ * https://en.wikipedia.org/wiki/MD5
+ * @param {Uint8Array} data
+ * @returns {string} Lowercase hex.
+ */
+const md5 = (data) => {
+    const shifts = [
+        7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+        5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+        4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+        6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+    ];
+    const constants = new Uint32Array(64);
+    for (let i = 0; i < 64; i++) {
+        constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000);
+    }
+
+    const paddedLength = Math.ceil((data.byteLength + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(data);
+    padded[data.byteLength] = 0x80;
+    const paddedView = new DataView(padded.buffer);
+    const bitLength = data.byteLength * 8;
+    paddedView.setUint32(paddedLength - 8, bitLength >>> 0, true);
+    paddedView.setUint32(paddedLength - 4, Math.floor(bitLength / 0x100000000), true);
+
+    let a0 = 0x67452301;
+    let b0 = 0xefcdab89;
+    let c0 = 0x98badcfe;
+    let d0 = 0x10325476;
+
+    const words = new Uint32Array(16);
+    for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+        for (let i = 0; i < 16; i++) {
+            words[i] = paddedView.getUint32(chunk + i * 4, true);
+        }
+
+        let a = a0;
+        let b = b0;
+        let c = c0;
+        let d = d0;
+        for (let i = 0; i < 64; i++) {
+            let f;
+            let g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+            f = (f + a + constants[i] + words[g]) >>> 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((f << shifts[i]) | (f >>> (32 - shifts[i])))) >>> 0;
+        }
+
+        a0 = (a0 + a) >>> 0;
+        b0 = (b0 + b) >>> 0;
+        c0 = (c0 + c) >>> 0;
+        d0 = (d0 + d) >>> 0;
+    }
+
+    const digest = new DataView(new ArrayBuffer(16));
+    digest.setUint32(0, a0, true);
+    digest.setUint32(4, b0, true);
+    digest.setUint32(8, c0, true);
+    digest.setUint32(12, d0, true);
+    return Array.from(new Uint8Array(digest.buffer))
+        .map(i => i.toString(16).padStart(2, '0'))
+        .join('');
+};
+
 module.exports = {
     addErrorTrace,
     decoder,
     encoder,
-    hasOwn
+    hasOwn,
+    md5
 };
@@ -0,0 +1,619 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+const utils = require('./utils');
+const exif = require('./exif');
+const xmp = require('./xmp');
+
+// Reference materials:
+// https://developers.google.com/speed/webp/docs/riff_container
+// https://www.rfc-editor.org/rfc/rfc9649.html
+
+/**
+ * @typedef WebpChunk
+ * @property {string} type 4 character ASCII FourCC, eg. 'VP8 ' or 'XMP ' (note the spaces).
+ * @property {Uint8Array} data Data inside the chunk, not including the header or padding byte.
+ * @property {number|null} [padding] Padding byte after odd sized chunks, which should be 0 but
+ * isn't always. null if it was left out of the last chunk. Defaults to 0.
+ */
+
+/**
+ * @typedef Webp
+ * @property {WebpChunk[]} chunks
+ * @property {Uint8Array} [trailer] Anything after the end of the RIFF container.
+ */
+
+/**
+ * @typedef WebpFeatures
+ * @property {boolean} icc
+ * @property {boolean} alpha
+ * @property {boolean} exif
+ * @property {boolean} xmp
+ * @property {boolean} animation
+ */
+
+/**
+ * @typedef WebpExtendedHeader Contents of the VP8X chunk.
+ * @property {WebpFeatures} features
+ * @property {number} canvasWidth
+ * @property {number} canvasHeight
+ */
+
+/**
+ * @typedef WebpAnimation Contents of the ANIM chunk.
+ * @property {number} backgroundColor In [blue, green, red, alpha] byte order, as stored.
+ * @property {number} loopCount 0 means infinite.
+ */
+
+/**
+ * @typedef WebpAnimationFrame Contents of an ANMF chunk.
+ * @property {number} x Always even.
+ * @property {number} y Always even.
+ * @property {number} width
+ * @property {number} height
+ * @property {number} duration In milliseconds.
+ * @property {boolean} blend If false, the frame replaces the canvas instead of being alpha-blended.
+ * @property {boolean} dispose If true, the frame's area is cleared to the background color afterwards.
+ * @property {WebpChunk[]} chunks Frame data, eg. ALPH and VP8 or VP8L.
+ */
+
+// Bits in the first byte of VP8X
+const ICC_FLAG = 0x20;
+const ALPHA_FLAG = 0x10;
+const EXIF_FLAG = 0x08;
+const XMP_FLAG = 0x04;
+const ANIMATION_FLAG = 0x02;
+
+/**
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+const isWebp = (data) => (
+    data.byteLength >= 12 &&
+    // 'RIFF'
+    data[0] === 0x52 &&
+    data[1] === 0x49 &&
+    data[2] === 0x46 &&
+    data[3] === 0x46 &&
+    // 'WEBP'
+    data[8] === 0x57 &&
+    data[9] === 0x45 &&
+    data[10] === 0x42 &&
+    data[11] === 0x50
+);
+
+/**
+ * @param {Uint8Array} data Chunks one after another, each padded to an even length.
+ * @returns {WebpChunk[]}
+ */
+const decodeChunkList = (data) => {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let ptr = 0;
+
+    try {
+        const chunks = [];
+        while (ptr < data.byteLength) {
+            if (ptr + 8 > data.byteLength) {
+                throw new Error('Incomplete chunk header');
+            }
+            const type = utils.decoder.decode(data.subarray(ptr, ptr + 4));
+            const size = view.getUint32(ptr + 4, true);
+            ptr += 8;
+
+            if (ptr + size > data.byteLength) {
+                throw new Error(`${type} chunk extends past end`);
+            }
+            /** @type {WebpChunk} */
+            const chunk = {
+                type,
+                data: data.subarray(ptr, ptr + size)
+            };
+            ptr += size;
+
+            // Odd sized chunks are followed by a padding byte. Some encoders leave it out
+            // of the last chunk.
+            if (size % 2 === 1) {
+                const padding = ptr < data.byteLength ? data[ptr] : null;
+                if (padding !== 0) {
+                    chunk.padding = padding;
+                }
+                ptr++;
+            }
+            chunks.push(chunk);
+        }
+        return chunks;
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+};
+
+/**
+ * @param {WebpChunk} chunk
+ * @param {boolean} isLast Only the last chunk can leave out its padding byte.
+ * @returns {boolean}
+ */
+const hasPaddingByte = (chunk, isLast) => chunk.data.byteLength % 2 === 1 && !(isLast && chunk.padding === null);
+
+/**
+ * @param {WebpChunk[]} chunks
+ * @returns {number}
+ */
+const getChunkListSize = (chunks) => chunks.reduce((total, i, index) => (
+    total + 8 + i.data.byteLength + (hasPaddingByte(i, index === chunks.length - 1) ? 1 : 0)
+), 0);
+
+/**
+ * @param {WebpChunk[]} chunks
+ * @param {Uint8Array} result Modified in-place.
+ * @param {number} ptr
+ */
+const writeChunkList = (chunks, result, ptr) => {
+    const view = new DataView(result.buffer, result.byteOffset, result.byteLength);
+    for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        if (chunk.type.length !== 4) {
+            throw new Error(`Invalid chunk type: ${chunk.type}`);
+        }
+        result.set(utils.encoder.encode(chunk.type), ptr);
+        view.setUint32(ptr + 4, chunk.data.byteLength, true);
+        result.set(chunk.data, ptr + 8);
+        ptr += 8 + chunk.data.byteLength;
+        if (hasPaddingByte(chunk, i === chunks.length - 1)) {
+            result[ptr] = chunk.padding || 0;
+            ptr++;
+        }
+    }
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Webp}
+ */
+const decodeWebp = (data) => {
+    if (!isWebp(data)) {
+        throw new Error('Not a valid WebP');
+    }
+
+    let ptr = 4;
+    try {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const riffSize = view.getUint32(ptr, true);
+        const riffEnd = 8 + riffSize;
+        if (riffEnd > data.byteLength) {
+            throw new Error('RIFF size is larger than data');
+        }
+        ptr = 12;
+
+        const chunks = decodeChunkList(data.subarray(12, riffEnd));
+        ptr = riffEnd;
+
+        return {
+            chunks,
+            trailer: data.subarray(riffEnd)
+        };
+    } catch (e) {
+        utils.addErrorTrace(e, data, ptr);
+        throw e;
+    }
+};
+
+/**
+ * The RIFF size is always computed from the chunks.
+ * @param {Webp} webp
+ * @returns {Uint8Array}
+ */
+const encodeWebp = (webp) => {
+    const trailer = webp.trailer || new Uint8Array();
+    const riffSize = 4 + getChunkListSize(webp.chunks);
+    const result = new Uint8Array(8 + riffSize + trailer.byteLength);
+    const view = new DataView(result.buffer);
+
+    result.set(utils.encoder.encode('RIFF'), 0);
+    view.setUint32(4, riffSize, true);
+    result.set(utils.encoder.encode('WEBP'), 8);
+    writeChunkList(webp.chunks, result, 12);
+    result.set(trailer, 8 + riffSize);
+
+    return result;
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {WebpExtendedHeader}
+ */
+const decodeExtendedHeader = (data) => {
+    if (data.byteLength < 10) {
+        throw new Error('VP8X chunk is too small');
+    }
+    const flags = data[0];
+    return {
+        features: {
+            icc: (flags & ICC_FLAG) !== 0,
+            alpha: (flags & ALPHA_FLAG) !== 0,
+            exif: (flags & EXIF_FLAG) !== 0,
+            xmp: (flags & XMP_FLAG) !== 0,
+            animation: (flags & ANIMATION_FLAG) !== 0
+        },
+        // 24-bit little endian, minus one
+        canvasWidth: (data[4] | (data[5] << 8) | (data[6] << 16)) + 1,
+        canvasHeight: (data[7] | (data[8] << 8) | (data[9] << 16)) + 1
+    };
+};
+
+/**
+ * @param {WebpExtendedHeader} header
+ * @returns {Uint8Array}
+ */
+const encodeExtendedHeader = (header) => {
+    for (const dimension of [header.canvasWidth, header.canvasHeight]) {
+        if (!Number.isInteger(dimension) || dimension < 1 || dimension > 0x1000000) {
+            throw new Error(`Invalid canvas size: ${dimension}`);
+        }
+    }
+    const width = header.canvasWidth - 1;
+    const height = header.canvasHeight - 1;
+    return new Uint8Array([
+        (
+            (header.features.icc ? ICC_FLAG : 0) |
+            (header.features.alpha ? ALPHA_FLAG : 0) |
+            (header.features.exif ? EXIF_FLAG : 0) |
+            (header.features.xmp ? XMP_FLAG : 0) |
+            (header.features.animation ? ANIMATION_FLAG : 0)
+        ),
+        0,
+        0,
+        0,
+        width & 0xFF,
+        (width >> 8) & 0xFF,
+        (width >> 16) & 0xFF,
+        height & 0xFF,
+        (height >> 8) & 0xFF,
+        (height >> 16) & 0xFF
+    ]);
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {WebpAnimation}
+ */
+const decodeAnimation = (data) => {
+    if (data.byteLength < 6) {
+        throw new Error('ANIM chunk is too small');
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return {
+        backgroundColor: view.getUint32(0, true),
+        loopCount: view.getUint16(4, true)
+    };
+};
+
+/**
+ * @param {WebpAnimation} animation
+ * @returns {Uint8Array}
+ */
+const encodeAnimation = (animation) => {
+    const data = new Uint8Array(6);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, animation.backgroundColor, true);
+    view.setUint16(4, animation.loopCount, true);
+    return data;
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+const readUint24 = (data) => data[0] | (data[1] << 8) | (data[2] << 16);
+
+/**
+ * @param {number} value
+ * @returns {number[]}
+ */
+const writeUint24 = (value) => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF];
+
+/**
+ * @param {Uint8Array} data
+ * @returns {WebpAnimationFrame}
+ */
+const decodeAnimationFrame = (data) => {
+    if (data.byteLength < 16) {
+        throw new Error('ANMF chunk is too small');
+    }
+    const flags = data[15];
+    return {
+        // Offsets are stored divided by 2
+        x: readUint24(data.subarray(0, 3)) * 2,
+        y: readUint24(data.subarray(3, 6)) * 2,
+        width: readUint24(data.subarray(6, 9)) + 1,
+        height: readUint24(data.subarray(9, 12)) + 1,
+        duration: readUint24(data.subarray(12, 15)),
+        blend: (flags & 0x02) === 0,
+        dispose: (flags & 0x01) !== 0,
+        chunks: decodeChunkList(data.subarray(16))
+    };
+};
+
+/**
+ * @param {WebpAnimationFrame} frame
+ * @returns {Uint8Array}
+ */
+const encodeAnimationFrame = (frame) => {
+    if (frame.x % 2 !== 0 || frame.y % 2 !== 0) {
+        throw new Error('Frame offsets must be even');
+    }
+    const data = new Uint8Array(16 + getChunkListSize(frame.chunks));
+    data.set([
+        ...writeUint24(frame.x / 2),
+        ...writeUint24(frame.y / 2),
+        ...writeUint24(frame.width - 1),
+        ...writeUint24(frame.height - 1),
+        ...writeUint24(frame.duration),
+        (frame.blend ? 0 : 0x02) | (frame.dispose ? 0x01 : 0)
+    ], 0);
+    writeChunkList(frame.chunks, data, 16);
+    return data;
+};
+
+/**
+ * @param {Webp} webp
+ * @param {string} type
+ * @returns {WebpChunk|null}
+ */
+const findChunk = (webp, type) => webp.chunks.find(i => i.type === type) || null;
+
+/**
+ * @typedef WebpSize
+ * @property {number} width
+ * @property {number} height
+ * @property {boolean} alpha
+ */
+
+/**
+ * @param {Webp} webp
+ * @returns {WebpSize} Canvas size from VP8X, or the size of the image in a simple file.
+ */
+const getWebpSize = (webp) => {
+    const vp8x = findChunk(webp, 'VP8X');
+    if (vp8x) {
+        const header = decodeExtendedHeader(vp8x.data);
+        return {
+            width: header.canvasWidth,
+            height: header.canvasHeight,
+            alpha: header.features.alpha
+        };
+    }
+
+    // Lossless bitstream: signature, 14 bit width - 1, 14 bit height - 1, alpha hint
+    const vp8l = findChunk(webp, 'VP8L');
+    if (vp8l) {
+        if (vp8l.data.byteLength < 5 || vp8l.data[0] !== 0x2F) {
+            throw new Error('Invalid VP8L signature');
+        }
+        const bits = new DataView(vp8l.data.buffer, vp8l.data.byteOffset + 1, 4).getUint32(0, true);
+        return {
+            width: (bits & 0x3FFF) + 1,
+            height: ((bits >> 14) & 0x3FFF) + 1,
+            alpha: ((bits >> 28) & 1) !== 0
+        };
+    }
+
+    // Lossy bitstream: 3 byte frame tag, start code, then 14 bit width and height
+    const vp8 = findChunk(webp, 'VP8 ');
+    if (vp8) {
+        if (vp8.data.byteLength < 10 || vp8.data[3] !== 0x9D || vp8.data[4] !== 0x01 || vp8.data[5] !== 0x2A) {
+            throw new Error('Invalid VP8 start code');
+        }
+        const view = new DataView(vp8.data.buffer, vp8.data.byteOffset, vp8.data.byteLength);
+        return {
+            width: view.getUint16(6, true) & 0x3FFF,
+            height: view.getUint16(8, true) & 0x3FFF,
+            alpha: false
+        };
+    }
+
+    throw new Error('WebP has no image data');
+};
+
+/**
+ * Metadata chunks need the extended format. Converts a simple file to it if needed.
+ * @param {Webp} webp Modified in-place.
+ * @returns {WebpChunk} The VP8X chunk.
+ */
+const getOrCreateExtendedHeader = (webp) => {
+    const existing = findChunk(webp, 'VP8X');
+    if (existing) {
+        return existing;
+    }
+
+    const size = getWebpSize(webp);
+    /** @type {WebpChunk} */
+    const chunk = {
+        type: 'VP8X',
+        data: encodeExtendedHeader({
+            features: {
+                icc: false,
+                alpha: size.alpha || webp.chunks.some(i => i.type === 'ALPH'),
+                exif: false,
+                xmp: false,
+                animation: false
+            },
+            canvasWidth: size.width,
+            canvasHeight: size.height
+        })
+    };
+    webp.chunks.unshift(chunk);
+    return chunk;
+};
+
+/**
+ * @param {Webp} webp Modified in-place.
+ */
+const updateFeatureFlags = (webp) => {
+    const chunk = findChunk(webp, 'VP8X');
+    if (!chunk) {
+        return;
+    }
+    const header = decodeExtendedHeader(chunk.data);
+    header.features.icc = webp.chunks.some(i => i.type === 'ICCP');
+    header.features.exif = webp.chunks.some(i => i.type === 'EXIF');
+    header.features.xmp = webp.chunks.some(i => i.type === 'XMP ');
+    // Keep the reserved bits and anything after the canvas size
+    const newData = new Uint8Array(chunk.data);
+    newData[0] = (chunk.data[0] & ~(ICC_FLAG | EXIF_FLAG | XMP_FLAG)) | encodeExtendedHeader(header)[0];
+    chunk.data = newData;
+};
+
+/**
+ * Chunks in the extended format must be ordered VP8X, ICCP, ANIM, image data, EXIF, XMP.
+ * Unknown chunks go at the end.
+ * @param {Webp} webp Modified in-place.
+ * @param {WebpChunk} newChunk Replaces any existing chunks with the same type.
+ */
+const setMetadataChunk = (webp, newChunk) => {
+    getOrCreateExtendedHeader(webp);
+
+    const existingIndex = webp.chunks.findIndex(i => i.type === newChunk.type);
+    if (existingIndex !== -1) {
+        webp.chunks[existingIndex] = newChunk;
+        webp.chunks = webp.chunks.filter((chunk, index) => chunk.type !== newChunk.type || index === existingIndex);
+    } else if (newChunk.type === 'ICCP') {
+        webp.chunks.splice(1, 0, newChunk);
+    } else {
+        // EXIF and XMP come after image data, and XMP after EXIF
+        const imageTypes = ['VP8X', 'ICCP', 'ANIM', 'ANMF', 'ALPH', 'VP8 ', 'VP8L'];
+        if (newChunk.type === 'XMP ') {
+            imageTypes.push('EXIF');
+        }
+        let index = 0;
+        webp.chunks.forEach((chunk, i) => {
+            if (imageTypes.includes(chunk.type)) {
+                index = i + 1;
+            }
+        });
+        webp.chunks.splice(index, 0, newChunk);
+    }
+
+    updateFeatureFlags(webp);
+};
+
+/**
+ * Also clears the corresponding VP8X feature flag.
+ * @param {Webp} webp Modified in-place.
+ * @param {'ICCP'|'EXIF'|'XMP '} type
+ * @returns {void}
+ */
+const removeWebpChunk = (webp, type) => {
+    webp.chunks = webp.chunks.filter(i => i.type !== type);
+    updateFeatureFlags(webp);
+};
+
+/**
+ * @param {Webp} webp
+ * @returns {import('./exif').Exif}
+ */
+const getWebpExif = (webp) => {
+    const chunk = findChunk(webp, 'EXIF');
+    if (!chunk) {
+        return {};
+    }
+    return exif.decodeExifTiff(exif.removeExifPrefix(chunk.data));
+};
+
+/**
+ * @param {Webp} webp Modified in-place.
+ * @param {import('./exif').Exif} newExif
+ * @returns {void}
+ */
+const setWebpExif = (webp, newExif) => {
+    setMetadataChunk(webp, {
+        type: 'EXIF',
+        data: exif.encodeExifTiff(newExif)
+    });
+};
+
+/**
+ * Unlike setWebpExif, tags that aren't mentioned in changes are left as-is.
+ * @param {Webp} webp Modified in-place.
+ * @param {import('./exif').Exif} changes Properties set to undefined or null are removed.
+ * @returns {void}
+ */
+const updateWebpExif = (webp, changes) => {
+    const chunk = findChunk(webp, 'EXIF');
+    if (!chunk) {
+        setWebpExif(webp, changes);
+        return;
+    }
+
+    setMetadataChunk(webp, {
+        type: 'EXIF',
+        data: exif.updateExifTiff(exif.removeExifPrefix(chunk.data), changes)
+    });
+};
+
+/**
+ * @param {Webp} webp
+ * @returns {import('./xmp').Xmp|null}
+ */
+const getWebpXmp = (webp) => {
+    const chunk = findChunk(webp, 'XMP ');
+    if (!chunk) {
+        return null;
+    }
+    return xmp.decodeXmp(utils.decoder.decode(chunk.data));
+};
+
+/**
+ * @param {Webp} webp Modified in-place.
+ * @param {import('./xmp').Xmp} newXmp
+ * @returns {void}
+ */
+const setWebpXmp = (webp, newXmp) => {
+    setMetadataChunk(webp, {
+        type: 'XMP ',
+        data: utils.encoder.encode(xmp.encodeXmp(newXmp))
+    });
+};
+
+/**
+ * @param {Webp} webp
+ * @returns {Uint8Array|null}
+ */
+const getWebpIccProfile = (webp) => {
+    const chunk = findChunk(webp, 'ICCP');
+    return chunk ? chunk.data : null;
+};
+
+/**
+ * @param {Webp} webp Modified in-place.
+ * @param {Uint8Array} profile
+ * @returns {void}
+ */
+const setWebpIccProfile = (webp, profile) => {
+    setMetadataChunk(webp, {
+        type: 'ICCP',
+        data: profile
+    });
+};
+
+module.exports = {
+    isWebp,
+    decodeWebp,
+    encodeWebp,
+    decodeExtendedHeader,
+    encodeExtendedHeader,
+    decodeAnimation,
+    encodeAnimation,
+    decodeAnimationFrame,
+    encodeAnimationFrame,
+    getWebpSize,
+    removeWebpChunk,
+    getWebpExif,
+    setWebpExif,
+    updateWebpExif,
+    getWebpXmp,
+    setWebpXmp,
+    getWebpIccProfile,
+    setWebpIccProfile
+};
@@ -0,0 +1,905 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+const utils = require('./utils');
+
+// Reference materials:
+// https://github.com/adobe/XMP-Toolkit-SDK/blob/main/docs/XMPSpecificationPart1.pdf
+// https://github.com/adobe/XMP-Toolkit-SDK/blob/main/docs/XMPSpecificationPart3.pdf
+// https://www.w3.org/TR/rdf-syntax-grammar/
+
+/**
+ * @typedef XmpValue
+ * @property {'text'|'uri'|'struct'|'seq'|'bag'|'alt'} type
+ * @property {string} [value] For text and uri.
+ * @property {XmpProperty[]} [fields] For struct.
+ * @property {XmpValue[]} [items] For seq, bag, and alt.
+ * @property {XmpProperty[]} [qualifiers] eg. xml:lang on items in a language alternative.
+ */
+
+/**
+ * @typedef XmpProperty
+ * @property {string} namespace Namespace URI, not prefix.
+ * @property {string} name Local name.
+ * @property {XmpValue} value
+ */
+
+/**
+ * @typedef Xmp
+ * @property {XmpProperty[]} properties
+ * @property {Record<string, string>} prefixes Maps namespace URI to the prefix to use when
+ * serializing. Namespaces without an entry here use a well-known prefix or a generated one.
+ */
+
+/**
+ * @typedef EncodeXmpOptions
+ * @property {number} [padding] Bytes of whitespace to add so the packet can be edited in-place
+ * later. Defaults to 2048.
+ * @property {boolean} [packetWrapper] Whether to include the <?xpacket?> processing instructions.
+ * Defaults to true.
+ */
+
+/**
+ * Common namespaces, keyed by their usual prefix.
+ */
+const NAMESPACES = {
+    x: 'adobe:ns:meta/',
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    xml: 'http://www.w3.org/XML/1998/namespace',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    xmp: 'http://ns.adobe.com/xap/1.0/',
+    xmpRights: 'http://ns.adobe.com/xap/1.0/rights/',
+    xmpMM: 'http://ns.adobe.com/xap/1.0/mm/',
+    xmpNote: 'http://ns.adobe.com/xmp/note/',
+    stEvt: 'http://ns.adobe.com/xap/1.0/sType/ResourceEvent#',
+    stRef: 'http://ns.adobe.com/xap/1.0/sType/ResourceRef#',
+    photoshop: 'http://ns.adobe.com/photoshop/1.0/',
+    tiff: 'http://ns.adobe.com/tiff/1.0/',
+    exif: 'http://ns.adobe.com/exif/1.0/',
+    exifEX: 'http://cipa.jp/exif/1.0/',
+    aux: 'http://ns.adobe.com/exif/1.0/aux/',
+    crs: 'http://ns.adobe.com/camera-raw-settings/1.0/',
+    hdrgm: 'http://ns.adobe.com/hdr-gain-map/1.0/',
+    apdi: 'http://ns.apple.com/pixeldatainfo/1.0/',
+    Iptc4xmpCore: 'http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/',
+    Iptc4xmpExt: 'http://iptc.org/std/Iptc4xmpExt/2008-02-29/',
+    GPano: 'http://ns.google.com/photos/1.0/panorama/',
+    GCamera: 'http://ns.google.com/photos/1.0/camera/',
+    Container: 'http://ns.google.com/photos/1.0/container/',
+    Item: 'http://ns.google.com/photos/1.0/container/item/'
+};
+
+/** @type {Map<string, string>} */
+const WELL_KNOWN_PREFIXES = new Map(Object.entries(NAMESPACES).map(([prefix, uri]) => [uri, prefix]));
+
+const ARRAY_TYPES = {
+    Seq: 'seq',
+    Bag: 'bag',
+    Alt: 'alt'
+};
+
+/**
+ * @typedef XmlAttribute
+ * @property {string} namespace
+ * @property {string} name Local name.
+ * @property {string} value
+ */
+
+/**
+ * @typedef XmlElement
+ * @property {string} namespace
+ * @property {string} name Local name.
+ * @property {string} qualifiedName As written in the document, eg. 'rdf:li'
+ * @property {XmlAttribute[]} attributes Does not include namespace declarations.
+ * @property {Array<XmlElement|string>} children
+ * @property {Record<string, string>} scope Prefix to namespace URI.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+        const codePoint = entity[1] === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+        return String.fromCodePoint(codePoint);
+    }
+    switch (entity) {
+        case 'lt': return '<';
+        case 'gt': return '>';
+        case 'amp': return '&';
+        case 'quot': return '"';
+        case 'apos': return '\'';
+    }
+    throw new Error(`Unknown XML entity: ${match}`);
+});
+
+/**
+ * @param {string} text
+ * @param {boolean} attribute
+ * @returns {string}
+ */
+const encodeEntities = (text, attribute) => {
+    let result = text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    if (attribute) {
+        result = result
+            .replace(/"/g, '&quot;')
+            .replace(/\t/g, '&#x9;')
+            .replace(/\n/g, '&#xA;')
+            .replace(/\r/g, '&#xD;');
+    } else {
+        result = result.replace(/\r/g, '&#xD;');
+    }
+    return result;
+};
+
+/**
+ * Just enough of XML to read XMP. DTDs are not supported, which XMP forbids anyways.
+ * @param {string} text
+ * @returns {XmlElement} The root element.
+ */
+const parseXml = (text) => {
+    /** @type {XmlElement[]} */
+    const stack = [];
+    /** @type {XmlElement|null} */
+    let root = null;
+    let ptr = 0;
+
+    /**
+     * @param {string} str
+     */
+    const appendText = (str) => {
+        if (stack.length === 0) {
+            if (str.trim()) {
+                throw new Error('Text outside of root element');
+            }
+            return;
+        }
+        const children = stack[stack.length - 1].children;
+        if (typeof children[children.length - 1] === 'string') {
+            children[children.length - 1] += str;
+        } else {
+            children.push(str);
+        }
+    };
+
+    /**
+     * @param {string} terminator
+     * @returns {number} Index of the terminator.
+     */
+    const findTerminator = (terminator) => {
+        const index = text.indexOf(terminator, ptr);
+        if (index === -1) {
+            throw new Error(`Expected ${terminator} after offset ${ptr}`);
+        }
+        return index;
+    };
+
+    /**
+     * @param {string} qualifiedName
+     * @param {Record<string, string>} scope
+     * @param {boolean} isAttribute Unprefixed attributes have no namespace.
+     * @returns {{namespace: string, name: string}}
+     */
+    const resolveName = (qualifiedName, scope, isAttribute) => {
+        const colon = qualifiedName.indexOf(':');
+        if (colon === -1) {
+            return {
+                namespace: isAttribute ? '' : (scope[''] || ''),
+                name: qualifiedName
+            };
+        }
+        const prefix = qualifiedName.substring(0, colon);
+        if (!utils.hasOwn(scope, prefix)) {
+            throw new Error(`Unknown namespace prefix: ${prefix}`);
+        }
+        return {
+            namespace: scope[prefix],
+            name: qualifiedName.substring(colon + 1)
+        };
+    };
+
+    const nameRegex = /[^\s=/>]+/y;
+    const attributeRegex = /\s+([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+    const tagEndRegex = /\s*(\/?)>/y;
+
+    while (ptr < text.length) {
+        const lt = text.indexOf('<', ptr);
+        if (lt === -1) {
+            appendText(decodeEntities(text.substring(ptr)));
+            break;
+        }
+        if (lt > ptr) {
+            appendText(decodeEntities(text.substring(ptr, lt)));
+        }
+        ptr = lt;
+
+        if (text.startsWith('<!--', ptr)) {
+            ptr = findTerminator('-->') + 3;
+        } else if (text.startsWith('<![CDATA[', ptr)) {
+            const end = findTerminator(']]>');
+            appendText(text.substring(ptr + 9, end));
+            ptr = end + 3;
+        } else if (text.startsWith('<?', ptr)) {
+            ptr = findTerminator('?>') + 2;
+        } else if (text.startsWith('<!', ptr)) {
+            throw new Error('DTDs are not supported');
+        } else if (text.startsWith('</', ptr)) {
+            const end = findTerminator('>');
+            const qualifiedName = text.substring(ptr + 2, end).trim();
+            const element = stack.pop();
+            if (!element || element.qualifiedName !== qualifiedName) {
+                throw new Error(`Unexpected closing tag: ${qualifiedName}`);
+            }
+            ptr = end + 1;
+        } else {
+            nameRegex.lastIndex = ptr + 1;
+            const nameMatch = nameRegex.exec(text);
+            if (!nameMatch) {
+                throw new Error(`Invalid tag at offset ${ptr}`);
+            }
+            ptr = nameRegex.lastIndex;
+
+            /** @type {Array<[string, string]>} */
+            const rawAttributes = [];
+            for (;;) {
+                attributeRegex.lastIndex = ptr;
+                const attributeMatch = attributeRegex.exec(text);
+                if (!attributeMatch) {
+                    break;
+                }
+                const value = attributeMatch[2] !== undefined ? attributeMatch[2] : attributeMatch[3];
+                rawAttributes.push([attributeMatch[1], decodeEntities(value)]);
+                ptr = attributeRegex.lastIndex;
+            }
+
+            tagEndRegex.lastIndex = ptr;
+            const endMatch = tagEndRegex.exec(text);
+            if (!endMatch) {
+                throw new Error(`Invalid tag at offset ${ptr}`);
+            }
+            ptr = tagEndRegex.lastIndex;
+
+            const parentScope = stack.length ? stack[stack.length - 1].scope : {
+                xml: NAMESPACES.xml
+            };
+            /** @type {Record<string, string>} */
+            const scope = Object.assign({}, parentScope);
+            for (const [name, value] of rawAttributes) {
+                if (name === 'xmlns') {
+                    scope[''] = value;
+                } else if (name.startsWith('xmlns:')) {
+                    scope[name.substring(6)] = value;
+                }
+            }
+
+            /** @type {XmlElement} */
+            const element = {
+                ...resolveName(nameMatch[0], scope, false),
+                qualifiedName: nameMatch[0],
+                attributes: rawAttributes
+                    .filter(([name]) => name !== 'xmlns' && !name.startsWith('xmlns:'))
+                    .map(([name, value]) => ({
+                        ...resolveName(name, scope, true),
+                        value
+                    })),
+                children: [],
+                scope
+            };
+
+            if (stack.length) {
+                stack[stack.length - 1].children.push(element);
+            } else if (root) {
+                throw new Error('Multiple root elements');
+            } else {
+                root = element;
+            }
+
+            const selfClosing = endMatch[1] === '/';
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length) {
+        throw new Error(`Unclosed element: ${stack[stack.length - 1].qualifiedName}`);
+    }
+    if (!root) {
+        throw new Error('No root element');
+    }
+    return root;
+};
+
+/**
+ * @param {XmlElement} element
+ * @param {string} namespace
+ * @param {string} name
+ * @returns {string|null}
+ */
+const getAttribute = (element, namespace, name) => {
+    const attribute = element.attributes.find(i => i.namespace === namespace && i.name === name);
+    return attribute ? attribute.value : null;
+};
+
+/**
+ * @param {XmlElement} element
+ * @returns {XmlElement[]}
+ */
+const getChildElements = (element) => /** @type {XmlElement[]} */ (element.children.filter(i => typeof i !== 'string'));
+
+/**
+ * @param {XmlElement} element
+ * @param {string} namespace
+ * @param {string} name
+ * @returns {XmlElement|null}
+ */
+const findElement = (element, namespace, name) => {
+    if (element.namespace === namespace && element.name === name) {
+        return element;
+    }
+    for (const child of getChildElements(element)) {
+        const result = findElement(child, namespace, name);
+        if (result) {
+            return result;
+        }
+    }
+    return null;
+};
+
+/**
+ * @param {XmlAttribute} attribute
+ * @returns {boolean} true if the attribute is a property rather than RDF syntax. Unprefixed
+ * attributes, such as the legacy about="" on rdf:Description, have no namespace and can't
+ * be properties.
+ */
+const isFieldAttribute = (attribute) => (
+    attribute.namespace !== NAMESPACES.rdf &&
+    attribute.namespace !== NAMESPACES.xml &&
+    attribute.namespace !== ''
+);
+
+/**
+ * Parses the attributes and children of rdf:Description or an element with
+ * rdf:parseType="Resource" as properties. Children that can't be represented are skipped.
+ * @param {XmlElement} element
+ * @returns {XmpProperty[]}
+ */
+const parseFields = (element) => {
+    /** @type {XmpProperty[]} */
+    const fields = [];
+    for (const attribute of element.attributes) {
+        if (!isFieldAttribute(attribute)) {
+            continue;
+        }
+        fields.push({
+            namespace: attribute.namespace,
+            name: attribute.name,
+            value: {
+                type: 'text',
+                value: attribute.value
+            }
+        });
+    }
+    for (const child of getChildElements(element)) {
+        const value = parsePropertyElement(child);
+        if (value) {
+            fields.push({
+                namespace: child.namespace,
+                name: child.name,
+                value
+            });
+        }
+    }
+    return fields;
+};
+
+/**
+ * @param {XmlElement} element A property element or rdf:li.
+ * @returns {XmpValue|null} null for forms that can't be represented, such as
+ * rdf:parseType="Literal", so that one property doesn't prevent reading the rest.
+ */
+const parsePropertyElement = (element) => {
+    /** @type {XmpProperty[]} */
+    const qualifiers = [];
+    const language = getAttribute(element, NAMESPACES.xml, 'lang');
+    if (language !== null) {
+        qualifiers.push({
+            namespace: NAMESPACES.xml,
+            name: 'lang',
+            value: {
+                type: 'text',
+                value: language
+            }
+        });
+    }
+
+    const resource = getAttribute(element, NAMESPACES.rdf, 'resource');
+    const parseType = getAttribute(element, NAMESPACES.rdf, 'parseType');
+    const children = getChildElements(element);
+    const hasFieldAttributes = element.attributes.some(isFieldAttribute);
+
+    /** @type {XmpValue} */
+    let value;
+    if (resource !== null) {
+        value = {
+            type: 'uri',
+            value: resource
+        };
+    } else if (parseType === 'Resource') {
+        value = {
+            type: 'struct',
+            fields: parseFields(element)
+        };
+    } else if (parseType !== null) {
+        return null;
+    } else if (
+        children.length === 1 &&
+        children[0].namespace === NAMESPACES.rdf &&
+        utils.hasOwn(ARRAY_TYPES, children[0].name)
+    ) {
+        value = {
+            type: ARRAY_TYPES[children[0].name],
+            items: getChildElements(children[0])
+                .filter(i => i.namespace === NAMESPACES.rdf && i.name === 'li')
+                .map(parsePropertyElement)
+                .filter(i => i !== null)
+        };
+    } else if (
+        children.length === 1 &&
+        children[0].namespace === NAMESPACES.rdf &&
+        children[0].name === 'Description'
+    ) {
+        value = {
+            type: 'struct',
+            fields: parseFields(children[0])
+        };
+    } else if (children.length === 0 && hasFieldAttributes) {
+        value = {
+            type: 'struct',
+            fields: parseFields(element)
+        };
+    } else if (children.length === 0) {
+        value = {
+            type: 'text',
+            value: element.children.join('')
+        };
+    } else {
+        return null;
+    }
+
+    // General qualifier form: a struct with rdf:value, where the other fields are qualifiers
+    if (value.type === 'struct') {
+        const rdfValue = value.fields.find(i => i.namespace === NAMESPACES.rdf && i.name === 'value');
+        if (rdfValue) {
+            const otherFields = value.fields.filter(i => i !== rdfValue);
+            value = rdfValue.value;
+            qualifiers.push(...(value.qualifiers || []), ...otherFields);
+        }
+    }
+
+    if (qualifiers.length) {
+        value.qualifiers = qualifiers;
+    }
+    return value;
+};
+
+/**
+ * @param {string} text An XMP packet, with or without the <?xpacket?> wrapper.
+ * @returns {Xmp}
+ */
+const decodeXmp = (text) => {
+    const root = parseXml(text);
+    const rdf = findElement(root, NAMESPACES.rdf, 'RDF');
+    if (!rdf) {
+        throw new Error('XMP does not contain rdf:RDF');
+    }
+
+    /** @type {Xmp} */
+    const xmp = {
+        properties: [],
+        prefixes: {}
+    };
+
+    for (const description of getChildElements(rdf)) {
+        if (description.namespace !== NAMESPACES.rdf || description.name !== 'Description') {
+            continue;
+        }
+
+        for (const [prefix, uri] of Object.entries(description.scope)) {
+            if (prefix && !utils.hasOwn(xmp.prefixes, uri)) {
+                xmp.prefixes[uri] = prefix;
+            }
+        }
+        for (const child of getChildElements(description)) {
+            for (const [prefix, uri] of Object.entries(child.scope)) {
+                if (prefix && !utils.hasOwn(xmp.prefixes, uri)) {
+                    xmp.prefixes[uri] = prefix;
+                }
+            }
+        }
+
+        xmp.properties.push(...parseFields(description));
+    }
+
+    // These are always written with their usual prefixes
+    delete xmp.prefixes[NAMESPACES.x];
+    delete xmp.prefixes[NAMESPACES.rdf];
+    delete xmp.prefixes[NAMESPACES.xml];
+
+    return xmp;
+};
+
+/**
+ * @param {XmpProperty[]} properties
+ * @param {Set<string>} namespaces Modified in-place.
+ */
+const collectNamespaces = (properties, namespaces) => {
+    for (const property of properties) {
+        namespaces.add(property.namespace);
+        collectValueNamespaces(property.value, namespaces);
+    }
+};
+
+/**
+ * @param {XmpValue} value
+ * @param {Set<string>} namespaces Modified in-place.
+ */
+const collectValueNamespaces = (value, namespaces) => {
+    if (value.fields) {
+        collectNamespaces(value.fields, namespaces);
+    }
+    if (value.items) {
+        for (const item of value.items) {
+            collectValueNamespaces(item, namespaces);
+        }
+    }
+    if (value.qualifiers) {
+        collectNamespaces(value.qualifiers, namespaces);
+    }
+};
+
+/**
+ * @param {Xmp} xmp
+ * @returns {Map<string, string>} Namespace URI to prefix, for every namespace used.
+ */
+const assignPrefixes = (xmp) => {
+    /** @type {Set<string>} */
+    const namespaces = new Set();
+    collectNamespaces(xmp.properties, namespaces);
+    namespaces.delete(NAMESPACES.rdf);
+    namespaces.delete(NAMESPACES.xml);
+
+    /** @type {Map<string, string>} */
+    const result = new Map([
+        [NAMESPACES.rdf, 'rdf'],
+        [NAMESPACES.xml, 'xml']
+    ]);
+    const usedPrefixes = new Set(['rdf', 'xml', 'x']);
+
+    for (const namespace of namespaces) {
+        let prefix = (
+            (utils.hasOwn(xmp.prefixes, namespace) && xmp.prefixes[namespace]) ||
+            WELL_KNOWN_PREFIXES.get(namespace) ||
+            'ns1'
+        );
+        if (usedPrefixes.has(prefix)) {
+            let i = 1;
+            while (usedPrefixes.has(`ns${i}`)) {
+                i++;
+            }
+            prefix = `ns${i}`;
+        }
+        usedPrefixes.add(prefix);
+        result.set(namespace, prefix);
+    }
+
+    return result;
+};
+
+/**
+ * @param {string} qualifiedName
+ * @param {XmpValue} value
+ * @param {string} indent
+ * @param {Map<string, string>} prefixes
+ * @returns {string}
+ */
+const serializeElement = (qualifiedName, value, indent, prefixes) => {
+    /**
+     * @param {XmpProperty} property
+     * @returns {string}
+     */
+    const nameOf = (property) => `${prefixes.get(property.namespace)}:${property.name}`;
+
+    const qualifiers = value.qualifiers || [];
+    const language = qualifiers.find(i => i.namespace === NAMESPACES.xml && i.name === 'lang');
+    const otherQualifiers = qualifiers.filter(i => i !== language);
+    const languageAttribute = language ? ` xml:lang="${encodeEntities(language.value.value, true)}"` : '';
+
+    if (otherQualifiers.length) {
+        /** @type {XmpValue} */
+        const unqualified = {
+            ...value
+        };
+        delete unqualified.qualifiers;
+        return [
+            `${indent}<${qualifiedName}${languageAttribute} rdf:parseType="Resource">`,
+            serializeElement('rdf:value', unqualified, `${indent} `, prefixes),
+            ...otherQualifiers.map(i => serializeElement(nameOf(i), i.value, `${indent} `, prefixes)),
+            `${indent}</${qualifiedName}>`
+        ].join('\n');
+    }
+
+    switch (value.type) {
+        case 'text':
+            return `${indent}<${qualifiedName}${languageAttribute}>${encodeEntities(value.value, false)}</${qualifiedName}>`;
+
+        case 'uri':
+            return `${indent}<${qualifiedName}${languageAttribute} rdf:resource="${encodeEntities(value.value, true)}"/>`;
+
+        case 'struct':
+            if (value.fields.length === 0) {
+                return `${indent}<${qualifiedName}${languageAttribute} rdf:parseType="Resource"/>`;
+            }
+            return [
+                `${indent}<${qualifiedName}${languageAttribute} rdf:parseType="Resource">`,
+                ...value.fields.map(i => serializeElement(nameOf(i), i.value, `${indent} `, prefixes)),
+                `${indent}</${qualifiedName}>`
+            ].join('\n');
+
+        case 'seq':
+        case 'bag':
+        case 'alt': {
+            const arrayName = `rdf:${value.type[0].toUpperCase()}${value.type.substring(1)}`;
+            if (value.items.length === 0) {
+                return [
+                    `${indent}<${qualifiedName}${languageAttribute}>`,
+                    `${indent} <${arrayName}/>`,
+                    `${indent}</${qualifiedName}>`
+                ].join('\n');
+            }
+            return [
+                `${indent}<${qualifiedName}${languageAttribute}>`,
+                `${indent} <${arrayName}>`,
+                ...value.items.map(i => serializeElement('rdf:li', i, `${indent}  `, prefixes)),
+                `${indent} </${arrayName}>`,
+                `${indent}</${qualifiedName}>`
+            ].join('\n');
+        }
+    }
+
+    throw new Error(`Unknown XMP value type: ${value.type}`);
+};
+
+/**
+ * @param {Xmp} xmp
+ * @param {EncodeXmpOptions} [options]
+ * @returns {string}
+ */
+const encodeXmp = (xmp, options = {}) => {
+    const padding = typeof options.padding === 'number' ? options.padding : 2048;
+    const packetWrapper = options.packetWrapper !== false;
+
+    const prefixes = assignPrefixes(xmp);
+    const declarations = Array.from(prefixes.entries())
+        .filter(([, prefix]) => prefix !== 'rdf' && prefix !== 'xml')
+        .map(([uri, prefix]) => `\n    xmlns:${prefix}="${encodeEntities(uri, true)}"`)
+        .join('');
+
+    const lines = [
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        ` <rdf:RDF xmlns:rdf="${NAMESPACES.rdf}">`
+    ];
+    if (xmp.properties.length) {
+        lines.push(
+            `  <rdf:Description rdf:about=""${declarations}>`,
+            ...xmp.properties.map(i => serializeElement(`${prefixes.get(i.namespace)}:${i.name}`, i.value, '   ', prefixes)),
+            '  </rdf:Description>'
+        );
+    } else {
+        lines.push('  <rdf:Description rdf:about=""/>');
+    }
+    lines.push(
+        ' </rdf:RDF>',
+        '</x:xmpmeta>'
+    );
+
+    let result = lines.join('\n');
+    if (!packetWrapper) {
+        return result;
+    }
+
+    // The byte order mark is how readers detect the encoding
+    result = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n${result}\n`;
+
+    // Whitespace is split into lines so the packet remains readable in text editors.
+    let remaining = padding;
+    while (remaining > 0) {
+        const lineLength = Math.min(remaining, 100);
+        result += `${' '.repeat(lineLength - 1)}\n`;
+        remaining -= lineLength;
+    }
+
+    result += '<?xpacket end="w"?>';
+    return result;
+};
+
+/**
+ * @param {Xmp} xmp
+ * @param {string} namespace
+ * @param {string} name
+ * @returns {XmpValue|null}
+ */
+const getXmpProperty = (xmp, namespace, name) => {
+    const property = xmp.properties.find(i => i.namespace === namespace && i.name === name);
+    return property ? property.value : null;
+};
+
+/**
+ * @param {Xmp} xmp Modified in-place.
+ * @param {string} namespace
+ * @param {string} name
+ * @param {XmpValue|string} value Strings are stored as text.
+ */
+const setXmpProperty = (xmp, namespace, name, value) => {
+    /** @type {XmpValue} */
+    const newValue = typeof value === 'string' ? {
+        type: 'text',
+        value
+    } : value;
+    const property = xmp.properties.find(i => i.namespace === namespace && i.name === name);
+    if (property) {
+        property.value = newValue;
+    } else {
+        xmp.properties.push({
+            namespace,
+            name,
+            value: newValue
+        });
+    }
+};
+
+/**
+ * @param {Xmp} xmp Modified in-place.
+ * @param {string} namespace
+ * @param {string} name
+ * @returns {boolean} true if the property existed.
+ */
+const removeXmpProperty = (xmp, namespace, name) => {
+    const length = xmp.properties.length;
+    xmp.properties = xmp.properties.filter(i => i.namespace !== namespace || i.name !== name);
+    return xmp.properties.length !== length;
+};
+
+/**
+ * @typedef SplitXmp
+ * @property {Uint8Array} standard UTF-8 packet with as much padding as fits.
+ * @property {Uint8Array|null} extended UTF-8 Extended XMP without a packet wrapper, if needed.
+ * @property {string|null} guid MD5 of extended as 32 uppercase hex digits, if needed.
+ */
+
+/**
+ * Serializes XMP for a container that limits the size of the main packet, such as JPG.
+ * If the packet doesn't fit, the largest properties are moved to Extended XMP and the
+ * standard packet refers to it with xmpNote:HasExtendedXMP.
+ * @param {Xmp} xmp
+ * @param {number} maxStandardSize In bytes.
+ * @returns {SplitXmp}
+ */
+const splitXmp = (xmp, maxStandardSize) => {
+    /**
+     * @param {Xmp} standardXmp
+     * @returns {Uint8Array|null}
+     */
+    const encodeWithPadding = (standardXmp) => {
+        const withoutPadding = utils.encoder.encode(encodeXmp(standardXmp, {
+            padding: 0
+        }));
+        if (withoutPadding.byteLength > maxStandardSize) {
+            return null;
+        }
+        const padding = Math.min(2048, maxStandardSize - withoutPadding.byteLength);
+        return utils.encoder.encode(encodeXmp(standardXmp, {
+            padding
+        }));
+    };
+
+    const withoutExtended = {
+        ...xmp,
+        properties: xmp.properties.filter(i => i.namespace !== NAMESPACES.xmpNote || i.name !== 'HasExtendedXMP')
+    };
+    const standard = encodeWithPadding(withoutExtended);
+    if (standard) {
+        return {
+            standard,
+            extended: null,
+            guid: null
+        };
+    }
+
+    const prefixes = assignPrefixes(withoutExtended);
+    const bySize = withoutExtended.properties
+        .map(property => ({
+            property,
+            size: utils.encoder.encode(serializeElement(`${prefixes.get(property.namespace)}:${property.name}`, property.value, '', prefixes)).byteLength
+        }))
+        .sort((a, b) => b.size - a.size)
+        .map(i => i.property);
+
+    // GUID is the same length regardless of its value, so a placeholder can be used for sizing
+    /** @type {XmpProperty} */
+    const hasExtended = {
+        namespace: NAMESPACES.xmpNote,
+        name: 'HasExtendedXMP',
+        value: {
+            type: 'text',
+            value: '0'.repeat(32)
+        }
+    };
+
+    /** @type {Set<XmpProperty>} */
+    const moved = new Set();
+    for (const property of bySize) {
+        moved.add(property);
+        const standardXmp = {
+            ...withoutExtended,
+            properties: [...withoutExtended.properties.filter(i => !moved.has(i)), hasExtended]
+        };
+        if (!encodeWithPadding(standardXmp)) {
+            continue;
+        }
+
+        const extended = utils.encoder.encode(encodeXmp({
+            ...withoutExtended,
+            properties: withoutExtended.properties.filter(i => moved.has(i))
+        }, {
+            packetWrapper: false
+        }));
+        const guid = utils.md5(extended).toUpperCase();
+        hasExtended.value.value = guid;
+        return {
+            standard: encodeWithPadding(standardXmp),
+            extended,
+            guid
+        };
+    }
+
+    throw new Error('XMP is too large');
+};
+
+/**
+ * Combines a standard packet with its Extended XMP, as readers are expected to do.
+ * @param {Xmp} standard
+ * @param {Xmp} extended
+ * @returns {Xmp} New object. Properties in extended replace ones with the same name in standard.
+ */
+const mergeXmp = (standard, extended) => {
+    /** @type {Xmp} */
+    const result = {
+        properties: standard.properties.filter(i => (
+            !(i.namespace === NAMESPACES.xmpNote && i.name === 'HasExtendedXMP') &&
+            !extended.properties.some(j => j.namespace === i.namespace && j.name === i.name)
+        )),
+        prefixes: {
+            ...extended.prefixes,
+            ...standard.prefixes
+        }
+    };
+    result.properties.push(...extended.properties);
+    return result;
+};
+
+module.exports = {
+    NAMESPACES,
+    decodeXmp,
+    encodeXmp,
+    getXmpProperty,
+    setXmpProperty,
+    removeXmpProperty,
+    splitXmp,
+    mergeXmp
+};
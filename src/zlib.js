@@ -0,0 +1,816 @@
+// This Source Code Form is subject to the terms of the Mozilla Public
+// License, v. 2.0. If a copy of the MPL was not distributed with this
+// file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+// Reference material:
+// https://www.rfc-editor.org/rfc/rfc1950 (zlib)
+// https://www.rfc-editor.org/rfc/rfc1951 (DEFLATE)
+// https://github.com/madler/zlib/blob/develop/contrib/puff/puff.c
+
+// Lengths and distances are stored as a base plus some extra bits.
+const LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const DISTANCE_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DISTANCE_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+// Order in which code length code lengths are stored in dynamic blocks
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const END_OF_BLOCK = 256;
+const MAX_BITS = 15;
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+
+// How many previous occurrences to check when looking for a match. Higher values
+// compress better but are slower.
+const MAX_CHAIN = 128;
+
+/**
+ * @returns {Uint8Array}
+ */
+const getFixedLiteralLengths = () => {
+    const lengths = new Uint8Array(288);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    return lengths;
+};
+
+/**
+ * @returns {Uint8Array}
+ */
+const getFixedDistanceLengths = () => {
+    const lengths = new Uint8Array(30);
+    lengths.fill(5);
+    return lengths;
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+const adler32 = (data) => {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < data.length; i++) {
+        a = (a + data[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+};
+
+/**
+ * @typedef HuffmanTable
+ * @property {Uint16Array} counts Number of codes of each length
+ * @property {Uint16Array} symbols Symbols ordered by their canonical code
+ */
+
+/**
+ * @param {ArrayLike<number>} lengths Code length of each symbol
+ * @returns {HuffmanTable}
+ */
+const buildDecodeTable = (lengths) => {
+    const counts = new Uint16Array(MAX_BITS + 1);
+    for (let i = 0; i < lengths.length; i++) {
+        counts[lengths[i]]++;
+    }
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(MAX_BITS + 2);
+    for (let i = 1; i <= MAX_BITS; i++) {
+        offsets[i + 1] = offsets[i] + counts[i];
+    }
+
+    const symbols = new Uint16Array(lengths.length);
+    for (let i = 0; i < lengths.length; i++) {
+        if (lengths[i] !== 0) {
+            symbols[offsets[lengths[i]]++] = i;
+        }
+    }
+
+    return {
+        counts,
+        symbols
+    };
+};
+
+/**
+ * Decompress raw DEFLATE data.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+const inflateRaw = (data) => {
+    let ptr = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    let output = new Uint8Array(Math.max(1024, data.byteLength * 4));
+    let outputLength = 0;
+
+    /**
+     * @param {number} extra
+     */
+    const ensureCapacity = (extra) => {
+        if (outputLength + extra > output.byteLength) {
+            const newOutput = new Uint8Array(Math.max(output.byteLength * 2, outputLength + extra));
+            newOutput.set(output.subarray(0, outputLength));
+            output = newOutput;
+        }
+    };
+
+    /**
+     * @param {number} count At most 16
+     * @returns {number}
+     */
+    const readBits = (count) => {
+        while (bitCount < count) {
+            if (ptr >= data.byteLength) {
+                throw new Error('Unexpected end of compressed data');
+            }
+            bitBuffer |= data[ptr] << bitCount;
+            ptr++;
+            bitCount += 8;
+        }
+        const result = bitBuffer & ((1 << count) - 1);
+        bitBuffer >>>= count;
+        bitCount -= count;
+        return result;
+    };
+
+    /**
+     * @param {HuffmanTable} table
+     * @returns {number}
+     */
+    const readSymbol = (table) => {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let length = 1; length <= MAX_BITS; length++) {
+            code |= readBits(1);
+            const count = table.counts[length];
+            if (code - first < count) {
+                return table.symbols[index + code - first];
+            }
+            index += count;
+            first += count;
+            first <<= 1;
+            code <<= 1;
+        }
+        throw new Error('Invalid Huffman code');
+    };
+
+    const readStoredBlock = () => {
+        // Stored blocks start at a byte boundary
+        bitBuffer = 0;
+        bitCount = 0;
+
+        if (ptr + 4 > data.byteLength) {
+            throw new Error('Unexpected end of compressed data');
+        }
+        const length = data[ptr] | (data[ptr + 1] << 8);
+        const lengthComplement = data[ptr + 2] | (data[ptr + 3] << 8);
+        ptr += 4;
+
+        if (length !== (~lengthComplement & 0xFFFF)) {
+            throw new Error('Stored block length mismatch');
+        }
+        if (ptr + length > data.byteLength) {
+            throw new Error('Unexpected end of compressed data');
+        }
+
+        ensureCapacity(length);
+        output.set(data.subarray(ptr, ptr + length), outputLength);
+        outputLength += length;
+        ptr += length;
+    };
+
+    /**
+     * @param {HuffmanTable} literalTable
+     * @param {HuffmanTable} distanceTable
+     */
+    const readCompressedBlock = (literalTable, distanceTable) => {
+        while (true) {
+            const symbol = readSymbol(literalTable);
+
+            if (symbol < 256) {
+                ensureCapacity(1);
+                output[outputLength++] = symbol;
+            } else if (symbol === END_OF_BLOCK) {
+                return;
+            } else {
+                const lengthIndex = symbol - 257;
+                if (lengthIndex >= LENGTH_BASE.length) {
+                    throw new Error('Invalid length symbol');
+                }
+                const length = LENGTH_BASE[lengthIndex] + readBits(LENGTH_EXTRA[lengthIndex]);
+
+                const distanceIndex = readSymbol(distanceTable);
+                if (distanceIndex >= DISTANCE_BASE.length) {
+                    throw new Error('Invalid distance symbol');
+                }
+                const distance = DISTANCE_BASE[distanceIndex] + readBits(DISTANCE_EXTRA[distanceIndex]);
+                if (distance > outputLength) {
+                    throw new Error('Distance too far back');
+                }
+
+                ensureCapacity(length);
+                // Can't use copyWithin as the source and destination may overlap
+                for (let i = 0; i < length; i++, outputLength++) {
+                    output[outputLength] = output[outputLength - distance];
+                }
+            }
+        }
+    };
+
+    const readDynamicTables = () => {
+        const literalCount = readBits(5) + 257;
+        const distanceCount = readBits(5) + 1;
+        const codeLengthCount = readBits(4) + 4;
+
+        const codeLengthLengths = new Uint8Array(19);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengthLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+        }
+        const codeLengthTable = buildDecodeTable(codeLengthLengths);
+
+        const lengths = new Uint8Array(literalCount + distanceCount);
+        for (let i = 0; i < lengths.length;) {
+            const symbol = readSymbol(codeLengthTable);
+            if (symbol < 16) {
+                lengths[i++] = symbol;
+                continue;
+            }
+
+            let repeatValue = 0;
+            let repeatCount;
+            if (symbol === 16) {
+                if (i === 0) {
+                    throw new Error('Repeat with no previous length');
+                }
+                repeatValue = lengths[i - 1];
+                repeatCount = 3 + readBits(2);
+            } else if (symbol === 17) {
+                repeatCount = 3 + readBits(3);
+            } else {
+                repeatCount = 11 + readBits(7);
+            }
+
+            if (i + repeatCount > lengths.length) {
+                throw new Error('Too many code lengths');
+            }
+            lengths.fill(repeatValue, i, i + repeatCount);
+            i += repeatCount;
+        }
+
+        if (lengths[END_OF_BLOCK] === 0) {
+            throw new Error('Missing end of block code');
+        }
+
+        return [
+            buildDecodeTable(lengths.subarray(0, literalCount)),
+            buildDecodeTable(lengths.subarray(literalCount))
+        ];
+    };
+
+    let isFinalBlock = false;
+    while (!isFinalBlock) {
+        isFinalBlock = readBits(1) === 1;
+        const blockType = readBits(2);
+        if (blockType === 0) {
+            readStoredBlock();
+        } else if (blockType === 1) {
+            readCompressedBlock(
+                buildDecodeTable(getFixedLiteralLengths()),
+                buildDecodeTable(getFixedDistanceLengths())
+            );
+        } else if (blockType === 2) {
+            const [literalTable, distanceTable] = readDynamicTables();
+            readCompressedBlock(literalTable, distanceTable);
+        } else {
+            throw new Error('Invalid block type');
+        }
+    }
+
+    return output.slice(0, outputLength);
+};
+
+/**
+ * Decompress zlib-wrapped DEFLATE data, as used by PNG.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+const inflate = (data) => {
+    if (data.byteLength < 6) {
+        throw new Error('zlib data is too short');
+    }
+
+    const cmf = data[0];
+    const flg = data[1];
+    if ((cmf & 0x0F) !== 8 || (cmf >> 4) > 7) {
+        throw new Error('Unsupported zlib compression method');
+    }
+    if (((cmf << 8) | flg) % 31 !== 0) {
+        throw new Error('zlib header check failed');
+    }
+    if (flg & 0x20) {
+        throw new Error('zlib preset dictionaries are not supported');
+    }
+
+    const result = inflateRaw(data.subarray(2, data.byteLength - 4));
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const expectedChecksum = view.getUint32(data.byteLength - 4, false);
+    if (adler32(result) !== expectedChecksum) {
+        throw new Error('zlib checksum mismatch');
+    }
+
+    return result;
+};
+
+/**
+ * Builds code lengths for the given symbol frequencies, limited to maxBits.
+ * @param {Uint32Array} frequencies
+ * @param {number} maxBits
+ * @returns {Uint8Array}
+ */
+const buildCodeLengths = (frequencies, maxBits) => {
+    const lengths = new Uint8Array(frequencies.length);
+    let freqs = Array.from(frequencies);
+
+    while (true) {
+        const leaves = [];
+        for (let i = 0; i < freqs.length; i++) {
+            if (freqs[i] > 0) {
+                leaves.push(i);
+            }
+        }
+
+        if (leaves.length === 0) {
+            return lengths;
+        }
+        if (leaves.length === 1) {
+            lengths[leaves[0]] = 1;
+            return lengths;
+        }
+
+        leaves.sort((a, b) => freqs[a] - freqs[b] || a - b);
+
+        // Standard two queue Huffman construction. Nodes [0, leaves.length) are leaves,
+        // the rest are internal.
+        const nodeFreqs = leaves.map(i => freqs[i]);
+        const parents = new Int32Array(leaves.length * 2 - 1);
+        let leafIndex = 0;
+        let internalIndex = leaves.length;
+        let nextNode = leaves.length;
+
+        const takeSmallest = () => {
+            if (
+                leafIndex < leaves.length &&
+                (internalIndex >= nextNode || nodeFreqs[leafIndex] <= nodeFreqs[internalIndex])
+            ) {
+                return leafIndex++;
+            }
+            return internalIndex++;
+        };
+
+        while (nextNode < parents.length) {
+            const a = takeSmallest();
+            const b = takeSmallest();
+            nodeFreqs[nextNode] = nodeFreqs[a] + nodeFreqs[b];
+            parents[a] = nextNode;
+            parents[b] = nextNode;
+            nextNode++;
+        }
+
+        // Depth of each node is one more than its parent. The root is the last node.
+        const depths = new Uint8Array(parents.length);
+        let maxDepth = 0;
+        for (let i = parents.length - 2; i >= 0; i--) {
+            depths[i] = depths[parents[i]] + 1;
+            maxDepth = Math.max(maxDepth, depths[i]);
+        }
+
+        if (maxDepth <= maxBits) {
+            for (let i = 0; i < leaves.length; i++) {
+                lengths[leaves[i]] = depths[i];
+            }
+            return lengths;
+        }
+
+        // Too deep. Flatten the distribution and try again.
+        freqs = freqs.map(i => (i === 0 ? 0 : Math.max(1, i >>> 1)));
+    }
+};
+
+/**
+ * @param {number} code
+ * @param {number} length
+ * @returns {number}
+ */
+const reverseBits = (code, length) => {
+    let result = 0;
+    for (let i = 0; i < length; i++) {
+        result = (result << 1) | (code & 1);
+        code >>>= 1;
+    }
+    return result;
+};
+
+/**
+ * @param {Uint8Array} lengths
+ * @returns {Uint16Array} Codes, already bit-reversed for writing
+ */
+const buildCodes = (lengths) => {
+    const counts = new Uint16Array(MAX_BITS + 1);
+    for (let i = 0; i < lengths.length; i++) {
+        counts[lengths[i]]++;
+    }
+    counts[0] = 0;
+
+    const nextCode = new Uint16Array(MAX_BITS + 1);
+    let code = 0;
+    for (let i = 1; i <= MAX_BITS; i++) {
+        code = (code + counts[i - 1]) << 1;
+        nextCode[i] = code;
+    }
+
+    const codes = new Uint16Array(lengths.length);
+    for (let i = 0; i < lengths.length; i++) {
+        if (lengths[i] !== 0) {
+            codes[i] = reverseBits(nextCode[lengths[i]]++, lengths[i]);
+        }
+    }
+    return codes;
+};
+
+/**
+ * @param {number} length
+ * @returns {number} Index into LENGTH_BASE
+ */
+const getLengthIndex = (length) => {
+    let i = LENGTH_BASE.length - 1;
+    while (LENGTH_BASE[i] > length) {
+        i--;
+    }
+    return i;
+};
+
+/**
+ * @param {number} distance
+ * @returns {number} Index into DISTANCE_BASE
+ */
+const getDistanceIndex = (distance) => {
+    let i = DISTANCE_BASE.length - 1;
+    while (DISTANCE_BASE[i] > distance) {
+        i--;
+    }
+    return i;
+};
+
+/**
+ * Finds repeated strings using hash chains.
+ * @param {Uint8Array} data
+ * @returns {{lengths: Uint16Array, values: Uint16Array, count: number}} A length of 0 means
+ * values is a literal byte, otherwise values is the distance.
+ */
+const findMatches = (data) => {
+    const HASH_BITS = 15;
+    const HASH_MASK = (1 << HASH_BITS) - 1;
+
+    const head = new Int32Array(1 << HASH_BITS).fill(-1);
+    const previous = new Int32Array(data.byteLength);
+
+    const lengths = new Uint16Array(data.byteLength);
+    const values = new Uint16Array(data.byteLength);
+    let count = 0;
+
+    /**
+     * @param {number} i
+     * @returns {number}
+     */
+    const hash = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & HASH_MASK;
+
+    /**
+     * @param {number} i
+     */
+    const insert = (i) => {
+        if (i + MIN_MATCH <= data.byteLength) {
+            const h = hash(i);
+            previous[i] = head[h];
+            head[h] = i;
+        }
+    };
+
+    let i = 0;
+    while (i < data.byteLength) {
+        let bestLength = 0;
+        let bestDistance = 0;
+
+        if (i + MIN_MATCH <= data.byteLength) {
+            const maxLength = Math.min(MAX_MATCH, data.byteLength - i);
+            let candidate = head[hash(i)];
+            for (let chain = 0; candidate >= 0 && i - candidate <= WINDOW_SIZE && chain < MAX_CHAIN; chain++) {
+                if (data[candidate + bestLength] === data[i + bestLength]) {
+                    let length = 0;
+                    while (length < maxLength && data[candidate + length] === data[i + length]) {
+                        length++;
+                    }
+                    if (length > bestLength) {
+                        bestLength = length;
+                        bestDistance = i - candidate;
+                        if (length === maxLength) {
+                            break;
+                        }
+                    }
+                }
+                candidate = previous[candidate];
+            }
+        }
+
+        if (bestLength >= MIN_MATCH) {
+            lengths[count] = bestLength;
+            values[count] = bestDistance;
+            count++;
+            for (let j = 0; j < bestLength; j++) {
+                insert(i + j);
+            }
+            i += bestLength;
+        } else {
+            lengths[count] = 0;
+            values[count] = data[i];
+            count++;
+            insert(i);
+            i++;
+        }
+    }
+
+    return {
+        lengths,
+        values,
+        count
+    };
+};
+
+/**
+ * Run-length encodes code lengths for a dynamic block header.
+ * @param {Uint8Array} lengths
+ * @returns {number[][]} [symbol, extra bits value, extra bit count]
+ */
+const encodeCodeLengths = (lengths) => {
+    const result = [];
+    let i = 0;
+    while (i < lengths.length) {
+        const value = lengths[i];
+        let run = 1;
+        while (i + run < lengths.length && lengths[i + run] === value) {
+            run++;
+        }
+
+        if (value === 0 && run >= 3) {
+            const repeat = Math.min(run, 138);
+            if (repeat >= 11) {
+                result.push([18, repeat - 11, 7]);
+            } else {
+                result.push([17, repeat - 3, 3]);
+            }
+            i += repeat;
+        } else if (value !== 0 && run >= 4) {
+            // First one has to be written explicitly, then repeated
+            result.push([value, 0, 0]);
+            const repeat = Math.min(run - 1, 6);
+            result.push([16, repeat - 3, 2]);
+            i += 1 + repeat;
+        } else {
+            result.push([value, 0, 0]);
+            i++;
+        }
+    }
+    return result;
+};
+
+/**
+ * Compress data to raw DEFLATE. Uses a single block with whichever of stored, fixed, or
+ * dynamic Huffman codes is smallest.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+const deflateRaw = (data) => {
+    const matches = findMatches(data);
+
+    const literalFrequencies = new Uint32Array(286);
+    const distanceFrequencies = new Uint32Array(30);
+    for (let i = 0; i < matches.count; i++) {
+        if (matches.lengths[i] === 0) {
+            literalFrequencies[matches.values[i]]++;
+        } else {
+            literalFrequencies[257 + getLengthIndex(matches.lengths[i])]++;
+            distanceFrequencies[getDistanceIndex(matches.values[i])]++;
+        }
+    }
+    literalFrequencies[END_OF_BLOCK]++;
+
+    // Some decoders are unhappy with trees that only have a single code.
+    for (const frequencies of [literalFrequencies, distanceFrequencies]) {
+        let used = frequencies.reduce((count, i) => count + (i > 0 ? 1 : 0), 0);
+        for (let i = 0; used < 2; i++) {
+            if (frequencies[i] === 0) {
+                frequencies[i] = 1;
+                used++;
+            }
+        }
+    }
+
+    const dynamicLiteralLengths = buildCodeLengths(literalFrequencies, MAX_BITS);
+    const dynamicDistanceLengths = buildCodeLengths(distanceFrequencies, MAX_BITS);
+
+    let literalCount = 286;
+    while (literalCount > 257 && dynamicLiteralLengths[literalCount - 1] === 0) {
+        literalCount--;
+    }
+    let distanceCount = 30;
+    while (distanceCount > 1 && dynamicDistanceLengths[distanceCount - 1] === 0) {
+        distanceCount--;
+    }
+
+    const combinedLengths = new Uint8Array(literalCount + distanceCount);
+    combinedLengths.set(dynamicLiteralLengths.subarray(0, literalCount), 0);
+    combinedLengths.set(dynamicDistanceLengths.subarray(0, distanceCount), literalCount);
+    const codeLengthTokens = encodeCodeLengths(combinedLengths);
+
+    const codeLengthFrequencies = new Uint32Array(19);
+    for (const [symbol] of codeLengthTokens) {
+        codeLengthFrequencies[symbol]++;
+    }
+    const codeLengthLengths = buildCodeLengths(codeLengthFrequencies, 7);
+    let codeLengthCount = 19;
+    while (codeLengthCount > 4 && codeLengthLengths[CODE_LENGTH_ORDER[codeLengthCount - 1]] === 0) {
+        codeLengthCount--;
+    }
+
+    /**
+     * @param {Uint8Array} literalLengths
+     * @param {Uint8Array} distanceLengths
+     * @returns {number}
+     */
+    const getDataBits = (literalLengths, distanceLengths) => {
+        let bits = 0;
+        for (let i = 0; i < literalFrequencies.length; i++) {
+            bits += literalFrequencies[i] * literalLengths[i];
+            if (i > 256) {
+                bits += literalFrequencies[i] * LENGTH_EXTRA[i - 257];
+            }
+        }
+        for (let i = 0; i < distanceFrequencies.length; i++) {
+            bits += distanceFrequencies[i] * (distanceLengths[i] + DISTANCE_EXTRA[i]);
+        }
+        return bits;
+    };
+
+    let dynamicBits = 3 + 5 + 5 + 4 + codeLengthCount * 3;
+    for (const [symbol, , extraBits] of codeLengthTokens) {
+        dynamicBits += codeLengthLengths[symbol] + extraBits;
+    }
+    dynamicBits += getDataBits(dynamicLiteralLengths, dynamicDistanceLengths);
+
+    const fixedLiteralLengths = getFixedLiteralLengths();
+    const fixedDistanceLengths = getFixedDistanceLengths();
+    const fixedBits = 3 + getDataBits(fixedLiteralLengths, fixedDistanceLengths);
+
+    // Each stored block has a 5 byte header and holds up to 65535 bytes
+    const storedBlocks = Math.max(1, Math.ceil(data.byteLength / 65535));
+    const storedBits = (storedBlocks * 5 + data.byteLength) * 8;
+
+    if (storedBits <= dynamicBits && storedBits <= fixedBits) {
+        const result = new Uint8Array(storedBits / 8);
+        let ptr = 0;
+        for (let i = 0; i < storedBlocks; i++) {
+            const start = i * 65535;
+            const length = Math.min(65535, data.byteLength - start);
+            result[ptr] = i === storedBlocks - 1 ? 1 : 0;
+            result[ptr + 1] = length & 0xFF;
+            result[ptr + 2] = length >> 8;
+            result[ptr + 3] = ~length & 0xFF;
+            result[ptr + 4] = (~length >> 8) & 0xFF;
+            result.set(data.subarray(start, start + length), ptr + 5);
+            ptr += 5 + length;
+        }
+        return result;
+    }
+
+    const useDynamic = dynamicBits < fixedBits;
+    const result = new Uint8Array(Math.ceil((useDynamic ? dynamicBits : fixedBits) / 8));
+    let ptr = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    /**
+     * @param {number} value
+     * @param {number} count At most 16
+     */
+    const writeBits = (value, count) => {
+        bitBuffer |= value << bitCount;
+        bitCount += count;
+        while (bitCount >= 8) {
+            result[ptr++] = bitBuffer & 0xFF;
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    // Final block
+    writeBits(1, 1);
+
+    let literalLengths;
+    let distanceLengths;
+    if (useDynamic) {
+        writeBits(2, 2);
+        writeBits(literalCount - 257, 5);
+        writeBits(distanceCount - 1, 5);
+        writeBits(codeLengthCount - 4, 4);
+        for (let i = 0; i < codeLengthCount; i++) {
+            writeBits(codeLengthLengths[CODE_LENGTH_ORDER[i]], 3);
+        }
+
+        const codeLengthCodes = buildCodes(codeLengthLengths);
+        for (const [symbol, extraValue, extraBits] of codeLengthTokens) {
+            writeBits(codeLengthCodes[symbol], codeLengthLengths[symbol]);
+            writeBits(extraValue, extraBits);
+        }
+
+        literalLengths = dynamicLiteralLengths;
+        distanceLengths = dynamicDistanceLengths;
+    } else {
+        writeBits(1, 2);
+        literalLengths = fixedLiteralLengths;
+        distanceLengths = fixedDistanceLengths;
+    }
+
+    const literalCodes = buildCodes(literalLengths);
+    const distanceCodes = buildCodes(distanceLengths);
+
+    for (let i = 0; i < matches.count; i++) {
+        const length = matches.lengths[i];
+        const value = matches.values[i];
+        if (length === 0) {
+            writeBits(literalCodes[value], literalLengths[value]);
+        } else {
+            const lengthIndex = getLengthIndex(length);
+            writeBits(literalCodes[257 + lengthIndex], literalLengths[257 + lengthIndex]);
+            writeBits(length - LENGTH_BASE[lengthIndex], LENGTH_EXTRA[lengthIndex]);
+
+            const distanceIndex = getDistanceIndex(value);
+            writeBits(distanceCodes[distanceIndex], distanceLengths[distanceIndex]);
+            writeBits(value - DISTANCE_BASE[distanceIndex], DISTANCE_EXTRA[distanceIndex]);
+        }
+    }
+
+    writeBits(literalCodes[END_OF_BLOCK], literalLengths[END_OF_BLOCK]);
+
+    // Flush remaining bits
+    if (bitCount > 0) {
+        result[ptr++] = bitBuffer & 0xFF;
+    }
+
+    return result.subarray(0, ptr);
+};
+
+/**
+ * Compress data to zlib-wrapped DEFLATE, as used by PNG.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+const deflate = (data) => {
+    const compressed = deflateRaw(data);
+    const result = new Uint8Array(compressed.byteLength + 6);
+    const view = new DataView(result.buffer, result.byteOffset, result.byteLength);
+
+    // 32K window, DEFLATE, default compression level. Chosen so that the check bits work out.
+    result[0] = 0x78;
+    result[1] = 0x9C;
+    result.set(compressed, 2);
+    view.setUint32(result.byteLength - 4, adler32(data), false);
+
+    return result;
+};
+
+module.exports = {
+    adler32,
+    inflateRaw,
+    inflate,
+    deflateRaw,
+    deflate
+};
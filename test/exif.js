@@ -0,0 +1,320 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FMU = require('../index');
+
+/**
+ * @param {Uint8Array} tiffData
+ * @returns {Uint8Array}
+ */
+const wrapTiff = (tiffData) => {
+    const result = new Uint8Array(tiffData.byteLength + 8);
+    new DataView(result.buffer).setUint16(0, result.byteLength, false);
+    result.set([0x45, 0x78, 0x69, 0x66, 0x00, 0x00], 2);
+    result.set(tiffData, 8);
+    return result;
+};
+
+test.test('encode and decode named tags', t => {
+    const exif = {
+        Make: 'Canon',
+        Model: 'Canon EOS 5D Mark IV',
+        Orientation: 6,
+        XResolution: 72,
+        YResolution: 72,
+        ResolutionUnit: 2,
+        Software: 'Test Software',
+        Artist: 'Jane Doe',
+        Copyright: '(c) 2024 Jane Doe',
+        ExposureTime: 1 / 250,
+        FNumber: 2.8,
+        PhotographicSensitivity: [400],
+        ExifVersion: '0232',
+        DateTimeOriginal: '2024:01:02 03:04:05',
+        ExposureBiasValue: -0.5,
+        FocalLength: 50,
+        PixelXDimension: 6720,
+        PixelYDimension: 100000,
+        SceneType: 1,
+        LensSpecification: [24, 70, 2.8, 2.8],
+        LensModel: 'EF24-70mm f/2.8L II USM',
+        BodySerialNumber: '012345678901',
+        UserComment: 'Hello',
+        InteroperabilityIndex: 'R98'
+    };
+    const encoded = FMU.exif.encodeExif(exif);
+    assert.deepEqual(FMU.exif.decodeExif(encoded), exif);
+});
+
+test.test('BitsPerSample depends on SamplesPerPixel', t => {
+    for (const exif of [
+        {
+            SamplesPerPixel: 1,
+            BitsPerSample: [8]
+        },
+        {
+            SamplesPerPixel: 4,
+            BitsPerSample: [8, 8, 8, 8]
+        }
+    ]) {
+        assert.deepEqual(FMU.exif.decodeExif(FMU.exif.encodeExif(exif)), exif);
+    }
+});
+
+test.test('UserComment with non-ASCII characters', t => {
+    const encoded = FMU.exif.encodeExif({
+        UserComment: 'Привет 👋'
+    });
+    assert.deepEqual(FMU.exif.decodeExif(encoded), {
+        UserComment: 'Привет 👋'
+    });
+});
+
+test.test('big endian', t => {
+    const encodedTiff = FMU.tiff.encodeTiff({
+        littleEndian: false,
+        ifds: [
+            {
+                entries: [
+                    {
+                        tag: 0x010F,
+                        type: FMU.tiff.ASCII,
+                        value: 'NIKON CORPORATION'
+                    },
+                    {
+                        tag: 0x8769,
+                        type: FMU.tiff.UINT32,
+                        value: {
+                            entries: [
+                                {
+                                    tag: 0x829A,
+                                    type: FMU.tiff.URATIONAL,
+                                    value: [new Uint32Array([10, 8000])]
+                                },
+                                {
+                                    tag: 0x9204,
+                                    type: FMU.tiff.SRATIONAL,
+                                    value: [new Int32Array([-2, 3])]
+                                },
+                                {
+                                    tag: 0x9286,
+                                    type: FMU.tiff.UNDEFINED8,
+                                    value: new Uint8Array([0x55, 0x4E, 0x49, 0x43, 0x4F, 0x44, 0x45, 0x00, 0x00, 0x48, 0x00, 0x69])
+                                }
+                            ]
+                        }
+                    }
+                ]
+            }
+        ]
+    });
+
+    assert.deepEqual(FMU.exif.decodeExif(wrapTiff(encodedTiff)), {
+        Make: 'NIKON CORPORATION',
+        ExposureTime: 1 / 800,
+        ExposureBiasValue: -2 / 3,
+        UserComment: 'Hi'
+    });
+});
+
+test.test('invalid values', t => {
+    assert.throws(() => FMU.exif.encodeExif({
+        NotARealTag: 1
+    }), /Unknown EXIF property/);
+    assert.throws(() => FMU.exif.encodeExif({
+        Make: 5
+    }), /must be a string/);
+    assert.throws(() => FMU.exif.encodeExif({
+        Orientation: 70000
+    }), /out of range/);
+    assert.throws(() => FMU.exif.encodeExif({
+        LensSpecification: [1, 2]
+    }), /exactly 4 values/);
+    assert.throws(() => FMU.exif.encodeExif({
+        ExposureTime: -1
+    }), /as a rational/);
+});
+
+test.test('update preserves unknown tags, MakerNote, and thumbnail', t => {
+    const thumbnail = new Uint8Array([0xFF, 0xD8, 0x01, 0x02, 0x03, 0xFF, 0xD9]);
+    const makerNote = new Uint8Array([0x4E, 0x69, 0x6B, 0x6F, 0x6E, 0x00, 0x02, 0x10, 0x00, 0x00]);
+    const original = wrapTiff(FMU.tiff.encodeTiff({
+        littleEndian: false,
+        ifds: [
+            {
+                entries: [
+                    {
+                        tag: 0x010F,
+                        type: FMU.tiff.ASCII,
+                        value: 'NIKON CORPORATION'
+                    },
+                    {
+                        tag: 0x8769,
+                        type: FMU.tiff.UINT32,
+                        value: {
+                            entries: [
+                                {
+                                    tag: 0x927C,
+                                    type: FMU.tiff.UNDEFINED8,
+                                    value: makerNote
+                                },
+                                {
+                                    // Not a real tag
+                                    tag: 0xBEEF,
+                                    type: FMU.tiff.UINT16,
+                                    value: new Uint16Array([1, 2, 3])
+                                }
+                            ]
+                        }
+                    }
+                ]
+            },
+            {
+                entries: [
+                    {
+                        tag: 0x0103,
+                        type: FMU.tiff.UINT16,
+                        value: new Uint16Array([6])
+                    },
+                    {
+                        tag: 0x0201,
+                        type: FMU.tiff.UINT32,
+                        value: [thumbnail]
+                    },
+                    {
+                        tag: 0x0202,
+                        type: FMU.tiff.UINT32,
+                        value: new Uint32Array([thumbnail.byteLength])
+                    }
+                ]
+            }
+        ]
+    }));
+
+    const updated = FMU.exif.updateExif(original, {
+        Make: undefined,
+        UserComment: 'Test 123!'
+    });
+    assert.deepEqual(FMU.exif.decodeExif(updated), {
+        MakerNote: makerNote,
+        UserComment: 'Test 123!'
+    });
+
+    const decodedTiff = FMU.tiff.decodeTiff(updated.subarray(8));
+    assert.equal(decodedTiff.littleEndian, false);
+    assert.equal(decodedTiff.ifds.length, 2);
+
+    const exifIfd = decodedTiff.ifds[0].entries.find(i => i.tag === 0x8769).value;
+    assert.deepEqual(exifIfd.entries.map(i => i.tag), [0x927C, 0x9286, 0xBEEF]);
+    assert.deepEqual(exifIfd.entries[2].value, new Uint16Array([1, 2, 3]));
+
+    const thumbnailEntry = decodedTiff.ifds[1].entries.find(i => i.tag === 0x0201);
+    assert.deepEqual(thumbnailEntry.value, [thumbnail]);
+});
+
+test.test('update removes empty IFDs', t => {
+    const original = FMU.exif.encodeExif({
+        Make: 'Test',
+        InteroperabilityIndex: 'R98'
+    });
+    const updated = FMU.exif.updateExif(original, {
+        InteroperabilityIndex: null
+    });
+    assert.deepEqual(FMU.exif.decodeExif(updated), {
+        Make: 'Test'
+    });
+    assert.deepEqual(FMU.tiff.decodeTiff(updated.subarray(8)).ifds[0].entries.map(i => i.tag), [0x010F]);
+
+    // IFDs that were empty to begin with aren't our business
+    const alreadyEmpty = wrapTiff(FMU.tiff.encodeTiff({
+        littleEndian: false,
+        ifds: [
+            {
+                entries: [
+                    {
+                        tag: 0x8769,
+                        type: FMU.tiff.UINT32,
+                        value: {
+                            entries: []
+                        }
+                    }
+                ]
+            }
+        ]
+    }));
+    const updatedAlreadyEmpty = FMU.exif.updateExif(alreadyEmpty, {
+        Make: 'Test'
+    });
+    assert.deepEqual(FMU.tiff.decodeTiff(updatedAlreadyEmpty.subarray(8)).ifds[0].entries.map(i => i.tag), [0x010F, 0x8769]);
+});
+
+test.test('decimal degrees', t => {
+    assert.equal(FMU.exif.toDecimalDegrees([40, 26, 46.302], 'N'), 40 + 26 / 60 + 46.302 / 3600);
+    assert.equal(FMU.exif.toDecimalDegrees([79, 58, 56], 'W'), -(79 + 58 / 60 + 56 / 3600));
+
+    const latitude = FMU.exif.fromDecimalDegrees(-33.8568, 'latitude');
+    assert.equal(latitude.ref, 'S');
+    assert.deepEqual(latitude.dms.slice(0, 2), [33, 51]);
+    assert.ok(Math.abs(latitude.dms[2] - 24.48) < 1e-6);
+
+    assert.equal(FMU.exif.fromDecimalDegrees(151.2153, 'longitude').ref, 'E');
+    assert.throws(() => FMU.exif.fromDecimalDegrees(91, 'latitude'), /Invalid latitude/);
+});
+
+test.test('GPS location', t => {
+    const timestamp = new Date(Date.UTC(2024, 5, 7, 8, 9, 10, 500));
+    const gps = FMU.exif.createGpsExif({
+        latitude: -33.8568,
+        longitude: 151.2153,
+        altitude: -12.5,
+        timestamp
+    });
+    assert.equal(gps.GPSDateStamp, '2024:06:07');
+
+    const encoded = FMU.exif.encodeExif({
+        Make: 'Test',
+        ...gps
+    });
+    const decoded = FMU.exif.decodeExif(encoded);
+    assert.deepEqual(decoded.GPSVersionID, [2, 3, 0, 0]);
+    assert.equal(decoded.GPSLatitudeRef, 'S');
+    assert.equal(decoded.GPSAltitudeRef, 1);
+
+    const location = FMU.exif.getGpsLocation(decoded);
+    assert.ok(Math.abs(location.latitude - -33.8568) < 1e-9);
+    assert.ok(Math.abs(location.longitude - 151.2153) < 1e-9);
+    assert.equal(location.altitude, -12.5);
+    assert.equal(location.timestamp.getTime(), timestamp.getTime());
+
+    assert.equal(FMU.exif.getGpsLocation({}), null);
+});
+
+test.test('thumbnail', t => {
+    const original = FMU.exif.encodeExif({
+        Make: 'Test'
+    });
+    assert.equal(FMU.exif.getExifThumbnail(original), null);
+
+    const thumbnail = new Uint8Array([0xFF, 0xD8, 0x01, 0x02, 0x03, 0xFF, 0xD9]);
+    const withThumbnail = FMU.exif.setExifThumbnail(original, thumbnail);
+    assert.deepEqual(FMU.exif.getExifThumbnail(withThumbnail), thumbnail);
+    assert.deepEqual(FMU.exif.decodeExif(withThumbnail), {
+        Make: 'Test'
+    });
+
+    const ifd1 = FMU.tiff.decodeTiff(withThumbnail.subarray(8)).ifds[1];
+    assert.deepEqual(ifd1.entries.map(i => i.tag), [0x0103, 0x0201, 0x0202]);
+    assert.deepEqual(ifd1.entries[0].value, new Uint16Array([6]));
+    assert.deepEqual(ifd1.entries[2].value, new Uint32Array([thumbnail.byteLength]));
+
+    const bigger = new Uint8Array(1000);
+    bigger.set([0xFF, 0xD8]);
+    const replaced = FMU.exif.setExifThumbnail(withThumbnail, bigger);
+    assert.deepEqual(FMU.exif.getExifThumbnail(replaced), bigger);
+
+    const removed = FMU.exif.removeExifThumbnail(replaced);
+    assert.equal(FMU.exif.getExifThumbnail(removed), null);
+    assert.deepEqual(removed, original);
+
+    assert.throws(() => FMU.exif.setExifThumbnail(original, new Uint8Array([1, 2, 3])), /must be a JPEG/);
+    assert.throws(() => FMU.exif.setExifThumbnail(original, new Uint8Array(0x10000).fill(0xFF, 0, 1).fill(0xD8, 1, 2)), /too large/);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FMU = require('../index');
+
+// 1x1 GIF with a two color global color table
+const createGif = () => new Uint8Array([
+    0x47, 0x49, 0x46, 0x38, 0x39, 0x61, // GIF89a
+    0x01, 0x00, 0x01, 0x00, 0x80, 0x00, 0x00, // Logical screen descriptor
+    0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, // Global color table
+    0x21, 0xF9, 0x04, 0x01, 0x0A, 0x00, 0x01, 0x00, // Graphic control extension
+    0x21, 0xFE, 0x02, 0x68, 0x69, 0x01, 0x21, 0x00, // Comment "hi!" in two sub-blocks
+    0x2C, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00, // Image descriptor
+    0x02, 0x02, 0x44, 0x01, 0x00, // Image data
+    0x3B
+]);
+
+test.test('decode and encode', t => {
+    const original = createGif();
+    assert.ok(FMU.gif.isGif(original));
+
+    const decoded = FMU.gif.decodeGif(original);
+    assert.equal(decoded.version, '89a');
+    assert.deepEqual(decoded.screen, {
+        width: 1,
+        height: 1,
+        flags: 0x80,
+        backgroundColorIndex: 0,
+        pixelAspectRatio: 0
+    });
+    assert.deepEqual(decoded.globalColorTable, new Uint8Array([0, 0, 0, 255, 255, 255]));
+    assert.deepEqual(decoded.blocks.map(i => i.type), ['extension', 'extension', 'image']);
+    assert.deepEqual(decoded.blocks[1].subBlocks.map(i => i.byteLength), [2, 1]);
+    assert.deepEqual(FMU.gif.decodeGraphicControl(decoded.blocks[0]), {
+        disposalMethod: 0,
+        userInput: false,
+        transparentColorIndex: 1,
+        delayTime: 10
+    });
+    assert.deepEqual(FMU.gif.encodeGraphicControl(FMU.gif.decodeGraphicControl(decoded.blocks[0])), decoded.blocks[0]);
+    assert.deepEqual(FMU.gif.encodeGif(decoded), original);
+
+    assert.throws(() => FMU.gif.decodeGif(original.subarray(0, 30)), /Unexpected end of data/);
+    const invalid = createGif();
+    invalid[19] = 0x99;
+    assert.throws(() => FMU.gif.decodeGif(invalid), /Unknown block type 0x99/);
+});
+
+test.test('comments', t => {
+    const gif = FMU.gif.decodeGif(createGif());
+    assert.deepEqual(FMU.gif.getGifComments(gif), ['hi!']);
+
+    const long = 'a'.repeat(600);
+    FMU.gif.setGifComments(gif, ['Привет', long]);
+    const decoded = FMU.gif.decodeGif(FMU.gif.encodeGif(gif));
+    assert.deepEqual(FMU.gif.getGifComments(decoded), ['Привет', long]);
+    assert.deepEqual(decoded.blocks[decoded.blocks.length - 1].subBlocks.map(i => i.byteLength), [255, 255, 90]);
+
+    FMU.gif.setGifComments(decoded, []);
+    assert.deepEqual(FMU.gif.getGifComments(decoded), []);
+});
+
+test.test('loop count', t => {
+    const gif = FMU.gif.decodeGif(createGif());
+    gif.version = '87a';
+    assert.equal(FMU.gif.getGifLoopCount(gif), null);
+
+    FMU.gif.setGifLoopCount(gif, 0);
+    assert.equal(gif.version, '89a');
+    assert.deepEqual(gif.blocks[0].subBlocks, [
+        new TextEncoder().encode('NETSCAPE2.0'),
+        new Uint8Array([0x01, 0x00, 0x00])
+    ]);
+
+    FMU.gif.setGifLoopCount(gif, 1000);
+    const decoded = FMU.gif.decodeGif(FMU.gif.encodeGif(gif));
+    assert.equal(FMU.gif.getGifLoopCount(decoded), 1000);
+
+    FMU.gif.setGifLoopCount(decoded, null);
+    assert.equal(FMU.gif.getGifLoopCount(decoded), null);
+    assert.throws(() => FMU.gif.setGifLoopCount(decoded, 70000), /Loop count/);
+});
+
+test.test('XMP', t => {
+    const gif = FMU.gif.decodeGif(createGif());
+    assert.equal(FMU.gif.getGifXmp(gif), null);
+
+    /** @type {import('../src/xmp').Xmp} */
+    const newXmp = {
+        properties: [
+            {
+                namespace: FMU.xmp.NAMESPACES.dc,
+                name: 'source',
+                value: {
+                    type: 'text',
+                    value: 'https://example.com/provenance'
+                }
+            }
+        ],
+        prefixes: {}
+    };
+    FMU.gif.setGifXmp(gif, newXmp);
+    const encoded = FMU.gif.encodeGif(gif);
+
+    // The packet is stored directly in the file, followed by the magic trailer
+    const packet = new TextEncoder().encode(FMU.xmp.encodeXmp(newXmp));
+    const packetStart = Buffer.from(encoded).indexOf('XMP DataXMP') + 11;
+    assert.deepEqual(encoded.subarray(packetStart, packetStart + packet.byteLength), packet);
+    assert.deepEqual(encoded.subarray(encoded.byteLength - 4), new Uint8Array([0x01, 0x00, 0x00, 0x3B]));
+
+    const decoded = FMU.gif.decodeGif(encoded);
+    assert.deepEqual(FMU.gif.getGifXmp(decoded), FMU.xmp.decodeXmp(FMU.xmp.encodeXmp(newXmp)));
+    assert.deepEqual(FMU.gif.encodeGif(decoded), encoded);
+
+    FMU.gif.removeGifXmp(decoded);
+    assert.equal(FMU.gif.getGifXmp(decoded), null);
+});
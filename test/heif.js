@@ -0,0 +1,245 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FMU = require('../index');
+
+/**
+ * @param {string} type
+ * @param {...(Uint8Array|number[]|string)} parts Strings are written as ASCII.
+ * @returns {Uint8Array}
+ */
+const box = (type, ...parts) => {
+    const data = parts.map(i => typeof i === 'string' ? new TextEncoder().encode(i) : new Uint8Array(i));
+    const size = 8 + data.reduce((total, i) => total + i.byteLength, 0);
+    const result = new Uint8Array(size);
+    new DataView(result.buffer).setUint32(0, size, false);
+    result.set(new TextEncoder().encode(type), 4);
+    let ptr = 8;
+    for (const part of data) {
+        result.set(part, ptr);
+        ptr += part.byteLength;
+    }
+    return result;
+};
+
+/**
+ * @param {number} value
+ * @returns {number[]}
+ */
+const u32 = (value) => [(value >>> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+
+const IMAGE_DATA = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]);
+
+/**
+ * ftyp, meta, and mdat with a fake image item and an Exif item, like an iPhone photo.
+ * @param {Uint8Array|null} exifItem
+ * @returns {Uint8Array}
+ */
+const createHeic = (exifItem) => {
+    const ftyp = box('ftyp', 'heic', [0, 0, 0, 0], 'mif1heic');
+
+    /**
+     * @param {number} mdatStart
+     * @returns {Uint8Array}
+     */
+    const createMeta = (mdatStart) => box('meta', [0, 0, 0, 0],
+        box('hdlr', [0, 0, 0, 0], [0, 0, 0, 0], 'pict', new Uint8Array(13)),
+        box('pitm', [0, 0, 0, 0], [0, 1]),
+        exifItem ? box('iinf', [0, 0, 0, 0], [0, 2],
+            box('infe', [2, 0, 0, 0], [0, 1], [0, 0], 'hvc1', [0]),
+            box('infe', [2, 0, 0, 0], [0, 2], [0, 0], 'Exif', [0])
+        ) : box('iinf', [0, 0, 0, 0], [0, 1],
+            box('infe', [2, 0, 0, 0], [0, 1], [0, 0], 'hvc1', [0])
+        ),
+        exifItem ? box('iloc', [0, 0, 0, 0], [0x44, 0x00], [0, 2],
+            [0, 1], [0, 0], [0, 1], u32(mdatStart), u32(IMAGE_DATA.byteLength),
+            [0, 2], [0, 0], [0, 1], u32(mdatStart + IMAGE_DATA.byteLength), u32(exifItem.byteLength)
+        ) : box('iloc', [0, 0, 0, 0], [0x44, 0x00], [0, 1],
+            [0, 1], [0, 0], [0, 1], u32(mdatStart), u32(IMAGE_DATA.byteLength)
+        ),
+        exifItem ? box('iref', [0, 0, 0, 0], box('cdsc', [0, 2], [0, 1], [0, 1])) : new Uint8Array()
+    );
+
+    const mdatStart = ftyp.byteLength + createMeta(0).byteLength + 8;
+    const mdat = box('mdat', IMAGE_DATA, exifItem || []);
+    const result = new Uint8Array(ftyp.byteLength + createMeta(0).byteLength + mdat.byteLength);
+    result.set(ftyp, 0);
+    result.set(createMeta(mdatStart), ftyp.byteLength);
+    result.set(mdat, mdatStart - 8);
+    return result;
+};
+
+/**
+ * @param {Uint8Array} tiffData
+ * @returns {Uint8Array} Exif item with a TIFF header offset and "Exif\0\0" prefix.
+ */
+const createExifItem = (tiffData) => {
+    const result = new Uint8Array(10 + tiffData.byteLength);
+    result.set([0, 0, 0, 6], 0);
+    result.set(new TextEncoder().encode('Exif\0\0'), 4);
+    result.set(tiffData, 10);
+    return result;
+};
+
+test.test('decode and encode', t => {
+    const original = createHeic(createExifItem(FMU.exif.encodeExifTiff({
+        Make: 'Apple'
+    })));
+    assert.ok(FMU.heif.isHeif(original));
+    assert.ok(!FMU.heif.isHeif(new Uint8Array(16)));
+
+    const heif = FMU.heif.decodeHeif(original);
+    assert.deepEqual(heif.boxes.map(i => i.type), ['ftyp', 'meta', 'mdat']);
+    assert.deepEqual(FMU.heif.encodeHeif(heif), original);
+
+    assert.deepEqual(FMU.heif.getHeifItems(heif), [
+        {
+            id: 1,
+            type: 'hvc1',
+            name: '',
+            contentType: null
+        },
+        {
+            id: 2,
+            type: 'Exif',
+            name: '',
+            contentType: null
+        }
+    ]);
+    assert.deepEqual(FMU.heif.getHeifItemData(heif, 1), IMAGE_DATA);
+    assert.deepEqual(FMU.heif.getHeifExif(heif), {
+        Make: 'Apple'
+    });
+});
+
+test.test('Exif item without prefix', t => {
+    const tiffData = FMU.exif.encodeExifTiff({
+        Model: 'Test'
+    });
+    const exifItem = new Uint8Array(4 + tiffData.byteLength);
+    exifItem.set(tiffData, 4);
+    const heif = FMU.heif.decodeHeif(createHeic(exifItem));
+    assert.deepEqual(FMU.heif.getHeifExif(heif), {
+        Model: 'Test'
+    });
+});
+
+test.test('rewriting items updates iloc', t => {
+    const heif = FMU.heif.decodeHeif(createHeic(createExifItem(FMU.exif.encodeExifTiff({
+        Make: 'Apple',
+        Model: 'iPhone'
+    }))));
+
+    FMU.heif.updateHeifExif(heif, {
+        Model: null,
+        Artist: 'Someone with a long name'
+    });
+
+    /** @type {import('../src/xmp').Xmp} */
+    const newXmp = {
+        properties: [
+            {
+                namespace: FMU.xmp.NAMESPACES.dc,
+                name: 'format',
+                value: {
+                    type: 'text',
+                    value: 'image/heic'
+                }
+            }
+        ],
+        prefixes: {}
+    };
+    FMU.heif.setHeifXmp(heif, newXmp);
+
+    const decoded = FMU.heif.decodeHeif(FMU.heif.encodeHeif(heif));
+    assert.deepEqual(FMU.heif.getHeifItemData(decoded, 1), IMAGE_DATA);
+    assert.deepEqual(FMU.heif.getHeifExif(decoded), {
+        Make: 'Apple',
+        Artist: 'Someone with a long name'
+    });
+    assert.deepEqual(FMU.heif.getHeifXmp(decoded), FMU.xmp.decodeXmp(FMU.xmp.encodeXmp(newXmp)));
+    assert.deepEqual(FMU.heif.getHeifItems(decoded)[2], {
+        id: 3,
+        type: 'mime',
+        name: 'XMP',
+        contentType: 'application/rdf+xml'
+    });
+
+    // The old EXIF is gone and the new XMP item describes the primary image
+    assert.deepEqual(decoded.boxes.map(i => i.type), ['ftyp', 'meta', 'mdat', 'mdat']);
+    assert.ok(!Buffer.from(FMU.heif.encodeHeif(decoded)).includes('iPhone'));
+    const meta = FMU.heif.decodeBoxes(decoded.boxes[1].data.subarray(4));
+    const iref = meta.find(i => i.type === 'iref');
+    assert.deepEqual(FMU.heif.decodeBoxes(iref.data.subarray(4)).map(i => [i.type, Array.from(i.data)]), [
+        ['cdsc', [0, 2, 0, 1, 0, 1]],
+        ['cdsc', [0, 3, 0, 1, 0, 1]]
+    ]);
+});
+
+test.test('adding EXIF', t => {
+    const heif = FMU.heif.decodeHeif(createHeic(null));
+    assert.deepEqual(FMU.heif.getHeifExif(heif), {});
+
+    FMU.heif.setHeifExif(heif, {
+        Make: 'Test'
+    });
+    const decoded = FMU.heif.decodeHeif(FMU.heif.encodeHeif(heif));
+    assert.deepEqual(FMU.heif.getHeifItems(decoded).map(i => [i.id, i.type]), [[1, 'hvc1'], [2, 'Exif']]);
+    assert.deepEqual(FMU.heif.getHeifExif(decoded), {
+        Make: 'Test'
+    });
+    assert.deepEqual(FMU.heif.getHeifItemData(decoded, 1), IMAGE_DATA);
+});
+
+test.test('image sequences can not be written', t => {
+    const original = createHeic(null);
+    const sequence = new Uint8Array([...original, ...box('moov', box('mvhd', new Uint8Array(100)))]);
+    const heif = FMU.heif.decodeHeif(sequence);
+    assert.throws(() => FMU.heif.setHeifExif(heif, {
+        Make: 'Test'
+    }), /image sequence/);
+    assert.throws(() => FMU.write(sequence, {
+        title: 'Dango'
+    }), /image sequence/);
+    assert.deepEqual(FMU.heif.encodeHeif(heif), sequence);
+});
+
+test.test('ICC profile', t => {
+    const profile = new Uint8Array([1, 2, 3, 4, 5]);
+    const heif = FMU.heif.decodeHeif(createHeic(null));
+    assert.equal(FMU.heif.getHeifIccProfile(heif), null);
+
+    const meta = FMU.heif.decodeBoxes(heif.boxes[1].data.subarray(4));
+    meta.push({
+        type: 'iprp',
+        data: new Uint8Array([
+            ...box('ipco', box('ispe', new Uint8Array(12)), box('colr', 'prof', profile)),
+            ...box('ipma', [0, 0, 0, 0], u32(1), [0, 1], [2, 0x01, 0x82])
+        ])
+    });
+    heif.boxes[1].data = new Uint8Array([0, 0, 0, 0, ...FMU.heif.encodeBoxes(meta)]);
+    assert.deepEqual(FMU.heif.getHeifIccProfile(heif), profile);
+});
+
+test.test('read and write', t => {
+    const original = createHeic(null);
+    const written = FMU.write(original, {
+        title: 'Dango',
+        author: 'Jane Doe',
+        created: '2024-01-02T03:04:05Z'
+    });
+    const metadata = FMU.read(written);
+    assert.equal(metadata.format, 'heif');
+    assert.equal(metadata.title, 'Dango');
+    assert.equal(metadata.author, 'Jane Doe');
+    assert.equal(metadata.created, '2024-01-02T03:04:05Z');
+    assert.deepEqual(FMU.heif.getHeifItemData(FMU.heif.decodeHeif(written), 1), IMAGE_DATA);
+    assert.throws(() => FMU.write(original, {
+        comments: ['provenance']
+    }), /does not support comments/);
+    assert.throws(() => FMU.write(original, {
+        icc: new Uint8Array([1, 2, 3])
+    }), /ICC profiles is not supported/);
+    assert.deepEqual(FMU.write(original, {
+        icc: null
+    }), original);
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const FMU = require('../index');
+
+/**
+ * @param {number} majorVersion
+ * @param {Uint8Array} descTag
+ * @param {number} [padding] Extra bytes at the end so the profile can be made large.
+ * @returns {Uint8Array}
+ */
+const createProfile = (majorVersion, descTag, padding = 0) => {
+    const tagOffset = 128 + 4 + 12;
+    const size = tagOffset + descTag.byteLength + padding;
+    const data = new Uint8Array(size);
+    const view = new DataView(data.buffer);
+    const writeSignature = (offset, signature) => {
+        for (let i = 0; i < 4; i++) {
+            data[offset + i] = signature.charCodeAt(i);
+        }
+    };
+
+    view.setUint32(0, size, false);
+    writeSignature(4, 'appl');
+    data[8] = majorVersion;
+    data[9] = 0x40;
+    writeSignature(12, 'mntr');
+    writeSignature(16, 'RGB ');
+    writeSignature(20, 'XYZ ');
+    view.setUint16(24, 2022, false);
+    view.setUint16(26, 2, false);
+    view.setUint16(28, 3, false);
+    view.setUint16(30, 4, false);
+    view.setUint16(32, 5, false);
+    view.setUint16(34, 6, false);
+    writeSignature(36, 'acsp');
+    writeSignature(40, 'APPL');
+    writeSignature(80, 'appl');
+    data[84] = 0xAB;
+
+    view.setUint32(128, 1, false);
+    writeSignature(132, 'desc');
+    view.setUint32(136, tagOffset, false);
+    view.setUint32(140, descTag.byteLength, false);
+    data.set(descTag, tagOffset);
+
+    for (let i = tagOffset + descTag.byteLength; i < size; i++) {
+        data[i] = i & 0xFF;
+    }
+    return data;
+};
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+const createDescTag = (text) => {
+    const data = new Uint8Array(12 + text.length + 1 + 79);
+    data.set([0x64, 0x65, 0x73, 0x63]);
+    new DataView(data.buffer).setUint32(8, text.length + 1, false);
+    data.set(Buffer.from(text, 'latin1'), 12);
+    return data;
+};
+
+/**
+ * @param {Array<[string, string]>} records Language and country code, text.
+ * @returns {Uint8Array}
+ */
+const createMlucTag = (records) => {
+    const strings = records.map(([, text]) => Buffer.from(text, 'utf16le').swap16());
+    const size = 16 + records.length * 12 + strings.reduce((total, i) => total + i.byteLength, 0);
+    const data = new Uint8Array(size);
+    const view = new DataView(data.buffer);
+    data.set([0x6D, 0x6C, 0x75, 0x63]);
+    view.setUint32(8, records.length, false);
+    view.setUint32(12, 12, false);
+    let stringOffset = 16 + records.length * 12;
+    records.forEach(([language], i) => {
+        data.set(Buffer.from(language, 'latin1'), 16 + i * 12);
+        view.setUint32(16 + i * 12 + 4, strings[i].byteLength, false);
+        view.setUint32(16 + i * 12 + 8, stringOffset, false);
+        data.set(strings[i], stringOffset);
+        stringOffset += strings[i].byteLength;
+    });
+    return data;
+};
+
+test.test('decode version 4 profile', t => {
+    const profile = createProfile(4, createMlucTag([['deDE', 'Anzeige P3'], ['enUS', 'Display P3']]));
+    const decoded = FMU.icc.decodeIccProfile(profile);
+    assert.equal(decoded.size, profile.byteLength);
+    assert.equal(decoded.version, '4.4.0');
+    assert.equal(decoded.deviceClass, 'mntr');
+    assert.equal(decoded.colorSpace, 'RGB ');
+    assert.equal(decoded.connectionSpace, 'XYZ ');
+    assert.equal(decoded.platform, 'APPL');
+    assert.equal(decoded.manufacturer, '');
+    assert.equal(decoded.created.toISOString(), '2022-02-03T04:05:06.000Z');
+    assert.equal(decoded.profileId, `ab${'0'.repeat(30)}`);
+    assert.deepEqual(decoded.tags.map(i => i.signature), ['desc']);
+    assert.equal(decoded.description, 'Display P3');
+});
+
+test.test('decode version 2 profile', t => {
+    const decoded = FMU.icc.decodeIccProfile(createProfile(2, createDescTag('sRGB IEC61966-2.1')));
+    assert.equal(decoded.version, '2.4.0');
+    assert.equal(decoded.description, 'sRGB IEC61966-2.1');
+
+    assert.throws(() => FMU.icc.decodeIccProfile(new Uint8Array(200)), /Not an ICC profile/);
+});
+
+test.test('JPG ICC profile', t => {
+    const jpg = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    assert.equal(FMU.jpg.getJpgIccProfile(jpg), null);
+
+    // Needs 3 segments
+    const profile = createProfile(4, createMlucTag([['enUS', 'Display P3']]), 150000);
+    FMU.jpg.setJpgIccProfile(jpg, profile);
+    const segments = jpg.segments.filter(i => i.type === 0xE2);
+    assert.equal(segments.length, 3);
+    assert.deepEqual(segments.map(i => Array.from(i.data.subarray(14, 16))), [[1, 3], [2, 3], [3, 3]]);
+    assert.deepEqual(jpg.segments.slice(1, 5).map(i => FMU.jpg.identifySegment(i)), ['JFIF', 'ICC_PROFILE', 'ICC_PROFILE', 'ICC_PROFILE']);
+
+    // Segments out of order are still reassembled correctly
+    const redecoded = FMU.jpg.decodeJpg(FMU.jpg.encodeJpg(jpg));
+    [redecoded.segments[2], redecoded.segments[4]] = [redecoded.segments[4], redecoded.segments[2]];
+    assert.deepEqual(FMU.jpg.getJpgIccProfile(redecoded), profile);
+    assert.equal(FMU.icc.decodeIccProfile(FMU.jpg.getJpgIccProfile(redecoded)).description, 'Display P3');
+
+    // Replacing removes all the old segments
+    const small = createProfile(2, createDescTag('sRGB'));
+    FMU.jpg.setJpgIccProfile(redecoded, small);
+    assert.equal(redecoded.segments.filter(i => i.type === 0xE2).length, 1);
+    assert.deepEqual(FMU.jpg.getJpgIccProfile(redecoded), small);
+
+    redecoded.segments.splice(3, 0, redecoded.segments[2]);
+    assert.throws(() => FMU.jpg.getJpgIccProfile(redecoded), /segment count is 1 but found 2/);
+});
+
+test.test('PNG ICC profile', t => {
+    const png = FMU.png.decodePng(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+    assert.equal(FMU.png.getPngIccProfile(png), null);
+
+    FMU.png.setRenderingIntent(png, 0);
+    const profile = createProfile(4, createMlucTag([['enUS', 'Display P3']]), 1000);
+    FMU.png.setPngIccProfile(png, profile, 'Display P3');
+    assert.deepEqual(png.chunks.map(i => i.type), ['IHDR', 'iCCP', 'IDAT', 'IEND']);
+    assert.deepEqual(FMU.png.validateChunkOrder(png), []);
+
+    const redecoded = FMU.png.decodePng(FMU.png.encodePng(png));
+    assert.deepEqual(FMU.png.getPngIccProfile(redecoded), profile);
+    assert.deepEqual(Array.from(redecoded.chunks[1].data.subarray(0, 11)), Array.from(Buffer.from('Display P3\0')));
+
+    // Move profiles between formats
+    const jpg = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    FMU.jpg.setJpgIccProfile(jpg, FMU.png.getPngIccProfile(redecoded));
+    assert.deepEqual(FMU.jpg.getJpgIccProfile(jpg), profile);
+});
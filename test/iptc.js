@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const FMU = require('../index');
+
+test.test('image resources', t => {
+    const resources = [
+        {
+            signature: '8BIM',
+            id: 0x03ED,
+            name: '',
+            data: new Uint8Array([1, 2, 3])
+        },
+        {
+            signature: '8BIM',
+            id: 0x0BB7,
+            name: 'Path',
+            data: new Uint8Array([4, 5])
+        }
+    ];
+    const encoded = FMU.iptc.encodeImageResources(resources);
+    // Name and data are both padded to even lengths
+    assert.equal(encoded.byteLength, (4 + 2 + 2 + 4 + 4) + (4 + 2 + 6 + 4 + 2));
+    assert.deepEqual(FMU.iptc.decodeImageResources(encoded), resources);
+
+    assert.throws(() => FMU.iptc.decodeImageResources(new Uint8Array([0x38, 0x42, 0x49, 0x4D, 0x04, 0x04, 0, 0, 0, 0, 0, 10])), /extends past end/);
+});
+
+test.test('encode and decode named fields', t => {
+    const iptc = {
+        ObjectName: 'Dango',
+        Keywords: ['cat', 'dango', 'ねこ'],
+        'By-line': ['Jane Doe', 'John Doe'],
+        'Caption-Abstract': 'A cat. '.repeat(250),
+        City: 'Zürich',
+        DateCreated: '20240102',
+        TimeCreated: '030405+0100'
+    };
+    const encoded = FMU.iptc.encodeIptc(iptc);
+    assert.deepEqual(FMU.iptc.decodeIptc(encoded), iptc);
+
+    const datasets = FMU.iptc.decodeIptcDatasets(encoded);
+    assert.deepEqual(datasets.map(i => `${i.record}:${i.dataset}`), [
+        '1:90', '2:0', '2:5', '2:25', '2:25', '2:25', '2:55', '2:60', '2:80', '2:80', '2:90', '2:120'
+    ]);
+    assert.deepEqual(datasets[0].data, new Uint8Array([0x1B, 0x25, 0x47]));
+
+    // Longer than 32767 bytes needs an extended dataset
+    const large = {
+        record: 8,
+        dataset: 10,
+        data: new Uint8Array(35000).fill(1)
+    };
+    const encodedLarge = FMU.iptc.encodeIptcDatasets([large]);
+    assert.equal(encodedLarge.byteLength, 9 + 35000);
+    assert.deepEqual(FMU.iptc.decodeIptcDatasets(encodedLarge), [large]);
+
+    assert.throws(() => FMU.iptc.encodeIptc({
+        Unknown: 'a'
+    }), /Unknown IPTC property/);
+    assert.throws(() => FMU.iptc.encodeIptc({
+        Keywords: 'a'
+    }), /must be an array of strings/);
+    assert.throws(() => FMU.iptc.encodeIptc({
+        City: ['a']
+    }), /must be a string/);
+    assert.throws(() => FMU.iptc.encodeIptc({
+        ObjectName: 'a'.repeat(65)
+    }), /ObjectName can't be longer than 64 bytes/);
+    assert.throws(() => FMU.iptc.encodeIptc({
+        Keywords: ['a', 'ね'.repeat(22)]
+    }), /Keywords can't be longer than 64 bytes/);
+});
+
+test.test('character sets', t => {
+    const datasets = [
+        {
+            record: 2,
+            dataset: 90,
+            data: new Uint8Array([0x5A, 0xFC, 0x72, 0x69, 0x63, 0x68])
+        },
+        {
+            record: 2,
+            dataset: 200,
+            data: new Uint8Array([0xFF])
+        }
+    ];
+
+    // Not declared, not valid UTF-8, so Latin-1
+    const latin1 = FMU.iptc.encodeIptcDatasets(datasets);
+    assert.deepEqual(FMU.iptc.decodeIptc(latin1), {
+        City: 'Zürich'
+    });
+
+    // Update stays in Latin-1 so unknown datasets are still labelled correctly
+    const updated = FMU.iptc.updateIptc(latin1, {
+        Headline: 'Héllo'
+    });
+    assert.deepEqual(FMU.iptc.decodeIptc(updated), {
+        City: 'Zürich',
+        Headline: 'Héllo'
+    });
+    const updatedDatasets = FMU.iptc.decodeIptcDatasets(updated);
+    assert.deepEqual(updatedDatasets.map(i => `${i.record}:${i.dataset}`), ['2:0', '2:90', '2:105', '2:200']);
+    assert.deepEqual(updatedDatasets[1].data, datasets[0].data);
+    assert.deepEqual(updatedDatasets[2].data, new Uint8Array([0x48, 0xE9, 0x6C, 0x6C, 0x6F]));
+    assert.deepEqual(updatedDatasets[3].data, new Uint8Array([0xFF]));
+    assert.throws(() => FMU.iptc.updateIptc(latin1, {
+        Headline: 'ねこ'
+    }), /existing Latin-1 character set/);
+
+    // Undeclared, but valid UTF-8, so the character set can be declared
+    const utf8 = FMU.iptc.updateIptc(FMU.iptc.encodeIptcDatasets([{
+        record: 2,
+        dataset: 90,
+        data: new TextEncoder().encode('Zürich')
+    }]), {
+        Headline: 'ねこ'
+    });
+    assert.deepEqual(FMU.iptc.decodeIptcDatasets(utf8)[0], {
+        record: 1,
+        dataset: 90,
+        data: new Uint8Array([0x1B, 0x25, 0x47])
+    });
+    assert.deepEqual(FMU.iptc.decodeIptc(utf8), {
+        City: 'Zürich',
+        Headline: 'ねこ'
+    });
+
+    const removed = FMU.iptc.updateIptc(updated, {
+        City: null
+    });
+    assert.deepEqual(FMU.iptc.decodeIptc(removed), {
+        Headline: 'Héllo'
+    });
+});
+
+test.test('JPG IPTC', t => {
+    const jpg = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    assert.deepEqual(FMU.jpg.getJpgIptc(jpg), {});
+
+    FMU.jpg.setJpgIptc(jpg, {
+        Headline: 'Cat',
+        Keywords: ['a', 'b']
+    });
+    FMU.jpg.updateJpgIptc(jpg, {
+        Keywords: ['c'],
+        'By-line': ['Photographer']
+    });
+
+    const redecoded = FMU.jpg.decodeJpg(FMU.jpg.encodeJpg(jpg));
+    assert.deepEqual(redecoded.segments.filter(i => i.identifier === 'Photoshop').length, 1);
+    assert.deepEqual(FMU.jpg.getJpgIptc(redecoded), {
+        Headline: 'Cat',
+        Keywords: ['c'],
+        'By-line': ['Photographer']
+    });
+});
+
+test.test('JPG IPTC keeps other resources and updates digest', t => {
+    const jpg = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+
+    const other = {
+        signature: '8BIM',
+        id: 0x03ED,
+        name: '',
+        // Large enough to need multiple segments
+        data: new Uint8Array(100000).fill(7)
+    };
+    const digest = {
+        signature: '8BIM',
+        id: 0x0425,
+        name: '',
+        data: new Uint8Array(16)
+    };
+    const resourceData = FMU.iptc.encodeImageResources([other, digest]);
+    const signature = new TextEncoder().encode('Photoshop 3.0\0');
+    for (const [start, end] of [[0, 60000], [60000, resourceData.byteLength]]) {
+        const data = new Uint8Array(2 + signature.byteLength + end - start);
+        new DataView(data.buffer).setUint16(0, data.byteLength, false);
+        data.set(signature, 2);
+        data.set(resourceData.subarray(start, end), 2 + signature.byteLength);
+        jpg.segments.splice(-2, 0, {
+            type: 0xED,
+            data
+        });
+    }
+
+    FMU.jpg.updateJpgIptc(jpg, {
+        Credit: 'Test'
+    });
+
+    const redecoded = FMU.jpg.decodeJpg(FMU.jpg.encodeJpg(jpg));
+    const segments = redecoded.segments.filter(i => i.identifier === 'Photoshop');
+    assert.equal(segments.length, 2);
+    const resources = FMU.iptc.decodeImageResources(Buffer.concat(segments.map(i => i.data.subarray(16))));
+    assert.deepEqual(resources.map(i => i.id), [0x03ED, 0x0425, 0x0404]);
+    assert.deepEqual(resources[0].data, other.data);
+
+    const iptcData = FMU.iptc.getIptcResource(resources);
+    assert.deepEqual(FMU.iptc.decodeIptc(iptcData), {
+        Credit: 'Test'
+    });
+    assert.deepEqual(Buffer.from(resources[1].data), crypto.createHash('md5').update(iptcData).digest());
+});
@@ -51,3 +51,356 @@ test.test('update EXIF', t => {
         UserComment: 'Test 1234!'
     });
 });
+
+test.test('update EXIF keeps other tags', t => {
+    const dangocat = fs.readFileSync(path.join(__dirname, 'dangocat.jpg'));
+    const jpg = FMU.jpg.decodeJpg(dangocat);
+
+    FMU.jpg.updateJpgExif(jpg, {
+        Make: 'Dango',
+        Model: 'Cat'
+    });
+    FMU.jpg.updateJpgExif(jpg, {
+        Model: undefined,
+        UserComment: 'Test 123!'
+    });
+
+    const redecoded = FMU.jpg.decodeJpg(FMU.jpg.encodeJpg(jpg));
+    assert.deepEqual(FMU.jpg.getJpgExif(redecoded), {
+        Make: 'Dango',
+        UserComment: 'Test 123!'
+    });
+});
+
+test.test('identify APP segments', t => {
+    const jpg = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    assert.equal(jpg.segments[1].identifier, 'JFIF');
+    assert.equal(FMU.jpg.identifySegment(jpg.segments[1]), 'JFIF');
+    assert.equal(FMU.jpg.identifySegment(jpg.segments[0]), null);
+
+    const segment = (type, signature) => ({
+        type,
+        data: new Uint8Array([0, 2 + signature.length, ...Buffer.from(signature, 'latin1')])
+    });
+    assert.equal(FMU.jpg.identifySegment(segment(0xE1, 'Exif\0\0')), 'Exif');
+    assert.equal(FMU.jpg.identifySegment(segment(0xE1, 'http://ns.adobe.com/xap/1.0/\0')), 'XMP');
+    assert.equal(FMU.jpg.identifySegment(segment(0xE2, 'ICC_PROFILE\0')), 'ICC_PROFILE');
+    assert.equal(FMU.jpg.identifySegment(segment(0xE2, 'MPF\0')), 'MPF');
+    assert.equal(FMU.jpg.identifySegment(segment(0xED, 'Photoshop 3.0\0')), 'Photoshop');
+    assert.equal(FMU.jpg.identifySegment(segment(0xEE, 'Adobe')), 'Adobe');
+    // Right signature, wrong marker
+    assert.equal(FMU.jpg.identifySegment(segment(0xE2, 'Exif\0\0')), null);
+    assert.equal(FMU.jpg.identifySegment(segment(0xE1, 'Unknown\0')), null);
+});
+
+test.test('EXIF ignores other APP1 segments', t => {
+    const jpg = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    FMU.jpg.setJpgXmp(jpg, FMU.xmp.decodeXmp('<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"/></x:xmpmeta>'));
+    const xmpData = jpg.segments[2].data;
+    assert.equal(FMU.jpg.identifySegment(jpg.segments[2]), 'XMP');
+
+    assert.deepEqual(FMU.jpg.getJpgExif(jpg), {});
+    FMU.jpg.setJpgExif(jpg, {
+        Make: 'Test'
+    });
+
+    // After JFIF, and the XMP is untouched
+    const redecoded = FMU.jpg.decodeJpg(FMU.jpg.encodeJpg(jpg));
+    assert.deepEqual(redecoded.segments.slice(1, 4).map(i => i.identifier), ['JFIF', 'Exif', 'XMP']);
+    assert.deepEqual(redecoded.segments[3].data, xmpData);
+    assert.deepEqual(FMU.jpg.getJpgExif(redecoded), {
+        Make: 'Test'
+    });
+});
+
+test.test('all markers and fill bytes', t => {
+    const data = new Uint8Array([
+        // SOI
+        0xFF, 0xD8,
+        // TEM
+        0xFF, 0x01,
+        // DHP
+        0xFF, 0xDE, 0x00, 0x04, 0x01, 0x02,
+        // EXP
+        0xFF, 0xDF, 0x00, 0x03, 0x11,
+        // SOF11 (lossless, arithmetic), with fill bytes before it
+        0xFF, 0xFF, 0xFF, 0xCB, 0x00, 0x05, 0x08, 0x00, 0x01,
+        // DAC
+        0xFF, 0xCC, 0x00, 0x04, 0x00, 0x10,
+        // JPG0
+        0xFF, 0xF0, 0x00, 0x02,
+        // DRI
+        0xFF, 0xDD, 0x00, 0x04, 0x00, 0x01,
+        // SOS, then entropy-coded data with a stuffed byte and a restart marker
+        0xFF, 0xDA, 0x00, 0x03, 0x01, 0x12, 0xFF, 0x00, 0x34, 0xFF, 0xD0, 0x56,
+        // DNL, with a fill byte
+        0xFF, 0xFF, 0xDC, 0x00, 0x04, 0x00, 0x20,
+        // EOI
+        0xFF, 0xD9
+    ]);
+
+    const decoded = FMU.jpg.decodeJpg(data);
+    assert.deepEqual(decoded.segments.map(i => i.type), [0xD8, 0x01, 0xDE, 0xDF, 0xCB, 0xCC, 0xF0, 0xDD, 0xDA, 0xDC, 0xD9]);
+    assert.equal(decoded.segments[4].fillBytes, 2);
+    assert.deepEqual(decoded.segments[4].data, new Uint8Array([0x00, 0x05, 0x08, 0x00, 0x01]));
+    assert.deepEqual(decoded.segments[8].data, new Uint8Array([0x00, 0x03, 0x01, 0x12, 0xFF, 0x00, 0x34, 0xFF, 0xD0, 0x56]));
+    assert.equal(decoded.segments[9].fillBytes, 1);
+    assert.deepEqual(FMU.jpg.encodeJpg(decoded), data);
+
+    assert.throws(() => FMU.jpg.decodeJpg(new Uint8Array([0xFF, 0xD8, 0xFF, 0xC1, 0x00, 0x10, 0x00])), /Segment extends past end/);
+    assert.throws(() => FMU.jpg.decodeJpg(new Uint8Array([0xFF, 0xD8, 0xFF, 0x00])), /Invalid marker/);
+});
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+const withTrailer = (...parts) => {
+    const result = new Uint8Array(parts.reduce((total, i) => total + i.byteLength, 0));
+    let ptr = 0;
+    for (const part of parts) {
+        result.set(part, ptr);
+        ptr += part.byteLength;
+    }
+    return result;
+};
+
+test.test('trailer after EOI', t => {
+    const dangocat = fs.readFileSync(path.join(__dirname, 'dangocat.jpg'));
+    const plain = FMU.jpg.decodeJpg(dangocat);
+    assert.equal(plain.trailer.byteLength, 0);
+    assert.deepEqual(FMU.jpg.detectTrailer(plain), []);
+
+    // Like a gain map or MPF secondary image
+    const embedded = withTrailer(dangocat, dangocat);
+    const decoded = FMU.jpg.decodeJpg(embedded);
+    assert.equal(decoded.segments[decoded.segments.length - 1].type, 0xD9);
+    assert.deepEqual(decoded.trailer, new Uint8Array(dangocat));
+    assert.deepEqual(FMU.jpg.encodeJpg(decoded), new Uint8Array(embedded));
+    assert.deepEqual(FMU.jpg.detectTrailer(decoded), [
+        {
+            kind: 'jpeg',
+            offset: 0,
+            length: dangocat.byteLength
+        }
+    ]);
+
+    // Edits keep the trailer
+    FMU.jpg.setJpgExif(decoded, {
+        Make: 'Test'
+    });
+    const redecoded = FMU.jpg.decodeJpg(FMU.jpg.encodeJpg(decoded));
+    assert.deepEqual(redecoded.trailer, new Uint8Array(dangocat));
+
+    const padding = FMU.jpg.decodeJpg(withTrailer(dangocat, new Uint8Array(100)));
+    assert.equal(FMU.jpg.detectTrailer(padding)[0].kind, 'padding');
+});
+
+test.test('detect motion photo trailers', t => {
+    const dangocat = fs.readFileSync(path.join(__dirname, 'dangocat.jpg'));
+    const mp4 = new Uint8Array([0x00, 0x00, 0x00, 0x10, 0x66, 0x74, 0x79, 0x70, 0x69, 0x73, 0x6F, 0x6D, 0x00, 0x00, 0x00, 0x00]);
+    const gainMap = new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]);
+
+    const XMP_HEADER = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">';
+    const XMP_FOOTER = '</rdf:RDF></x:xmpmeta>';
+
+    // Google/Samsung container directory
+    const container = FMU.jpg.decodeJpg(withTrailer(dangocat, new Uint8Array(2), gainMap, mp4));
+    FMU.jpg.setJpgXmp(container, FMU.xmp.decodeXmp(`${XMP_HEADER}
+        <rdf:Description rdf:about=""
+            xmlns:Container="http://ns.google.com/photos/1.0/container/"
+            xmlns:Item="http://ns.google.com/photos/1.0/container/item/">
+            <Container:Directory>
+                <rdf:Seq>
+                    <rdf:li rdf:parseType="Resource">
+                        <Container:Item Item:Mime="image/jpeg" Item:Semantic="Primary" Item:Length="0" Item:Padding="2"/>
+                    </rdf:li>
+                    <rdf:li rdf:parseType="Resource">
+                        <Container:Item Item:Mime="image/jpeg" Item:Semantic="GainMap" Item:Length="4"/>
+                    </rdf:li>
+                    <rdf:li rdf:parseType="Resource">
+                        <Container:Item Item:Mime="video/mp4" Item:Semantic="MotionPhoto" Item:Length="16"/>
+                    </rdf:li>
+                </rdf:Seq>
+            </Container:Directory>
+        </rdf:Description>
+    ${XMP_FOOTER}`));
+    assert.deepEqual(FMU.jpg.detectTrailer(container), [
+        {
+            kind: 'jpeg',
+            offset: 2,
+            length: 4,
+            mime: 'image/jpeg',
+            semantic: 'GainMap'
+        },
+        {
+            kind: 'mp4',
+            offset: 6,
+            length: 16,
+            mime: 'video/mp4',
+            semantic: 'MotionPhoto'
+        }
+    ]);
+
+    // Older Google MicroVideo
+    const microVideo = FMU.jpg.decodeJpg(withTrailer(dangocat, new Uint8Array(5), mp4));
+    FMU.jpg.setJpgXmp(microVideo, FMU.xmp.decodeXmp(`${XMP_HEADER}
+        <rdf:Description rdf:about="" xmlns:GCamera="http://ns.google.com/photos/1.0/camera/"
+            GCamera:MicroVideo="1" GCamera:MicroVideoOffset="16"/>
+    ${XMP_FOOTER}`));
+    assert.deepEqual(FMU.jpg.detectTrailer(microVideo), [
+        {
+            kind: 'mp4',
+            offset: 5,
+            length: 16,
+            semantic: 'MotionPhoto'
+        }
+    ]);
+
+    // Older Samsung
+    const sef = withTrailer(new TextEncoder().encode('SEFH'), new Uint8Array(4));
+    const sefSize = new Uint8Array([sef.byteLength, 0, 0, 0]);
+    const samsung = FMU.jpg.decodeJpg(withTrailer(dangocat, new TextEncoder().encode('MotionPhoto_Data'), mp4, sef, sefSize, new TextEncoder().encode('SEFT')));
+    assert.deepEqual(FMU.jpg.detectTrailer(samsung), [
+        {
+            kind: 'mp4',
+            offset: 16,
+            length: 16,
+            semantic: 'MotionPhoto'
+        }
+    ]);
+});
+
+/**
+ * @param {Array<{attributes: number, size: number, offset: number}>} entries
+ * @returns {Uint8Array} APP2 MPF segment data.
+ */
+const createMpfSegmentData = (entries) => {
+    const entryData = new Uint8Array(entries.length * 16);
+    const view = new DataView(entryData.buffer);
+    entries.forEach((entry, i) => {
+        view.setUint32(i * 16, entry.attributes, false);
+        view.setUint32(i * 16 + 4, entry.size, false);
+        view.setUint32(i * 16 + 8, entry.offset, false);
+    });
+    const tiffData = FMU.tiff.encodeTiff({
+        littleEndian: false,
+        ifds: [
+            {
+                entries: [
+                    {
+                        tag: 0xB000,
+                        type: FMU.tiff.UNDEFINED8,
+                        value: new Uint8Array([0x30, 0x31, 0x30, 0x30])
+                    },
+                    {
+                        tag: 0xB001,
+                        type: FMU.tiff.UINT32,
+                        value: new Uint32Array([entries.length])
+                    },
+                    {
+                        tag: 0xB002,
+                        type: FMU.tiff.UNDEFINED8,
+                        value: entryData
+                    }
+                ]
+            }
+        ]
+    });
+    return withTrailer(new Uint8Array(2), new TextEncoder().encode('MPF\0'), tiffData);
+};
+
+test.test('MPF images', t => {
+    const dangocat = new Uint8Array(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+
+    const gainMap = FMU.jpg.decodeJpg(dangocat);
+    FMU.jpg.setJpgXmp(gainMap, {
+        properties: [
+            {
+                namespace: FMU.xmp.NAMESPACES.hdrgm,
+                name: 'Version',
+                value: {
+                    type: 'text',
+                    value: '1.0'
+                }
+            }
+        ],
+        prefixes: {}
+    });
+    const gainMapData = FMU.jpg.encodeJpg(gainMap);
+
+    // Offsets are wrong by a constant amount, like after an editor changed earlier segments
+    const mpfData = createMpfSegmentData([
+        {
+            attributes: 0x20030000,
+            size: 0,
+            offset: 0
+        },
+        {
+            attributes: 0x00010001,
+            size: dangocat.byteLength,
+            offset: 5000
+        },
+        {
+            attributes: 0x00000000,
+            size: gainMapData.byteLength,
+            offset: 5000 + dangocat.byteLength
+        }
+    ]);
+    new DataView(mpfData.buffer).setUint16(0, mpfData.byteLength, false);
+
+    const jpg = FMU.jpg.decodeJpg(withTrailer(dangocat, dangocat, gainMapData));
+    jpg.segments.splice(2, 0, {
+        type: 0xE2,
+        data: mpfData
+    });
+
+    const images = FMU.jpg.getJpgMpfImages(jpg);
+    const primarySize = dangocat.byteLength + 2 + mpfData.byteLength;
+    assert.deepEqual(images, [
+        {
+            index: 0,
+            type: 'primary',
+            attributes: 0x20030000,
+            offset: 0,
+            length: primarySize
+        },
+        {
+            index: 1,
+            type: 'largeThumbnail',
+            attributes: 0x00010001,
+            offset: primarySize,
+            length: dangocat.byteLength
+        },
+        {
+            index: 2,
+            type: 'gainMap',
+            attributes: 0x00000000,
+            offset: primarySize + dangocat.byteLength,
+            length: gainMapData.byteLength
+        }
+    ]);
+
+    assert.deepEqual(FMU.jpg.encodeJpg(FMU.jpg.extractJpgMpfImage(jpg, 1)), dangocat);
+    assert.deepEqual(FMU.jpg.encodeJpg(FMU.jpg.extractJpgMpfImage(jpg, 2)), gainMapData);
+    assert.throws(() => FMU.jpg.extractJpgMpfImage(jpg, 3), /does not exist/);
+
+    // Offsets are relative to the MP header, which is 8 bytes into the MPF segment
+    FMU.jpg.updateJpgMpfOffsets(jpg);
+    const mpfOffset = jpg.segments.slice(0, 2).reduce((total, i) => total + 2 + i.data.byteLength, 0);
+    const updatedTiff = FMU.tiff.decodeTiff(jpg.segments[2].data.subarray(6));
+    const updatedEntries = updatedTiff.ifds[0].entries.find(i => i.tag === 0xB002).value;
+    const updatedView = new DataView(updatedEntries.buffer, updatedEntries.byteOffset, updatedEntries.byteLength);
+    assert.equal(updatedView.getUint32(4, false), primarySize);
+    assert.equal(updatedView.getUint32(16 + 8, false), primarySize - mpfOffset - 8);
+
+    FMU.jpg.removeJpgMpfImages(jpg, [1]);
+    assert.deepEqual(jpg.trailer, gainMapData);
+    assert.deepEqual(FMU.jpg.getJpgMpfImages(jpg).map(i => i.type), ['primary', 'gainMap']);
+    assert.throws(() => FMU.jpg.removeJpgMpfImages(jpg, [0]), /primary/);
+
+    FMU.jpg.removeJpgMpfImages(jpg, [1]);
+    assert.deepEqual(jpg.trailer, new Uint8Array());
+    assert.deepEqual(FMU.jpg.getJpgMpfImages(jpg), []);
+    assert.deepEqual(FMU.jpg.encodeJpg(jpg), dangocat);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const FMU = require('../index');
+
+test.test('read plain files', t => {
+    const jpgData = new Uint8Array(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    assert.deepEqual(FMU.read(jpgData), {
+        format: 'jpg',
+        title: null,
+        description: null,
+        author: null,
+        copyright: null,
+        created: null,
+        modified: null,
+        comments: [],
+        exif: {},
+        xmp: null,
+        icc: null
+    });
+
+    const pngData = new Uint8Array(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+    assert.equal(FMU.read(pngData).format, 'png');
+    assert.throws(() => FMU.read(new Uint8Array([1, 2, 3])), /Unknown image format/);
+});
+
+for (const fixture of ['dangocat.jpg', 'dangocat.png']) {
+    test.test(`write and read ${fixture}`, t => {
+        const original = new Uint8Array(fs.readFileSync(path.join(__dirname, fixture)));
+        const icc = new Uint8Array(200).fill(7);
+        const written = FMU.write(original, {
+            title: 'Dango',
+            description: 'A cat 🐈',
+            author: 'Jane Doe',
+            copyright: '(c) 2024 Jane Doe',
+            created: '2024-01-02T03:04:05+09:00',
+            modified: '2024-02-03T04:05:06',
+            comments: ['first', 'second'],
+            exif: {
+                Make: 'Test'
+            },
+            icc
+        });
+
+        const metadata = FMU.read(written);
+        assert.equal(metadata.title, 'Dango');
+        assert.equal(metadata.description, 'A cat 🐈');
+        assert.equal(metadata.author, 'Jane Doe');
+        assert.equal(metadata.copyright, '(c) 2024 Jane Doe');
+        assert.equal(metadata.created, '2024-01-02T03:04:05+09:00');
+        assert.equal(metadata.modified, '2024-02-03T04:05:06');
+        assert.deepEqual(metadata.comments, ['first', 'second']);
+        assert.deepEqual(metadata.icc, icc);
+        assert.deepEqual(metadata.exif, {
+            Make: 'Test',
+            ImageDescription: 'A cat 🐈',
+            DateTime: '2024:02:03 04:05:06',
+            Artist: 'Jane Doe',
+            Copyright: '(c) 2024 Jane Doe',
+            DateTimeOriginal: '2024:01:02 03:04:05',
+            OffsetTimeOriginal: '+09:00'
+        });
+        assert.equal(FMU.xmp.getXmpProperty(metadata.xmp, FMU.xmp.NAMESPACES.dc, 'creator').type, 'seq');
+
+        // Unmentioned properties are kept
+        const updated = FMU.read(FMU.write(written, {
+            title: null,
+            comments: null,
+            icc: null
+        }));
+        assert.equal(updated.title, null);
+        assert.deepEqual(updated.comments, []);
+        assert.equal(updated.icc, null);
+        assert.equal(updated.author, 'Jane Doe');
+        assert.equal(updated.exif.Make, 'Test');
+
+        assert.throws(() => FMU.write(original, {
+            created: 'yesterday'
+        }), /Invalid date/);
+    });
+}
+
+test.test('removing from plain files does not add metadata', t => {
+    for (const fixture of ['dangocat.jpg', 'dangocat.png']) {
+        const original = new Uint8Array(fs.readFileSync(path.join(__dirname, fixture)));
+        assert.deepEqual(FMU.write(original, {
+            title: null,
+            description: null
+        }), original);
+    }
+});
+
+test.test('XMP dates are preferred over EXIF', t => {
+    const original = new Uint8Array(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    const written = FMU.write(FMU.write(original, {
+        created: '2021-01-01T00:00:00'
+    }), {
+        exif: {
+            DateTimeOriginal: '2020:01:01 00:00:00'
+        }
+    });
+    assert.equal(FMU.read(written).exif.DateTimeOriginal, '2020:01:01 00:00:00');
+    assert.equal(FMU.read(written).created, '2021-01-01T00:00:00');
+});
+
+test.test('read falls back to IPTC and PNG text', t => {
+    const jpg = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    FMU.jpg.setJpgIptc(jpg, {
+        ObjectName: 'IPTC title',
+        'By-line': ['IPTC author']
+    });
+    const fromIptc = FMU.read(FMU.jpg.encodeJpg(jpg));
+    assert.equal(fromIptc.title, 'IPTC title');
+    assert.equal(fromIptc.author, 'IPTC author');
+
+    // IPTC is kept in sync once it exists
+    const synced = FMU.write(FMU.jpg.encodeJpg(jpg), {
+        author: 'New author'
+    });
+    assert.deepEqual(FMU.jpg.getJpgIptc(FMU.jpg.decodeJpg(synced))['By-line'], ['New author']);
+
+    const png = FMU.png.decodePng(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+    FMU.png.setText(png, 'Title', 'PNG title');
+    FMU.png.setModificationTime(png, new Date(Date.UTC(2020, 0, 2, 3, 4, 5)));
+    const fromPng = FMU.read(FMU.png.encodePng(png));
+    assert.equal(fromPng.title, 'PNG title');
+    assert.equal(fromPng.modified, '2020-01-02T03:04:05Z');
+});
+
+test.test('WebP', t => {
+    const vp8 = new Uint8Array([0x00, 0x00, 0x00, 0x9D, 0x01, 0x2A, 0x40, 0x01, 0xF0, 0x00]);
+    const original = FMU.webp.encodeWebp({
+        chunks: [
+            {
+                type: 'VP8 ',
+                data: vp8
+            }
+        ]
+    });
+    const written = FMU.write(original, {
+        title: 'Dango',
+        author: 'Jane Doe'
+    });
+    const metadata = FMU.read(written);
+    assert.equal(metadata.format, 'webp');
+    assert.equal(metadata.title, 'Dango');
+    assert.deepEqual(metadata.exif, {
+        Artist: 'Jane Doe'
+    });
+    assert.throws(() => FMU.write(original, {
+        comments: ['hi']
+    }), /does not support comments/);
+});
+
+test.test('GIF', t => {
+    const original = FMU.gif.encodeGif({
+        version: '89a',
+        screen: {
+            width: 1,
+            height: 1,
+            flags: 0,
+            backgroundColorIndex: 0,
+            pixelAspectRatio: 0
+        },
+        globalColorTable: null,
+        blocks: []
+    });
+    const written = FMU.write(original, {
+        author: 'Jane Doe',
+        created: '2024-01-02T03:04:05Z',
+        comments: ['provenance']
+    });
+    const metadata = FMU.read(written);
+    assert.equal(metadata.format, 'gif');
+    assert.equal(metadata.author, 'Jane Doe');
+    assert.equal(metadata.created, '2024-01-02T03:04:05Z');
+    assert.deepEqual(metadata.comments, ['provenance']);
+    assert.throws(() => FMU.write(original, {
+        exif: {
+            Make: 'Test'
+        }
+    }), /does not support EXIF/);
+});
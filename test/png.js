@@ -46,3 +46,242 @@ test.test('good_text.png', t => {
     assert.equal(FMU.png.getText(decoded, 'Author'), 'Project Nayuki');
     assert.equal(FMU.png.getText(decoded, 'Software'), 'Hex editor');
 });
+
+test.test('iTXt chunks', t => {
+    const original = fs.readFileSync(path.join(__dirname, 'dangocat.png'));
+    const decoded = FMU.png.decodePng(original);
+
+    FMU.png.setText(decoded, 'Author', 'Latin-1 only: café');
+    assert.equal(decoded.chunks.filter(i => i.type === 'tEXt').length, 1);
+    assert.equal(decoded.chunks.filter(i => i.type === 'iTXt').length, 0);
+
+    FMU.png.setText(decoded, 'Author', '猫 🐱');
+    assert.equal(FMU.png.getText(decoded, 'Author'), '猫 🐱');
+    assert.equal(decoded.chunks.filter(i => i.type === 'tEXt').length, 0);
+    assert.equal(decoded.chunks.filter(i => i.type === 'iTXt').length, 1);
+
+    FMU.png.setText(decoded, 'Title', 'Dango', {
+        languageTag: 'ja',
+        translatedKeyword: 'タイトル'
+    });
+
+    const redecoded = FMU.png.decodePng(FMU.png.encodePng(decoded));
+    assert.equal(FMU.png.getText(redecoded, 'Author'), '猫 🐱');
+    assert.deepEqual(FMU.png.getTextChunk(redecoded, 'Title'), {
+        keyword: 'Title',
+        text: 'Dango',
+        compressed: false,
+        languageTag: 'ja',
+        translatedKeyword: 'タイトル'
+    });
+    assert.deepEqual(FMU.png.getTextChunk(redecoded, 'Author').languageTag, '');
+});
+
+test.test('invalid text keywords', t => {
+    const decoded = FMU.png.decodePng(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+    assert.throws(() => FMU.png.setText(decoded, '', 'a'), /Keyword/);
+    assert.throws(() => FMU.png.setText(decoded, 'a'.repeat(80), 'a'), /Keyword/);
+    assert.throws(() => FMU.png.setText(decoded, '🐱', 'a'), /Keyword/);
+});
+
+test.test('compressed text chunks', t => {
+    const decoded = FMU.png.decodePng(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+    const json = JSON.stringify(Array.from({length: 100}, (_, i) => ({
+        index: i
+    })));
+
+    FMU.png.setText(decoded, 'Short', 'abc', {
+        compressionThreshold: 100
+    });
+    FMU.png.setText(decoded, 'JSON', json, {
+        compressionThreshold: 100
+    });
+    FMU.png.setText(decoded, 'Unicode JSON', `🐱${json}`, {
+        compressionThreshold: 100
+    });
+    assert.deepEqual(decoded.chunks.filter(i => i.type.endsWith('Xt')).map(i => i.type), ['tEXt', 'zTXt', 'iTXt']);
+    assert.ok(decoded.chunks.find(i => i.type === 'zTXt').data.byteLength < json.length / 2);
+
+    const redecoded = FMU.png.decodePng(FMU.png.encodePng(decoded));
+    assert.equal(FMU.png.getText(redecoded, 'Short'), 'abc');
+    assert.equal(FMU.png.getText(redecoded, 'JSON'), json);
+    assert.equal(FMU.png.getText(redecoded, 'Unicode JSON'), `🐱${json}`);
+    assert.equal(FMU.png.getTextChunk(redecoded, 'Unicode JSON').compressed, true);
+});
+
+test.test('CRC validation', t => {
+    const original = fs.readFileSync(path.join(__dirname, 'good_text.png'));
+    const corrupted = new Uint8Array(original);
+    // Last byte of the first tEXt chunk's data
+    const textChunkIndex = original.indexOf('tEXt');
+    const textChunkLength = new DataView(original.buffer, original.byteOffset).getUint32(textChunkIndex - 4, false);
+    corrupted[textChunkIndex + 4 + textChunkLength - 1] ^= 1;
+
+    assert.throws(() => FMU.png.decodePng(corrupted, {
+        crc: 'strict'
+    }), new RegExp(`CRC mismatch in tEXt chunk at offset ${textChunkIndex - 4}`));
+
+    const lenient = FMU.png.decodePng(corrupted);
+    const invalidChunks = lenient.chunks.filter(i => !i.crcValid);
+    assert.equal(invalidChunks.length, 1);
+    assert.equal(invalidChunks[0].type, 'tEXt');
+    assert.deepEqual(FMU.png.encodePng(lenient), corrupted);
+
+    const repaired = FMU.png.encodePng(lenient, {
+        repairCrc: true
+    });
+    assert.notDeepEqual(repaired, corrupted);
+    assert.ok(FMU.png.decodePng(repaired, {
+        crc: 'strict'
+    }).chunks.every(i => i.crcValid));
+});
+
+test.test('IHDR', t => {
+    const decoded = FMU.png.decodePng(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+    const header = FMU.png.getHeader(decoded);
+    assert.deepEqual(header, {
+        width: 124,
+        height: 236,
+        bitDepth: 8,
+        colorType: 6,
+        compressionMethod: 0,
+        filterMethod: 0,
+        interlaceMethod: 0
+    });
+    assert.deepEqual(FMU.png.encodeHeader(header), decoded.chunks[0].data);
+
+    assert.throws(() => FMU.png.encodeHeader({
+        ...header,
+        bitDepth: 4
+    }), /Bit depth 4 is not valid for color type 6/);
+    assert.throws(() => FMU.png.encodeHeader({
+        ...header,
+        width: 0
+    }), /width/);
+});
+
+test.test('ancillary chunks', t => {
+    const decoded = FMU.png.decodePng(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+
+    assert.equal(FMU.png.getDpi(decoded), null);
+    assert.equal(FMU.png.getModificationTime(decoded), null);
+    assert.equal(FMU.png.getGamma(decoded), null);
+    assert.equal(FMU.png.getRenderingIntent(decoded), null);
+    assert.equal(FMU.png.getChromaticities(decoded), null);
+
+    const chromaticities = {
+        whitePointX: 0.3127,
+        whitePointY: 0.329,
+        redX: 0.64,
+        redY: 0.33,
+        greenX: 0.3,
+        greenY: 0.6,
+        blueX: 0.15,
+        blueY: 0.06
+    };
+    const time = new Date(Date.UTC(2024, 0, 2, 3, 4, 5));
+
+    FMU.png.setDpi(decoded, 300);
+    FMU.png.setModificationTime(decoded, time);
+    FMU.png.setGamma(decoded, 1 / 2.2);
+    FMU.png.setRenderingIntent(decoded, 0);
+    FMU.png.setChromaticities(decoded, chromaticities);
+    FMU.png.setDpi(decoded, 72, 144);
+
+    assert.deepEqual(decoded.chunks.map(i => i.type), ['IHDR', 'pHYs', 'tIME', 'gAMA', 'sRGB', 'cHRM', 'IDAT', 'IEND']);
+
+    const redecoded = FMU.png.decodePng(FMU.png.encodePng(decoded));
+    const dpi = FMU.png.getDpi(redecoded);
+    assert.ok(Math.abs(dpi.x - 72) < 0.01);
+    assert.ok(Math.abs(dpi.y - 144) < 0.01);
+    assert.deepEqual(FMU.png.getPhysicalDimensions(redecoded), {
+        pixelsPerUnitX: 2835,
+        pixelsPerUnitY: 5669,
+        unit: 1
+    });
+    assert.deepEqual(FMU.png.getModificationTime(redecoded), time);
+    assert.equal(FMU.png.getGamma(redecoded), 0.45455);
+    assert.equal(FMU.png.getRenderingIntent(redecoded), 0);
+    assert.deepEqual(FMU.png.getChromaticities(redecoded), chromaticities);
+
+    assert.throws(() => FMU.png.setRenderingIntent(decoded, 4), /rendering intent/);
+    assert.throws(() => FMU.png.setModificationTime(decoded, new Date(NaN)), /valid Date/);
+});
+
+test.test('chunk ordering', t => {
+    const chunk = (type) => ({
+        type,
+        data: new Uint8Array(0)
+    });
+    const png = {
+        chunks: [chunk('IHDR'), chunk('tEXt'), chunk('IDAT'), chunk('IEND')]
+    };
+    assert.deepEqual(FMU.png.validateChunkOrder(png), []);
+
+    FMU.png.insertChunk(png, chunk('PLTE'));
+    FMU.png.insertChunk(png, chunk('tRNS'));
+    FMU.png.insertChunk(png, chunk('gAMA'));
+    FMU.png.insertChunk(png, chunk('IDAT'));
+    FMU.png.insertChunk(png, chunk('tEXt'));
+    FMU.png.insertChunk(png, chunk('eXIf'));
+    assert.deepEqual(png.chunks.map(i => i.type), ['IHDR', 'tEXt', 'tEXt', 'gAMA', 'PLTE', 'tRNS', 'eXIf', 'IDAT', 'IDAT', 'IEND']);
+    assert.deepEqual(FMU.png.validateChunkOrder(png), []);
+    assert.throws(() => FMU.png.insertChunk(png, chunk('gAMA')), /only have one gAMA/);
+
+    const bad = {
+        chunks: ['IHDR', 'PLTE', 'gAMA', 'IDAT', 'pHYs', 'IDAT', 'tRNS', 'IEND', 'IHDR'].map(chunk)
+    };
+    assert.deepEqual(FMU.png.validateChunkOrder(bad).map(i => `${i.index} ${i.message}`), [
+        '8 Last chunk must be IEND',
+        '2 gAMA must come before PLTE',
+        '4 pHYs must come before IDAT',
+        '5 IDAT chunks must be consecutive',
+        '6 tRNS must come before IDAT',
+        '7 IEND is in the wrong position',
+        '8 Only one IHDR chunk is allowed',
+        '8 IHDR is in the wrong position'
+    ]);
+});
+
+test.test('eXIf chunk', t => {
+    const decoded = FMU.png.decodePng(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+    assert.deepEqual(FMU.png.getPngExif(decoded), {});
+
+    FMU.png.setPngExif(decoded, {
+        Make: 'Test',
+        Orientation: 6
+    });
+    assert.deepEqual(decoded.chunks.map(i => i.type), ['IHDR', 'eXIf', 'IDAT', 'IEND']);
+
+    // Same TIFF structure as JPG, just without the APP1 wrapper
+    const chunk = decoded.chunks[1];
+    assert.deepEqual(chunk.data, FMU.exif.encodeExif({
+        Make: 'Test',
+        Orientation: 6
+    }).subarray(8));
+
+    FMU.png.updatePngExif(decoded, {
+        Orientation: null,
+        Software: 'Hello'
+    });
+    const redecoded = FMU.png.decodePng(FMU.png.encodePng(decoded), {
+        crc: 'strict'
+    });
+    assert.deepEqual(FMU.png.getPngExif(redecoded), {
+        Make: 'Test',
+        Software: 'Hello'
+    });
+
+    // Tolerate the incorrect JPG-style prefix
+    const withPrefix = new Uint8Array(chunk.data.byteLength + 6);
+    withPrefix.set([0x45, 0x78, 0x69, 0x66, 0x00, 0x00]);
+    withPrefix.set(chunk.data, 6);
+    redecoded.chunks[1] = {
+        type: 'eXIf',
+        data: withPrefix
+    };
+    assert.deepEqual(FMU.png.getPngExif(redecoded), {
+        Make: 'Test',
+        Orientation: 6
+    });
+});
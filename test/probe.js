@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const FMU = require('../index');
+
+test.test('JPG', t => {
+    const dangocat = new Uint8Array(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    const info = FMU.probe.probe(dangocat);
+    assert.equal(info.format, 'jpg');
+    assert.equal(info.bitDepth, 8);
+    assert.equal(info.channels, 3);
+    assert.equal(info.progressive, false);
+    assert.equal(info.orientation, 1);
+    assert.equal(info.displayWidth, info.width);
+    assert.equal(info.displayHeight, info.height);
+
+    // Should stop at the frame header without needing the rest of the file
+    const segments = FMU.jpg.decodeJpg(dangocat).segments;
+    const sofIndex = segments.findIndex(i => i.type === 0xC0);
+    const sofEnd = segments
+        .slice(0, sofIndex + 1)
+        .reduce((total, i) => total + (i.fillBytes || 0) + 2 + i.data.byteLength, 0);
+    assert.deepEqual(FMU.probe.probe(dangocat.subarray(0, sofEnd)), info);
+    assert.throws(() => FMU.probe.probe(dangocat.subarray(0, 20)), /Could not find JPG frame header/);
+
+    const rotated = FMU.jpg.decodeJpg(dangocat);
+    FMU.jpg.setJpgExif(rotated, {
+        Orientation: 6
+    });
+    const rotatedInfo = FMU.probe.probe(FMU.jpg.encodeJpg(rotated));
+    assert.equal(rotatedInfo.orientation, 6);
+    assert.equal(rotatedInfo.displayWidth, info.height);
+    assert.equal(rotatedInfo.displayHeight, info.width);
+});
+
+test.test('progressive JPG', t => {
+    const jpg = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    const sof = jpg.segments.find(i => i.type === 0xC0);
+    sof.type = 0xC2;
+    assert.equal(FMU.probe.probe(FMU.jpg.encodeJpg(jpg)).progressive, true);
+});
+
+test.test('PNG', t => {
+    const dangocat = new Uint8Array(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+    const decoded = FMU.png.decodePng(dangocat);
+    const header = FMU.png.getHeader(decoded);
+
+    const info = FMU.probe.probe(dangocat);
+    assert.deepEqual(info, {
+        format: 'png',
+        width: header.width,
+        height: header.height,
+        bitDepth: header.bitDepth,
+        channels: header.colorType === 6 ? 4 : 3,
+        progressive: false,
+        orientation: 1,
+        displayWidth: header.width,
+        displayHeight: header.height
+    });
+
+    // Signature and IHDR
+    assert.deepEqual(FMU.probe.probe(dangocat.subarray(0, 8 + 25)), info);
+
+    FMU.png.setPngExif(decoded, {
+        Orientation: 8
+    });
+    FMU.png.setHeader(decoded, {
+        ...header,
+        interlaceMethod: 1
+    });
+    const rotatedInfo = FMU.probe.probe(FMU.png.encodePng(decoded));
+    assert.equal(rotatedInfo.orientation, 8);
+    assert.equal(rotatedInfo.progressive, true);
+    assert.equal(rotatedInfo.displayWidth, header.height);
+    assert.equal(rotatedInfo.displayHeight, header.width);
+});
+
+test.test('unknown format', t => {
+    assert.throws(() => FMU.probe.probe(new Uint8Array([1, 2, 3, 4])), /Unknown image format/);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const FMU = require('../index');
+
+/**
+ * @param {number} type
+ * @param {string} signature
+ * @param {number[]} rest
+ * @returns {import('../src/jpg').JpgSegment}
+ */
+const makeSegment = (type, signature, rest) => {
+    const data = new Uint8Array(2 + signature.length + rest.length);
+    new DataView(data.buffer).setUint16(0, data.byteLength, false);
+    for (let i = 0; i < signature.length; i++) {
+        data[2 + i] = signature.charCodeAt(i);
+    }
+    data.set(rest, 2 + signature.length);
+    return {
+        type,
+        data
+    };
+};
+
+const createJpgWithMetadata = () => {
+    const jpg = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    FMU.jpg.setJpgExif(jpg, {
+        Make: 'Test',
+        BodySerialNumber: '12345',
+        ...FMU.exif.createGpsExif({
+            latitude: 1,
+            longitude: 2
+        })
+    });
+    jpg.segments.splice(2, 0,
+        makeSegment(0xE1, 'http://ns.adobe.com/xap/1.0/\0', [0x3C, 0x3E]),
+        makeSegment(0xE2, 'ICC_PROFILE\0', [1, 1]),
+        makeSegment(0xED, 'Photoshop 3.0\0', []),
+        makeSegment(0xFE, '', [0x41, 0x42])
+    );
+    return jpg;
+};
+
+test.test('strip everything but ICC from JPG by default', t => {
+    const jpg = createJpgWithMetadata();
+    const report = FMU.strip.stripJpg(jpg);
+    assert.deepEqual(report.removed.map(i => i.kind).sort(), ['comments', 'exif', 'iptc', 'xmp']);
+    assert.deepEqual(FMU.jpg.getJpgExif(jpg), {});
+    assert.equal(jpg.segments.filter(i => i.type === 0xE2).length, 1);
+    assert.equal(jpg.segments.filter(i => i.type === 0xFE).length, 0);
+});
+
+test.test('strip only GPS and serial numbers from JPG', t => {
+    const jpg = createJpgWithMetadata();
+    const report = FMU.strip.stripJpg(jpg, {
+        exif: {
+            gps: true,
+            serialNumbers: true
+        },
+        xmp: false,
+        iptc: false,
+        comments: false
+    });
+    assert.deepEqual(report.removed, [
+        {
+            kind: 'exif',
+            description: 'EXIF GPS IFD'
+        },
+        {
+            kind: 'exif',
+            description: 'EXIF BodySerialNumber'
+        }
+    ]);
+    assert.deepEqual(FMU.jpg.getJpgExif(jpg), {
+        Make: 'Test'
+    });
+});
+
+test.test('strip JPG trailer', t => {
+    const primary = FMU.jpg.encodeJpg(FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg'))));
+    const embedded = FMU.jpg.decodeJpg(primary);
+    FMU.jpg.setJpgExif(embedded, {
+        ImageDescription: 'SECRET-LOCATION'
+    });
+    const data = new Uint8Array([...primary, ...FMU.jpg.encodeJpg(embedded)]);
+    const secret = new TextEncoder().encode('SECRET-LOCATION');
+    const containsSecret = (result) => Buffer.from(result).includes(secret);
+    assert.ok(containsSecret(data));
+
+    const stripped = FMU.strip.strip(data);
+    assert.ok(!containsSecret(stripped.data));
+    assert.deepEqual(stripped.report.removed[0], {
+        kind: 'exif',
+        description: 'Trailing jpeg data'
+    });
+
+    // XMP is still removed by default
+    const gpsOnly = FMU.strip.strip(data, {
+        exif: {
+            gps: true
+        }
+    });
+    assert.ok(!containsSecret(gpsOnly.data));
+
+    // Selective EXIF options only change the primary image's EXIF
+    const selective = FMU.strip.strip(data, {
+        exif: {
+            gps: true
+        },
+        xmp: false
+    });
+    assert.deepEqual(selective.data, data);
+    assert.deepEqual(selective.report.removed.filter(i => i.description.startsWith('Trailing')), []);
+
+    const kept = FMU.strip.strip(data, {
+        exif: false,
+        xmp: false
+    });
+    assert.ok(containsSecret(kept.data));
+});
+
+test.test('strip PNG text', t => {
+    const original = fs.readFileSync(path.join(__dirname, 'good_text.png'));
+    const result = FMU.strip.strip(original, {
+        text: true
+    });
+    assert.deepEqual(result.report.removed.map(i => i.description), [
+        'tEXt chunk "Author"',
+        'tEXt chunk "Software"'
+    ]);
+
+    const decoded = FMU.png.decodePng(result.data);
+    assert.equal(FMU.png.getText(decoded, 'Author'), null);
+    assert.equal(FMU.png.getText(decoded, 'Software'), null);
+});
+
+test.test('strip GPS from PNG eXIf with JPG-style prefix', t => {
+    const png = FMU.png.decodePng(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+    const tiffData = FMU.exif.encodeExifTiff({
+        Make: 'Test',
+        ...FMU.exif.createGpsExif({
+            latitude: 1,
+            longitude: 2
+        })
+    });
+    const withPrefix = new Uint8Array(tiffData.byteLength + 6);
+    withPrefix.set([0x45, 0x78, 0x69, 0x66, 0x00, 0x00]);
+    withPrefix.set(tiffData, 6);
+    FMU.png.insertChunk(png, {
+        type: 'eXIf',
+        data: withPrefix
+    });
+
+    const report = FMU.strip.stripPng(png, {
+        exif: {
+            gps: true
+        }
+    });
+    assert.deepEqual(report.removed, [
+        {
+            kind: 'exif',
+            description: 'EXIF GPS IFD'
+        }
+    ]);
+    assert.deepEqual(FMU.png.getPngExif(png), {
+        Make: 'Test'
+    });
+});
+
+test.test('strip unknown format', t => {
+    assert.throws(() => FMU.strip.strip(new Uint8Array([1, 2, 3])), /Unsupported/);
+});
@@ -0,0 +1,286 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FMU = require('../index');
+
+test.test('decode and encode', t => {
+    const original = {
+        littleEndian: true,
+        bigTiff: false,
+        ifds: [
+            {
+                entries: [
+                    {
+                        tag: 0x010E,
+                        type: FMU.tiff.ASCII,
+                        value: 'Ünïcödé'
+                    },
+                    {
+                        tag: 0x8769,
+                        type: FMU.tiff.UINT32,
+                        value: {
+                            entries: [
+                                {
+                                    tag: 0x9204,
+                                    type: FMU.tiff.SRATIONAL,
+                                    value: [new Int32Array([-1, 3])]
+                                },
+                                {
+                                    tag: 0x9999,
+                                    type: FMU.tiff.INT16,
+                                    value: new Int16Array([-5, 5])
+                                },
+                                {
+                                    tag: 0x999A,
+                                    type: FMU.tiff.DOUBLE,
+                                    value: new Float64Array([Math.PI])
+                                }
+                            ]
+                        }
+                    }
+                ]
+            },
+            {
+                entries: [
+                    {
+                        tag: 0x0201,
+                        type: FMU.tiff.UINT32,
+                        value: [new Uint8Array([1, 2, 3])]
+                    },
+                    {
+                        tag: 0x0202,
+                        type: FMU.tiff.UINT32,
+                        value: new Uint32Array([3])
+                    }
+                ]
+            }
+        ]
+    };
+
+    for (const littleEndian of [true, false]) {
+        original.littleEndian = littleEndian;
+        const encoded = FMU.tiff.encodeTiff(original);
+        assert.deepEqual(FMU.tiff.decodeTiff(encoded), original);
+        assert.deepEqual(FMU.tiff.encodeTiff(FMU.tiff.decodeTiff(encoded)), encoded);
+
+        // Offsets become 64-bit in BigTIFF, and go back to 32-bit when converted back
+        const encodedBigTiff = FMU.tiff.encodeTiff({
+            ...original,
+            bigTiff: true
+        });
+        const decodedBigTiff = FMU.tiff.decodeTiff(encodedBigTiff);
+        assert.equal(decodedBigTiff.ifds[0].entries[1].type, FMU.tiff.UINT64);
+        assert.deepEqual(FMU.tiff.encodeTiff(decodedBigTiff), encodedBigTiff);
+        decodedBigTiff.bigTiff = false;
+        assert.deepEqual(FMU.tiff.encodeTiff(decodedBigTiff), encoded);
+    }
+});
+
+test.test('data block byte counts are kept in sync', t => {
+    const encoded = FMU.tiff.encodeTiff({
+        littleEndian: true,
+        ifds: [
+            {
+                entries: [
+                    {
+                        tag: 0x0201,
+                        type: FMU.tiff.UINT32,
+                        value: [new Uint8Array([1, 2, 3, 4, 5])]
+                    },
+                    {
+                        tag: 0x0202,
+                        type: FMU.tiff.UINT32,
+                        value: new Uint32Array([1])
+                    }
+                ]
+            }
+        ]
+    });
+    const decoded = FMU.tiff.decodeTiff(encoded);
+    assert.deepEqual(decoded.ifds[0].entries[1].value, new Uint32Array([5]));
+    assert.deepEqual(decoded.ifds[0].entries[0].value, [new Uint8Array([1, 2, 3, 4, 5])]);
+});
+
+test.test('IFD loops', t => {
+    // Header, then an IFD with 0 entries whose next IFD is itself
+    const data = new Uint8Array([
+        0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x08, 0x00, 0x00, 0x00
+    ]);
+    assert.throws(() => FMU.tiff.decodeTiff(data), /loop/);
+});
+
+test.test('strips, tiles, and SubIFDs are relocated', t => {
+    // Header, two strips, then an IFD with ImageDescription, StripOffsets, StripByteCounts, and
+    // SubIFDs pointing to an IFD with one tile. Image data comes first, as most writers do.
+    const data = new Uint8Array([
+        0x49, 0x49, 0x2A, 0x00, 0x10, 0x00, 0x00, 0x00,
+        // Strips at 8 and 12
+        0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x00,
+        // IFD0 at 16 with 4 entries
+        0x04, 0x00,
+        0x0E, 0x01, 0x02, 0x00, 0x04, 0x00, 0x00, 0x00, 0x4F, 0x6C, 0x64, 0x00,
+        0x11, 0x01, 0x04, 0x00, 0x02, 0x00, 0x00, 0x00, 0x46, 0x00, 0x00, 0x00,
+        0x17, 0x01, 0x03, 0x00, 0x02, 0x00, 0x00, 0x00, 0x04, 0x00, 0x03, 0x00,
+        0x4A, 0x01, 0x0D, 0x00, 0x01, 0x00, 0x00, 0x00, 0x4E, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00,
+        // StripOffsets at 70
+        0x08, 0x00, 0x00, 0x00, 0x0C, 0x00, 0x00, 0x00,
+        // SubIFD at 78 with TileOffsets and TileByteCounts
+        0x02, 0x00,
+        0x44, 0x01, 0x04, 0x00, 0x01, 0x00, 0x00, 0x00, 0x6C, 0x00, 0x00, 0x00,
+        0x45, 0x01, 0x04, 0x00, 0x01, 0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00,
+        // Tile at 108
+        0x0A, 0x0B
+    ]);
+
+    const decoded = FMU.tiff.decodeTiff(data);
+    const ifd0 = decoded.ifds[0];
+    assert.deepEqual(ifd0.entries[1].value, [new Uint8Array([1, 2, 3, 4]), new Uint8Array([5, 6, 7])]);
+    assert.ok(FMU.tiff.ifdEntryPointsToIfds(ifd0.entries[3]));
+    assert.deepEqual(ifd0.entries[3].value[0].entries[0].value, [new Uint8Array([0x0A, 0x0B])]);
+
+    // Editing the file moves everything around
+    const updated = FMU.exif.updateExifTiff(data, {
+        ImageDescription: 'A much longer description',
+        Artist: 'Jane Doe'
+    });
+    const redecoded = FMU.tiff.decodeTiff(updated);
+    const newIfd0 = redecoded.ifds[0];
+    assert.deepEqual(FMU.exif.decodeExifTiff(updated), {
+        ImageDescription: 'A much longer description',
+        Artist: 'Jane Doe'
+    });
+    assert.deepEqual(newIfd0.entries.find(i => i.tag === 0x0111).value, ifd0.entries[1].value);
+    assert.deepEqual(newIfd0.entries.find(i => i.tag === 0x0117).value, new Uint32Array([4, 3]));
+    assert.deepEqual(newIfd0.entries.find(i => i.tag === 0x014A).value, ifd0.entries[3].value);
+    assert.deepEqual(FMU.tiff.encodeTiff(redecoded), updated);
+});
+
+test.test('offsets that can not be followed are not kept', t => {
+    // Header, then an IFD with StripOffsets and StripByteCounts pointing past the end of the data,
+    // and a private tag typed as an IFD
+    const data = new Uint8Array([
+        0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00,
+        // IFD0 at 8 with 3 entries
+        0x03, 0x00,
+        0x11, 0x01, 0x04, 0x00, 0x01, 0x00, 0x00, 0x00, 0xE8, 0x03, 0x00, 0x00,
+        0x17, 0x01, 0x04, 0x00, 0x01, 0x00, 0x00, 0x00, 0x04, 0x00, 0x00, 0x00,
+        0x00, 0xC0, 0x0D, 0x00, 0x01, 0x00, 0x00, 0x00, 0x32, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00,
+        // Private IFD at 50 with ImageWidth
+        0x01, 0x00,
+        0x00, 0x01, 0x03, 0x00, 0x01, 0x00, 0x00, 0x00, 0x07, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00
+    ]);
+
+    const decoded = FMU.tiff.decodeTiff(data);
+    const entries = decoded.ifds[0].entries;
+    assert.deepEqual(entries.map(i => i.tag), [0xC000]);
+    assert.ok(FMU.tiff.ifdEntryPointsToIfds(entries[0]));
+    assert.deepEqual(entries[0].value[0].entries[0].value, new Uint16Array([7]));
+
+    // The private IFD moves with everything else
+    const updated = FMU.exif.updateExifTiff(data, {
+        ImageDescription: 'Something long enough to move things around'
+    });
+    const redecoded = FMU.tiff.decodeTiff(updated);
+    assert.deepEqual(redecoded.ifds[0].entries.find(i => i.tag === 0xC000).value, entries[0].value);
+});
+
+test.test('sparse tiles', t => {
+    const encoded = FMU.tiff.encodeTiff({
+        littleEndian: false,
+        ifds: [
+            {
+                entries: [
+                    {
+                        tag: 0x0144,
+                        type: FMU.tiff.UINT32,
+                        value: [new Uint8Array([1]), new Uint8Array(0)]
+                    },
+                    {
+                        tag: 0x0145,
+                        type: FMU.tiff.UINT32,
+                        value: new Uint32Array([1, 0])
+                    }
+                ]
+            }
+        ]
+    });
+    const view = new DataView(encoded.buffer);
+    const offsetsPtr = view.getUint32(8 + 2 + 8, false);
+    assert.equal(view.getUint32(offsetsPtr + 4, false), 0);
+    assert.deepEqual(FMU.tiff.decodeTiff(encoded).ifds[0].entries[0].value, [new Uint8Array([1]), new Uint8Array(0)]);
+});
+
+test.test('BigTIFF', t => {
+    // Header, then an IFD with ImageDescription, a LONG8 StripOffsets, StripByteCounts, and
+    // an SLONG8 that fits in 32 bits
+    const data = new Uint8Array([
+        0x49, 0x49, 0x2B, 0x00, 0x08, 0x00, 0x00, 0x00,
+        0x10, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        // IFD at 16 with 4 entries
+        0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x0E, 0x01, 0x02, 0x00, 0x08, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x42, 0x69, 0x67, 0x54, 0x49, 0x46, 0x46, 0x00,
+        0x11, 0x01, 0x10, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x70, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x17, 0x01, 0x10, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x99, 0x99, 0x11, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        // Strip at 112
+        0x01, 0x02, 0x03
+    ]);
+
+    const decoded = FMU.tiff.decodeTiff(data);
+    assert.equal(decoded.bigTiff, true);
+    assert.deepEqual(decoded.ifds[0].entries, [
+        {
+            tag: 0x010E,
+            type: FMU.tiff.ASCII,
+            value: 'BigTIFF'
+        },
+        {
+            tag: 0x0111,
+            type: FMU.tiff.UINT64,
+            value: [new Uint8Array([1, 2, 3])]
+        },
+        {
+            tag: 0x0117,
+            type: FMU.tiff.UINT64,
+            value: new BigUint64Array([3n])
+        },
+        {
+            tag: 0x9999,
+            type: FMU.tiff.INT64,
+            value: new BigInt64Array([-2n])
+        }
+    ]);
+    // The strip gets padded to an even length
+    assert.deepEqual(FMU.tiff.encodeTiff(decoded), new Uint8Array([...data, 0]));
+
+    // Convert to classic TIFF and back
+    decoded.bigTiff = false;
+    const classic = FMU.tiff.decodeTiff(FMU.tiff.encodeTiff(decoded));
+    assert.equal(classic.bigTiff, false);
+    assert.deepEqual(classic.ifds[0].entries.map(i => i.type), [
+        FMU.tiff.ASCII,
+        FMU.tiff.UINT32,
+        FMU.tiff.UINT32,
+        FMU.tiff.INT32
+    ]);
+    assert.deepEqual(classic.ifds[0].entries[1].value, [new Uint8Array([1, 2, 3])]);
+    assert.deepEqual(classic.ifds[0].entries[3].value, new Int32Array([-2]));
+
+    classic.bigTiff = true;
+    assert.deepEqual(FMU.tiff.decodeTiff(FMU.tiff.encodeTiff(classic)).ifds[0].entries[1], decoded.ifds[0].entries[1]);
+
+    // Values that need 64 bits can't be converted
+    decoded.ifds[0].entries[3].value = new BigInt64Array([-(2n ** 40n)]);
+    assert.throws(() => FMU.tiff.encodeTiff(decoded), /does not fit in classic TIFF/);
+    decoded.bigTiff = true;
+    assert.deepEqual(FMU.tiff.decodeTiff(FMU.tiff.encodeTiff(decoded)).ifds[0].entries[3].value, new BigInt64Array([-(2n ** 40n)]));
+});
@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FMU = require('../index');
+
+/**
+ * @param {Array<{type: string, data: Uint8Array}>} chunks
+ * @returns {Uint8Array}
+ */
+const createWebp = (chunks) => {
+    const size = 4 + chunks.reduce((total, i) => total + 8 + i.data.byteLength + (i.data.byteLength % 2), 0);
+    const result = new Uint8Array(8 + size);
+    const view = new DataView(result.buffer);
+    result.set(new TextEncoder().encode('RIFF'), 0);
+    view.setUint32(4, size, true);
+    result.set(new TextEncoder().encode('WEBP'), 8);
+    let ptr = 12;
+    for (const chunk of chunks) {
+        result.set(new TextEncoder().encode(chunk.type), ptr);
+        view.setUint32(ptr + 4, chunk.data.byteLength, true);
+        result.set(chunk.data, ptr + 8);
+        ptr += 8 + chunk.data.byteLength + (chunk.data.byteLength % 2);
+    }
+    return result;
+};
+
+/**
+ * @returns {Uint8Array} Lossless bitstream header for a 3x5 image with alpha, and some fake image data.
+ */
+const createVp8l = () => {
+    const data = new Uint8Array(7);
+    data[0] = 0x2F;
+    new DataView(data.buffer).setUint32(1, (3 - 1) | ((5 - 1) << 14) | (1 << 28), true);
+    data.set([0xAB, 0xCD], 5);
+    return data;
+};
+
+test.test('decode and encode', t => {
+    const original = createWebp([
+        {
+            type: 'VP8L',
+            data: createVp8l()
+        },
+        {
+            type: 'ABCD',
+            data: new Uint8Array([1, 2, 3])
+        }
+    ]);
+    assert.ok(FMU.webp.isWebp(original));
+    assert.ok(!FMU.webp.isWebp(new Uint8Array(12)));
+
+    const decoded = FMU.webp.decodeWebp(original);
+    assert.deepEqual(decoded.chunks.map(i => i.type), ['VP8L', 'ABCD']);
+    assert.deepEqual(decoded.chunks[1].data, new Uint8Array([1, 2, 3]));
+    assert.deepEqual(FMU.webp.encodeWebp(decoded), original);
+    assert.deepEqual(FMU.webp.getWebpSize(decoded), {
+        width: 3,
+        height: 5,
+        alpha: true
+    });
+
+    const withTrailer = new Uint8Array(original.byteLength + 4);
+    withTrailer.set(original);
+    withTrailer.set([9, 9, 9, 9], original.byteLength);
+    assert.deepEqual(FMU.webp.decodeWebp(withTrailer).trailer, new Uint8Array([9, 9, 9, 9]));
+    assert.deepEqual(FMU.webp.encodeWebp(FMU.webp.decodeWebp(withTrailer)), withTrailer);
+
+    assert.throws(() => FMU.webp.decodeWebp(original.subarray(0, original.byteLength - 2)), /RIFF size is larger than data/);
+});
+
+test.test('padding bytes are preserved', t => {
+    const padded = createWebp([
+        {
+            type: 'VP8L',
+            data: createVp8l()
+        },
+        {
+            type: 'ABCD',
+            data: new Uint8Array([1, 2, 3])
+        }
+    ]);
+    // Non-zero padding after VP8L
+    padded[12 + 8 + 7] = 0xFF;
+
+    // No padding after the last chunk
+    const unpadded = padded.slice(0, padded.byteLength - 1);
+    new DataView(unpadded.buffer).setUint32(4, unpadded.byteLength - 8, true);
+
+    for (const original of [padded, unpadded]) {
+        const decoded = FMU.webp.decodeWebp(original);
+        assert.equal(decoded.chunks[0].padding, 0xFF);
+        assert.deepEqual(decoded.chunks[1].data, new Uint8Array([1, 2, 3]));
+        assert.deepEqual(decoded.trailer, new Uint8Array());
+        assert.deepEqual(FMU.webp.encodeWebp(decoded), original);
+    }
+
+    // A chunk that is no longer last needs its padding
+    const decoded = FMU.webp.decodeWebp(unpadded);
+    assert.equal(decoded.chunks[1].padding, null);
+    decoded.chunks.push({
+        type: 'EFGH',
+        data: new Uint8Array([4])
+    });
+    const encoded = FMU.webp.encodeWebp(decoded);
+    assert.deepEqual(FMU.webp.decodeWebp(encoded).chunks.map(i => [i.type, i.data.byteLength]), [
+        ['VP8L', 7],
+        ['ABCD', 3],
+        ['EFGH', 1]
+    ]);
+    assert.equal(encoded.byteLength, padded.byteLength + 10);
+});
+
+test.test('metadata converts to extended format and maintains flags', t => {
+    const webp = FMU.webp.decodeWebp(createWebp([
+        {
+            type: 'VP8L',
+            data: createVp8l()
+        }
+    ]));
+
+    FMU.webp.setWebpXmp(webp, {
+        properties: [
+            {
+                namespace: FMU.xmp.NAMESPACES.dc,
+                name: 'format',
+                value: {
+                    type: 'text',
+                    value: 'image/webp'
+                }
+            }
+        ],
+        prefixes: {}
+    });
+    FMU.webp.setWebpExif(webp, {
+        Make: 'Test'
+    });
+    const profile = new Uint8Array([1, 2, 3, 4, 5]);
+    FMU.webp.setWebpIccProfile(webp, profile);
+
+    assert.deepEqual(webp.chunks.map(i => i.type), ['VP8X', 'ICCP', 'VP8L', 'EXIF', 'XMP ']);
+    assert.deepEqual(FMU.webp.decodeExtendedHeader(webp.chunks[0].data), {
+        features: {
+            icc: true,
+            alpha: true,
+            exif: true,
+            xmp: true,
+            animation: false
+        },
+        canvasWidth: 3,
+        canvasHeight: 5
+    });
+
+    const encoded = FMU.webp.encodeWebp(webp);
+    assert.equal(new DataView(encoded.buffer).getUint32(4, true), encoded.byteLength - 8);
+
+    const decoded = FMU.webp.decodeWebp(encoded);
+    assert.deepEqual(FMU.webp.getWebpExif(decoded), {
+        Make: 'Test'
+    });
+    assert.equal(FMU.xmp.getXmpProperty(FMU.webp.getWebpXmp(decoded), FMU.xmp.NAMESPACES.dc, 'format').value, 'image/webp');
+    assert.deepEqual(FMU.webp.getWebpIccProfile(decoded), profile);
+
+    FMU.webp.updateWebpExif(decoded, {
+        Model: 'Model'
+    });
+    assert.deepEqual(FMU.webp.getWebpExif(decoded), {
+        Make: 'Test',
+        Model: 'Model'
+    });
+
+    FMU.webp.removeWebpChunk(decoded, 'ICCP');
+    FMU.webp.removeWebpChunk(decoded, 'XMP ');
+    const features = FMU.webp.decodeExtendedHeader(decoded.chunks[0].data).features;
+    assert.equal(features.icc, false);
+    assert.equal(features.xmp, false);
+    assert.equal(features.exif, true);
+});
+
+test.test('animation', t => {
+    const animation = {
+        backgroundColor: 0xFF000000,
+        loopCount: 3
+    };
+    assert.deepEqual(FMU.webp.decodeAnimation(FMU.webp.encodeAnimation(animation)), animation);
+
+    const frame = {
+        x: 4,
+        y: 10,
+        width: 3,
+        height: 5,
+        duration: 100,
+        blend: false,
+        dispose: true,
+        chunks: [
+            {
+                type: 'VP8L',
+                data: createVp8l()
+            }
+        ]
+    };
+    assert.deepEqual(FMU.webp.decodeAnimationFrame(FMU.webp.encodeAnimationFrame(frame)), frame);
+    assert.throws(() => FMU.webp.encodeAnimationFrame({
+        ...frame,
+        x: 1
+    }), /must be even/);
+});
+
+test.test('lossy size', t => {
+    const vp8 = new Uint8Array([0x00, 0x00, 0x00, 0x9D, 0x01, 0x2A, 0x40, 0x01, 0xF0, 0x00]);
+    const webp = FMU.webp.decodeWebp(createWebp([
+        {
+            type: 'VP8 ',
+            data: vp8
+        }
+    ]));
+    assert.deepEqual(FMU.webp.getWebpSize(webp), {
+        width: 320,
+        height: 240,
+        alpha: false
+    });
+});
@@ -0,0 +1,238 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const FMU = require('../index');
+
+const NS = FMU.xmp.NAMESPACES;
+
+const SAMPLE = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/" x:xmptk="Test">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmp:CreatorTool="Editor &amp; Co"
+    xmp:Rating="5">
+   <!-- comment -->
+  </rdf:Description>
+  <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:custom="http://example.com/custom/">
+   <dc:title>
+    <rdf:Alt>
+     <rdf:li xml:lang="x-default">Dango &lt;cat&gt;</rdf:li>
+     <rdf:li xml:lang="ja">だんご</rdf:li>
+    </rdf:Alt>
+   </dc:title>
+   <dc:subject>
+    <rdf:Bag>
+     <rdf:li>cat</rdf:li>
+     <rdf:li><![CDATA[a & b]]></rdf:li>
+    </rdf:Bag>
+   </dc:subject>
+   <custom:Link rdf:resource="http://example.com/"/>
+   <custom:Shorthand custom:A="1" custom:B="2"/>
+   <custom:Nested>
+    <rdf:Description custom:C="3">
+     <custom:D>4</custom:D>
+    </rdf:Description>
+   </custom:Nested>
+   <custom:Qualified rdf:parseType="Resource">
+    <rdf:value>main</rdf:value>
+    <custom:Note>extra</custom:Note>
+   </custom:Qualified>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+test.test('decode', t => {
+    const decoded = FMU.xmp.decodeXmp(SAMPLE);
+    assert.deepEqual(decoded.prefixes, {
+        [NS.xmp]: 'xmp',
+        [NS.dc]: 'dc',
+        'http://example.com/custom/': 'custom'
+    });
+    assert.deepEqual(FMU.xmp.getXmpProperty(decoded, NS.xmp, 'CreatorTool'), {
+        type: 'text',
+        value: 'Editor & Co'
+    });
+    assert.deepEqual(FMU.xmp.getXmpProperty(decoded, NS.dc, 'title'), {
+        type: 'alt',
+        items: [
+            {
+                type: 'text',
+                value: 'Dango <cat>',
+                qualifiers: [
+                    {
+                        namespace: NS.xml,
+                        name: 'lang',
+                        value: {
+                            type: 'text',
+                            value: 'x-default'
+                        }
+                    }
+                ]
+            },
+            {
+                type: 'text',
+                value: 'だんご',
+                qualifiers: [
+                    {
+                        namespace: NS.xml,
+                        name: 'lang',
+                        value: {
+                            type: 'text',
+                            value: 'ja'
+                        }
+                    }
+                ]
+            }
+        ]
+    });
+    assert.deepEqual(FMU.xmp.getXmpProperty(decoded, NS.dc, 'subject').items.map(i => i.value), ['cat', 'a & b']);
+
+    const custom = 'http://example.com/custom/';
+    assert.deepEqual(FMU.xmp.getXmpProperty(decoded, custom, 'Link'), {
+        type: 'uri',
+        value: 'http://example.com/'
+    });
+    assert.deepEqual(FMU.xmp.getXmpProperty(decoded, custom, 'Shorthand').fields.map(i => [i.name, i.value.value]), [['A', '1'], ['B', '2']]);
+    assert.deepEqual(FMU.xmp.getXmpProperty(decoded, custom, 'Nested').fields.map(i => [i.name, i.value.value]), [['C', '3'], ['D', '4']]);
+    assert.deepEqual(FMU.xmp.getXmpProperty(decoded, custom, 'Qualified'), {
+        type: 'text',
+        value: 'main',
+        qualifiers: [
+            {
+                namespace: custom,
+                name: 'Note',
+                value: {
+                    type: 'text',
+                    value: 'extra'
+                }
+            }
+        ]
+    });
+});
+
+test.test('encode round trip', t => {
+    const decoded = FMU.xmp.decodeXmp(SAMPLE);
+    FMU.xmp.setXmpProperty(decoded, 'http://example.com/unknown/', 'Value', 'new "value"\n');
+    assert.ok(FMU.xmp.removeXmpProperty(decoded, NS.xmp, 'Rating'));
+    assert.ok(!FMU.xmp.removeXmpProperty(decoded, NS.xmp, 'Rating'));
+
+    const encoded = FMU.xmp.encodeXmp(decoded);
+    assert.ok(encoded.startsWith('<?xpacket begin="\uFEFF"'));
+    assert.match(encoded, /\n {99}\n {47}\n<\?xpacket end="w"\?>$/);
+    assert.ok(encoded.includes('xmlns:ns1="http://example.com/unknown/"'));
+    assert.deepEqual(FMU.xmp.decodeXmp(encoded).properties, decoded.properties);
+
+    const unpadded = FMU.xmp.encodeXmp(decoded, {
+        padding: 0
+    });
+    assert.equal(encoded.length - unpadded.length, 2048);
+});
+
+test.test('legacy about attribute and unsupported parseType', t => {
+    const legacy = `<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description about="" xmlns:dc="http://purl.org/dc/elements/1.1/" dc:format="image/jpeg">
+   <dc:source rdf:parseType="Literal"><b>bold</b></dc:source>
+   <dc:subject>
+    <rdf:Bag>
+     <rdf:li>cat</rdf:li>
+     <rdf:li rdf:parseType="Literal"><i>dog</i></rdf:li>
+    </rdf:Bag>
+   </dc:subject>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>`;
+    const decoded = FMU.xmp.decodeXmp(legacy);
+    assert.deepEqual(decoded.properties, [
+        {
+            namespace: NS.dc,
+            name: 'format',
+            value: {
+                type: 'text',
+                value: 'image/jpeg'
+            }
+        },
+        {
+            namespace: NS.dc,
+            name: 'subject',
+            value: {
+                type: 'bag',
+                items: [
+                    {
+                        type: 'text',
+                        value: 'cat'
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const encoded = FMU.xmp.encodeXmp(decoded);
+    assert.ok(!/xmlns:\w+=""/.test(encoded));
+    assert.ok(!encoded.includes(':about>'));
+    assert.deepEqual(FMU.xmp.decodeXmp(encoded).properties, decoded.properties);
+});
+
+test.test('invalid XMP', t => {
+    assert.throws(() => FMU.xmp.decodeXmp('<a><b></a>'), /Unexpected closing tag/);
+    assert.throws(() => FMU.xmp.decodeXmp('<a:b/>'), /Unknown namespace prefix/);
+    assert.throws(() => FMU.xmp.decodeXmp('<a/>'), /does not contain rdf:RDF/);
+});
+
+test.test('JPG XMP', t => {
+    const decoded = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+    assert.equal(FMU.jpg.getJpgXmp(decoded), null);
+
+    const xmp = FMU.xmp.decodeXmp(SAMPLE);
+    FMU.jpg.setJpgXmp(decoded, xmp);
+    const redecoded = FMU.jpg.decodeJpg(FMU.jpg.encodeJpg(decoded));
+    assert.deepEqual(FMU.jpg.getJpgXmp(redecoded).properties, xmp.properties);
+    assert.equal(redecoded.segments.filter(i => i.type === 0xE1).length, 1);
+});
+
+test.test('JPG Extended XMP', t => {
+    const decoded = FMU.jpg.decodeJpg(fs.readFileSync(path.join(__dirname, 'dangocat.jpg')));
+
+    const xmp = FMU.xmp.decodeXmp(SAMPLE);
+    // Too large for one segment, eg. a depth map
+    FMU.xmp.setXmpProperty(xmp, NS.GCamera, 'Large', 'x'.repeat(150000));
+    FMU.jpg.setJpgXmp(decoded, xmp);
+
+    const xmpSegments = decoded.segments.filter(i => i.type === 0xE1);
+    assert.equal(xmpSegments.length, 4);
+
+    const standard = FMU.xmp.decodeXmp(new TextDecoder().decode(xmpSegments[0].data.subarray(31)));
+    assert.equal(FMU.xmp.getXmpProperty(standard, NS.GCamera, 'Large'), null);
+    const guid = FMU.xmp.getXmpProperty(standard, NS.xmpNote, 'HasExtendedXMP').value;
+
+    const extended = Buffer.concat(xmpSegments.slice(1).map(i => i.data.subarray(2 + 35 + 32 + 8)));
+    assert.equal(guid, crypto.createHash('md5').update(extended).digest('hex').toUpperCase());
+
+    const redecoded = FMU.jpg.decodeJpg(FMU.jpg.encodeJpg(decoded));
+    const result = FMU.jpg.getJpgXmp(redecoded);
+    assert.equal(FMU.xmp.getXmpProperty(result, NS.GCamera, 'Large').value.length, 150000);
+    assert.equal(FMU.xmp.getXmpProperty(result, NS.xmpNote, 'HasExtendedXMP'), null);
+    assert.equal(result.properties.length, xmp.properties.length);
+
+    // Replacing removes the old extended segments
+    FMU.xmp.removeXmpProperty(result, NS.GCamera, 'Large');
+    FMU.jpg.setJpgXmp(redecoded, result);
+    assert.equal(redecoded.segments.filter(i => i.type === 0xE1).length, 1);
+});
+
+test.test('PNG XMP', t => {
+    const decoded = FMU.png.decodePng(fs.readFileSync(path.join(__dirname, 'dangocat.png')));
+    assert.equal(FMU.png.getPngXmp(decoded), null);
+
+    const xmp = FMU.xmp.decodeXmp(SAMPLE);
+    FMU.png.setPngXmp(decoded, xmp);
+    assert.equal(FMU.png.getTextChunk(decoded, 'XML:com.adobe.xmp').compressed, false);
+    assert.deepEqual(decoded.chunks.map(i => i.type), ['IHDR', 'iTXt', 'IDAT', 'IEND']);
+
+    const redecoded = FMU.png.decodePng(FMU.png.encodePng(decoded));
+    assert.deepEqual(FMU.png.getPngXmp(redecoded).properties, xmp.properties);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const nodeZlib = require('node:zlib');
+const FMU = require('../index');
+
+const samples = [
+    new Uint8Array(0),
+    new Uint8Array([42]),
+    new TextEncoder().encode('a'.repeat(100000)),
+    new TextEncoder().encode(JSON.stringify(Array.from({length: 1000}, (_, i) => ({
+        id: i,
+        name: `Item ${i}`,
+        tags: ['a', 'b', i % 7]
+    })))),
+    // Pseudo-random, mostly incompressible
+    Uint8Array.from({length: 70000}, (_, i) => (i * 2654435761 >>> 13) & 0xFF)
+];
+
+test.test('deflate can be read by node', t => {
+    for (const sample of samples) {
+        const compressed = FMU.zlib.deflate(sample);
+        assert.deepEqual(new Uint8Array(nodeZlib.inflateSync(compressed)), sample);
+    }
+});
+
+test.test('inflate can read node', t => {
+    for (const sample of samples) {
+        for (const level of [0, 1, 9]) {
+            const compressed = nodeZlib.deflateSync(sample, {
+                level
+            });
+            assert.deepEqual(FMU.zlib.inflate(compressed), sample);
+        }
+    }
+});
+
+test.test('deflate compresses', t => {
+    const json = samples[3];
+    assert.ok(FMU.zlib.deflate(json).byteLength < json.byteLength / 4);
+});
+
+test.test('inflate rejects invalid data', t => {
+    const compressed = FMU.zlib.deflate(samples[3]);
+    const corrupted = compressed.slice();
+    corrupted[corrupted.length - 1] ^= 1;
+    assert.throws(() => FMU.zlib.inflate(corrupted), /checksum/);
+    assert.throws(() => FMU.zlib.inflate(compressed.subarray(0, 100)), /./);
+    assert.throws(() => FMU.zlib.inflate(new Uint8Array([0x78, 0x9D, 0, 0, 0, 0])), /header/);
+});